@@ -0,0 +1,104 @@
+#!/usr/bin/env node
+
+/**
+ * Runs the test cases of every prompt that has them and exits with status 1
+ * when any test fails, for CI. Results are printed, not saved.
+ *
+ * Usage: npm run evaluate -- [--prompt <id>] [--stub [replies.json]]
+ *
+ * Prompts run with the provider the settings route the "run" task to (see
+ * public/llm-providers.js). --stub answers from a local stub endpoint
+ * instead (see src/utils/stub-model.js), so no key or network is needed.
+ */
+
+const fs = require('fs');
+const path = require('path');
+const config = require('./src/config');
+const { createStorage } = require('./src/storage');
+const { startStubModel } = require('./src/utils/stub-model');
+const OpenAIIntegration = require('./src/openai-integration');
+const SecretStore = require('./src/secret-store');
+const Evaluation = require('./public/evaluation');
+
+function parseArgs(argv) {
+    const args = { prompt: null, stub: false, replies: null };
+
+    for (let i = 0; i < argv.length; i++) {
+        switch (argv[i]) {
+            case '--prompt':
+                args.prompt = argv[++i];
+                break;
+            case '--stub':
+                args.stub = true;
+                if (argv[i + 1] && !argv[i + 1].startsWith('--')) {
+                    args.replies = argv[++i];
+                }
+                break;
+            default:
+                throw new Error(`Unknown option: ${argv[i]}`);
+        }
+    }
+
+    return args;
+}
+
+async function evaluate() {
+    const args = parseArgs(process.argv.slice(2));
+    const store = createStorage(config.database, { baseDir: __dirname });
+    let stub = null;
+
+    try {
+        const data = await store.read();
+        const secrets = new SecretStore(path.resolve(__dirname, config.secrets.filePath), {
+            passphrase: config.secrets.passphrase,
+            keyFilePath: path.resolve(__dirname, config.secrets.keyFilePath)
+        });
+        const ai = new OpenAIIntegration(data.settings, args.stub ? {} : await secrets.getAll());
+        if (args.stub) {
+            const replies = args.replies ? JSON.parse(fs.readFileSync(path.resolve(args.replies), 'utf8')) : [];
+            stub = await startStubModel({ replies });
+            ai.configure({
+                providers: [{ id: 'stub', type: 'openai-compatible', name: 'Stub model', baseURL: stub.baseURL, model: 'stub' }],
+                llm: { provider: 'stub' }
+            });
+            console.log(`🧪 Using the stub model at ${stub.baseURL}`);
+        } else if (!ai.isConfigured('run')) {
+            throw new Error('No model configured. Add a provider in Settings, set OPENAI_API_KEY, or pass --stub.');
+        }
+
+        const prompts = (data.prompts || []).filter(prompt =>
+            (prompt.tests || []).length > 0 && (!args.prompt || prompt.id === args.prompt));
+        if (prompts.length === 0) {
+            throw new Error(args.prompt ? `Prompt ${args.prompt} not found or has no tests` : 'No prompts have tests');
+        }
+
+        let failed = 0;
+        for (const prompt of prompts) {
+            const evaluation = await Evaluation.run(prompt, data.prompts, {
+                complete: (text, options) => ai.runPrompt(text, options),
+                model: ai.model
+            });
+            failed += evaluation.failed;
+
+            console.log(`\n${evaluation.failed === 0 ? '✅' : '❌'} ${prompt.slug || prompt.id}: ${evaluation.passed}/${evaluation.results.length} passed`);
+            evaluation.results.filter(result => !result.passed).forEach(result => {
+                const reasons = result.error ? [result.error] : result.assertions.filter(a => !a.passed).map(a => `${a.type}: ${a.message}`);
+                console.log(`   ✗ ${result.name}`);
+                reasons.forEach(reason => console.log(`     ${reason}`));
+            });
+        }
+
+        if (failed > 0) {
+            throw new Error(`${failed} test${failed === 1 ? '' : 's'} failed`);
+        }
+        console.log('\n✅ All tests passed');
+    } finally {
+        if (stub) stub.server.close();
+        await store.close();
+    }
+}
+
+evaluate().catch(error => {
+    console.error(`❌ ${error.message}`);
+    process.exit(1);
+});
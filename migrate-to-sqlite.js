@@ -0,0 +1,74 @@
+#!/usr/bin/env node
+
+/**
+ * Moves an existing prompts.json into the SQLite storage driver.
+ *
+ * Usage: npm run migrate:sqlite -- [--from data/prompts.json] [--to data/prompts.db] [--force]
+ */
+
+const path = require('path');
+const config = require('./src/config');
+const JsonFileStore = require('./src/storage/json-file-store');
+const SqliteStore = require('./src/storage/sqlite-store');
+
+function parseArgs(argv) {
+    const args = {
+        from: config.database.dataFilePath,
+        to: config.database.sqliteFilePath,
+        force: false
+    };
+
+    for (let i = 0; i < argv.length; i++) {
+        switch (argv[i]) {
+            case '--from':
+                args.from = argv[++i];
+                break;
+            case '--to':
+                args.to = argv[++i];
+                break;
+            case '--force':
+                args.force = true;
+                break;
+            default:
+                throw new Error(`Unknown option: ${argv[i]}`);
+        }
+    }
+
+    return args;
+}
+
+async function migrate() {
+    const args = parseArgs(process.argv.slice(2));
+    const source = new JsonFileStore(path.resolve(__dirname, args.from));
+    const target = new SqliteStore(path.resolve(__dirname, args.to));
+
+    try {
+        if (!(await target.isEmpty()) && !args.force) {
+            throw new Error(`${target.location} already contains data. Re-run with --force to overwrite it.`);
+        }
+
+        console.log(`📥 Reading ${source.location}`);
+        const data = await source.read();
+        if (!Array.isArray(data.prompts)) {
+            throw new Error(`${source.location} has no prompts array`);
+        }
+
+        await target.replace(data);
+
+        const migrated = await target.listPrompts();
+        const uniqueIds = new Set(data.prompts.map(p => p.id)).size;
+        if (migrated.length !== uniqueIds) {
+            throw new Error(`Expected ${uniqueIds} prompts in SQLite, found ${migrated.length}`);
+        }
+
+        console.log(`✅ Migrated ${migrated.length} prompts to ${target.location}`);
+        console.log('👉 Set DATABASE_DRIVER=sqlite in your .env to use it.');
+    } finally {
+        await target.close();
+    }
+}
+
+migrate().catch(error => {
+    console.error(`❌ Migration failed: ${error.message}`);
+    process.exit(1);
+});
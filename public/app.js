@@ -1,25 +1,39 @@
 class NLPPromptDatabase {
     constructor() {
         this.db = new LocalJSONDatabase();
-        this.ai = new OpenAIIntegration();
+        this.ai = new OpenAIIntegration(this.db.apiBaseUrl);
+        this.evaluating = new Set(); // ids of prompts whose tests are running
+        this.providerModels = {}; // model ids by provider, once tested
+        this.jobs = []; // background jobs on the server, newest first
+        this.jobCursors = {}; // items of each job already taken in, by job id
+        this.jobTimer = null;
         this.state = {
             prompts: [],
             filteredPrompts: [],
-            categories: ['All', 'Code', 'Cognitive', 'Jailbreak', 'Dev', 'Writing', 'Business', 'General', 'Creative', 'Analysis', 'Research'],
+            categories: CategoryModel.defaultNames(),
+            categoryDetails: {},
             folders: ['All', 'Favorites', 'Archive', 'Default'],
             customFolders: [],
+            smartFolders: [],
+            workflows: [],
+            tagSynonyms: {},
             activeFolder: 'All',
+            activeSmartFolder: null,
             activeCategory: 'All',
             activeView: 'prompts',
             searchTerm: '',
+            searchError: null,
+            searchWords: [],
             minRating: 0,
             selectedTags: [],
             allTags: [],
+            managedTags: new Set(),
             selectedIds: new Set(),
             lastSelectedId: null,
             editingPromptId: null,
+            playgroundOpen: false,
+            testsOpen: false,
             settings: {
-                openaiApiKey: '',
                 autoCategorizationEnabled: true,
                 autoTagsEnabled: true,
                 darkMode: true,
@@ -29,9 +43,10 @@ class NLPPromptDatabase {
             },
             isLoading: false,
             draggedItem: null,
+            draggedFolder: null,
             dropTarget: null,
             bulkMode: false,
-            sortBy: 'createdAt',
+            sortBy: 'relevance', // newest first until there is text to rank by
             sortOrder: 'desc',
             viewMode: 'grid'
         };
@@ -43,6 +58,7 @@ class NLPPromptDatabase {
             await this.db.loadFromLocalStorage();
         }
         await this.loadData();
+        this.setupConflictHandling();
         this.setupEventListeners();
         this.render();
         this.updateLastSavedIndicator();
@@ -51,15 +67,12 @@ class NLPPromptDatabase {
     async loadData() {
         try {
             const data = await this.db.init();
-            this.state.prompts = data.prompts || [];
-            this.state.categories = data.categories || this.state.categories;
-            this.state.folders = data.folders || this.state.folders;
-            this.state.customFolders = data.customFolders || [];
-            this.state.settings = { ...this.state.settings, ...data.settings };
+            this.applyData(data);
             this.setupAutoSave();
             this.state.allTags = await this.db.getAllTags();
+            await this.ai.refresh();
+            await this.loadJobs();
             
-            this.ai.setApiKey(this.state.settings.openaiApiKey);
             this.updateFilteredPrompts();
         } catch (error) {
             console.error('Failed to load data:', error);
@@ -67,6 +80,34 @@ class NLPPromptDatabase {
         }
     }
 
+    applyData(data) {
+        this.state.prompts = data.prompts || [];
+        this.state.categories = data.categories || this.state.categories;
+        this.state.categoryDetails = data.categoryDetails || {};
+        this.ai.setCategories(CategoryModel.list(this.state));
+        this.state.folders = data.folders || this.state.folders;
+        this.state.customFolders = data.customFolders || [];
+        this.state.smartFolders = data.smartFolders || [];
+        if (!this.state.smartFolders.some(folder => folder.id === this.state.activeSmartFolder)) {
+            this.state.activeSmartFolder = null;
+        }
+        this.state.workflows = data.workflows || [];
+        this.state.tagSynonyms = data.tagSynonyms || {};
+        this.ai.setTagSynonyms(this.state.tagSynonyms);
+        this.state.settings = { ...this.state.settings, ...data.settings };
+    }
+
+    setupConflictHandling() {
+        this.db.onConflict = (conflicts) => this.showConflictModal(conflicts);
+        this.db.onMerge = async (data) => {
+            this.applyData(data);
+            this.state.allTags = await this.db.getAllTags();
+            this.updateFilteredPrompts();
+            this.render();
+            this.showToast('Merged changes made elsewhere', 'info');
+        };
+    }
+
     setupEventListeners() {
         document.addEventListener('keydown', this.handleKeyboardShortcuts.bind(this));
         
@@ -140,9 +181,16 @@ class NLPPromptDatabase {
             const dataToSave = {
                 prompts: this.state.prompts,
                 categories: this.state.categories,
+                categoryDetails: this.state.categoryDetails,
                 folders: this.state.folders,
                 customFolders: this.state.customFolders,
-                settings: this.state.settings,
+                smartFolders: this.state.smartFolders,
+                tagSynonyms: this.state.tagSynonyms,
+                workflows: this.state.workflows,
+                runs: this.db.data?.runs || [],
+                comparisons: this.db.data?.comparisons || [],
+                trash: this.db.data?.trash || [],
+                settings: LLMProviders.withoutKeys(this.state.settings),
                 metadata: {
                     version: '1.0.0',
                     lastSaved: new Date().toISOString(),
@@ -320,6 +368,7 @@ class NLPPromptDatabase {
             const addedPrompts = [];
             
             const skippedPrompts = [];
+            const aiErrors = [];
             
             for (const promptText of promptTexts) {
                 try {
@@ -328,38 +377,51 @@ class NLPPromptDatabase {
                     let enhancedText = promptText;
                     
                     // Check auto-enhance option
-                    if (document.getElementById('auto-enhance')?.checked && this.state.settings.openaiApiKey) {
+                    if (document.getElementById('auto-enhance')?.checked && this.ai.isConfigured('enhance')) {
                         try {
-                            const enhanced = await this.ai.enhancePrompt(promptText);
-                            enhancedText = enhanced.enhanced || promptText;
+                            enhancedText = await this.ai.enhancePrompt(promptText) || promptText;
                         } catch (error) {
                             console.warn('Enhancement failed:', error);
+                            aiErrors.push(error.message);
                         }
                     }
 
-                    // Auto-categorization
-                    if (document.getElementById('auto-categorize')?.checked && this.state.settings.openaiApiKey && this.state.settings.autoCategorizationEnabled) {
-                        category = await this.ai.categorizePrompt(enhancedText);
-                    } else {
-                        category = this.ai.fallbackCategorization(enhancedText);
+                    // Auto-categorization; keyword rules when it is off or the AI fails
+                    category = this.ai.fallbackCategorization(enhancedText);
+                    if (document.getElementById('auto-categorize')?.checked && this.ai.isConfigured('categorize') && this.state.settings.autoCategorizationEnabled) {
+                        try {
+                            category = await this.ai.categorizePrompt(enhancedText);
+                        } catch (error) {
+                            console.warn('Categorization failed:', error);
+                            aiErrors.push(error.message);
+                        }
                     }
 
-                    // Auto-tagging
-                    if (document.getElementById('auto-tag')?.checked && this.state.settings.openaiApiKey && this.state.settings.autoTagsEnabled) {
-                        tags = await this.ai.generateTags(enhancedText);
-                    } else {
-                        tags = this.ai.fallbackTagGeneration(enhancedText);
+                    // Auto-tagging, likewise
+                    tags = this.ai.fallbackTagGeneration(enhancedText);
+                    if (document.getElementById('auto-tag')?.checked && this.ai.isConfigured('categorize') && this.state.settings.autoTagsEnabled) {
+                        try {
+                            tags = await this.ai.generateTags(enhancedText);
+                        } catch (error) {
+                            console.warn('Tag generation failed:', error);
+                            aiErrors.push(error.message);
+                        }
                     }
 
-                    const newPrompt = await this.db.addPrompt({
-                        text: enhancedText,
+                    let newPrompt = await this.db.addPrompt({
+                        text: promptText,
                         category: category,
                         tags: tags,
                         folder: 'Default',
                         rating: 0,
-                        notes: promptText !== enhancedText ? `Original: ${promptText}` : ''
+                        notes: ''
                     });
 
+                    // The original wording stays in the prompt's history
+                    if (enhancedText !== promptText) {
+                        newPrompt = await this.db.updatePrompt(newPrompt.id, { text: enhancedText }, { source: 'ai-enhance' });
+                    }
+
                     addedPrompts.push(newPrompt);
                 } catch (error) {
                     if (error.code === 'DUPLICATE_PROMPT') {
@@ -398,6 +460,10 @@ class NLPPromptDatabase {
                 this.showDuplicateModal(skippedPrompts);
             }
             
+            if (aiErrors.length > 0) {
+                this.showToast(`AI failed, so keyword rules were used instead: ${aiErrors[0]}`, 'warning', 6000);
+            }
+            
             // Only hide modal if something was actually processed
             if (addedPrompts.length > 0 || skippedPrompts.length > 0) {
                 this.hideQuickAddModal();
@@ -419,39 +485,58 @@ class NLPPromptDatabase {
     }
 
     updateFilteredPrompts() {
-        this.state.filteredPrompts = this.state.prompts.filter(prompt => {
-            const folderMatch = this.state.activeFolder === 'All' || prompt.folder === this.state.activeFolder;
-            const categoryMatch = this.state.activeCategory === 'All' || prompt.category === this.state.activeCategory;
-            const ratingMatch = prompt.rating >= this.state.minRating;
-            
-            // Advanced search with operators
-            const searchMatch = this.advancedSearch(prompt, this.state.searchTerm);
-            
-            const tagMatch = this.state.selectedTags.length === 0 || 
-                this.state.selectedTags.some(tag => prompt.tags.includes(tag));
+        // An incomplete query still filters as plain text; the syntax error
+        // is shown under the search box
+        let query;
+        try {
+            query = SearchQuery.parse(this.state.searchTerm);
+            this.state.searchError = null;
+        } catch (error) {
+            query = SearchQuery.parseLenient(this.state.searchTerm);
+            this.state.searchError = error;
+        }
 
-            return folderMatch && categoryMatch && ratingMatch && searchMatch && tagMatch;
-        });
-        
-        // Apply sorting
-        this.state.filteredPrompts.sort((a, b) => {
-            let aVal = a[this.state.sortBy];
-            let bVal = b[this.state.sortBy];
-            
-            if (this.state.sortBy === 'text') {
-                aVal = aVal.toLowerCase();
-                bVal = bVal.toLowerCase();
-            } else if (this.state.sortBy === 'createdAt') {
-                aVal = new Date(aVal);
-                bVal = new Date(bVal);
-            }
-            
-            if (this.state.sortOrder === 'asc') {
-                return aVal > bVal ? 1 : -1;
-            } else {
-                return aVal < bVal ? 1 : -1;
-            }
-        });
+        this.state.searchWords = SearchQuery.textTerms(query);
+
+        // An open smart folder narrows the results to its saved query
+        const smartFolder = this.getActiveSmartFolder();
+        if (smartFolder) {
+            query = { type: 'and', nodes: [SearchQuery.parseLenient(smartFolder.query), query] };
+        }
+
+        // Same query language and ordering as GET /api/prompts/search
+        this.state.filteredPrompts = SearchQuery.search(this.state.prompts, {
+            index: this.db.index,
+            query,
+            category: this.state.activeCategory,
+            folder: this.state.activeFolder,
+            tags: this.state.selectedTags,
+            synonyms: this.state.tagSynonyms,
+            minRating: this.state.minRating,
+            sortBy: this.state.sortBy,
+            sortOrder: this.state.sortOrder
+        }).prompts;
+    }
+
+    getActiveSmartFolder() {
+        return this.state.smartFolders.find(folder => folder.id === this.state.activeSmartFolder) || null;
+    }
+
+    // Echo the query with the part the parser choked on highlighted
+    getSearchErrorHTML() {
+        const error = this.state.searchError;
+        if (!error) return '';
+
+        const term = this.state.searchTerm;
+        const start = Math.min(error.position, term.length);
+        const end = Math.max(Math.min(error.end, term.length), start);
+
+        return `
+            <div class="search-error" id="search-error" role="alert">
+                <code class="search-error-query">${this.escapeHtml(term.slice(0, start))}<mark>${this.escapeHtml(term.slice(start, end)) || '&nbsp;'}</mark>${this.escapeHtml(term.slice(end))}</code>
+                <span class="search-error-message">${this.escapeHtml(error.message)}</span>
+            </div>
+        `;
     }
 
     switchView(view) {
@@ -469,7 +554,6 @@ class NLPPromptDatabase {
         const sidebar = document.querySelector('.sidebar');
         if (!sidebar) return;
 
-        const allFolders = [...this.state.folders, ...this.state.customFolders];
         const folderCounts = this.getFolderCounts();
         const recentPrompts = this.getRecentPrompts(3);
         const categoryStats = this.getCategoryStats();
@@ -483,22 +567,41 @@ class NLPPromptDatabase {
             <div class="sidebar-content">
                 <div class="folder-section">
                     <div class="folder-list">
-                        ${allFolders.map(folder => `
-                            <button class="folder-btn ${this.state.activeFolder === folder ? 'active' : ''}" 
-                                    data-folder="${folder}">
-                                <span class="folder-icon">${this.getFolderIcon(folder)}</span>
-                                <span class="folder-name">${folder}</span>
-                                <span class="folder-count">${folderCounts[folder] || 0}</span>
-                                ${folderCounts[folder] > 0 ? `<div class="folder-activity-bar" style="width: ${Math.min((folderCounts[folder] / Math.max(...Object.values(folderCounts))) * 100, 100)}%"></div>` : ''}
-                            </button>
-                        `).join('')}
+                        ${this.state.folders.map(folder => this.getFolderButtonHTML(folder, folder, folderCounts)).join('')}
+                    </div>
+                    <div class="folder-tree" ondragover="app.handleFolderDragOver(event)" ondragleave="app.handleDragLeave(event)" ondrop="app.handleFolderDrop(event)">
+                        ${this.getFolderTreeHTML(FolderTree.build(this.state.customFolders), folderCounts)}
                     </div>
                     <form class="new-folder-form">
-                        <input type="text" placeholder="➕ New folder..." required>
+                        <input type="text" placeholder="➕ New folder (Parent/Child)..." required>
                         <button type="submit" title="Create Folder">+</button>
                     </form>
+                    <button class="folder-btn trash-folder-btn ${this.state.activeView === 'trash' ? 'active' : ''}" data-action="show-trash">
+                        <span class="folder-icon">🗑️</span>
+                        <span class="folder-name">Trash</span>
+                        <span class="folder-count">${(this.db.data?.trash || []).length}</span>
+                    </button>
                 </div>
                 
+                ${this.state.smartFolders.length > 0 ? `
+                    <div class="folder-section smart-folder-section">
+                        <h3>🔎 Smart Folders</h3>
+                        <div class="folder-list">
+                            ${this.state.smartFolders.map(folder => `
+                                <div class="smart-folder-item">
+                                    <button class="folder-btn smart-folder-btn ${this.state.activeSmartFolder === folder.id ? 'active' : ''}"
+                                            data-action="open-smart-folder" data-id="${this.escapeHtml(folder.id)}" title="${this.escapeHtml(folder.query)}">
+                                        <span class="folder-icon">🔎</span>
+                                        <span class="folder-name">${this.escapeHtml(folder.name)}</span>
+                                        <span class="folder-count">${folderCounts[`smart:${folder.id}`] || 0}</span>
+                                    </button>
+                                    <button class="smart-folder-delete" data-action="delete-smart-folder" data-id="${this.escapeHtml(folder.id)}" title="Delete smart folder">×</button>
+                                </div>
+                            `).join('')}
+                        </div>
+                    </div>
+                ` : ''}
+                
                 <div class="sidebar-section collapsible ${this.getSidebarSectionState('recent') ? 'expanded' : 'collapsed'}">
                     <div class="section-header" data-section="recent">
                         <h3>🕒 Recent</h3>
@@ -507,9 +610,9 @@ class NLPPromptDatabase {
                     <div class="section-content">
                         <div class="recent-prompts">
                             ${recentPrompts.length > 0 ? recentPrompts.map(prompt => `
-                                <div class="recent-prompt-item" data-id="${prompt.id}" title="${prompt.text.substring(0, 100)}...">
+                                <div class="recent-prompt-item" data-id="${prompt.id}" title="${this.escapeHtml(prompt.text.substring(0, 100))}...">
                                     <div class="recent-prompt-category">${prompt.category}</div>
-                                    <div class="recent-prompt-text">${prompt.text.substring(0, 40)}${prompt.text.length > 40 ? '...' : ''}</div>
+                                    <div class="recent-prompt-text">${this.escapeHtml(prompt.text.substring(0, 40))}${prompt.text.length > 40 ? '...' : ''}</div>
                                     <div class="recent-prompt-time">${this.getRelativeTime(prompt.updatedAt)}</div>
                                 </div>
                             `).join('') : '<div class="empty-state">No recent prompts</div>'}
@@ -575,6 +678,7 @@ class NLPPromptDatabase {
                         ${this.state.selectedTags.length > 0 ? `
                             <button class="clear-tags-btn">🗑️ Clear filters (${this.state.selectedTags.length})</button>
                         ` : ''}
+                        <button class="manage-tags-btn" data-action="show-tags">🔖 Manage tags</button>
                     </div>
                 </div>
             </div>
@@ -624,8 +728,9 @@ class NLPPromptDatabase {
         return totalRating / this.state.prompts.length;
     }
     
+    // Includes prompts tagged with one of its children, as the tag filter does
     getTagCount(tag) {
-        return this.state.prompts.filter(prompt => prompt.tags.includes(tag)).length;
+        return this.state.prompts.filter(prompt => TagRules.matches(prompt.tags, tag)).length;
     }
     
     getRelativeTime(dateString) {
@@ -693,30 +798,74 @@ class NLPPromptDatabase {
         });
     }
 
+    getFolderButtonHTML(folder, label, folderCounts) {
+        const count = folderCounts[folder] || 0;
+        const max = Math.max(...this.state.folders.concat(this.state.customFolders).map(f => folderCounts[f] || 0));
+        return `
+            <button class="folder-btn ${this.state.activeFolder === folder && !this.state.activeSmartFolder ? 'active' : ''}" 
+                    data-folder="${this.escapeHtml(folder)}">
+                <span class="folder-icon">${this.getFolderIcon(folder)}</span>
+                <span class="folder-name">${this.escapeHtml(label)}</span>
+                <span class="folder-count">${count}</span>
+                ${count > 0 ? `<div class="folder-activity-bar" style="width: ${Math.min((count / max) * 100, 100)}%"></div>` : ''}
+            </button>
+        `;
+    }
+
+    // Custom folders as a collapsible tree. Rows can be dragged onto another
+    // folder to move them inside it, or onto the empty space below to move
+    // them back to the top level.
+    getFolderTreeHTML(nodes, folderCounts, depth = 0) {
+        return nodes.map(node => {
+            const path = this.escapeHtml(node.path);
+            const expanded = this.getSidebarSectionState(`folder:${node.path}`);
+            return `
+                <div class="folder-tree-item">
+                    <div class="folder-row" style="padding-left: ${depth * 14}px" draggable="true" data-folder-path="${path}"
+                         ondragstart="app.handleFolderDragStart(event)"
+                         ondragover="app.handleFolderDragOver(event)"
+                         ondragleave="app.handleDragLeave(event)"
+                         ondrop="app.handleFolderDrop(event)">
+                        ${node.children.length > 0
+                            ? `<button class="folder-toggle" data-action="toggle-folder" data-folder-path="${path}" title="${expanded ? 'Collapse' : 'Expand'}">${expanded ? '▾' : '▸'}</button>`
+                            : '<span class="folder-toggle"></span>'}
+                        ${this.getFolderButtonHTML(node.path, node.name, folderCounts)}
+                        <button class="folder-row-action" data-action="rename-folder" data-folder-path="${path}" title="Rename or move">✏️</button>
+                        <button class="folder-row-action" data-action="delete-folder" data-folder-path="${path}" title="Delete folder">×</button>
+                    </div>
+                    ${expanded && node.children.length > 0
+                        ? this.getFolderTreeHTML(node.children, folderCounts, depth + 1)
+                        : ''}
+                </div>
+            `;
+        }).join('');
+    }
+
+    // A folder's count includes the prompts in its subfolders
     getFolderCounts() {
         const counts = {};
         this.state.folders.concat(this.state.customFolders).forEach(folder => {
             counts[folder] = folder === 'All' 
                 ? this.state.prompts.length 
-                : this.state.prompts.filter(p => p.folder === folder).length;
+                : this.state.prompts.filter(p => FolderTree.contains(folder, p.folder)).length;
+        });
+        // Smart folders are keyed apart so a folder can share a smart folder's name
+        this.state.smartFolders.forEach(folder => {
+            counts[`smart:${folder.id}`] = SearchQuery.search(this.state.prompts, {
+                index: this.db.index,
+                query: SearchQuery.parseLenient(folder.query),
+                synonyms: this.state.tagSynonyms
+            }).total;
         });
         return counts;
     }
 
+    getCategory(category) {
+        return CategoryModel.get(this.state, category);
+    }
+
     getCategoryDescription(category) {
-        const descriptions = {
-            'Code': 'Programming, debugging, algorithms, and technical solutions',
-            'Cognitive': 'Problem-solving, decision making, and analytical thinking',
-            'Jailbreak': 'Advanced techniques and limitation bypassing strategies',
-            'Dev': 'Development tools, workflows, and software engineering',
-            'Writing': 'Content creation, editing, and communication',
-            'Business': 'Marketing, strategy, operations, and professional tasks',
-            'General': 'Everyday questions, basic information, and general topics',
-            'Creative': 'Art, design, brainstorming, and creative thinking',
-            'Analysis': 'Data analysis, evaluation, and research methods',
-            'Research': 'Academic research, investigations, and information gathering'
-        };
-        return descriptions[category] || 'Custom category for specialized prompts';
+        return this.getCategory(category).description;
     }
 
     filterByCategory(category) {
@@ -725,20 +874,145 @@ class NLPPromptDatabase {
     }
 
     manageCategoryPrompts(category) {
-        // Implementation for managing prompts in a specific category
-        this.state.activeCategory = category;
-        this.switchView('prompts');
-        this.showToast(`Managing ${category} prompts`, 'info');
+        this.showCategoryModal(category);
     }
 
     showCategoryManager() {
-        // Implementation for adding new categories
-        this.showToast('Category management feature coming soon!', 'info');
+        this.showCategoryModal();
+    }
+
+    // Pick up category changes made through the database, including the
+    // list the AI categorizes into
+    async refreshCategories() {
+        this.state.categories = await this.db.getCategories();
+        this.state.categoryDetails = { ...(this.db.data.categoryDetails || {}) };
+        this.ai.setCategories(CategoryModel.list(this.state));
+        if (!this.state.categories.includes(this.state.activeCategory)) {
+            this.state.activeCategory = 'All';
+        }
+        this.updateFilteredPrompts();
+        this.markAsChanged();
+        this.render();
+    }
+
+    // Add a category, or edit one: details, rename, merge into another, delete
+    showCategoryModal(name = null) {
+        const category = this.getCategory(name || '');
+        const others = this.state.categories.filter(c => c !== 'All' && c !== name);
+        const count = name ? this.state.prompts.filter(p => p.category === name).length : 0;
+        const isFallback = name === CategoryModel.FALLBACK;
+
+        const modal = document.createElement('div');
+        modal.className = 'modal-overlay';
+        modal.innerHTML = `
+            <div class="modal category-modal">
+                <h2>${name ? `${category.icon} Edit "${this.escapeHtml(name)}"` : '➕ New Category'}</h2>
+                <form>
+                    <div class="form-row">
+                        <div class="form-group">
+                            <label>Name</label>
+                            <input type="text" name="name" value="${this.escapeHtml(category.name)}" maxlength="100" required ${isFallback ? 'readonly' : ''}>
+                        </div>
+                        <div class="form-group">
+                            <label>Icon</label>
+                            <input type="text" name="icon" value="${this.escapeHtml(category.icon)}" maxlength="8">
+                        </div>
+                        <div class="form-group">
+                            <label>Color</label>
+                            <input type="color" name="color" value="${this.escapeHtml(category.color)}">
+                        </div>
+                    </div>
+                    <div class="form-group">
+                        <label>Description</label>
+                        <input type="text" name="description" value="${this.escapeHtml(category.description)}">
+                    </div>
+                    <div class="form-group">
+                        <label>AI guidance</label>
+                        <textarea name="guidance" rows="3" placeholder="What belongs in this category, for auto-categorization">${this.escapeHtml(category.guidance)}</textarea>
+                    </div>
+                    ${name && !isFallback && others.length > 0 ? `
+                        <div class="form-group">
+                            <label>Merge ${count} prompt${count === 1 ? '' : 's'} into</label>
+                            <div class="category-merge">
+                                <select name="into">
+                                    ${others.map(c => `<option value="${this.escapeHtml(c)}">${this.escapeHtml(c)}</option>`).join('')}
+                                </select>
+                                <button type="button" class="btn-secondary" data-category-action="merge">Merge</button>
+                            </div>
+                        </div>
+                    ` : ''}
+                    <div class="modal-actions">
+                        ${name && !isFallback ? '<button type="button" class="btn-secondary" data-category-action="delete">Delete</button>' : ''}
+                        <button type="button" class="btn-secondary" data-category-action="cancel">Cancel</button>
+                        <button type="submit" class="btn-primary">${name ? 'Save' : 'Add Category'}</button>
+                    </div>
+                </form>
+            </div>
+        `;
+
+        const form = modal.querySelector('form');
+        const close = () => modal.remove();
+
+        modal.querySelector('[data-category-action="cancel"]').addEventListener('click', close);
+
+        modal.querySelector('[data-category-action="merge"]')?.addEventListener('click', async () => {
+            const into = form.elements.into.value;
+            if (!confirm(`Move ${count} prompts from "${name}" to "${into}" and remove "${name}"?`)) return;
+            await this.db.mergeCategory(name, into);
+            close();
+            await this.refreshCategories();
+            this.showToast(`Merged "${name}" into "${into}"`, 'success');
+        });
+
+        modal.querySelector('[data-category-action="delete"]')?.addEventListener('click', async () => {
+            if (!confirm(`Delete "${name}"? Its ${count} prompts move to ${CategoryModel.FALLBACK}.`)) return;
+            await this.db.deleteCategory(name);
+            close();
+            await this.refreshCategories();
+            this.showToast(`Category "${name}" deleted`, 'success');
+        });
+
+        form.addEventListener('submit', async (e) => {
+            e.preventDefault();
+            const values = Object.fromEntries(new FormData(form));
+            delete values.into;
+            const newName = values.name.trim();
+            if (!newName || newName === 'All') {
+                this.showToast('Please choose another name', 'warning');
+                return;
+            }
+
+            const { details, error } = CategoryModel.pick(values);
+            if (error) {
+                this.showToast(error, 'warning');
+                return;
+            }
+
+            if (name) {
+                const moved = await this.db.updateCategory(name, { ...details, name: newName });
+                if (moved === null) {
+                    this.showToast(`Category "${newName}" already exists; merge into it instead`, 'warning');
+                    return;
+                }
+                if (this.state.activeCategory === name) this.state.activeCategory = newName;
+                this.showToast(newName === name ? 'Category saved' : `Renamed to "${newName}" (${moved} prompts updated)`, 'success');
+            } else if (await this.db.addCategory(newName, details)) {
+                this.showToast(`Category "${newName}" added`, 'success');
+            } else {
+                this.showToast(`Category "${newName}" already exists`, 'warning');
+                return;
+            }
+            close();
+            await this.refreshCategories();
+        });
+
+        document.body.appendChild(modal);
+        form.elements.name.focus();
     }
 
     autoCategorizeBatch() {
-        if (!this.state.settings.openaiApiKey) {
-            this.showToast('OpenAI API key required for auto-categorization', 'error');
+        if (!this.ai.isConfigured('categorize')) {
+            this.showToast('Set up an AI provider in Settings for auto-categorization', 'error');
             return;
         }
         this.showToast('Auto-categorizing all prompts...', 'info');
@@ -780,6 +1054,7 @@ class NLPPromptDatabase {
                 break;
             case 'ai-assistant':
                 container.innerHTML = this.getAIAssistantViewHTML();
+                this.updateCacheStats();
                 break;
             case 'analytics':
                 container.innerHTML = this.getAnalyticsViewHTML();
@@ -788,6 +1063,12 @@ class NLPPromptDatabase {
             case 'settings':
                 container.innerHTML = this.getSettingsViewHTML();
                 break;
+            case 'trash':
+                container.innerHTML = this.getTrashViewHTML();
+                break;
+            case 'tags':
+                container.innerHTML = this.getTagsViewHTML();
+                break;
         }
     }
 
@@ -798,11 +1079,12 @@ class NLPPromptDatabase {
             <div class="prompts-view-controls">
                 <div class="search-and-filters">
                     <div class="search-bar">
-                        <div class="search-input-container">
-                            <input type="text" id="search-input" placeholder="🔍 Search prompts... (try: tag:code, rating:5, folder:favorites)" 
-                                   value="${this.state.searchTerm}">
+                        <div class="search-input-container ${this.state.searchError ? 'has-error' : ''}">
+                            <input type="text" id="search-input" placeholder="🔍 Search prompts... (try: tag:code rating:>=4 -folder:archive)" 
+                                   value="${this.escapeHtml(this.state.searchTerm)}" ${this.state.searchError ? 'aria-invalid="true" aria-describedby="search-error"' : ''}>
                             <button id="clear-search" class="clear-btn" ${!this.state.searchTerm ? 'style="display: none;"' : ''}>×</button>
                         </div>
+                        ${this.getSearchErrorHTML()}
                     </div>
                     <div class="filter-section">
                         <select id="category-filter">
@@ -816,6 +1098,7 @@ class NLPPromptDatabase {
                             `).join('')}
                         </select>
                         <select id="sort-filter">
+                            <option value="relevance-desc" ${this.state.sortBy === 'relevance' ? 'selected' : ''}>Best Match</option>
                             <option value="createdAt-desc" ${this.state.sortBy === 'createdAt' && this.state.sortOrder === 'desc' ? 'selected' : ''}>Newest First</option>
                             <option value="createdAt-asc" ${this.state.sortBy === 'createdAt' && this.state.sortOrder === 'asc' ? 'selected' : ''}>Oldest First</option>
                             <option value="rating-desc" ${this.state.sortBy === 'rating' && this.state.sortOrder === 'desc' ? 'selected' : ''}>Highest Rated</option>
@@ -867,14 +1150,9 @@ class NLPPromptDatabase {
 
     getPromptCardHTML(prompt) {
         const isSelected = this.state.selectedIds.has(prompt.id);
-        const highlight = (text) => {
-            if (!this.state.searchTerm || !text) return text;
-            const regex = new RegExp(`(${this.state.searchTerm})`, 'gi');
-            return text.replace(regex, '<mark>$1</mark>');
-        };
-
-        const previewText = prompt.text.length > 150 ? prompt.text.substring(0, 150) + '...' : prompt.text;
         const isListView = this.state.viewMode === 'list';
+        const composed = PromptTemplate.compose(prompt, this.state.prompts);
+        const isTemplate = !composed.error && PromptTemplate.variables(composed.text).length > 0;
 
         return `
             <div class="prompt-card ${isSelected ? 'selected' : ''} ${isListView ? 'list-view' : 'grid-view'}" 
@@ -893,6 +1171,11 @@ class NLPPromptDatabase {
                 
                 <!-- Quick Actions Overlay -->
                 <div class="quick-actions-overlay">
+                    ${isTemplate ? `
+                        <button class="quick-action-btn use" data-action="use" data-id="${prompt.id}" data-tooltip="Fill in & copy">
+                            🧩
+                        </button>
+                    ` : ''}
                     <button class="quick-action-btn copy" data-action="copy" data-id="${prompt.id}" data-tooltip="Copy">
                         📋
                     </button>
@@ -913,8 +1196,10 @@ class NLPPromptDatabase {
                 
                 <div class="card-header">
                     <div class="header-left">
-                        <span class="category-badge category-${prompt.category.toLowerCase()}">${prompt.category}</span>
+                        <span class="category-badge category-${prompt.category.toLowerCase()}" style="background: ${this.getCategory(prompt.category).color}">${prompt.category}</span>
                         ${prompt.folder !== 'Default' ? `<span class="folder-badge">📁 ${prompt.folder}</span>` : ''}
+                        ${this.getTestBadgeHTML(prompt)}
+                        ${this.getWinRateBadgeHTML(prompt)}
                     </div>
                     <div class="card-actions">
                         <button class="action-btn favorite-btn ${prompt.folder === 'Favorites' ? 'active' : ''}" 
@@ -922,6 +1207,7 @@ class NLPPromptDatabase {
                         <button class="action-btn enhance-btn" data-action="enhance" data-id="${prompt.id}" title="AI Enhance">✨</button>
                         <button class="action-btn duplicate-btn" data-action="duplicate" data-id="${prompt.id}" title="Duplicate">📋</button>
                         <button class="action-btn edit-btn" data-action="edit" data-id="${prompt.id}" title="Edit">✏️</button>
+                        ${isTemplate ? `<button class="action-btn use-btn" data-action="use" data-id="${prompt.id}" title="Fill in variables and copy">🧩</button>` : ''}
                         <button class="action-btn copy-btn" data-action="copy" data-id="${prompt.id}" title="Copy to clipboard">📄</button>
                         <button class="action-btn delete-btn" data-action="delete" data-id="${prompt.id}" title="Delete">🗑️</button>
                     </div>
@@ -929,10 +1215,10 @@ class NLPPromptDatabase {
                 
                 <div class="card-content">
                     <div class="prompt-text" ${!isListView ? 'onclick="app.expandPrompt(\'' + prompt.id + '\')"' : ''}>
-                        ${highlight(previewText)}
+                        ${this.getSnippetHTML(prompt.text, 150)}
                         ${prompt.text.length > 150 ? '<span class="expand-indicator">... click to expand</span>' : ''}
                     </div>
-                    ${prompt.notes ? `<div class="prompt-notes">${highlight(prompt.notes)}</div>` : ''}
+                    ${prompt.notes ? `<div class="prompt-notes">${this.getSnippetHTML(prompt.notes, 300)}</div>` : ''}
                 </div>
                 
                 <div class="card-footer">
@@ -965,6 +1251,287 @@ class NLPPromptDatabase {
         `;
     }
 
+    getTrashViewHTML() {
+        const trash = Trash.list(this.db.data || {});
+        const retentionDays = this.db.getTrashRetentionDays();
+        const daysLeft = (item) => {
+            const left = retentionDays - Math.floor((Date.now() - new Date(item.deletedAt)) / (1000 * 60 * 60 * 24));
+            return Math.max(left, 0);
+        };
+
+        return `
+            <div class="trash-view">
+                <div class="trash-header">
+                    <h2>🗑️ Trash</h2>
+                    <div class="trash-actions">
+                        <button class="btn-secondary" data-action="restore-all-trash" ${trash.length === 0 ? 'disabled' : ''}>↩️ Restore All</button>
+                        <button class="btn-secondary danger" data-action="empty-trash" ${trash.length === 0 ? 'disabled' : ''}>Empty Trash</button>
+                    </div>
+                </div>
+                <small class="trash-retention">
+                    ${retentionDays > 0
+                        ? `Deleted prompts are permanently removed after ${retentionDays} days.`
+                        : 'Deleted prompts are kept until you empty the trash.'}
+                </small>
+                
+                ${trash.length === 0 ? `
+                    <div class="empty-state">
+                        <h3>Trash is empty</h3>
+                        <p>Deleted prompts show up here and can be restored.</p>
+                    </div>
+                ` : `
+                    <div class="trash-list">
+                        ${trash.map(item => `
+                            <div class="trash-item">
+                                <div class="trash-item-body">
+                                    <div class="trash-item-text">${this.escapeHtml(this.truncateText(item.text, 160))}</div>
+                                    <div class="trash-item-meta">
+                                        <span>${this.escapeHtml(item.category)}</span>
+                                        <span>📁 ${this.escapeHtml(item.folder)}</span>
+                                        <span title="${new Date(item.deletedAt).toLocaleString()}">Deleted ${this.getRelativeTime(item.deletedAt)}</span>
+                                        ${retentionDays > 0 ? `<span>${daysLeft(item)}d left</span>` : ''}
+                                    </div>
+                                </div>
+                                <div class="trash-item-actions">
+                                    <button class="btn-secondary" data-action="restore-trash-item" data-id="${item.id}">↩️ Restore</button>
+                                    <button class="btn-secondary danger" data-action="purge-trash-item" data-id="${item.id}">Delete Forever</button>
+                                </div>
+                            </div>
+                        `).join('')}
+                    </div>
+                `}
+            </div>
+        `;
+    }
+
+    // Every tag with its children indented below it, plus the synonym rules
+    getTagsViewHTML() {
+        const tags = TagRules.list(this.state.prompts);
+        const synonyms = Object.entries(this.state.tagSynonyms).sort(([a], [b]) => a.localeCompare(b));
+        const selected = [...this.state.managedTags].filter(tag => tags.some(t => t.name === tag));
+
+        return `
+            <div class="tags-view">
+                <div class="tags-header">
+                    <h2>🔖 Tags</h2>
+                    <div class="tags-actions">
+                        <button class="btn-secondary" data-action="merge-tags" ${selected.length < 2 ? 'disabled' : ''}>🔗 Merge Selected (${selected.length})</button>
+                    </div>
+                </div>
+                <small class="tags-hint">Nest tags with "/", e.g. <code>code/python</code>. Filtering by a tag includes its children.</small>
+
+                ${tags.length === 0 ? `
+                    <div class="empty-state">
+                        <h3>No tags yet</h3>
+                        <p>Tags added to prompts show up here.</p>
+                    </div>
+                ` : `
+                    <div class="tag-manager-list">
+                        ${tags.map(tag => `
+                            <div class="tag-manager-item" style="--tag-depth: ${FolderTree.depth(tag.name)}">
+                                <input type="checkbox" data-action="select-tag" data-tag="${this.escapeHtml(tag.name)}" ${selected.includes(tag.name) ? 'checked' : ''} aria-label="Select ${this.escapeHtml(tag.name)}">
+                                <button class="tag-manager-name" data-action="filter-tag" data-tag="${this.escapeHtml(tag.name)}" title="Show prompts tagged ${this.escapeHtml(tag.name)}">
+                                    ${this.escapeHtml(FolderTree.basename(tag.name))}
+                                </button>
+                                <span class="tag-manager-count" title="${tag.count} tagged directly, ${tag.total} including child tags">
+                                    ${tag.count}${tag.total !== tag.count ? ` / ${tag.total}` : ''}
+                                </span>
+                                <div class="tag-manager-actions">
+                                    <button class="btn-secondary" data-action="rename-tag" data-tag="${this.escapeHtml(tag.name)}">✏️ Rename</button>
+                                    <button class="btn-secondary danger" data-action="delete-tag" data-tag="${this.escapeHtml(tag.name)}">Delete</button>
+                                </div>
+                            </div>
+                        `).join('')}
+                    </div>
+                `}
+
+                <div class="tag-synonyms">
+                    <h3>Synonyms</h3>
+                    <small>Tags saved or suggested under an alias are stored as its tag, so <code>js</code> can always become <code>javascript</code>.</small>
+                    ${synonyms.length > 0 ? `
+                        <div class="tag-synonym-list">
+                            ${synonyms.map(([alias, tag]) => `
+                                <div class="tag-synonym-item">
+                                    <span><code>${this.escapeHtml(alias)}</code> → <code>${this.escapeHtml(tag)}</code></span>
+                                    <button class="btn-secondary" data-action="remove-tag-synonym" data-alias="${this.escapeHtml(alias)}" title="Remove rule">✕</button>
+                                </div>
+                            `).join('')}
+                        </div>
+                    ` : ''}
+                    <form class="tag-synonym-form">
+                        <input type="text" name="alias" placeholder="Alias, e.g. js" required>
+                        <input type="text" name="tag" placeholder="Tag, e.g. javascript" list="tag-synonym-targets" required>
+                        <datalist id="tag-synonym-targets">
+                            ${tags.map(tag => `<option value="${this.escapeHtml(tag.name)}">`).join('')}
+                        </datalist>
+                        <button type="submit" class="btn-primary">Add Synonym</button>
+                    </form>
+                </div>
+            </div>
+        `;
+    }
+
+    getWorkflowsCardHTML() {
+        const promptLabel = (id) => {
+            const prompt = this.state.prompts.find(p => p.id === id);
+            return prompt ? this.truncateText(prompt.text, 40) : '⚠️ missing prompt';
+        };
+
+        return `
+            <div class="ai-card workflows-card">
+                <h3>🔗 Workflows</h3>
+                <p>Run prompts in sequence, feeding each step's output into the next.</p>
+                ${this.state.workflows.length > 0 ? `
+                    <div class="workflow-list">
+                        ${this.state.workflows.map(workflow => `
+                            <div class="workflow-item">
+                                <div class="workflow-item-body">
+                                    <h4>${this.escapeHtml(workflow.name)}</h4>
+                                    ${workflow.description ? `<p>${this.escapeHtml(workflow.description)}</p>` : ''}
+                                    <small>${workflow.steps.map((step, i) => `${i + 1}. ${this.escapeHtml(promptLabel(step.promptId))}`).join(' → ')}</small>
+                                </div>
+                                <div class="workflow-item-actions">
+                                    <button class="btn-primary" data-action="run-workflow" data-id="${workflow.id}">▶️ Run</button>
+                                    <button class="btn-secondary" data-action="edit-workflow" data-id="${workflow.id}">✏️ Edit</button>
+                                    <button class="btn-secondary" data-action="export-workflow" data-id="${workflow.id}" title="Export with its prompts">💾</button>
+                                    <button class="btn-secondary danger" data-action="delete-workflow" data-id="${workflow.id}" title="Delete">🗑️</button>
+                                </div>
+                            </div>
+                        `).join('')}
+                    </div>
+                ` : ''}
+                <div class="workflow-card-actions">
+                    <button class="btn-primary" data-action="new-workflow" ${this.state.prompts.length === 0 ? 'disabled' : ''}>➕ New Workflow</button>
+                    <button class="btn-secondary" data-action="import-workflow">📁 Import</button>
+                </div>
+            </div>
+        `;
+    }
+
+    getComparisonsCardHTML() {
+        const comparisons = Comparison.list(this.db.data || {});
+
+        return `
+            <div class="ai-card comparisons-card">
+                <h3>⚖️ A/B Comparisons</h3>
+                <p>Run two prompts, or two revisions of one, on the same inputs and pick the better reply for each.</p>
+                ${comparisons.length > 0 ? `
+                    <div class="workflow-list">
+                        ${comparisons.map(comparison => {
+                            const summary = Comparison.summary(comparison);
+                            return `
+                                <div class="workflow-item">
+                                    <div class="workflow-item-body">
+                                        <h4>${this.escapeHtml(comparison.name || `${this.getComparisonSideLabel(comparison.a)} vs ${this.getComparisonSideLabel(comparison.b)}`)}</h4>
+                                        <small>A ${summary.a} · ${summary.tie} tied · B ${summary.b}${summary.undecided > 0 ? ` · ${summary.undecided} undecided` : ''}
+                                            · ${this.getRelativeTime(comparison.createdAt)}</small>
+                                    </div>
+                                    <div class="workflow-item-actions">
+                                        <button class="btn-primary" data-action="open-comparison" data-id="${comparison.id}">👀 Open</button>
+                                        <button class="btn-secondary danger" data-action="delete-comparison" data-id="${comparison.id}" title="Delete">🗑️</button>
+                                    </div>
+                                </div>
+                            `;
+                        }).join('')}
+                    </div>
+                ` : ''}
+                <div class="workflow-card-actions">
+                    <button class="btn-primary" data-action="new-comparison" ${this.state.prompts.length === 0 ? 'disabled' : ''}>➕ New Comparison</button>
+                </div>
+            </div>
+        `;
+    }
+
+    getComparisonSideLabel(side) {
+        const prompt = this.state.prompts.find(p => p.id === side.promptId);
+        const label = prompt ? this.truncateText(prompt.text, 40) : '⚠️ missing prompt';
+        return side.version === null ? label : `${label} (v${side.version})`;
+    }
+
+    // The configured providers, a form to add one, and the provider and model
+    // each task uses
+    getProviderSettingsHTML() {
+        const own = this.state.settings.providers || [];
+        const providers = this.ai.providers;
+        const llm = this.state.settings.llm || {};
+        const defaultProvider = this.ai.route().provider;
+        const providerOptions = selected => providers.map(provider => `
+            <option value="${this.escapeHtml(provider.id)}" ${provider.id === selected ? 'selected' : ''}>${this.escapeHtml(provider.name)}</option>
+        `).join('');
+
+        return `
+            <div class="form-group">
+                <label>Providers:</label>
+                <ul class="provider-list">
+                    ${providers.map(provider => `
+                        <li class="provider-item">
+                            <span title="${provider.ready ? 'Ready' : 'Missing its key or URL'}">${provider.ready ? '🟢' : '🔴'}</span>
+                            <div class="provider-info">
+                                <strong>${this.escapeHtml(provider.name)}</strong>
+                                <small>${this.escapeHtml([
+                                    LLMProviders.DRIVERS[provider.type].label,
+                                    provider.baseURL,
+                                    provider.model,
+                                    provider.hasKey ? `🔑 ${provider.maskedKey}${provider.keySource === 'environment' ? ' (environment)' : ''}` : ''
+                                ].filter(Boolean).join(' · '))}</small>
+                            </div>
+                            <input type="password" class="provider-key" data-id="${this.escapeHtml(provider.id)}" autocomplete="off"
+                                   placeholder="${provider.keySource === 'secrets' ? 'New key to rotate' : 'API key'}">
+                            ${provider.keySource === 'secrets' ? `
+                                <button type="button" class="btn-secondary" data-action="revoke-provider-key" data-id="${this.escapeHtml(provider.id)}">Revoke</button>
+                            ` : ''}
+                            <button type="button" class="btn-secondary" data-action="test-provider" data-id="${this.escapeHtml(provider.id)}">Test</button>
+                            ${own.some(other => other.id === provider.id) ? `
+                                <button type="button" class="btn-secondary" data-action="remove-provider" data-id="${this.escapeHtml(provider.id)}">Remove</button>
+                            ` : ''}
+                        </li>
+                    `).join('')}
+                </ul>
+                <form class="provider-form">
+                    <select name="type">
+                        ${Object.entries(LLMProviders.DRIVERS).map(([type, driver]) => `
+                            <option value="${type}">${this.escapeHtml(driver.label)}</option>
+                        `).join('')}
+                    </select>
+                    <input type="text" name="name" placeholder="Name">
+                    <input type="url" name="baseURL" placeholder="Base URL, e.g. http://localhost:11434/v1">
+                    <input type="password" name="apiKey" placeholder="API key, if needed">
+                    <input type="text" name="model" placeholder="Default model">
+                    <button type="submit" class="btn-secondary">Add Provider</button>
+                </form>
+                <small>Anthropic, Ollama or llama.cpp, or any OpenAI-compatible URL. The base URL can be left empty for hosted APIs. Keys are encrypted on the server and only shown masked.</small>
+            </div>
+            
+            <div class="form-group">
+                <label for="llm-default-provider">Default provider:</label>
+                <select id="llm-default-provider">${providerOptions(defaultProvider?.id)}</select>
+            </div>
+            
+            <div class="form-group">
+                <label>Models per task:</label>
+                ${Object.entries(LLMProviders.TASKS).map(([task, label]) => {
+                    const choice = (llm.tasks || {})[task] || {};
+                    const { provider, model } = this.ai.route(task);
+                    return `
+                        <div class="task-model" data-task="${task}">
+                            <span>${this.escapeHtml(label)}</span>
+                            <select name="provider">
+                                <option value="">Default provider</option>
+                                ${providerOptions(choice.provider)}
+                            </select>
+                            <input type="text" name="model" value="${this.escapeHtml(choice.model || '')}"
+                                   placeholder="${this.escapeHtml(model || 'Model')}" list="task-models-${task}">
+                            <datalist id="task-models-${task}">
+                                ${(this.providerModels[provider?.id] || []).map(id => `<option value="${this.escapeHtml(id)}">`).join('')}
+                            </datalist>
+                        </div>
+                    `;
+                }).join('')}
+                <small>Test a provider to list its models here</small>
+            </div>
+        `;
+    }
+
     getSettingsViewHTML() {
         return `
             <div class="settings-view">
@@ -972,16 +1539,7 @@ class NLPPromptDatabase {
                 
                 <div class="settings-section">
                     <h3>🤖 AI Integration</h3>
-                    <div class="form-group">
-                        <label for="openai-api-key">OpenAI API Key:</label>
-                        <div class="api-key-input">
-                            <input type="password" id="openai-api-key" 
-                                   value="${this.state.settings.openaiApiKey}" 
-                                   placeholder="sk-...">
-                            <button id="test-api-key" class="btn-secondary">Test Connection</button>
-                        </div>
-                        <small>Required for automatic categorization and tag generation</small>
-                    </div>
+                    ${this.getProviderSettingsHTML()}
                     
                     <div class="form-group">
                         <label>
@@ -1015,6 +1573,13 @@ class NLPPromptDatabase {
                         <button id="clear-data" class="btn-secondary danger">Clear All Data</button>
                     </div>
                     <small>Total prompts: ${this.state.prompts.length}</small>
+                    
+                    <div class="form-group">
+                        <label for="trash-retention">Keep deleted prompts in the trash for (days):</label>
+                        <input type="number" id="trash-retention" min="0" 
+                               value="${this.db.getTrashRetentionDays()}">
+                        <small>0 keeps them until the trash is emptied</small>
+                    </div>
                 </div>
                 
                 <div class="settings-section">
@@ -1060,13 +1625,13 @@ class NLPPromptDatabase {
                 
                 <div class="categories-grid">
                     ${this.state.categories.filter(cat => cat !== 'All').map(category => `
-                        <div class="category-card category-${category.toLowerCase()}">
+                        <div class="category-card" style="--category-color: ${this.getCategory(category).color}">
                             <div class="category-header">
-                                <h3>${category}</h3>
+                                <h3>${this.getCategory(category).icon} ${this.escapeHtml(category)}</h3>
                                 <span class="category-count">${categoryCounts[category] || 0}</span>
                             </div>
                             <div class="category-body">
-                                <div class="category-description">${this.getCategoryDescription(category)}</div>
+                                <div class="category-description">${this.escapeHtml(this.getCategoryDescription(category))}</div>
                                 <div class="category-actions">
                                     <button class="btn-secondary" data-action="filter-category" data-category="${category}">
                                         🔍 View Prompts
@@ -1101,11 +1666,56 @@ class NLPPromptDatabase {
         `;
     }
 
+    // Batch jobs the server is running or ran lately, with their progress
+    getJobsCardHTML() {
+        const labels = { categorize: '🎯 Categorize All', tag: '🏷️ Tag All', enhance: '📈 Enhance All' };
+        const active = job => job.status === 'queued' || job.status === 'running';
+
+        return `
+            <div class="ai-card jobs-card">
+                <h3>⏳ Background Jobs</h3>
+                <p>Batch jobs run on the server and carry on if you close this tab.</p>
+                ${this.jobs.length > 0 ? `
+                    <div class="job-list">
+                        ${this.jobs.slice(0, 5).map(job => {
+                            const done = job.succeeded + job.skipped + job.failed;
+                            return `
+                                <div class="job-item">
+                                    <div class="job-item-body">
+                                        <h4>${labels[job.type] || this.escapeHtml(job.type)} <span class="job-status job-${job.status}">${job.status}</span></h4>
+                                        <div class="job-progress"><div class="job-progress-bar" style="width: ${job.total > 0 ? Math.round(done / job.total * 100) : 100}%"></div></div>
+                                        <small>${done}/${job.total} · ${job.succeeded} updated · ${job.skipped} skipped · ${job.failed} failed</small>
+                                        ${active(job) && job.paused ? `
+                                            <small class="job-paused">⏸️ Waiting until ${new Date(job.paused.until).toLocaleTimeString()}: ${this.escapeHtml(job.paused.error)}</small>
+                                        ` : ''}
+                                        ${job.errors.length > 0 ? `
+                                            <details>
+                                                <summary>Errors</summary>
+                                                <ul>${job.errors.map(({ id, error }) => `<li>${this.escapeHtml(id)}: ${this.escapeHtml(error)}</li>`).join('')}</ul>
+                                            </details>
+                                        ` : ''}
+                                    </div>
+                                    ${active(job) ? `
+                                        <button class="btn-secondary" data-action="cancel-job" data-id="${this.escapeHtml(job.id)}">✖ Cancel</button>
+                                    ` : ''}
+                                </div>
+                            `;
+                        }).join('')}
+                    </div>
+                ` : ''}
+            </div>
+        `;
+    }
+
     getAIAssistantViewHTML() {
         return `
             <div class="ai-assistant-view">
                 <h2>🤖 AI Assistant</h2>
                 <div class="ai-assistant-grid">
+                    ${this.getWorkflowsCardHTML()}
+                    ${this.getComparisonsCardHTML()}
+                    ${this.getJobsCardHTML()}
+                    
                     <div class="ai-card">
                         <h3>✨ Smart Enhancements</h3>
                         <div class="ai-features">
@@ -1201,7 +1811,7 @@ class NLPPromptDatabase {
                             <div class="config-item">
                                 <label>API Status:</label>
                                 <span id="ai-status" class="status-indicator">
-                                    ${this.state.settings.openaiApiKey ? '🟢 Connected' : '🔴 Not Connected'}
+                                    ${this.ai.isConfigured('run') ? '🟢 Connected' : '🔴 Not Connected'}
                                 </span>
                             </div>
                             <div class="config-item">
@@ -1216,6 +1826,10 @@ class NLPPromptDatabase {
                                     ${this.state.settings.autoTagsEnabled ? '🟢 Enabled' : '🔴 Disabled'}
                                 </span>
                             </div>
+                            <div class="config-item">
+                                <label>Response Cache:</label>
+                                <span id="ai-cache-stats" class="status-indicator">…</span>
+                            </div>
                             <div class="config-actions">
                                 <button class="btn-secondary" data-action="switch-to-settings">
                                     ⚙️ Configure AI
@@ -1223,6 +1837,9 @@ class NLPPromptDatabase {
                                 <button class="btn-secondary" data-action="test-ai-connection">
                                     🔍 Test Connection
                                 </button>
+                                <button class="btn-secondary" data-action="clear-ai-cache">
+                                    🧹 Clear Cache
+                                </button>
                             </div>
                         </div>
                     </div>
@@ -1248,11 +1865,45 @@ class NLPPromptDatabase {
                     <div class="analytics-card">
                         <canvas id="tags-chart"></canvas>
                     </div>
+                    ${this.getWinRatesHTML()}
                 </div>
             </div>
         `;
     }
 
+    // Prompts ranked by how often they won their A/B comparisons
+    getWinRatesHTML() {
+        const rates = Object.entries(Comparison.winRates(this.db.data || {}))
+            .filter(([, rate]) => rate.rate !== null)
+            .sort(([, a], [, b]) => b.rate - a.rate || (b.wins + b.losses + b.ties) - (a.wins + a.losses + a.ties));
+
+        return `
+            <div class="analytics-card win-rates">
+                <h3>⚖️ A/B Win Rates</h3>
+                ${rates.length === 0 ? `
+                    <p class="win-rates-empty">Compare prompts from the AI Assistant to see which ones win.</p>
+                ` : `
+                    <table>
+                        <thead>
+                            <tr><th>Prompt</th><th>Win rate</th><th>Won</th><th>Tied</th><th>Lost</th></tr>
+                        </thead>
+                        <tbody>
+                            ${rates.map(([promptId, rate]) => `
+                                <tr>
+                                    <td>${this.escapeHtml(this.getComparisonSideLabel({ promptId, version: null }))}</td>
+                                    <td><strong>${Math.round(rate.rate * 100)}%</strong></td>
+                                    <td>${rate.wins}</td>
+                                    <td>${rate.ties}</td>
+                                    <td>${rate.losses}</td>
+                                </tr>
+                            `).join('')}
+                        </tbody>
+                    </table>
+                `}
+            </div>
+        `;
+    }
+
     async renderCharts() {
         const analytics = await this.db.getAnalytics();
         
@@ -1380,7 +2031,7 @@ class NLPPromptDatabase {
                     <form id="edit-prompt-form">
                         <div class="form-group">
                             <label>Prompt Text</label>
-                            <textarea name="text" rows="6" required>${prompt.text}</textarea>
+                            <textarea name="text" rows="6" required>${this.escapeHtml(prompt.text)}</textarea>
                         </div>
                         
                         <div class="form-row">
@@ -1405,7 +2056,7 @@ class NLPPromptDatabase {
                         
                         <div class="form-group">
                             <label>Notes (optional)</label>
-                            <textarea name="notes" rows="2" placeholder="Additional notes or context...">${prompt.notes || ''}</textarea>
+                            <textarea name="notes" rows="2" placeholder="Additional notes or context...">${this.escapeHtml(prompt.notes || '')}</textarea>
                         </div>
                         
                         <div class="form-group">
@@ -1423,6 +2074,12 @@ class NLPPromptDatabase {
                             </div>
                         </div>
                         
+                        ${this.getTemplateVariablesHTML(prompt)}
+                        
+                        ${this.getPromptReferencesHTML(prompt)}
+                        
+                        ${this.getRevisionHistoryHTML(prompt)}
+                        
                         <div class="modal-actions">
                             <button type="button" class="btn-delete" onclick="app.deletePrompt('${prompt.id}')">🗑️ Delete</button>
                             <div class="right-actions">
@@ -1431,29 +2088,389 @@ class NLPPromptDatabase {
                             </div>
                         </div>
                     </form>
+                    
+                    ${this.getPlaygroundHTML(prompt)}
+                    
+                    ${this.getTestsHTML(prompt)}
                 </div>
             </div>
         `;
     }
 
-    handleDocumentClick(e) {
-        const target = e.target;
-        
-        if (target.matches('.folder-btn')) {
-            this.state.activeFolder = target.dataset.folder;
-            this.updateFilteredPrompts();
-            this.render();
-        }
-        
-        if (target.matches('.tag-chip')) {
-            const tag = target.dataset.tag;
-            if (this.state.selectedTags.includes(tag)) {
-                this.state.selectedTags = this.state.selectedTags.filter(t => t !== tag);
-            } else {
-                this.state.selectedTags.push(tag);
-            }
-            this.updateFilteredPrompts();
-            this.render();
+    // Type, default, choices and description for each {{placeholder}}
+    getTemplateVariablesHTML(prompt) {
+        const fields = PromptTemplate.fields(prompt);
+        if (fields.length === 0) return '';
+
+        return `
+            <div class="form-group template-variables">
+                <label>Template Variables</label>
+                <small>Shown in the 🧩 fill-in form. Choices apply to the "enum" type.</small>
+                ${fields.map(field => `
+                    <div class="template-variable" data-variable="${this.escapeHtml(field.name)}">
+                        <code>{{${this.escapeHtml(field.name)}}}</code>
+                        <select name="variable-type" aria-label="Type of ${this.escapeHtml(field.name)}">
+                            ${PromptTemplate.TYPES.map(type => `
+                                <option value="${type}" ${field.type === type ? 'selected' : ''}>${type}</option>
+                            `).join('')}
+                        </select>
+                        <input type="text" name="variable-default" placeholder="Default" value="${this.escapeHtml(field.default === undefined ? '' : String(field.default))}">
+                        <input type="text" name="variable-options" placeholder="Choices, comma separated" value="${this.escapeHtml((field.options || []).join(', '))}">
+                        <input type="text" name="variable-description" placeholder="Description" value="${this.escapeHtml(field.description)}">
+                    </div>
+                `).join('')}
+            </div>
+        `;
+    }
+
+    // The slug other prompts include this one by, what it includes and
+    // which prompts include it
+    getPromptReferencesHTML(prompt) {
+        const includes = PromptTemplate.includes(prompt.text).map(key => ({
+            key,
+            partial: PromptTemplate.find(this.state.prompts, key)
+        }));
+        const usedBy = PromptTemplate.usedBy(prompt, this.state.prompts);
+        const referenceLink = (other) => `
+            <button type="button" class="prompt-reference" data-action="open-prompt" data-id="${this.escapeHtml(other.id)}">
+                ${this.escapeHtml(this.truncateText(other.text, 60))}
+            </button>
+        `;
+
+        return `
+            <div class="form-group prompt-references">
+                <label>Slug (optional)</label>
+                <input type="text" name="slug" value="${this.escapeHtml(prompt.slug || '')}" placeholder="e.g. senior-engineer">
+                <small>Other prompts can include this one with <code>{{&gt; ${this.escapeHtml(prompt.slug || prompt.id)}}}</code>.</small>
+                ${includes.length > 0 ? `
+                    <div class="prompt-reference-list">
+                        <span>Includes:</span>
+                        ${includes.map(({ key, partial }) => partial
+                            ? referenceLink(partial)
+                            : `<span class="prompt-reference missing">⚠️ ${this.escapeHtml(key)} not found</span>`).join('')}
+                    </div>
+                ` : ''}
+                ${usedBy.length > 0 ? `
+                    <div class="prompt-reference-list">
+                        <span>Used by ${usedBy.length} prompt${usedBy.length === 1 ? '' : 's'}:</span>
+                        ${usedBy.map(referenceLink).join('')}
+                    </div>
+                ` : ''}
+            </div>
+        `;
+    }
+
+    // Runs the saved prompt against the configured model. It has its own
+    // form so template inputs never mix with the edit form's fields.
+    getPlaygroundHTML(prompt) {
+        const composed = PromptTemplate.compose(prompt, this.state.prompts);
+        const fields = composed.error ? [] : PromptTemplate.fields(composed);
+        const running = this.playground?.promptId === prompt.id ? this.playground : null;
+
+        return `
+            <details class="playground" ${this.state.playgroundOpen ? 'open' : ''}>
+                <summary data-action="toggle-playground">🧪 Playground</summary>
+                ${this.ai.isConfigured('run') ? '' : `
+                    <p class="workflow-error">Add an AI provider in Settings to run prompts.</p>
+                `}
+                ${composed.error ? `<p class="workflow-error">${this.escapeHtml(composed.error)}</p>` : ''}
+                <form class="playground-form" data-id="${this.escapeHtml(prompt.id)}">
+                    <small>Runs the saved version of this prompt.</small>
+                    ${fields.map(field => `
+                        <div class="form-group" data-field="${this.escapeHtml(field.name)}">
+                            <label for="template-${this.escapeHtml(field.name)}">${this.escapeHtml(field.name)}</label>
+                            ${this.getTemplateInputHTML(field)}
+                            <div class="template-error" role="alert"></div>
+                        </div>
+                    `).join('')}
+                    <div class="form-group">
+                        <label>System message (optional)</label>
+                        <textarea name="playground-system" rows="2" placeholder="e.g. You are a concise technical writer."></textarea>
+                    </div>
+                    <div class="form-row">
+                        <div class="form-group">
+                            <label>Temperature <output name="playground-temperature-value">0.7</output></label>
+                            <input type="range" name="playground-temperature" min="0" max="2" step="0.1" value="0.7"
+                                oninput="this.form.elements['playground-temperature-value'].value = this.value">
+                        </div>
+                        <div class="form-group">
+                            <label>Max tokens</label>
+                            <input type="number" name="playground-max-tokens" min="1" step="1" value="${this.ai.maxTokens}">
+                        </div>
+                    </div>
+                    <div class="modal-actions">
+                        <span class="playground-meta"></span>
+                        <div class="right-actions">
+                            <button type="button" class="btn-secondary" data-action="stop-playground" ${running ? '' : 'hidden'}>⏹ Stop</button>
+                            <button type="submit" class="btn-primary" ${running || composed.error || !this.ai.isConfigured('run') ? 'disabled' : ''}>▶️ Run</button>
+                        </div>
+                    </div>
+                    <pre class="playground-output" ${running ? '' : 'hidden'}>${running ? this.escapeHtml(running.output) : ''}</pre>
+                </form>
+                <div class="run-history">${this.getRunHistoryHTML(prompt.id)}</div>
+            </details>
+        `;
+    }
+
+    getRunHistoryHTML(promptId) {
+        const runs = RunHistory.list(this.db.data || {}, promptId);
+        if (runs.length === 0) return '<small>No runs yet.</small>';
+
+        const stats = RunHistory.stats(runs);
+        const seconds = ms => `${(ms / 1000).toFixed(1)} s`;
+
+        return `
+            <label>🕘 Runs (${stats.count})</label>
+            <small>
+                Average ${seconds(stats.averageLatencyMs)}
+                ${stats.totalTokens > 0 ? ` · ${stats.totalTokens} tokens in total` : ''}
+                ${stats.rated > 0 ? ` · rated ${stats.averageRating.toFixed(1)} ★ on average` : ''}
+            </small>
+            <div class="run-list">
+                ${runs.map(run => `
+                    <details class="run-item">
+                        <summary>
+                            <span class="run-time" title="${new Date(run.createdAt).toLocaleString()}">${this.getRelativeTime(run.createdAt)}</span>
+                            <span class="run-output-preview">${this.escapeHtml(this.truncateText(run.output, 80))}</span>
+                            <span class="run-latency">${seconds(run.latencyMs)}</span>
+                        </summary>
+                        <div class="run-details">
+                            <div class="run-parameters">
+                                ${run.parameters.model ? `<span>${this.escapeHtml(run.parameters.model)}</span>` : ''}
+                                ${run.parameters.temperature !== null ? `<span>temperature ${run.parameters.temperature}</span>` : ''}
+                                ${run.parameters.maxTokens !== null ? `<span>max ${run.parameters.maxTokens} tokens</span>` : ''}
+                                ${run.usage ? `<span>${run.usage.promptTokens ?? '?'} in / ${run.usage.completionTokens ?? '?'} out</span>` : ''}
+                            </div>
+                            ${Object.keys(run.variables).length > 0 ? `
+                                <div class="run-variables">
+                                    ${Object.entries(run.variables).map(([name, value]) => `
+                                        <span><code>${this.escapeHtml(name)}</code> ${this.escapeHtml(this.truncateText(value, 40))}</span>
+                                    `).join('')}
+                                </div>
+                            ` : ''}
+                            ${run.parameters.system ? `<details><summary>System message</summary><pre>${this.escapeHtml(run.parameters.system)}</pre></details>` : ''}
+                            <details><summary>Input</summary><pre>${this.escapeHtml(run.input)}</pre></details>
+                            <pre class="run-output">${this.escapeHtml(run.output)}</pre>
+                            <div class="run-actions">
+                                <span class="run-rating" aria-label="Rate this run">
+                                    ${[1, 2, 3, 4, 5].map(value => `
+                                        <button type="button" class="run-star ${value <= run.rating ? 'filled' : ''}" data-action="rate-run" data-id="${run.id}" data-value="${value}" title="Rate ${value}">★</button>
+                                    `).join('')}
+                                </span>
+                                <button type="button" class="revision-btn" data-action="delete-run" data-id="${run.id}">🗑️ Delete</button>
+                            </div>
+                        </div>
+                    </details>
+                `).join('')}
+            </div>
+        `;
+    }
+
+    // Result of the prompt's latest test run, flagged as outdated once the
+    // prompt or its tests changed
+    getTestBadgeHTML(prompt) {
+        const count = (prompt.tests || []).length;
+        if (count === 0) return '';
+
+        const latest = Evaluation.latest(this.db.data || {}, prompt.id);
+        if (!latest) {
+            return `<span class="test-badge untested" title="Tests have not been run yet">⚪ ${count} test${count === 1 ? '' : 's'}</span>`;
+        }
+        const stale = Evaluation.isStale(latest, prompt);
+        const state = latest.failed > 0 ? 'failed' : stale ? 'stale' : 'passed';
+        const title = `${latest.passed} of ${latest.passed + latest.failed} tests passed ${this.getRelativeTime(latest.createdAt)}` +
+            (stale ? '; the prompt or its tests changed since' : '');
+        return `
+            <span class="test-badge ${state}" title="${title}">
+                ${latest.failed > 0 ? '❌' : '✅'} ${latest.passed}/${latest.passed + latest.failed}${stale ? ' · outdated' : ''}
+            </span>
+        `;
+    }
+
+    getWinRateBadgeHTML(prompt) {
+        const rate = Comparison.winRates(this.db.data || {})[prompt.id];
+        if (!rate || rate.rate === null) return '';
+
+        const title = `Won ${rate.wins}, lost ${rate.losses} and tied ${rate.ties} inputs over ${rate.comparisons} A/B comparison${rate.comparisons === 1 ? '' : 's'}`;
+        return `<span class="win-rate-badge" title="${title}">⚖️ ${Math.round(rate.rate * 100)}%</span>`;
+    }
+
+    // Test cases and the results of their latest runs. Like the playground
+    // it sits outside the edit form and runs the saved prompt.
+    getTestsHTML(prompt) {
+        const tests = prompt.tests || [];
+        const evaluations = Evaluation.list(this.db.data || {}, prompt.id);
+        const latest = evaluations[0];
+        const running = this.evaluating.has(prompt.id);
+
+        return `
+            <details class="prompt-tests" data-id="${this.escapeHtml(prompt.id)}" ${this.state.testsOpen ? 'open' : ''}>
+                <summary data-action="toggle-tests">✅ Tests (${tests.length})</summary>
+                ${tests.length === 0 ? `
+                    <small>Add test cases with variable values and checks on the reply, such as "contains" or a rubric the model grades.</small>
+                ` : ''}
+                ${latest ? `
+                    <small>
+                        Last run ${this.getRelativeTime(latest.createdAt)}: ${latest.passed} of ${latest.passed + latest.failed} passed
+                        ${Evaluation.isStale(latest, prompt) ? ' · <strong>outdated</strong>, the prompt or its tests changed since' : ''}
+                    </small>
+                    <div class="test-results">
+                        ${latest.results.map(result => `
+                            <details class="test-result ${result.passed ? 'passed' : 'failed'}">
+                                <summary>${result.passed ? '✅' : '❌'} ${this.escapeHtml(result.name)}</summary>
+                                ${result.error ? `<p class="workflow-error">${this.escapeHtml(result.error)}</p>` : ''}
+                                ${(result.assertions || []).filter(assertion => !assertion.passed).map(assertion => `
+                                    <p class="workflow-error">${this.escapeHtml(assertion.type)}: ${this.escapeHtml(assertion.message)}</p>
+                                `).join('')}
+                                ${result.output !== null ? `<pre>${this.escapeHtml(result.output)}</pre>` : ''}
+                            </details>
+                        `).join('')}
+                    </div>
+                    ${evaluations.length > 1 ? `
+                        <div class="test-history" aria-label="Earlier runs">
+                            ${evaluations.slice(1).map(evaluation => `
+                                <span class="test-badge ${evaluation.failed > 0 ? 'failed' : 'passed'}" title="${new Date(evaluation.createdAt).toLocaleString()}">
+                                    ${evaluation.passed}/${evaluation.passed + evaluation.failed} · ${this.getRelativeTime(evaluation.createdAt)}
+                                </span>
+                            `).join('')}
+                        </div>
+                    ` : ''}
+                ` : ''}
+                <div class="modal-actions">
+                    <span class="test-progress">${running ? 'Running…' : ''}</span>
+                    <div class="right-actions">
+                        <button type="button" class="btn-secondary" data-action="edit-tests" data-id="${this.escapeHtml(prompt.id)}">✏️ Edit Tests</button>
+                        <button type="button" class="btn-primary" data-action="run-tests" data-id="${this.escapeHtml(prompt.id)}"
+                            ${running || tests.length === 0 || !this.ai.isConfigured('run') ? 'disabled' : ''}>▶️ Run Tests</button>
+                    </div>
+                </div>
+            </details>
+        `;
+    }
+
+    getRevisionHistoryHTML(prompt) {
+        const revisions = [...(prompt.revisions || [])].reverse();
+        if (revisions.length === 0) return '';
+
+        const sourceLabels = {
+            'manual': '✍️ Manual',
+            'ai-enhance': '✨ AI enhance',
+            'ai-generated': '🤖 AI generated',
+            'import': '📁 Import',
+            'bulk': '☑️ Bulk edit',
+            'restore': '↩️ Restore'
+        };
+
+        return `
+            <div class="form-group revision-history">
+                <label>📜 History (${revisions.length} ${revisions.length === 1 ? 'revision' : 'revisions'})</label>
+                <div class="revision-list">
+                    ${revisions.map((revision, index) => `
+                        <div class="revision-item ${index === 0 ? 'current' : ''}">
+                            <span class="revision-version">v${revision.version}</span>
+                            <span class="revision-source">${sourceLabels[revision.source] || revision.source}</span>
+                            ${revision.author ? `<span class="revision-author">${this.escapeHtml(revision.author)}</span>` : ''}
+                            <span class="revision-time" title="${new Date(revision.createdAt).toLocaleString()}">${this.getRelativeTime(revision.createdAt)}</span>
+                            ${index === 0 ? '<span class="revision-current-label">Current</span>' : `
+                                <button type="button" class="revision-btn" data-revision-action="compare" data-version="${revision.version}">Compare</button>
+                                <button type="button" class="revision-btn" data-revision-action="ab-test" data-version="${revision.version}" title="Run this revision and the current text on the same inputs">A/B</button>
+                                <button type="button" class="revision-btn" data-revision-action="restore" data-version="${revision.version}">Restore</button>
+                            `}
+                        </div>
+                    `).join('')}
+                </div>
+                <div id="revision-diff" class="revision-diff" style="display: none;"></div>
+            </div>
+        `;
+    }
+
+    // Word diff of two texts as HTML: removed words marked in `before`,
+    // added words marked in `after`
+    getWordDiffHTML(oldText, newText) {
+        const parts = PromptHistory.diffWords(oldText, newText);
+        const side = (skipType, markType, tag) => parts
+            .filter(part => part.type !== skipType)
+            .map(part => part.type === markType
+                ? `<${tag}>${this.escapeHtml(part.value)}</${tag}>`
+                : this.escapeHtml(part.value))
+            .join('');
+
+        return {
+            before: side('added', 'removed', 'del'),
+            after: side('removed', 'added', 'ins')
+        };
+    }
+
+    showRevisionDiff(id, version) {
+        const prompt = this.state.prompts.find(p => p.id === id);
+        const revision = prompt && PromptHistory.findRevision(prompt, version);
+        const container = document.getElementById('revision-diff');
+        if (!revision || !container) return;
+
+        const diff = this.getWordDiffHTML(revision.snapshot.text, prompt.text);
+
+        const fieldChanges = PromptHistory.TRACKED_FIELDS
+            .filter(field => field !== 'text')
+            .filter(field => JSON.stringify(revision.snapshot[field]) !== JSON.stringify(prompt[field] ?? revision.snapshot[field]))
+            .map(field => {
+                const format = value => this.escapeHtml(Array.isArray(value) ? value.join(', ') : (value || '—'));
+                return `<li><strong>${field}:</strong> <del>${format(revision.snapshot[field])}</del> → <ins>${format(prompt[field])}</ins></li>`;
+            });
+
+        container.innerHTML = `
+            <div class="diff-columns">
+                <div class="diff-column">
+                    <h4>v${revision.version} · ${new Date(revision.createdAt).toLocaleString()}</h4>
+                    <div class="diff-text">${diff.before}</div>
+                </div>
+                <div class="diff-column">
+                    <h4>Current</h4>
+                    <div class="diff-text">${diff.after}</div>
+                </div>
+            </div>
+            ${fieldChanges.length > 0 ? `<ul class="diff-fields">${fieldChanges.join('')}</ul>` : ''}
+        `;
+        container.style.display = 'block';
+    }
+
+    async restoreRevision(id, version) {
+        try {
+            const restored = await this.db.restoreRevision(id, version);
+            if (!restored) {
+                this.showToast('Revision not found', 'error');
+                return;
+            }
+
+            this.state.allTags = await this.db.getAllTags();
+            this.updateFilteredPrompts();
+            this.markAsChanged();
+            this.render();
+            this.showToast(`Restored version ${version}`, 'success');
+        } catch (error) {
+            console.error('Failed to restore revision:', error);
+            this.showToast('Failed to restore revision', 'error');
+        }
+    }
+
+    handleDocumentClick(e) {
+        const target = e.target;
+        
+        if (target.matches('.folder-btn[data-folder]')) {
+            this.state.activeFolder = target.dataset.folder;
+            this.state.activeSmartFolder = null;
+            this.updateFilteredPrompts();
+            this.render();
+        }
+        
+        if (target.matches('.tag-chip[data-tag]')) {
+            const tag = target.dataset.tag;
+            if (this.state.selectedTags.includes(tag)) {
+                this.state.selectedTags = this.state.selectedTags.filter(t => t !== tag);
+            } else {
+                this.state.selectedTags.push(tag);
+            }
+            this.updateFilteredPrompts();
+            this.render();
         }
         
         if (target.matches('.clear-tags-btn')) {
@@ -1485,6 +2502,18 @@ class NLPPromptDatabase {
             }
         }
         
+        if (target.matches('[data-revision-action]')) {
+            const version = parseInt(target.dataset.version);
+            const promptId = this.state.editingPromptId;
+            if (target.dataset.revisionAction === 'compare') {
+                this.showRevisionDiff(promptId, version);
+            } else if (target.dataset.revisionAction === 'ab-test') {
+                this.showComparisonModal(null, { a: { promptId, version }, b: { promptId, version: null } });
+            } else {
+                this.restoreRevision(promptId, version);
+            }
+        }
+        
         if (target.matches('[data-remove-tag]')) {
             const tagToRemove = target.dataset.removeTag;
             const tagItem = target.closest('.tag-item');
@@ -1534,10 +2563,6 @@ class NLPPromptDatabase {
             this.deselectAllPrompts();
         }
         
-        if (target.matches('#test-api-key')) {
-            this.testApiConnection();
-        }
-        
         if (target.matches('#backup-data')) {
             this.exportData();
         }
@@ -1594,9 +2619,138 @@ class NLPPromptDatabase {
                 case 'switch-to-settings':
                     this.switchView('settings');
                     break;
+                case 'show-trash':
+                    this.switchView('trash');
+                    break;
+                case 'show-tags':
+                case 'expand-tags':
+                    this.switchView('tags');
+                    break;
+                case 'filter-tag':
+                    this.state.selectedTags = [target.dataset.tag];
+                    this.state.activeFolder = 'All';
+                    this.switchView('prompts');
+                    break;
+                case 'rename-tag':
+                    this.showRenameTagModal(target.dataset.tag);
+                    break;
+                case 'delete-tag':
+                    this.deleteTag(target.dataset.tag);
+                    break;
+                case 'select-tag':
+                    if (target.checked) {
+                        this.state.managedTags.add(target.dataset.tag);
+                    } else {
+                        this.state.managedTags.delete(target.dataset.tag);
+                    }
+                    this.renderMainContent();
+                    break;
+                case 'merge-tags':
+                    this.showMergeTagsModal();
+                    break;
+                case 'remove-tag-synonym':
+                    this.removeTagSynonym(target.dataset.alias);
+                    break;
+                case 'restore-trash-item':
+                    this.restoreFromTrash([target.dataset.id]);
+                    break;
+                case 'restore-all-trash':
+                    this.restoreFromTrash((this.db.data.trash || []).map(item => item.id));
+                    break;
+                case 'purge-trash-item':
+                    this.purgeFromTrash(target.dataset.id);
+                    break;
+                case 'empty-trash':
+                    this.emptyTrash();
+                    break;
                 case 'test-ai-connection':
                     this.testAIConnection();
                     break;
+                case 'clear-ai-cache':
+                    this.clearAICache();
+                    break;
+                case 'cancel-job':
+                    this.cancelJob(target.dataset.id);
+                    break;
+                case 'new-workflow':
+                    this.showWorkflowModal();
+                    break;
+                case 'edit-workflow':
+                    this.showWorkflowModal(target.dataset.id);
+                    break;
+                case 'run-workflow':
+                    this.showRunWorkflowModal(target.dataset.id);
+                    break;
+                case 'export-workflow':
+                    this.db.exportWorkflow(target.dataset.id);
+                    break;
+                case 'import-workflow':
+                    document.getElementById('import-file')?.click();
+                    break;
+                case 'delete-workflow':
+                    this.deleteWorkflow(target.dataset.id);
+                    break;
+                case 'new-comparison':
+                    this.showComparisonModal();
+                    break;
+                case 'open-comparison':
+                    this.showComparisonModal(target.dataset.id);
+                    break;
+                case 'delete-comparison':
+                    this.deleteComparison(target.dataset.id);
+                    break;
+                case 'test-provider':
+                    this.testProvider(target.dataset.id);
+                    break;
+                case 'revoke-provider-key':
+                    this.revokeProviderKey(target.dataset.id);
+                    break;
+                case 'remove-provider':
+                    this.removeProvider(target.dataset.id);
+                    break;
+                case 'toggle-playground':
+                    // Clicks land before the <details> toggles itself
+                    this.state.playgroundOpen = !target.parentElement.open;
+                    break;
+                case 'toggle-tests':
+                    this.state.testsOpen = !target.parentElement.open;
+                    break;
+                case 'edit-tests':
+                    this.showTestsModal(target.dataset.id);
+                    break;
+                case 'run-tests':
+                    this.runEvaluation(target.dataset.id);
+                    break;
+                case 'stop-playground':
+                    this.playground?.controller.abort();
+                    break;
+                case 'rate-run':
+                    this.rateRun(target.dataset.id, parseInt(target.dataset.value));
+                    break;
+                case 'delete-run':
+                    this.deleteRun(target.dataset.id);
+                    break;
+                case 'open-prompt':
+                    this.state.editingPromptId = target.dataset.id;
+                    this.render();
+                    break;
+                case 'open-smart-folder':
+                    this.openSmartFolder(target.dataset.id);
+                    break;
+                case 'delete-smart-folder':
+                    this.deleteSmartFolder(target.dataset.id);
+                    break;
+                case 'toggle-folder':
+                    this.setSidebarSectionState(`folder:${target.dataset.folderPath}`,
+                        !this.getSidebarSectionState(`folder:${target.dataset.folderPath}`));
+                    this.renderSidebar();
+                    break;
+                case 'rename-folder':
+                    this.showRenameFolderModal(target.dataset.folderPath);
+                    break;
+                case 'delete-folder':
+                    this.showDeleteFolderModal(target.dataset.folderPath);
+                    break;
                 default:
                     console.warn(`Unknown action: ${action}`);
                     break;
@@ -1663,7 +2817,7 @@ class NLPPromptDatabase {
             .slice(0, 3);
             
         recentSearches.innerHTML = filteredRecent.map(search => `
-            <div class="suggestion-item" data-type="recent" data-value="${search}">
+            <div class="suggestion-item" data-type="recent" data-value="${this.escapeHtml(search)}">
                 <span class="suggestion-icon">🕒</span>
                 <span class="suggestion-text">${this.highlightMatch(search, query)}</span>
             </div>
@@ -1675,7 +2829,9 @@ class NLPPromptDatabase {
             { text: 'category:Code', description: 'Code prompts', icon: '💻' },
             { text: 'folder:Favorites', description: 'Favorite prompts', icon: '❤️' },
             { text: 'tag:javascript', description: 'JavaScript related', icon: '🏷️' },
-            { text: 'has:notes', description: 'With notes', icon: '📝' }
+            { text: 'has:notes', description: 'With notes', icon: '📝' },
+            { text: 'has:variables', description: 'With {{variables}}', icon: '🧩' },
+            { text: 'usage:>10', description: 'Used more than 10 times', icon: '🔥' }
         ];
         
         const matchingFilters = filters
@@ -1694,7 +2850,7 @@ class NLPPromptDatabase {
         // Auto-complete based on existing data
         const suggestions = this.generateAutocompleteSuggestions(query).slice(0, 4);
         autocomplete.innerHTML = suggestions.map(suggestion => `
-            <div class="suggestion-item" data-type="autocomplete" data-value="${suggestion.value}">
+            <div class="suggestion-item" data-type="autocomplete" data-value="${this.escapeHtml(suggestion.value)}">
                 <span class="suggestion-icon">${suggestion.icon}</span>
                 <span class="suggestion-text">${this.highlightMatch(suggestion.text, query)}</span>
                 ${suggestion.count ? `<span class="suggestion-description">${suggestion.count} results</span>` : ''}
@@ -1721,7 +2877,7 @@ class NLPPromptDatabase {
                 const count = this.state.prompts.filter(p => p.tags.includes(tag)).length;
                 suggestions.push({
                     text: `tag:${tag}`,
-                    value: `tag:${tag}`,
+                    value: `tag:${SearchQuery.quote(tag)}`,
                     icon: '🏷️',
                     count
                 });
@@ -1734,7 +2890,7 @@ class NLPPromptDatabase {
                 const count = this.state.prompts.filter(p => p.category === category).length;
                 suggestions.push({
                     text: `category:${category}`,
-                    value: `category:${category}`,
+                    value: `category:${SearchQuery.quote(category)}`,
                     icon: '📂',
                     count
                 });
@@ -1862,12 +3018,6 @@ class NLPPromptDatabase {
                 }
             }, 200);
         }
-        
-        if (e.target.matches('#openai-api-key')) {
-            this.state.settings.openaiApiKey = e.target.value;
-            this.ai.setApiKey(e.target.value);
-            this.db.updateSettings(this.state.settings);
-        }
     }
 
     handleChange(e) {
@@ -1896,6 +3046,22 @@ class NLPPromptDatabase {
             this.db.updateSettings(this.state.settings);
         }
         
+        if (e.target.matches('.provider-key') && e.target.value.trim()) {
+            this.saveProviderKey(e.target.dataset.id, e.target.value);
+        }
+        
+        if (e.target.matches('#llm-default-provider, .task-model select, .task-model input')) {
+            this.updateTaskModels();
+        }
+        
+        if (e.target.matches('#trash-retention')) {
+            const days = parseInt(e.target.value);
+            if (Number.isInteger(days) && days >= 0) {
+                this.state.settings.trashRetentionDays = days;
+                this.db.updateSettings(this.state.settings);
+            }
+        }
+        
         if (e.target.matches('#auto-tags')) {
             this.state.settings.autoTagsEnabled = e.target.checked;
             this.db.updateSettings(this.state.settings);
@@ -1931,16 +3097,11 @@ class NLPPromptDatabase {
                 break;
                 
             case 'copy':
-                try {
-                    await navigator.clipboard.writeText(prompt.text);
-                    await this.db.updatePrompt(id, { usage_count: (prompt.usage_count || 0) + 1 });
-                    prompt.usage_count = (prompt.usage_count || 0) + 1;
-                    this.markAsChanged();
-                    this.render();
-                    this.showToast('Copied to clipboard');
-                } catch (error) {
-                    this.showToast('Failed to copy', 'error');
-                }
+                await this.copyPrompt(prompt);
+                break;
+                
+            case 'use':
+                this.showUseTemplateModal(prompt);
                 break;
                 
             case 'duplicate':
@@ -1969,115 +3130,1542 @@ class NLPPromptDatabase {
                 break;
                 
             case 'enhance':
-                if (this.state.settings.openaiApiKey) {
+                if (this.ai.isConfigured('enhance')) {
                     this.enhancePrompt(id);
                 } else {
-                    this.showToast('OpenAI API key required for enhancement', 'warning');
+                    this.showToast('Set up an AI provider in Settings for enhancement', 'warning');
                 }
                 break;
         }
     }
 
-    async updatePromptRating(id, rating) {
-        await this.db.updatePrompt(id, { rating });
-        const prompt = this.state.prompts.find(p => p.id === id);
-        if (prompt) {
-            prompt.rating = rating;
-            this.markAsChanged();
-            this.render();
+    // Copies the prompt with its {{> includes}} resolved, or a filled-in
+    // template, and counts it as a use
+    async copyPrompt(prompt, text = null) {
+        if (text === null) {
+            const composed = PromptTemplate.compose(prompt, this.state.prompts);
+            if (composed.error) {
+                this.showToast(composed.error, 'warning');
+                return false;
+            }
+            text = composed.text;
         }
-    }
 
-    async exportData() {
         try {
-            await this.db.exportData();
-            this.showToast('Data exported successfully');
+            await navigator.clipboard.writeText(text);
+            await this.db.updatePrompt(prompt.id, { usage_count: (prompt.usage_count || 0) + 1 });
+            prompt.usage_count = (prompt.usage_count || 0) + 1;
+            this.markAsChanged();
+            this.render();
+            this.showToast('Copied to clipboard');
+            return true;
         } catch (error) {
-            this.showToast('Export failed', 'error');
+            this.showToast('Failed to copy', 'error');
+            return false;
         }
     }
 
-    triggerImport() {
-        document.getElementById('import-file')?.click();
-    }
-
-    async handleImport(e) {
-        const file = e.target.files[0];
-        if (!file) return;
+    getTemplateInputHTML(field) {
+        const name = this.escapeHtml(field.name);
+        const value = this.escapeHtml(field.default === undefined ? '' : String(field.default));
 
-        try {
-            const text = await file.text();
-            const success = await this.db.importData(text);
-            
-            if (success) {
-                await this.loadData();
-                this.render();
-                this.showToast('Data imported successfully');
-            } else {
-                this.showToast('Import failed - invalid format', 'error');
-            }
-        } catch (error) {
-            this.showToast('Import failed', 'error');
+        switch (field.type) {
+            case 'longtext':
+                return `<textarea id="template-${name}" name="${name}" rows="3">${value}</textarea>`;
+            case 'number':
+                return `<input type="number" id="template-${name}" name="${name}" value="${value}" step="any">`;
+            case 'boolean':
+                return `<input type="checkbox" id="template-${name}" name="${name}" ${field.default ? 'checked' : ''}>`;
+            case 'date':
+                return `<input type="date" id="template-${name}" name="${name}" value="${value}">`;
+            case 'enum':
+                return `
+                    <select id="template-${name}" name="${name}">
+                        ${field.options.map(option => `
+                            <option value="${this.escapeHtml(option)}" ${option === field.default ? 'selected' : ''}>${this.escapeHtml(option)}</option>
+                        `).join('')}
+                    </select>
+                `;
+            default:
+                return `<input type="text" id="template-${name}" name="${name}" value="${value}">`;
         }
     }
 
-    handleFormSubmit(e) {
-        if (e.target.matches('#edit-prompt-form')) {
-            e.preventDefault();
-            this.handleEditFormSubmit(e.target);
-        }
-        
-        if (e.target.matches('.new-folder-form')) {
-            e.preventDefault();
-            this.handleNewFolderSubmit(e.target);
+    // Fill-in form for a prompt's {{variables}} with a live preview; copying
+    // fills the template the same way POST /api/prompts/:id/render does
+    showUseTemplateModal(prompt) {
+        const composed = PromptTemplate.compose(prompt, this.state.prompts);
+        if (composed.error) {
+            this.showToast(composed.error, 'warning');
+            return;
         }
-    }
+        const fields = PromptTemplate.fields(composed);
+
+        const modal = document.createElement('div');
+        modal.className = 'modal-overlay';
+        modal.innerHTML = `
+            <div class="modal template-modal">
+                <h2>🧩 Use Template</h2>
+                <form>
+                    ${fields.map(field => `
+                        <div class="form-group" data-field="${this.escapeHtml(field.name)}">
+                            <label for="template-${this.escapeHtml(field.name)}">${this.escapeHtml(field.name)}</label>
+                            ${this.getTemplateInputHTML(field)}
+                            ${field.description ? `<small>${this.escapeHtml(field.description)}</small>` : ''}
+                            <div class="template-error" role="alert"></div>
+                        </div>
+                    `).join('')}
+                    <div class="form-group">
+                        <label>Preview</label>
+                        <pre class="template-preview"></pre>
+                    </div>
+                    <div class="modal-actions">
+                        <button type="button" class="btn-secondary" data-template-cancel>Cancel</button>
+                        <button type="submit" class="btn-primary">📋 Copy</button>
+                    </div>
+                </form>
+            </div>
+        `;
+
+        const form = modal.querySelector('form');
+        const preview = modal.querySelector('.template-preview');
+        const readValues = () => Object.fromEntries(fields.map(field => {
+            const input = form.elements[field.name];
+            return [field.name, field.type === 'boolean' ? input.checked : input.value];
+        }));
+        const updatePreview = () => {
+            const { values } = PromptTemplate.resolve(composed, readValues());
+            const filled = values || Object.fromEntries(
+                Object.entries(readValues()).filter(([, value]) => value !== '').map(([name, value]) => [name, String(value)])
+            );
+            preview.textContent = PromptTemplate.render(composed.text, filled);
+        };
+
+        form.addEventListener('input', updatePreview);
+        form.addEventListener('change', updatePreview);
+        modal.querySelector('[data-template-cancel]').addEventListener('click', () => modal.remove());
+        form.addEventListener('submit', async (e) => {
+            e.preventDefault();
+            const { text, errors = {} } = PromptTemplate.fill(prompt, readValues(), this.state.prompts);
+            form.querySelectorAll('[data-field]').forEach(group => {
+                group.querySelector('.template-error').textContent = errors[group.dataset.field] || '';
+            });
+            if (text !== undefined && await this.copyPrompt(prompt, text)) modal.remove();
+        });
+
+        document.body.appendChild(modal);
+        updatePreview();
+        form.querySelector('input, textarea, select')?.focus();
+    }
+
+    // Streams the filled-in prompt into the playground and records the run.
+    // The output is kept on this.playground so a re-render of the modal
+    // picks up where the stream is.
+    async runPlayground(form) {
+        const prompt = this.state.prompts.find(p => p.id === form.dataset.id);
+        if (!prompt || this.playground) return;
+
+        const composed = PromptTemplate.compose(prompt, this.state.prompts);
+        const fields = composed.error ? [] : PromptTemplate.fields(composed);
+        const input = Object.fromEntries(fields.map(field => {
+            const element = form.elements[field.name];
+            return [field.name, field.type === 'boolean' ? element.checked : element.value];
+        }));
+        const { text, values, errors = {}, error } = PromptTemplate.fill(prompt, input, this.state.prompts);
+        form.querySelectorAll('[data-field]').forEach(group => {
+            group.querySelector('.template-error').textContent = errors[group.dataset.field] || '';
+        });
+        if (error) this.showToast(error, 'warning');
+        if (text === undefined) return;
+
+        const parameters = {
+            model: this.ai.model,
+            system: form.elements['playground-system'].value.trim(),
+            temperature: parseFloat(form.elements['playground-temperature'].value),
+            maxTokens: parseInt(form.elements['playground-max-tokens'].value) || this.ai.maxTokens
+        };
+        const playground = { promptId: prompt.id, output: '', controller: new AbortController() };
+        this.playground = playground;
+
+        // The modal may have been re-rendered since the run started
+        const current = (selector) => document.querySelector(`.playground-form[data-id="${CSS.escape(prompt.id)}"] ${selector}`);
+        const showState = (running) => {
+            current('[type="submit"]')?.toggleAttribute('disabled', running);
+            current('[data-action="stop-playground"]')?.toggleAttribute('hidden', !running);
+        };
+        const output = current('.playground-output');
+        output.hidden = false;
+        output.textContent = '';
+        current('.playground-meta').textContent = 'Running…';
+        showState(true);
+
+        try {
+            const result = await this.ai.streamPrompt(text, {
+                system: parameters.system,
+                temperature: parameters.temperature,
+                maxTokens: parameters.maxTokens,
+                signal: playground.controller.signal,
+                onToken: (token) => {
+                    playground.output += token;
+                    const element = current('.playground-output');
+                    if (element) element.textContent = playground.output;
+                }
+            });
+
+            const stopped = playground.controller.signal.aborted;
+            const meta = current('.playground-meta');
+            if (meta) {
+                meta.textContent = [
+                    `${(result.latencyMs / 1000).toFixed(1)} s`,
+                    result.usage ? `${result.usage.totalTokens} tokens` : null,
+                    stopped ? 'stopped' : null
+                ].filter(Boolean).join(' · ');
+            }
+            if (result.text) {
+                await this.db.addRun(prompt.id, {
+                    variables: values,
+                    input: text,
+                    parameters,
+                    output: result.text,
+                    latencyMs: result.latencyMs,
+                    usage: result.usage
+                });
+                this.refreshRunHistory(prompt.id);
+            }
+        } catch (runError) {
+            const element = current('.playground-output');
+            if (element) element.textContent = runError.message;
+            const meta = current('.playground-meta');
+            if (meta) meta.textContent = 'Failed';
+            this.showToast(`Run failed: ${runError.message}`, 'error');
+        } finally {
+            this.playground = null;
+            showState(false);
+        }
+    }
+
+    refreshRunHistory(promptId) {
+        const container = document.querySelector(`.playground-form[data-id="${CSS.escape(promptId)}"]`)
+            ?.closest('.playground').querySelector('.run-history');
+        if (container) container.innerHTML = this.getRunHistoryHTML(promptId);
+    }
+
+    // Clicking the current rating again clears it
+    async rateRun(id, rating) {
+        const current = (this.db.data?.runs || []).find(r => r.id === id);
+        const run = current && await this.db.rateRun(id, rating === current.rating ? 0 : rating);
+        if (run) this.refreshRunHistory(run.promptId);
+    }
+
+    async deleteRun(id) {
+        const run = (this.db.data?.runs || []).find(r => r.id === id);
+        if (run && await this.db.deleteRun(id)) this.refreshRunHistory(run.promptId);
+    }
+
+    // Runs a prompt's tests against the configured model and keeps the
+    // result. `auto` runs (after an edit) stay quiet when they cannot run.
+    async runEvaluation(id, { auto = false } = {}) {
+        const prompt = this.state.prompts.find(p => p.id === id);
+        if (!prompt || (prompt.tests || []).length === 0 || this.evaluating.has(id)) return;
+        if (!this.ai.isConfigured('run')) {
+            if (!auto) this.showToast('Set up an AI provider in Settings to run tests', 'warning');
+            return;
+        }
+
+        this.evaluating.add(id);
+        this.refreshTests(id);
+        try {
+            const result = await Evaluation.run(prompt, this.state.prompts, {
+                complete: (text, options) => this.ai.runPrompt(text, options),
+                model: this.ai.model,
+                onTest: (index) => {
+                    const progress = document.querySelector(`.prompt-tests[data-id="${CSS.escape(id)}"] .test-progress`);
+                    if (progress) progress.textContent = `Running… ${index + 1}/${prompt.tests.length}`;
+                }
+            });
+            await this.db.addEvaluation(result);
+
+            const total = result.passed + result.failed;
+            if (result.failed > 0) {
+                this.showToast(`${result.failed} of ${total} tests failed for "${this.truncateText(prompt.text, 40)}"`, 'error');
+            } else {
+                this.showToast(`All ${total} tests passed`, 'success');
+            }
+        } catch (error) {
+            this.showToast(`Could not run tests: ${error.message}`, 'error');
+        } finally {
+            this.evaluating.delete(id);
+            this.refreshTests(id);
+            this.renderMainContent();
+        }
+    }
+
+    refreshTests(id) {
+        const section = document.querySelector(`.prompt-tests[data-id="${CSS.escape(id)}"]`);
+        const prompt = this.state.prompts.find(p => p.id === id);
+        if (section && prompt) section.outerHTML = this.getTestsHTML(prompt);
+    }
+
+    // Editor for a prompt's test cases. The draft is read back from the
+    // form before every change so typing is never lost to a re-render.
+    showTestsModal(id) {
+        const prompt = this.state.prompts.find(p => p.id === id);
+        if (!prompt) return;
+
+        const composed = PromptTemplate.compose(prompt, this.state.prompts);
+        const variables = composed.error ? PromptTemplate.variables(prompt.text) : PromptTemplate.variables(composed.text);
+        // json-schema values are edited as text until they are saved
+        let draft = (prompt.tests || []).map(test => ({
+            ...test,
+            assertions: test.assertions.map(assertion => (assertion.type === 'json-schema'
+                ? { ...assertion, value: JSON.stringify(assertion.value, null, 2) }
+                : { ...assertion, value: String(assertion.value) }))
+        }));
+
+        const modal = document.createElement('div');
+        modal.className = 'modal-overlay';
+
+        const valueInput = (assertion) => {
+            const value = this.escapeHtml(assertion.value || '');
+            switch (assertion.type) {
+                case 'json-schema':
+                    return `<textarea name="value" rows="4" placeholder='{ "type": "object", "required": ["title"] }'>${value}</textarea>`;
+                case 'rubric':
+                    return `<textarea name="value" rows="2" placeholder="What a good reply does">${value}</textarea>`;
+                case 'max-length':
+                    return `<input type="number" name="value" min="1" step="1" value="${value}" placeholder="Characters">`;
+                case 'regex':
+                    return `
+                        <input type="text" name="value" value="${value}" placeholder="Pattern">
+                        <input type="text" name="flags" class="test-regex-flags" value="${this.escapeHtml(assertion.flags || '')}" placeholder="Flags">
+                    `;
+                default:
+                    return `<input type="text" name="value" value="${value}" placeholder="Text the reply must contain">`;
+            }
+        };
+
+        const render = () => {
+            modal.innerHTML = `
+                <div class="modal workflow-modal tests-modal">
+                    <h2>✅ Tests</h2>
+                    <small>Each test fills in the prompt's variables, runs it and checks the reply. Rubrics are graded by the model.</small>
+                    <form>
+                        ${draft.map((test, index) => `
+                            <div class="workflow-step test-case" data-test="${index}">
+                                <div class="workflow-step-header">
+                                    <input type="text" name="name" value="${this.escapeHtml(test.name || '')}" placeholder="Test name" aria-label="Test name">
+                                    <button type="button" class="btn-secondary" data-test-action="remove" title="Remove test">✕</button>
+                                </div>
+                                ${variables.map(name => `
+                                    <div class="workflow-binding">
+                                        <code>{{${this.escapeHtml(name)}}}</code>
+                                        <input type="text" data-variable="${this.escapeHtml(name)}" value="${this.escapeHtml((test.variables || {})[name] || '')}" placeholder="Default">
+                                    </div>
+                                `).join('')}
+                                ${test.assertions.map((assertion, position) => `
+                                    <div class="test-assertion" data-assertion="${position}">
+                                        <select name="type" aria-label="Assertion type">
+                                            ${Evaluation.ASSERTION_TYPES.map(type => `
+                                                <option value="${type}" ${assertion.type === type ? 'selected' : ''}>${type}</option>
+                                            `).join('')}
+                                        </select>
+                                        ${valueInput(assertion)}
+                                        <button type="button" class="btn-secondary" data-test-action="remove-assertion" title="Remove assertion">✕</button>
+                                    </div>
+                                `).join('')}
+                                <button type="button" class="btn-secondary" data-test-action="add-assertion">+ Assertion</button>
+                            </div>
+                        `).join('')}
+                        <button type="button" class="btn-secondary" data-test-action="add">+ Add Test</button>
+                        <p class="workflow-error" role="alert"></p>
+                        <div class="modal-actions">
+                            <button type="button" class="btn-secondary" data-test-action="cancel">Cancel</button>
+                            <button type="submit" class="btn-primary">💾 Save Tests</button>
+                        </div>
+                    </form>
+                </div>
+            `;
+        };
+
+        const readDraft = () => {
+            draft = [...modal.querySelectorAll('[data-test]')].map(row => ({
+                name: row.querySelector('[name="name"]').value,
+                variables: Object.fromEntries([...row.querySelectorAll('[data-variable]')]
+                    .map(input => [input.dataset.variable, input.value])),
+                assertions: [...row.querySelectorAll('[data-assertion]')].map(item => {
+                    const assertion = { type: item.querySelector('[name="type"]').value, value: item.querySelector('[name="value"]').value };
+                    const flags = item.querySelector('[name="flags"]');
+                    if (flags && flags.value) assertion.flags = flags.value;
+                    return assertion;
+                })
+            }));
+        };
+
+        modal.addEventListener('click', (e) => {
+            const action = e.target.dataset.testAction;
+            if (!action) return;
+            if (action === 'cancel') {
+                modal.remove();
+                return;
+            }
+
+            readDraft();
+            const index = parseInt(e.target.closest('[data-test]')?.dataset.test);
+            switch (action) {
+                case 'add':
+                    draft.push({ name: `Test ${draft.length + 1}`, variables: {}, assertions: [{ type: 'contains', value: '' }] });
+                    break;
+                case 'remove':
+                    draft.splice(index, 1);
+                    break;
+                case 'add-assertion':
+                    draft[index].assertions.push({ type: 'contains', value: '' });
+                    break;
+                case 'remove-assertion':
+                    draft[index].assertions.splice(parseInt(e.target.closest('[data-assertion]').dataset.assertion), 1);
+                    break;
+            }
+            render();
+        });
+
+        // A new type needs a different value input
+        modal.addEventListener('change', (e) => {
+            if (e.target.name !== 'type') return;
+            readDraft();
+            render();
+        });
+
+        modal.addEventListener('submit', async (e) => {
+            e.preventDefault();
+            readDraft();
+            const error = modal.querySelector('.workflow-error');
+
+            const input = [];
+            for (const test of draft) {
+                const assertions = [];
+                for (const assertion of test.assertions) {
+                    if (assertion.type === 'json-schema') {
+                        try {
+                            assertions.push({ ...assertion, value: JSON.parse(assertion.value) });
+                        } catch (parseError) {
+                            error.textContent = `"${test.name}": the schema is not valid JSON`;
+                            return;
+                        }
+                    } else {
+                        assertions.push(assertion.type === 'max-length' ? { ...assertion, value: Number(assertion.value) } : assertion);
+                    }
+                }
+                // Empty values fall back to the variable's default
+                const variables = Object.fromEntries(Object.entries(test.variables).filter(([, value]) => value !== ''));
+                input.push({ name: test.name, variables, assertions });
+            }
+
+            const { tests, error: message } = Evaluation.checkTests(input);
+            if (message) {
+                error.textContent = message;
+                return;
+            }
+
+            const updates = { tests: tests.length > 0 ? tests : null };
+            await this.db.updatePrompt(id, updates);
+            const promptIndex = this.state.prompts.findIndex(p => p.id === id);
+            if (promptIndex !== -1) {
+                this.state.prompts[promptIndex] = { ...this.state.prompts[promptIndex], ...updates };
+            }
+            this.markAsChanged();
+            modal.remove();
+            this.render();
+            this.showToast('Tests saved', 'success');
+        });
+
+        render();
+        document.body.appendChild(modal);
+    }
+
+    async updatePromptRating(id, rating) {
+        await this.db.updatePrompt(id, { rating });
+        const prompt = this.state.prompts.find(p => p.id === id);
+        if (prompt) {
+            prompt.rating = rating;
+            this.markAsChanged();
+            this.render();
+        }
+    }
+
+    async exportData() {
+        try {
+            await this.db.exportData();
+            this.showToast('Data exported successfully');
+        } catch (error) {
+            this.showToast('Export failed', 'error');
+        }
+    }
+
+    triggerImport() {
+        document.getElementById('import-file')?.click();
+    }
+
+    async handleImport(e) {
+        const file = e.target.files[0];
+        if (!file) return;
+
+        try {
+            const text = await file.text();
+            const parsed = JSON.parse(text);
+
+            // Workflow exports carry the prompts they need
+            if (parsed.format === Workflow.EXPORT_FORMAT) {
+                const { workflow, createdCount } = await this.db.importWorkflow(parsed);
+                await this.loadData();
+                this.markAsChanged();
+                this.render();
+                this.showToast(`Imported workflow "${workflow.name}" (${createdCount} new prompts)`, 'success');
+                return;
+            }
+
+            const success = await this.db.importData(parsed);
+            
+            if (success) {
+                await this.loadData();
+                this.render();
+                this.showToast('Data imported successfully');
+            } else {
+                this.showToast('Import failed - invalid format', 'error');
+            }
+        } catch (error) {
+            this.showToast(error.message ? `Import failed: ${error.message}` : 'Import failed', 'error');
+        } finally {
+            e.target.value = '';
+        }
+    }
+
+    handleFormSubmit(e) {
+        if (e.target.matches('#edit-prompt-form')) {
+            e.preventDefault();
+            this.handleEditFormSubmit(e.target);
+        }
+        
+        if (e.target.matches('.new-folder-form')) {
+            e.preventDefault();
+            this.handleNewFolderSubmit(e.target);
+        }
+
+        if (e.target.matches('.tag-synonym-form')) {
+            e.preventDefault();
+            this.handleTagSynonymSubmit(e.target);
+        }
+
+        if (e.target.matches('.playground-form')) {
+            e.preventDefault();
+            this.runPlayground(e.target);
+        }
+
+        if (e.target.matches('.provider-form')) {
+            e.preventDefault();
+            this.handleProviderSubmit(e.target);
+        }
+    }
+
+    async handleEditFormSubmit(form) {
+        const formData = new FormData(form);
+        const updates = {
+            text: formData.get('text'),
+            category: formData.get('category'),
+            folder: formData.get('folder'),
+            notes: formData.get('notes') || ''
+        };
+
+        // Only variables with something beyond the plain-text defaults are stored
+        const variables = {};
+        form.querySelectorAll('[data-variable]').forEach(row => {
+            const field = (name) => row.querySelector(`[name="variable-${name}"]`).value.trim();
+            const meta = { type: field('type') };
+            if (field('description')) meta.description = field('description');
+            if (field('default')) meta.default = field('default');
+            if (meta.type === 'enum') meta.options = field('options').split(',');
+            if (meta.type !== 'text' || Object.keys(meta).length > 1) variables[row.dataset.variable] = meta;
+        });
+        const checked = PromptTemplate.checkVariables(variables);
+        if (checked.error) {
+            this.showToast(checked.error, 'warning');
+            return;
+        }
+        const editing = this.state.prompts.find(p => p.id === this.state.editingPromptId);
+        if (Object.keys(checked.variables).length > 0 || editing?.variables) {
+            updates.variables = Object.keys(checked.variables).length > 0 ? checked.variables : null;
+        }
+
+        // Same slug and include checks as the server
+        const slug = (formData.get('slug') || '').trim();
+        if (slug || editing?.slug) {
+            updates.slug = slug || null;
+        }
+        if (slug && !PromptTemplate.SLUG_PATTERN.test(slug)) {
+            this.showToast('Slugs may only use lowercase letters, digits, ".", "-" and "_"', 'warning');
+            return;
+        }
+        if (slug && this.state.prompts.some(p => p.id !== editing.id && (p.slug === slug || p.id === slug))) {
+            this.showToast(`The slug "${slug}" is already in use`, 'warning');
+            return;
+        }
+        const edited = { ...editing, ...updates };
+        const { cycle } = PromptTemplate.compose(edited, this.state.prompts.map(p => (p.id === edited.id ? edited : p)));
+        if (cycle) {
+            this.showToast(`Include cycle: ${cycle.join(' → ')}`, 'warning');
+            return;
+        }
+
+        const tagInput = form.querySelector('#tag-input');
+        const existingTags = Array.from(form.querySelectorAll('.tag-item')).map(item => 
+            item.textContent.replace('×', '').trim()
+        );
+        
+        if (tagInput && tagInput.value.trim()) {
+            const newTags = tagInput.value.split(',').map(tag => tag.trim().toLowerCase()).filter(tag => tag);
+            updates.tags = [...existingTags, ...newTags];
+        } else {
+            updates.tags = existingTags;
+        }
+
+        try {
+            await this.db.updatePrompt(this.state.editingPromptId, updates);
+            const promptIndex = this.state.prompts.findIndex(p => p.id === this.state.editingPromptId);
+            if (promptIndex !== -1) {
+                this.state.prompts[promptIndex] = { ...this.state.prompts[promptIndex], ...updates };
+            }
+            
+            this.state.allTags = await this.db.getAllTags();
+            this.state.editingPromptId = null;
+            this.markAsChanged();
+            this.render();
+            this.showToast('Prompt updated successfully', 'success');
+
+            // Re-run the tests right away so an edit that breaks them shows
+            const updated = this.state.prompts[promptIndex];
+            if (updated && Evaluation.fingerprint(updated) !== Evaluation.fingerprint(editing)) {
+                this.runEvaluation(updated.id, { auto: true });
+            }
+        } catch (error) {
+            console.error('Failed to update prompt:', error);
+            this.showToast('Failed to update prompt', 'error');
+        }
+    }
+
+    openSmartFolder(id) {
+        this.state.activeSmartFolder = id;
+        this.state.activeFolder = 'All';
+        this.state.activeView = 'prompts';
+        this.updateFilteredPrompts();
+        this.render();
+    }
+
+    async deleteSmartFolder(id) {
+        const folder = this.state.smartFolders.find(f => f.id === id);
+        if (!folder || !confirm(`Delete smart folder "${folder.name}"? Its prompts are not affected.`)) return;
+
+        await this.db.deleteSmartFolder(id);
+        this.state.smartFolders = await this.db.getSmartFolders();
+        if (this.state.activeSmartFolder === id) {
+            this.state.activeSmartFolder = null;
+            this.updateFilteredPrompts();
+        }
+        this.markAsChanged();
+        this.render();
+        this.showToast(`Smart folder "${folder.name}" deleted`, 'success');
+    }
+
+    async renameFolder(from, to) {
+        const moved = await this.db.renameFolder(from, to);
+        if (moved === null) {
+            this.showToast(`Cannot move "${from}" to "${to}"`, 'warning');
+            return false;
+        }
+
+        to = FolderTree.normalize(to);
+        this.state.customFolders = [...this.db.data.customFolders];
+        if (FolderTree.contains(from, this.state.activeFolder)) {
+            this.state.activeFolder = FolderTree.rename(this.state.activeFolder, from, to);
+        }
+        this.updateFilteredPrompts();
+        this.markAsChanged();
+        this.render();
+        this.showToast(`Moved "${from}" to "${to}" (${moved} prompts updated)`, 'success');
+        return true;
+    }
+
+    showRenameFolderModal(folder) {
+        const modal = document.createElement('div');
+        modal.className = 'modal-overlay';
+        modal.innerHTML = `
+            <div class="modal folder-modal">
+                <h2>✏️ Rename Folder</h2>
+                <p>Use a path to move it, e.g. <code>Clients/${this.escapeHtml(FolderTree.basename(folder))}</code>. Subfolders and prompts move with it.</p>
+                <form>
+                    <div class="form-group">
+                        <label>Folder path</label>
+                        <input type="text" name="path" value="${this.escapeHtml(folder)}" required>
+                    </div>
+                    <div class="modal-actions">
+                        <button type="button" class="btn-secondary" data-folder-cancel>Cancel</button>
+                        <button type="submit" class="btn-primary">Save</button>
+                    </div>
+                </form>
+            </div>
+        `;
+
+        const form = modal.querySelector('form');
+        modal.querySelector('[data-folder-cancel]').addEventListener('click', () => modal.remove());
+        form.addEventListener('submit', async (e) => {
+            e.preventDefault();
+            if (await this.renameFolder(folder, form.elements.path.value)) modal.remove();
+        });
+
+        document.body.appendChild(modal);
+        form.elements.path.select();
+    }
+
+    // Deleting a folder asks whether its prompts move up a level or go to the trash
+    showDeleteFolderModal(folder) {
+        const count = this.state.prompts.filter(p => FolderTree.contains(folder, p.folder)).length;
+        const destination = FolderTree.parent(folder) || 'Default';
+
+        const modal = document.createElement('div');
+        modal.className = 'modal-overlay';
+        modal.innerHTML = `
+            <div class="modal folder-modal">
+                <h2>🗑️ Delete "${this.escapeHtml(folder)}"</h2>
+                <p>${count === 0
+                    ? 'This folder and its subfolders are empty.'
+                    : `This folder and its subfolders hold ${count} prompt${count === 1 ? '' : 's'}.`}</p>
+                <div class="modal-actions">
+                    <button class="btn-secondary" data-folder-delete="cancel">Cancel</button>
+                    ${count > 0 ? `<button class="btn-secondary" data-folder-delete="trash">Move Prompts to Trash</button>` : ''}
+                    <button class="btn-primary" data-folder-delete="move">${count > 0 ? `Move Prompts to ${this.escapeHtml(destination)}` : 'Delete'}</button>
+                </div>
+            </div>
+        `;
+
+        modal.querySelectorAll('[data-folder-delete]').forEach(button => {
+            button.addEventListener('click', async () => {
+                modal.remove();
+                if (button.dataset.folderDelete === 'cancel') return;
+
+                const trash = button.dataset.folderDelete === 'trash';
+                await this.db.deleteFolder(folder, { trash });
+                this.state.customFolders = [...this.db.data.customFolders];
+                this.state.prompts = this.db.data.prompts;
+                if (FolderTree.contains(folder, this.state.activeFolder)) {
+                    this.state.activeFolder = 'All';
+                }
+                this.state.allTags = await this.db.getAllTags();
+                this.updateFilteredPrompts();
+                this.markAsChanged();
+                this.render();
+                this.showToast(trash
+                    ? `Deleted "${folder}" and moved ${count} prompts to the trash`
+                    : `Deleted "${folder}"`, 'success');
+            });
+        });
+
+        document.body.appendChild(modal);
+    }
+
+    handleFolderDragStart(event) {
+        event.stopPropagation();
+        this.state.draggedFolder = event.currentTarget.dataset.folderPath;
+        event.dataTransfer.effectAllowed = 'move';
+        event.dataTransfer.setData('text/plain', this.state.draggedFolder);
+    }
+
+    handleFolderDragOver(event) {
+        if (!this.state.draggedFolder) return;
+        event.preventDefault();
+        event.stopPropagation();
+        event.dataTransfer.dropEffect = 'move';
+        event.currentTarget.classList.add('drag-over');
+    }
+
+    // Dropping on a folder row moves the dragged folder inside it; dropping
+    // on the tree itself moves it to the top level
+    async handleFolderDrop(event) {
+        event.preventDefault();
+        event.stopPropagation();
+        event.currentTarget.classList.remove('drag-over');
+
+        const folder = this.state.draggedFolder;
+        this.state.draggedFolder = null;
+        if (!folder) return;
+
+        const parent = event.currentTarget.dataset.folderPath;
+        const to = parent ? `${parent}${FolderTree.SEPARATOR}${FolderTree.basename(folder)}` : FolderTree.basename(folder);
+        if (to === folder) return;
+        if (parent && FolderTree.contains(folder, parent)) {
+            this.showToast('A folder cannot be moved into itself', 'warning');
+            return;
+        }
+        if (parent) this.setSidebarSectionState(`folder:${parent}`, true);
+        await this.renameFolder(folder, to);
+    }
+
+    // Save a search as a smart folder, starting from the current search box
+    showSmartFolderModal() {
+        const modal = document.createElement('div');
+        modal.className = 'modal-overlay';
+        modal.innerHTML = `
+            <div class="modal smart-folder-modal">
+                <h2>🔎 New Smart Folder</h2>
+                <p>A smart folder always shows the prompts matching its search, including ones added later.</p>
+                <form id="smart-folder-form">
+                    <div class="form-group">
+                        <label>Name</label>
+                        <input type="text" name="name" required>
+                    </div>
+                    <div class="form-group">
+                        <label>Search</label>
+                        <input type="text" name="query" value="${this.escapeHtml(this.state.searchTerm)}" placeholder="tag:review rating:>=4" required>
+                        <div class="smart-folder-error" role="alert"></div>
+                    </div>
+                    <div class="modal-actions">
+                        <button type="button" class="btn-secondary" data-smart-folder-cancel>Cancel</button>
+                        <button type="submit" class="btn-primary">Save</button>
+                    </div>
+                </form>
+            </div>
+        `;
+
+        const form = modal.querySelector('form');
+        const error = modal.querySelector('.smart-folder-error');
+        modal.querySelector('[data-smart-folder-cancel]').addEventListener('click', () => modal.remove());
+        form.addEventListener('submit', async (e) => {
+            e.preventDefault();
+            const name = form.elements.name.value.trim();
+            const query = form.elements.query.value.trim();
+
+            try {
+                const folder = await this.db.addSmartFolder(name, query);
+                if (!folder) {
+                    error.textContent = `A smart folder named "${name}" already exists`;
+                    return;
+                }
+                this.state.smartFolders = await this.db.getSmartFolders();
+                this.markAsChanged();
+                modal.remove();
+                this.openSmartFolder(folder.id);
+                this.showToast(`Smart folder "${name}" created`, 'success');
+            } catch (parseError) {
+                error.textContent = `${parseError.message} (at character ${parseError.position + 1})`;
+            }
+        });
+
+        document.body.appendChild(modal);
+        form.elements.name.focus();
+    }
+
+    // Pick up tag changes made through the database
+    async refreshTags() {
+        this.state.tagSynonyms = await this.db.getTagSynonyms();
+        this.ai.setTagSynonyms(this.state.tagSynonyms);
+        this.state.allTags = await this.db.getAllTags();
+        const used = tag => this.state.allTags.some(t => TagRules.contains(tag, t));
+        this.state.selectedTags = this.state.selectedTags.filter(used);
+        this.state.managedTags = new Set([...this.state.managedTags].filter(used));
+        this.updateFilteredPrompts();
+        this.markAsChanged();
+        this.render();
+    }
+
+    // Renaming to a path moves the tag, e.g. "python" -> "code/python";
+    // renaming onto an existing tag merges the two
+    showRenameTagModal(tag) {
+        const modal = document.createElement('div');
+        modal.className = 'modal-overlay';
+        modal.innerHTML = `
+            <div class="modal folder-modal">
+                <h2>✏️ Rename Tag</h2>
+                <p>Child tags are renamed with it. Renaming to a tag that already exists merges them.</p>
+                <form>
+                    <div class="form-group">
+                        <label>Tag</label>
+                        <input type="text" name="tag" value="${this.escapeHtml(tag)}" required>
+                    </div>
+                    <div class="modal-actions">
+                        <button type="button" class="btn-secondary" data-tag-cancel>Cancel</button>
+                        <button type="submit" class="btn-primary">Save</button>
+                    </div>
+                </form>
+            </div>
+        `;
+
+        const form = modal.querySelector('form');
+        modal.querySelector('[data-tag-cancel]').addEventListener('click', () => modal.remove());
+        form.addEventListener('submit', async (e) => {
+            e.preventDefault();
+            const to = TagRules.clean(form.elements.tag.value);
+            if (!to) return;
+            if (to !== tag && TagRules.contains(tag, to)) {
+                this.showToast('A tag cannot be moved under itself', 'warning');
+                return;
+            }
+
+            modal.remove();
+            if (to === tag) return;
+            const updated = await this.db.renameTag(tag, to);
+            this.state.selectedTags = this.state.selectedTags.map(t => TagRules.contains(tag, t) ? to + t.slice(tag.length) : t);
+            this.state.managedTags.clear();
+            await this.refreshTags();
+            this.showToast(`Renamed "${tag}" to "${to}" (${updated} prompts updated)`, 'success');
+        });
+
+        document.body.appendChild(modal);
+        form.elements.tag.select();
+    }
+
+    showMergeTagsModal() {
+        const tags = [...this.state.managedTags];
+        if (tags.length < 2) return;
+
+        const modal = document.createElement('div');
+        modal.className = 'modal-overlay';
+        modal.innerHTML = `
+            <div class="modal folder-modal">
+                <h2>🔗 Merge Tags</h2>
+                <p>Prompts tagged ${tags.map(tag => `<code>${this.escapeHtml(tag)}</code>`).join(', ')} will be tagged with the tag below instead.</p>
+                <form>
+                    <div class="form-group">
+                        <label>Merge into</label>
+                        <input type="text" name="into" value="${this.escapeHtml(tags[0])}" list="merge-tag-targets" required>
+                        <datalist id="merge-tag-targets">
+                            ${tags.map(tag => `<option value="${this.escapeHtml(tag)}">`).join('')}
+                        </datalist>
+                    </div>
+                    <div class="form-group">
+                        <label>
+                            <input type="checkbox" name="synonyms" checked>
+                            Keep the merged tags as synonyms
+                        </label>
+                    </div>
+                    <div class="modal-actions">
+                        <button type="button" class="btn-secondary" data-tag-cancel>Cancel</button>
+                        <button type="submit" class="btn-primary">Merge</button>
+                    </div>
+                </form>
+            </div>
+        `;
+
+        const form = modal.querySelector('form');
+        modal.querySelector('[data-tag-cancel]').addEventListener('click', () => modal.remove());
+        form.addEventListener('submit', async (e) => {
+            e.preventDefault();
+            const into = TagRules.clean(form.elements.into.value);
+            if (!into) return;
+
+            modal.remove();
+            const updated = await this.db.mergeTags(tags, into);
+            if (form.elements.synonyms.checked) {
+                const synonyms = { ...this.state.tagSynonyms };
+                tags.filter(tag => tag !== into).forEach(tag => { synonyms[tag] = into; });
+                try {
+                    await this.db.setTagSynonyms(synonyms);
+                } catch (error) {
+                    this.showToast(error.message, 'warning');
+                }
+            }
+            this.state.selectedTags = this.state.selectedTags.map(t => tags.includes(t) ? into : t);
+            this.state.managedTags.clear();
+            await this.refreshTags();
+            this.showToast(`Merged ${tags.length} tags into "${into}" (${updated} prompts updated)`, 'success');
+        });
+
+        document.body.appendChild(modal);
+        form.elements.into.select();
+    }
+
+    async deleteTag(tag) {
+        const count = this.getTagCount(tag);
+        if (!confirm(`Remove "${tag}" and its child tags from ${count} prompt${count === 1 ? '' : 's'}?`)) return;
+
+        await this.db.deleteTag(tag);
+        this.state.managedTags.delete(tag);
+        await this.refreshTags();
+        this.showToast(`Tag "${tag}" deleted`, 'success');
+    }
+
+    async handleTagSynonymSubmit(form) {
+        const alias = form.elements.alias.value;
+        const tag = form.elements.tag.value;
+
+        try {
+            const updated = await this.db.setTagSynonyms({ ...this.state.tagSynonyms, [alias]: tag });
+            await this.refreshTags();
+            this.showToast(`Synonym added (${updated} prompts updated)`, 'success');
+        } catch (error) {
+            this.showToast(error.message, 'warning');
+        }
+    }
+
+    async removeTagSynonym(alias) {
+        const synonyms = { ...this.state.tagSynonyms };
+        delete synonyms[alias];
+        await this.db.setTagSynonyms(synonyms);
+        await this.refreshTags();
+        this.showToast(`Synonym "${alias}" removed`, 'success');
+    }
+
+    // Create or edit a workflow. Steps are edited on a copy and saved together.
+    showWorkflowModal(id = null) {
+        const existing = this.state.workflows.find(w => w.id === id);
+        const draft = existing
+            ? JSON.parse(JSON.stringify({ name: existing.name, description: existing.description, steps: existing.steps }))
+            : { name: '', description: '', steps: [{ promptId: this.state.prompts[0]?.id || '', inputs: {} }] };
+
+        const modal = document.createElement('div');
+        modal.className = 'modal-overlay';
+        modal.innerHTML = `
+            <div class="modal workflow-modal">
+                <h2>🔗 ${existing ? 'Edit' : 'New'} Workflow</h2>
+                <form>
+                    <div class="form-group">
+                        <label>Name</label>
+                        <input type="text" name="name" value="${this.escapeHtml(draft.name)}" required>
+                    </div>
+                    <div class="form-group">
+                        <label>Description (optional)</label>
+                        <textarea name="description" rows="2">${this.escapeHtml(draft.description || '')}</textarea>
+                    </div>
+                    <div class="form-group">
+                        <label>Steps</label>
+                        <small>Fill a step's variables with text; <code>{{previous}}</code> is the step before's output,
+                            <code>{{step1}}</code> a given step's and <code>{{input.name}}</code> asks for a value when the workflow runs.
+                            Empty variables use their defaults.</small>
+                        <div class="workflow-steps"></div>
+                        <button type="button" class="btn-secondary" data-step-action="add">➕ Add Step</button>
+                    </div>
+                    <div class="workflow-error" role="alert"></div>
+                    <div class="modal-actions">
+                        <button type="button" class="btn-secondary" data-step-action="cancel">Cancel</button>
+                        <button type="submit" class="btn-primary">💾 Save</button>
+                    </div>
+                </form>
+            </div>
+        `;
+
+        const form = modal.querySelector('form');
+        const stepsContainer = modal.querySelector('.workflow-steps');
+        const error = modal.querySelector('.workflow-error');
+
+        const renderSteps = () => {
+            stepsContainer.innerHTML = draft.steps.map((step, index) => {
+                const prompt = this.state.prompts.find(p => p.id === step.promptId);
+                const composed = prompt ? PromptTemplate.compose(prompt, this.state.prompts) : null;
+                const fields = composed && !composed.error ? PromptTemplate.fields(composed) : [];
+                return `
+                    <div class="workflow-step" data-index="${index}">
+                        <div class="workflow-step-header">
+                            <strong>${index + 1}.</strong>
+                            <select data-step-prompt aria-label="Prompt for step ${index + 1}">
+                                ${prompt ? '' : `<option value="${this.escapeHtml(step.promptId)}" selected>⚠️ Missing prompt</option>`}
+                                ${this.state.prompts.map(p => `
+                                    <option value="${this.escapeHtml(p.id)}" ${p.id === step.promptId ? 'selected' : ''}>${this.escapeHtml(this.truncateText(p.text, 70))}</option>
+                                `).join('')}
+                            </select>
+                            <button type="button" class="btn-secondary" data-step-action="up" ${index === 0 ? 'disabled' : ''} title="Move up">↑</button>
+                            <button type="button" class="btn-secondary" data-step-action="down" ${index === draft.steps.length - 1 ? 'disabled' : ''} title="Move down">↓</button>
+                            <button type="button" class="btn-secondary" data-step-action="remove" ${draft.steps.length === 1 ? 'disabled' : ''} title="Remove step">✕</button>
+                        </div>
+                        ${composed?.error ? `<div class="workflow-error">${this.escapeHtml(composed.error)}</div>` : ''}
+                        ${fields.map(field => `
+                            <div class="workflow-binding">
+                                <label><code>{{${this.escapeHtml(field.name)}}}</code></label>
+                                <input type="text" data-binding="${this.escapeHtml(field.name)}"
+                                       value="${this.escapeHtml(step.inputs[field.name] || '')}"
+                                       placeholder="${this.escapeHtml(field.default !== undefined ? `Default: ${field.default}` : '')}">
+                            </div>
+                        `).join('')}
+                    </div>
+                `;
+            }).join('');
+        };
+
+        // A newly picked prompt's first variable takes the previous step's
+        // output; the others without a default are asked for at run time
+        const bindDefaults = (index) => {
+            const step = draft.steps[index];
+            const prompt = this.state.prompts.find(p => p.id === step.promptId);
+            const composed = prompt && PromptTemplate.compose(prompt, this.state.prompts);
+            const fields = composed && !composed.error ? PromptTemplate.fields(composed) : [];
+            step.inputs = {};
+            fields.forEach((field, i) => {
+                if (i === 0 && index > 0) {
+                    step.inputs[field.name] = '{{previous}}';
+                } else if (field.default === undefined && field.type !== 'boolean') {
+                    step.inputs[field.name] = `{{input.${field.name}}}`;
+                }
+            });
+        };
+
+        modal.addEventListener('click', (e) => {
+            const action = e.target.dataset.stepAction;
+            if (!action) return;
+            const index = parseInt(e.target.closest('.workflow-step')?.dataset.index);
+
+            switch (action) {
+                case 'add':
+                    draft.steps.push({ promptId: this.state.prompts[0]?.id || '', inputs: {} });
+                    bindDefaults(draft.steps.length - 1);
+                    break;
+                case 'remove':
+                    draft.steps.splice(index, 1);
+                    break;
+                case 'up':
+                case 'down': {
+                    const other = action === 'up' ? index - 1 : index + 1;
+                    [draft.steps[index], draft.steps[other]] = [draft.steps[other], draft.steps[index]];
+                    break;
+                }
+                case 'cancel':
+                    modal.remove();
+                    return;
+            }
+            renderSteps();
+        });
+        stepsContainer.addEventListener('change', (e) => {
+            if (!e.target.matches('[data-step-prompt]')) return;
+            const index = parseInt(e.target.closest('.workflow-step').dataset.index);
+            draft.steps[index].promptId = e.target.value;
+            bindDefaults(index);
+            renderSteps();
+        });
+        stepsContainer.addEventListener('input', (e) => {
+            if (!e.target.matches('[data-binding]')) return;
+            const index = parseInt(e.target.closest('.workflow-step').dataset.index);
+            draft.steps[index].inputs[e.target.dataset.binding] = e.target.value;
+        });
+
+        form.addEventListener('submit', async (e) => {
+            e.preventDefault();
+            draft.name = form.elements.name.value;
+            draft.description = form.elements.description.value;
+
+            try {
+                const workflow = await this.db.saveWorkflow(draft, id);
+                if (!workflow) {
+                    error.textContent = `A workflow named "${draft.name.trim()}" already exists`;
+                    return;
+                }
+                this.state.workflows = await this.db.getWorkflows();
+                this.markAsChanged();
+                modal.remove();
+                this.render();
+                this.showToast(`Workflow "${workflow.name}" saved`, 'success');
+            } catch (saveError) {
+                error.textContent = saveError.message;
+            }
+        });
+
+        if (!existing) bindDefaults(0);
+        renderSteps();
+        document.body.appendChild(modal);
+        form.elements.name.focus();
+    }
+
+    // Asks for the workflow's inputs, then runs it against the configured
+    // model, showing what went into and came out of each step
+    showRunWorkflowModal(id) {
+        const workflow = this.state.workflows.find(w => w.id === id);
+        if (!workflow) return;
+        const inputs = Workflow.inputs(workflow);
+
+        const modal = document.createElement('div');
+        modal.className = 'modal-overlay';
+        modal.innerHTML = `
+            <div class="modal workflow-modal">
+                <h2>▶️ ${this.escapeHtml(workflow.name)}</h2>
+                ${this.ai.isConfigured('run') ? '' : `
+                    <p class="workflow-error">Add an AI provider in Settings to run workflows.</p>
+                `}
+                <form>
+                    ${inputs.map(name => `
+                        <div class="form-group">
+                            <label for="workflow-input-${this.escapeHtml(name)}">${this.escapeHtml(name)}</label>
+                            <textarea id="workflow-input-${this.escapeHtml(name)}" name="${this.escapeHtml(name)}" rows="2" required></textarea>
+                        </div>
+                    `).join('')}
+                    <div class="workflow-run-steps">
+                        ${workflow.steps.map((step, index) => {
+                            const prompt = this.state.prompts.find(p => p.id === step.promptId);
+                            return `
+                                <div class="workflow-run-step" data-index="${index}">
+                                    <div class="workflow-run-step-header">
+                                        <strong>${index + 1}. ${this.escapeHtml(prompt ? this.truncateText(prompt.text, 60) : step.promptId)}</strong>
+                                        <span class="workflow-run-status">Waiting</span>
+                                    </div>
+                                    <details class="workflow-run-input"><summary>Input</summary><pre></pre></details>
+                                    <pre class="workflow-run-output"></pre>
+                                </div>
+                            `;
+                        }).join('')}
+                    </div>
+                    <div class="modal-actions">
+                        <button type="button" class="btn-secondary" data-run-action="close">Close</button>
+                        <button type="button" class="btn-secondary" data-run-action="copy" disabled>📋 Copy Result</button>
+                        <button type="submit" class="btn-primary">▶️ Run</button>
+                    </div>
+                </form>
+            </div>
+        `;
+
+        const form = modal.querySelector('form');
+        const copyButton = modal.querySelector('[data-run-action="copy"]');
+        let result = null;
+
+        const showStep = (index, step) => {
+            const row = modal.querySelector(`.workflow-run-step[data-index="${index}"]`);
+            const done = step.output !== null || step.error;
+            row.classList.toggle('running', !done);
+            row.classList.toggle('failed', !!step.error);
+            row.querySelector('.workflow-run-status').textContent = step.error ? 'Failed' : done ? 'Done' : 'Running…';
+            row.querySelector('.workflow-run-input pre').textContent = step.input || '';
+            row.querySelector('.workflow-run-output').textContent = step.error || step.output || '';
+        };
+
+        modal.querySelector('[data-run-action="close"]').addEventListener('click', () => modal.remove());
+        copyButton.addEventListener('click', async () => {
+            await navigator.clipboard.writeText(result);
+            this.showToast('Copied to clipboard');
+        });
+        form.addEventListener('submit', async (e) => {
+            e.preventDefault();
+            const submit = form.querySelector('[type="submit"]');
+            submit.disabled = true;
+            copyButton.disabled = true;
+            modal.querySelectorAll('.workflow-run-step').forEach(row => {
+                row.classList.remove('running', 'failed');
+                row.querySelector('.workflow-run-status').textContent = 'Waiting';
+                row.querySelector('.workflow-run-input pre').textContent = '';
+                row.querySelector('.workflow-run-output').textContent = '';
+            });
+
+            const run = await Workflow.run(workflow, this.state.prompts, {
+                inputs: Object.fromEntries(inputs.map(name => [name, form.elements[name].value])),
+                complete: text => this.ai.runPrompt(text),
+                onStep: showStep
+            });
+
+            submit.disabled = false;
+            result = run.output;
+            copyButton.disabled = run.error !== undefined;
+            this.showToast(run.error ? run.error : 'Workflow finished', run.error ? 'error' : 'success');
+        });
+
+        document.body.appendChild(modal);
+    }
+
+    async deleteWorkflow(id) {
+        const workflow = this.state.workflows.find(w => w.id === id);
+        if (!workflow || !confirm(`Delete workflow "${workflow.name}"? Its prompts are not affected.`)) return;
+
+        await this.db.deleteWorkflow(id);
+        this.state.workflows = await this.db.getWorkflows();
+        this.markAsChanged();
+        this.render();
+        this.showToast(`Workflow "${workflow.name}" deleted`, 'success');
+    }
+
+    // Sets up an A/B comparison, or opens a saved one. `preset` fills in the
+    // sides, e.g. a revision against the current text.
+    showComparisonModal(id = null, preset = {}) {
+        const existing = id && (this.db.data.comparisons || []).find(c => c.id === id);
+        if (id && !existing) return;
+
+        const prompts = this.state.prompts;
+        let draft = {
+            name: '',
+            a: preset.a || { promptId: prompts[0]?.id || '', version: null },
+            b: preset.b || { promptId: (prompts[1] || prompts[0])?.id || '', version: null },
+            inputs: [{}],
+            judge: false
+        };
+
+        const modal = document.createElement('div');
+        modal.className = 'modal-overlay';
+
+        const sideHTML = (key) => {
+            const side = draft[key];
+            const prompt = prompts.find(p => p.id === side.promptId);
+            // The newest revision is the current text
+            const revisions = (prompt?.revisions || []).slice(0, -1).reverse();
+            return `
+                <div class="comparison-side" data-side="${key}">
+                    <label>${key.toUpperCase()}</label>
+                    <select name="promptId" aria-label="Prompt ${key.toUpperCase()}">
+                        ${prompts.map(p => `
+                            <option value="${this.escapeHtml(p.id)}" ${p.id === side.promptId ? 'selected' : ''}>${this.escapeHtml(this.truncateText(p.text, 70))}</option>
+                        `).join('')}
+                    </select>
+                    <select name="version" aria-label="Revision of ${key.toUpperCase()}">
+                        <option value="">Current</option>
+                        ${revisions.map(revision => `
+                            <option value="${revision.version}" ${revision.version === side.version ? 'selected' : ''}>v${revision.version} · ${this.getRelativeTime(revision.createdAt)}</option>
+                        `).join('')}
+                    </select>
+                </div>
+            `;
+        };
+
+        const renderSetup = () => {
+            const fields = Comparison.fields(draft, prompts);
+            const tests = [draft.a, draft.b]
+                .flatMap(side => prompts.find(p => p.id === side.promptId)?.tests || []);
+            modal.innerHTML = `
+                <div class="modal workflow-modal comparison-modal">
+                    <h2>⚖️ New A/B Comparison</h2>
+                    ${this.ai.isConfigured('run') ? '' : `
+                        <p class="workflow-error">Add an AI provider in Settings to run comparisons.</p>
+                    `}
+                    <form>
+                        <div class="form-group">
+                            <label>Name (optional)</label>
+                            <input type="text" name="name" value="${this.escapeHtml(draft.name)}" maxlength="100">
+                        </div>
+                        <div class="comparison-sides">${sideHTML('a')}${sideHTML('b')}</div>
+                        <div class="form-group">
+                            <label>Inputs</label>
+                            <small>Both sides run on every input. Empty variables use their defaults.</small>
+                            ${draft.inputs.map((input, index) => `
+                                <div class="workflow-step comparison-input" data-input="${index}">
+                                    <div class="workflow-step-header">
+                                        <strong>${index + 1}.</strong>
+                                        <button type="button" class="btn-secondary" data-compare-action="remove-input" ${draft.inputs.length === 1 ? 'disabled' : ''} title="Remove input">✕</button>
+                                    </div>
+                                    ${fields.length === 0 ? '<small>Neither prompt has variables; this input runs them as they are.</small>' : ''}
+                                    ${fields.map(field => `
+                                        <div class="workflow-binding">
+                                            <code>{{${this.escapeHtml(field.name)}}}</code>
+                                            <input type="text" data-variable="${this.escapeHtml(field.name)}" value="${this.escapeHtml(input[field.name] || '')}"
+                                                   placeholder="${this.escapeHtml(field.default !== undefined ? `Default: ${field.default}` : '')}">
+                                        </div>
+                                    `).join('')}
+                                </div>
+                            `).join('')}
+                            <div class="workflow-card-actions">
+                                <button type="button" class="btn-secondary" data-compare-action="add-input" ${draft.inputs.length >= Comparison.MAX_INPUTS ? 'disabled' : ''}>+ Add Input</button>
+                                ${tests.length > 0 ? `<button type="button" class="btn-secondary" data-compare-action="use-tests">✅ Use Test Cases</button>` : ''}
+                            </div>
+                        </div>
+                        <label class="checkbox-label">
+                            <input type="checkbox" name="judge" ${draft.judge ? 'checked' : ''}> 🤖 Let the model pick the winners
+                        </label>
+                        <p class="workflow-error" role="alert"></p>
+                        <div class="modal-actions">
+                            <button type="button" class="btn-secondary" data-compare-action="close">Cancel</button>
+                            <button type="submit" class="btn-primary">▶️ Run</button>
+                        </div>
+                    </form>
+                </div>
+            `;
+        };
+
+        const readDraft = () => {
+            const form = modal.querySelector('form');
+            const side = key => {
+                const row = modal.querySelector(`[data-side="${key}"]`);
+                const version = row.querySelector('[name="version"]').value;
+                return { promptId: row.querySelector('[name="promptId"]').value, version: version ? parseInt(version) : null };
+            };
+            draft = {
+                name: form.elements.name.value,
+                a: side('a'),
+                b: side('b'),
+                inputs: [...modal.querySelectorAll('[data-input]')].map(row => Object.fromEntries(
+                    [...row.querySelectorAll('[data-variable]')].map(input => [input.dataset.variable, input.value]))),
+                judge: form.elements.judge.checked
+            };
+        };
+
+        // Outputs side by side with the verdict for each input. Inputs still
+        // running show as pending.
+        const renderResults = (comparison, pending = 0) => {
+            const summary = Comparison.summary(comparison);
+            const undecided = comparison.results.some(result => result.winner === null && result.a.output !== null && result.b.output !== null);
+            const outcomeHTML = (result, key) => `
+                <div class="comparison-output ${result.winner === key ? 'winner' : ''} ${result[key].error ? 'failed' : ''}">
+                    <pre>${this.escapeHtml(result[key].error || result[key].output || '')}</pre>
+                </div>
+            `;
+            const verdictButton = (result, winner, label) => `
+                <button type="button" class="btn-secondary ${result.winner === winner ? 'active' : ''}" data-compare-action="pick" data-winner="${winner}" ${pending > 0 ? 'disabled' : ''}>${label}</button>
+            `;
+
+            modal.innerHTML = `
+                <div class="modal workflow-modal comparison-modal comparison-results">
+                    <h2>⚖️ ${this.escapeHtml(comparison.name || 'A/B Comparison')}</h2>
+                    <div class="comparison-summary">
+                        <span>A wins <strong>${summary.a}</strong></span>
+                        <span>Ties <strong>${summary.tie}</strong></span>
+                        <span>B wins <strong>${summary.b}</strong></span>
+                        ${summary.undecided > 0 ? `<span>Undecided <strong>${summary.undecided}</strong></span>` : ''}
+                        ${pending > 0 ? `<span class="test-progress">Running… ${comparison.results.length + 1}/${comparison.results.length + pending}</span>` : ''}
+                    </div>
+                    <div class="comparison-outputs comparison-headers">
+                        <div><strong>A</strong> ${this.escapeHtml(this.getComparisonSideLabel(comparison.a))}</div>
+                        <div><strong>B</strong> ${this.escapeHtml(this.getComparisonSideLabel(comparison.b))}</div>
+                    </div>
+                    ${comparison.results.map((result, index) => `
+                        <div class="comparison-result" data-result="${index}">
+                            ${Object.keys(result.variables).length > 0 ? `
+                                <div class="comparison-variables">
+                                    ${Object.entries(result.variables).map(([name, value]) => `<code>${this.escapeHtml(name)}</code> ${this.escapeHtml(this.truncateText(value, 60))}`).join(' · ')}
+                                </div>
+                            ` : ''}
+                            <div class="comparison-outputs">${outcomeHTML(result, 'a')}${outcomeHTML(result, 'b')}</div>
+                            <div class="comparison-verdict">
+                                ${verdictButton(result, 'a', '👈 A is better')}
+                                ${verdictButton(result, 'tie', '🤝 Tie')}
+                                ${verdictButton(result, 'b', 'B is better 👉')}
+                                ${result.reason ? `<small>${result.judgedBy === 'model' ? '🤖 ' : ''}${this.escapeHtml(result.reason)}</small>` : ''}
+                            </div>
+                        </div>
+                    `).join('')}
+                    <div class="modal-actions">
+                        <button type="button" class="btn-secondary" data-compare-action="close">Close</button>
+                        <button type="button" class="btn-primary" data-compare-action="judge" ${pending > 0 || !undecided || !this.ai.isConfigured('run') ? 'disabled' : ''}>🤖 Judge Undecided</button>
+                    </div>
+                </div>
+            `;
+        };
+
+        let comparison = existing || null;
+        const complete = (text, options) => this.ai.runPrompt(text, options);
+
+        const judgeUndecided = async () => {
+            const results = comparison.results;
+            let failed = 0;
+            for (const [index, result] of results.entries()) {
+                if (result.winner !== null || result.a.output === null || result.b.output === null) continue;
+                try {
+                    const verdict = await Comparison.judge(result, complete);
+                    if (verdict.winner) {
+                        await this.db.setComparisonVerdict(comparison.id, index, verdict);
+                    } else {
+                        failed++;
+                    }
+                } catch (error) {
+                    failed++;
+                }
+                renderResults(comparison);
+            }
+            this.renderMainContent();
+            if (failed > 0) this.showToast(`The model could not judge ${failed} input${failed === 1 ? '' : 's'}`, 'warning');
+        };
+
+        modal.addEventListener('click', async (e) => {
+            const action = e.target.dataset.compareAction;
+            if (!action) return;
+            if (action === 'close') {
+                modal.remove();
+                return;
+            }
+
+            if (comparison) {
+                if (action === 'pick') {
+                    const index = parseInt(e.target.closest('[data-result]').dataset.result);
+                    const winner = e.target.dataset.winner;
+                    // Picking the same winner again clears the verdict
+                    const verdict = comparison.results[index].winner === winner ? { winner: null } : { winner, judgedBy: 'user' };
+                    await this.db.setComparisonVerdict(comparison.id, index, verdict);
+                    renderResults(comparison);
+                    this.renderMainContent();
+                } else if (action === 'judge') {
+                    e.target.disabled = true;
+                    await judgeUndecided();
+                }
+                return;
+            }
+
+            readDraft();
+            switch (action) {
+                case 'add-input':
+                    draft.inputs.push({});
+                    break;
+                case 'remove-input':
+                    draft.inputs.splice(parseInt(e.target.closest('[data-input]').dataset.input), 1);
+                    break;
+                case 'use-tests':
+                    draft.inputs = [draft.a, draft.b]
+                        .flatMap(side => prompts.find(p => p.id === side.promptId)?.tests || [])
+                        .map(test => ({ ...test.variables }))
+                        .slice(0, Comparison.MAX_INPUTS);
+                    break;
+            }
+            renderSetup();
+        });
+
+        // Another prompt or revision may ask for other variables
+        modal.addEventListener('change', (e) => {
+            if (comparison || !e.target.closest('[data-side]')) return;
+            readDraft();
+            renderSetup();
+        });
+
+        modal.addEventListener('submit', async (e) => {
+            e.preventDefault();
+            readDraft();
+            const error = modal.querySelector('.workflow-error[role="alert"]');
+
+            const inputs = draft.inputs.map(input => Object.fromEntries(Object.entries(input).filter(([, value]) => value !== '')));
+            const { comparison: fields, error: message } = Comparison.check({ ...draft, inputs });
+            if (message) {
+                error.textContent = message;
+                return;
+            }
+            if (!this.ai.isConfigured('run')) {
+                error.textContent = 'Add an AI provider in Settings to run comparisons.';
+                return;
+            }
 
-    async handleEditFormSubmit(form) {
-        const formData = new FormData(form);
-        const updates = {
-            text: formData.get('text'),
-            category: formData.get('category'),
-            folder: formData.get('folder'),
-            notes: formData.get('notes') || ''
-        };
+            const progress = { ...fields, results: [] };
+            renderResults(progress, fields.inputs.length);
+            const run = await Comparison.run(fields, prompts, {
+                complete,
+                judge: draft.judge,
+                model: this.ai.model,
+                onResult: (index, result) => {
+                    progress.results.push(result);
+                    renderResults(progress, fields.inputs.length - index - 1);
+                }
+            });
 
-        const tagInput = form.querySelector('#tag-input');
-        const existingTags = Array.from(form.querySelectorAll('.tag-item')).map(item => 
-            item.textContent.replace('×', '').trim()
-        );
-        
-        if (tagInput && tagInput.value.trim()) {
-            const newTags = tagInput.value.split(',').map(tag => tag.trim().toLowerCase()).filter(tag => tag);
-            updates.tags = [...existingTags, ...newTags];
+            comparison = await this.db.addComparison(run);
+            renderResults(comparison);
+            this.renderMainContent();
+            const failed = run.results.filter(result => result.a.error || result.b.error).length;
+            this.showToast(failed > 0 ? `${failed} input${failed === 1 ? '' : 's'} could not be run` : 'Comparison finished',
+                failed > 0 ? 'warning' : 'success');
+        });
+
+        if (comparison) {
+            renderResults(comparison);
         } else {
-            updates.tags = existingTags;
+            renderSetup();
         }
+        document.body.appendChild(modal);
+    }
 
-        try {
-            await this.db.updatePrompt(this.state.editingPromptId, updates);
-            const promptIndex = this.state.prompts.findIndex(p => p.id === this.state.editingPromptId);
-            if (promptIndex !== -1) {
-                this.state.prompts[promptIndex] = { ...this.state.prompts[promptIndex], ...updates };
-            }
-            
-            this.state.allTags = await this.db.getAllTags();
-            this.state.editingPromptId = null;
-            this.markAsChanged();
-            this.render();
-            this.showToast('Prompt updated successfully', 'success');
-        } catch (error) {
-            console.error('Failed to update prompt:', error);
-            this.showToast('Failed to update prompt', 'error');
-        }
+    async deleteComparison(id) {
+        if (!confirm('Delete this comparison? The prompts\' win rates will no longer count it.')) return;
+
+        await this.db.deleteComparison(id);
+        this.renderMainContent();
+        this.showToast('Comparison deleted', 'success');
     }
 
     async handleNewFolderSubmit(form) {
-        const folderName = form.querySelector('input').value.trim();
+        const folderName = FolderTree.normalize(form.querySelector('input').value);
         if (!folderName) return;
 
         if (await this.db.addFolder(folderName)) {
-            this.state.customFolders.push(folderName);
+            this.state.customFolders = [...this.db.data.customFolders];
+            FolderTree.ancestors(folderName).forEach(folder => this.setSidebarSectionState(`folder:${folder}`, true));
             this.markAsChanged();
             this.render();
             this.showToast(`Folder "${folderName}" created`, 'success');
@@ -2134,10 +4722,13 @@ class NLPPromptDatabase {
             { action: 'export', text: 'Export Data', icon: '💾', shortcut: '⌘S', category: 'Quick Actions' },
             { action: 'backup', text: 'Create Backup', icon: '🔒', shortcut: '', category: 'Quick Actions' },
             { action: 'import', text: 'Import Data', icon: '📁', shortcut: '', category: 'Quick Actions' },
+            { action: 'save-smart-folder', text: 'Save Search as Smart Folder', icon: '🔎', shortcut: '', category: 'Quick Actions' },
+            { action: 'new-workflow', text: 'New Workflow', icon: '🔗', shortcut: '', category: 'Quick Actions' },
             { action: 'view-prompts', text: 'View Prompts', icon: '📝', shortcut: '⌘1', category: 'Navigation' },
             { action: 'view-categories', text: 'View Categories', icon: '🏷️', shortcut: '⌘2', category: 'Navigation' },
             { action: 'view-analytics', text: 'View Analytics', icon: '📊', shortcut: '⌘4', category: 'Navigation' },
             { action: 'view-settings', text: 'View Settings', icon: '⚙️', shortcut: '⌘5', category: 'Navigation' },
+            { action: 'view-tags', text: 'Manage Tags', icon: '🔖', shortcut: '', category: 'Navigation' },
             { action: 'search-focus', text: 'Focus Search', icon: '🔍', shortcut: '⌘F', category: 'Navigation' },
             { action: 'bulk-mode', text: 'Toggle Bulk Mode', icon: '☑️', shortcut: '⌘B', category: 'Selection' },
             { action: 'select-all', text: 'Select All', icon: '✅', shortcut: '⌘A', category: 'Selection' },
@@ -2274,6 +4865,12 @@ class NLPPromptDatabase {
             case 'import':
                 this.triggerImport();
                 break;
+            case 'save-smart-folder':
+                this.showSmartFolderModal();
+                break;
+            case 'new-workflow':
+                this.showWorkflowModal();
+                break;
             case 'view-prompts':
                 this.switchView('prompts');
                 break;
@@ -2286,6 +4883,9 @@ class NLPPromptDatabase {
             case 'view-settings':
                 this.switchView('settings');
                 break;
+            case 'view-tags':
+                this.switchView('tags');
+                break;
             case 'search-focus':
                 document.getElementById('search-input')?.focus();
                 break;
@@ -2485,7 +5085,7 @@ class NLPPromptDatabase {
     }
 
     async generateDataSummary(analytics) {
-        if (!this.state.settings.openaiApiKey) {
+        if (!this.ai.isConfigured('generate')) {
             return this.generateFallbackSummary(analytics);
         }
 
@@ -2503,6 +5103,7 @@ Provide 3-4 key insights about usage patterns, popular categories, and recommend
             return summary || this.generateFallbackSummary(analytics);
         } catch (error) {
             console.warn('AI summary failed, using fallback:', error);
+            this.showToast(`AI insights failed, so the summary only covers your stats: ${error.message}`, 'warning', 6000);
             return this.generateFallbackSummary(analytics);
         }
     }
@@ -2537,6 +5138,7 @@ Provide 3-4 key insights about usage patterns, popular categories, and recommend
         this.setLoading(true);
         try {
             const enhanced = await this.ai.enhancePrompt(prompt.text);
+            this.pendingEnhancement = enhanced;
             
             const modal = document.createElement('div');
             modal.className = 'modal-overlay';
@@ -2546,27 +5148,18 @@ Provide 3-4 key insights about usage patterns, popular categories, and recommend
                     <div class="enhancement-content">
                         <div class="original-prompt">
                             <h3>Original:</h3>
-                            <div class="prompt-text">${prompt.text}</div>
+                            <div class="prompt-text">${this.escapeHtml(prompt.text)}</div>
                         </div>
                         
                         <div class="enhanced-prompt">
                             <h3>Enhanced:</h3>
-                            <div class="prompt-text">${enhanced.enhanced}</div>
+                            <div class="prompt-text">${this.escapeHtml(enhanced)}</div>
                         </div>
-                        
-                        ${enhanced.suggestions.length > 0 ? `
-                            <div class="suggestions">
-                                <h3>💡 Suggestions:</h3>
-                                <ul>
-                                    ${enhanced.suggestions.map(s => `<li>${s}</li>`).join('')}
-                                </ul>
-                            </div>
-                        ` : ''}
                     </div>
                     
                     <div class="modal-actions">
                         <button class="btn-secondary" onclick="this.closest('.modal-overlay').remove()">Cancel</button>
-                        <button class="btn-primary" onclick="app.applyEnhancement('${id}', '${enhanced.enhanced.replace(/'/g, "\\'")}')">Apply Enhancement</button>
+                        <button class="btn-primary" onclick="app.applyEnhancement('${id}', app.pendingEnhancement)">Apply Enhancement</button>
                     </div>
                 </div>
             `;
@@ -2574,7 +5167,7 @@ Provide 3-4 key insights about usage patterns, popular categories, and recommend
             document.body.appendChild(modal);
         } catch (error) {
             console.error('Enhancement failed:', error);
-            this.showToast('Enhancement failed', 'error');
+            this.showToast(`Enhancement failed: ${error.message}`, 'error');
         } finally {
             this.setLoading(false);
         }
@@ -2582,7 +5175,7 @@ Provide 3-4 key insights about usage patterns, popular categories, and recommend
     
     async applyEnhancement(id, enhancedText) {
         try {
-            await this.db.updatePrompt(id, { text: enhancedText });
+            await this.db.updatePrompt(id, { text: enhancedText }, { source: 'ai-enhance' });
             const prompt = this.state.prompts.find(p => p.id === id);
             if (prompt) {
                 prompt.text = enhancedText;
@@ -2641,17 +5234,15 @@ Provide 3-4 key insights about usage patterns, popular categories, and recommend
         }
     }
 
-    async testApiConnection() {
-        if (!this.state.settings.openaiApiKey) {
-            this.showToast('Please enter an API key first', 'warning');
-            return;
-        }
-
+    // Tests one provider and keeps its models for the task model fields
+    async testProvider(id) {
         this.setLoading(true);
         try {
-            const result = await this.ai.testConnection();
+            const result = await this.ai.testConnection(id);
             if (result.success) {
-                this.showToast(result.message, 'success');
+                this.providerModels[id] = result.models;
+                this.showToast(`${result.message} (${result.models.length} models)`, 'success');
+                this.render();
             } else {
                 this.showToast(result.error, 'error');
             }
@@ -2662,81 +5253,176 @@ Provide 3-4 key insights about usage patterns, popular categories, and recommend
         }
     }
 
+    // Adds a provider from the Settings view; its id comes from the name
+    async handleProviderSubmit(form) {
+        const type = form.elements.type.value;
+        const name = form.elements.name.value.trim();
+        const slug = (name || type).toLowerCase().replace(/[^a-z0-9]+/g, '-').replace(/^-+|-+$/g, '').slice(0, 32) || 'provider';
+        let id = slug;
+        for (let n = 2; this.ai.providers.some(provider => provider.id === id); n++) {
+            id = `${slug}-${n}`;
+        }
+
+        const { provider, error } = LLMProviders.check({
+            id,
+            type,
+            name,
+            baseURL: form.elements.baseURL.value,
+            model: form.elements.model.value
+        });
+        if (error) {
+            this.showToast(error, 'warning');
+            return;
+        }
+
+        await this.saveProviderSettings({ providers: [...(this.state.settings.providers || []), provider] });
+        const apiKey = form.elements.apiKey.value.trim();
+        if (apiKey) {
+            await this.saveProviderKey(provider.id, apiKey);
+        }
+        this.showToast(`${provider.name} added`, 'success');
+    }
+
+    // Keys go straight to the server's secret store and are not kept in the
+    // browser. Saving one for a provider that has a key rotates it.
+    async saveProviderKey(id, apiKey) {
+        try {
+            await this.ai.saveKey(id, apiKey.trim());
+            this.showToast('API key saved on the server', 'success');
+            this.render();
+        } catch (error) {
+            this.showToast(error.message, 'error');
+        }
+    }
+
+    async revokeProviderKey(id) {
+        const provider = this.ai.providers.find(other => other.id === id);
+        if (!provider || !confirm(`Revoke the key for ${provider.name}? It is deleted from the server.`)) return;
+
+        try {
+            await this.ai.revokeKey(id);
+            this.showToast('API key revoked', 'success');
+            this.render();
+        } catch (error) {
+            this.showToast(error.message, 'error');
+        }
+    }
+
+    // Tasks that used the provider go back to the default one, and its key
+    // is revoked
+    async removeProvider(id) {
+        if (this.ai.providers.find(provider => provider.id === id)?.keySource === 'secrets') {
+            await this.ai.revokeKey(id);
+        }
+        const llm = this.state.settings.llm || {};
+        const tasks = Object.fromEntries(Object.entries(llm.tasks || {}).filter(([, choice]) => choice.provider !== id));
+        await this.saveProviderSettings({
+            providers: (this.state.settings.providers || []).filter(provider => provider.id !== id),
+            llm: LLMProviders.checkRouting({ provider: llm.provider === id ? '' : llm.provider, tasks }).llm
+        });
+        this.showToast('Provider removed', 'success');
+    }
+
+    updateTaskModels() {
+        const tasks = {};
+        document.querySelectorAll('.task-model[data-task]').forEach(row => {
+            tasks[row.dataset.task] = {
+                provider: row.querySelector('[name="provider"]').value,
+                model: row.querySelector('[name="model"]').value
+            };
+        });
+        const { llm } = LLMProviders.checkRouting({ provider: document.getElementById('llm-default-provider').value, tasks });
+        this.saveProviderSettings({ llm });
+    }
+
+    async saveProviderSettings(changes) {
+        Object.assign(this.state.settings, changes);
+        await this.db.updateSettings(this.state.settings);
+        await this.db.save(true);
+        await this.ai.refresh();
+        this.render();
+    }
+
     async clearAllData() {
-        if (confirm('Are you sure you want to clear all data? This cannot be undone.')) {
-            try {
-                localStorage.removeItem('nlp_prompts_database');
-                this.state.prompts = [];
-                this.state.customFolders = [];
-                this.state.allTags = [];
-                this.updateFilteredPrompts();
-                this.markAsChanged();
-                this.render();
-                this.showToast('All data cleared', 'success');
-            } catch (error) {
-                this.showToast('Failed to clear data', 'error');
+        try {
+            const ids = this.state.prompts.map(p => p.id);
+            const deleted = await this.db.deletePrompts(ids);
+            // Deleting the top-level folders takes their subfolders with them
+            for (const folder of this.db.data.customFolders.filter(f => FolderTree.parent(f) === null)) {
+                await this.db.deleteFolder(folder);
             }
+            this.state.prompts = this.db.data.prompts;
+            this.state.customFolders = [...this.db.data.customFolders];
+            this.state.allTags = [];
+            this.state.selectedIds.clear();
+            this.updateFilteredPrompts();
+            this.markAsChanged();
+            this.render();
+            this.showToast(`Moved ${deleted.length} prompts to trash`, 'success');
+        } catch (error) {
+            this.showToast('Failed to clear data', 'error');
         }
     }
 
     async deletePrompt(id) {
-        if (confirm('Are you sure you want to delete this prompt?')) {
+        try {
+            await this.db.deletePrompt(id);
+            this.state.prompts = this.db.data.prompts;
+            this.state.allTags = await this.db.getAllTags();
+            this.state.editingPromptId = null;
+            this.state.selectedIds.delete(id);
+            this.updateFilteredPrompts();
+            this.markAsChanged();
+            this.render();
+            this.showToast('Prompt moved to trash', 'success');
+        } catch (error) {
+            console.error('Failed to delete prompt:', error);
+            this.showToast('Failed to delete prompt', 'error');
+        }
+    }
+
+    async restoreFromTrash(ids) {
+        try {
+            const restored = await this.db.restoreFromTrash(ids);
+            this.state.prompts = this.db.data.prompts;
+            this.state.allTags = await this.db.getAllTags();
+            this.updateFilteredPrompts();
+            this.markAsChanged();
+            this.render();
+            this.showToast(`Restored ${restored.length} ${restored.length === 1 ? 'prompt' : 'prompts'}`, 'success');
+        } catch (error) {
+            console.error('Failed to restore prompts:', error);
+            this.showToast('Failed to restore prompts', 'error');
+        }
+    }
+
+    async purgeFromTrash(id) {
+        if (confirm('Permanently delete this prompt? This cannot be undone.')) {
             try {
-                await this.db.deletePrompt(id);
-                this.state.prompts = this.state.prompts.filter(p => p.id !== id);
-                this.state.allTags = await this.db.getAllTags();
-                this.state.editingPromptId = null;
-                this.state.selectedIds.delete(id);
-                this.updateFilteredPrompts();
+                await this.db.purgeFromTrash([id]);
                 this.markAsChanged();
                 this.render();
-                this.showToast('Prompt deleted', 'success');
+                this.showToast('Prompt permanently deleted', 'success');
             } catch (error) {
-                console.error('Failed to delete prompt:', error);
+                console.error('Failed to purge prompt:', error);
                 this.showToast('Failed to delete prompt', 'error');
             }
         }
     }
-    
-    // Advanced search with operators
-    advancedSearch(prompt, searchTerm) {
-        if (!searchTerm) return true;
-        
-        const term = searchTerm.toLowerCase();
-        
-        // Check for advanced operators
-        if (term.includes('tag:')) {
-            const tagMatch = term.match(/tag:(\w+)/);
-            if (tagMatch) {
-                return prompt.tags.some(tag => tag.toLowerCase().includes(tagMatch[1]));
-            }
-        }
-        
-        if (term.includes('rating:')) {
-            const ratingMatch = term.match(/rating:(\d)/);
-            if (ratingMatch) {
-                return prompt.rating >= parseInt(ratingMatch[1]);
-            }
-        }
-        
-        if (term.includes('folder:')) {
-            const folderMatch = term.match(/folder:(\w+)/);
-            if (folderMatch) {
-                return prompt.folder.toLowerCase().includes(folderMatch[1]);
-            }
-        }
-        
-        if (term.includes('category:')) {
-            const categoryMatch = term.match(/category:(\w+)/);
-            if (categoryMatch) {
-                return prompt.category.toLowerCase().includes(categoryMatch[1]);
+
+    async emptyTrash() {
+        const count = (this.db.data.trash || []).length;
+        if (confirm(`Permanently delete ${count} prompts in the trash? This cannot be undone.`)) {
+            try {
+                await this.db.emptyTrash();
+                this.markAsChanged();
+                this.render();
+                this.showToast('Trash emptied', 'success');
+            } catch (error) {
+                console.error('Failed to empty trash:', error);
+                this.showToast('Failed to empty trash', 'error');
             }
         }
-        
-        // Default text search
-        return prompt.text.toLowerCase().includes(term) ||
-               prompt.notes.toLowerCase().includes(term) ||
-               prompt.tags.some(tag => tag.toLowerCase().includes(term));
     }
     
     // Bulk operations
@@ -2786,23 +5472,21 @@ Provide 3-4 key insights about usage patterns, popular categories, and recommend
     async deleteSelectedPrompts() {
         if (this.state.selectedIds.size === 0) return;
         
-        if (confirm(`Delete ${this.state.selectedIds.size} selected prompts? This cannot be undone.`)) {
-            try {
-                const idsToDelete = Array.from(this.state.selectedIds);
-                await this.db.deletePrompts(idsToDelete);
-                
-                this.state.prompts = this.state.prompts.filter(p => !this.state.selectedIds.has(p.id));
-                this.state.selectedIds.clear();
-                this.state.allTags = await this.db.getAllTags();
-                this.updateFilteredPrompts();
-                this.markAsChanged();
-                this.render();
-                
-                this.showToast(`Deleted ${idsToDelete.length} prompts`, 'success');
-            } catch (error) {
-                console.error('Failed to delete prompts:', error);
-                this.showToast('Failed to delete prompts', 'error');
-            }
+        try {
+            const idsToDelete = Array.from(this.state.selectedIds);
+            await this.db.deletePrompts(idsToDelete);
+            
+            this.state.prompts = this.db.data.prompts;
+            this.state.selectedIds.clear();
+            this.state.allTags = await this.db.getAllTags();
+            this.updateFilteredPrompts();
+            this.markAsChanged();
+            this.render();
+            
+            this.showToast(`Moved ${idsToDelete.length} prompts to trash`, 'success');
+        } catch (error) {
+            console.error('Failed to delete prompts:', error);
+            this.showToast('Failed to delete prompts', 'error');
         }
     }
     
@@ -2878,7 +5562,7 @@ Provide 3-4 key insights about usage patterns, popular categories, and recommend
     }
     
     searchByTag(tag) {
-        this.state.searchTerm = `tag:${tag}`;
+        this.state.searchTerm = `tag:${SearchQuery.quote(tag)}`;
         this.updateFilteredPrompts();
         this.render();
     }
@@ -3070,7 +5754,7 @@ Provide 3-4 key insights about usage patterns, popular categories, and recommend
         
         try {
             for (const id of selectedIds) {
-                await this.db.updatePrompt(id, { folder });
+                await this.db.updatePrompt(id, { folder }, { source: 'bulk' });
                 const prompt = this.state.prompts.find(p => p.id === id);
                 if (prompt) {
                     prompt.folder = folder;
@@ -3096,7 +5780,7 @@ Provide 3-4 key insights about usage patterns, popular categories, and recommend
         
         try {
             for (const id of selectedIds) {
-                await this.db.updatePrompt(id, { category });
+                await this.db.updatePrompt(id, { category }, { source: 'bulk' });
                 const prompt = this.state.prompts.find(p => p.id === id);
                 if (prompt) {
                     prompt.category = category;
@@ -3214,99 +5898,123 @@ Provide 3-4 key insights about usage patterns, popular categories, and recommend
     }
 
     // AI Assistant Methods
-    async runBatchCategorization() {
-        if (!this.state.settings.openaiApiKey) {
-            this.showToast('OpenAI API key required for batch categorization', 'error');
+    runBatchCategorization() {
+        return this.startJob('categorize', 'categorize', 'categorization');
+    }
+
+    runBatchTagging() {
+        return this.startJob('tag', 'categorize', 'tagging');
+    }
+
+    runBatchEnhancement() {
+        return this.startJob('enhance', 'enhance', 'enhancement');
+    }
+
+    // Batch work runs as a job on the server; its progress shows in the AI
+    // Assistant view and changed prompts come in as it goes
+    async startJob(type, task, label) {
+        if (!this.ai.isConfigured(task)) {
+            this.showToast(`Set up an AI provider in Settings for batch ${label}`, 'error');
             return;
         }
-        
-        this.showLoadingIndicator(true, 'AI is categorizing your prompts...');
-        let processed = 0;
-        const total = this.state.prompts.filter(p => !p.category || p.category === 'General').length;
-        
-        for (const prompt of this.state.prompts) {
-            if (!prompt.category || prompt.category === 'General') {
-                try {
-                    const category = await this.ai.categorizePrompt(prompt.text);
-                    prompt.category = category;
-                    prompt.updatedAt = new Date().toISOString();
-                    processed++;
-                    this.showLoadingIndicator(true, `Categorizing... ${processed}/${total}`);
-                    this.hasUnsavedChanges = true;
-                } catch (error) {
-                    console.error('Failed to categorize prompt:', error);
-                }
+
+        try {
+            // The job works on the server's copy, so unsaved edits go first
+            await this.db.save(true);
+            const job = await this.ai.startJob(type);
+            if (!job) {
+                this.showToast(`No prompts need ${label}`, 'info');
+                return;
             }
+
+            this.jobs = [job, ...this.jobs];
+            this.jobCursors[job.id] = 0;
+            this.showToast(`Batch ${label} started for ${job.total} prompts`, 'success');
+            this.renderJobs();
+            this.watchJobs();
+        } catch (error) {
+            this.showToast(`Could not start batch ${label}: ${error.message}`, 'error');
         }
-        
-        this.showLoadingIndicator(false);
-        this.showToast(`Successfully categorized ${processed} prompts!`, 'success');
-        this.render();
     }
 
-    async runBatchTagging() {
-        if (!this.state.settings.openaiApiKey) {
-            this.showToast('OpenAI API key required for batch tagging', 'error');
-            return;
-        }
-        
-        this.showLoadingIndicator(true, 'AI is generating tags for your prompts...');
-        let processed = 0;
-        const total = this.state.prompts.filter(p => !p.tags || p.tags.length === 0).length;
-        
-        for (const prompt of this.state.prompts) {
-            if (!prompt.tags || prompt.tags.length === 0) {
-                try {
-                    const tags = await this.ai.generateTags(prompt.text);
-                    prompt.tags = tags;
-                    prompt.updatedAt = new Date().toISOString();
-                    processed++;
-                    this.showLoadingIndicator(true, `Generating tags... ${processed}/${total}`);
-                    this.hasUnsavedChanges = true;
-                } catch (error) {
-                    console.error('Failed to generate tags:', error);
-                }
-            }
+    async cancelJob(id) {
+        try {
+            const job = await this.ai.cancelJob(id);
+            this.jobs = this.jobs.map(other => (other.id === id ? job : other));
+            this.showToast('Job cancelled', 'success');
+            this.renderJobs();
+        } catch (error) {
+            this.showToast(error.message, 'error');
         }
-        
-        this.showLoadingIndicator(false);
-        this.showToast(`Successfully tagged ${processed} prompts!`, 'success');
-        this.render();
     }
 
-    async runBatchEnhancement() {
-        if (!this.state.settings.openaiApiKey) {
-            this.showToast('OpenAI API key required for batch enhancement', 'error');
-            return;
+    // Picks up jobs still running from an earlier visit. The prompts they
+    // changed so far came with the data.
+    async loadJobs() {
+        try {
+            this.jobs = await this.ai.jobs();
+            this.jobs.forEach(job => {
+                this.jobCursors[job.id] = job.succeeded + job.skipped + job.failed;
+            });
+            this.watchJobs();
+        } catch (error) {
+            console.warn('Could not load background jobs:', error);
         }
-        
-        this.showLoadingIndicator(true, 'AI is enhancing your prompts...');
-        let processed = 0;
-        const total = this.state.prompts.filter(p => p.rating < 4).length;
-        
-        for (const prompt of this.state.prompts) {
-            if (prompt.rating < 4) {
-                try {
-                    const enhanced = await this.ai.enhancePrompt(prompt.text);
-                    prompt.notes = `Enhanced version: ${enhanced}`;
-                    prompt.updatedAt = new Date().toISOString();
-                    processed++;
-                    this.showLoadingIndicator(true, `Enhancing... ${processed}/${total}`);
-                    this.hasUnsavedChanges = true;
-                } catch (error) {
-                    console.error('Failed to enhance prompt:', error);
-                }
+    }
+
+    // Polls once a second while a job is queued or running
+    watchJobs() {
+        const active = this.jobs.some(job => job.status === 'queued' || job.status === 'running');
+        if (this.jobTimer || !active) return;
+
+        this.jobTimer = setTimeout(async () => {
+            await this.pollJobs();
+            this.jobTimer = null;
+            this.watchJobs();
+        }, 1000);
+    }
+
+    async pollJobs() {
+        let adopted = 0;
+        const finished = [];
+
+        for (const job of this.jobs.filter(other => other.status === 'queued' || other.status === 'running')) {
+            try {
+                const { job: latest, done, prompts } = await this.ai.job(job.id, this.jobCursors[job.id] || 0);
+                this.jobCursors[job.id] = (this.jobCursors[job.id] || 0) + done;
+                adopted += this.db.adoptServerPrompts(prompts);
+                Object.assign(job, latest);
+                if (latest.status !== 'queued' && latest.status !== 'running') finished.push(latest);
+            } catch (error) {
+                console.warn('Could not check job progress:', error);
             }
         }
-        
-        this.showLoadingIndicator(false);
-        this.showToast(`Successfully enhanced ${processed} prompts!`, 'success');
-        this.render();
+
+        if (adopted > 0) {
+            this.state.allTags = await this.db.getAllTags();
+            this.updateFilteredPrompts();
+        }
+        finished.filter(job => job.status === 'completed').forEach(job => {
+            this.showToast(`Batch job finished: ${job.succeeded} updated, ${job.skipped} skipped, ${job.failed} failed`,
+                job.failed > 0 ? 'warning' : 'success');
+        });
+
+        // The AI Assistant view has forms that a full render would clear
+        if (this.state.activeView === 'ai-assistant') {
+            this.renderJobs();
+        } else if (adopted > 0) {
+            this.renderMainContent();
+        }
+    }
+
+    renderJobs() {
+        const card = document.querySelector('.jobs-card');
+        if (card) card.outerHTML = this.getJobsCardHTML();
     }
 
     async generateCollectionSummary() {
-        if (!this.state.settings.openaiApiKey) {
-            this.showToast('OpenAI API key required for collection summary', 'error');
+        if (!this.ai.isConfigured('generate')) {
+            this.showToast('Set up an AI provider in Settings for collection summary', 'error');
             return;
         }
         
@@ -3339,15 +6047,15 @@ Provide 3-4 key insights about usage patterns, popular categories, and recommend
                 </div>
             `;
         } catch (error) {
-            summaryElement.innerHTML = '<p class="error">❌ Failed to generate summary</p>';
+            summaryElement.innerHTML = `<p class="error">❌ Failed to generate summary: ${this.escapeHtml(error.message)}</p>`;
         }
         
         this.showLoadingIndicator(false);
     }
 
     async analyzeEffectiveness() {
-        if (!this.state.settings.openaiApiKey) {
-            this.showToast('OpenAI API key required for effectiveness analysis', 'error');
+        if (!this.ai.isConfigured('generate')) {
+            this.showToast('Set up an AI provider in Settings for effectiveness analysis', 'error');
             return;
         }
         
@@ -3381,7 +6089,7 @@ Provide 3-4 key insights about usage patterns, popular categories, and recommend
                 </div>
             `;
         } catch (error) {
-            analysisElement.innerHTML = '<p class="error">❌ Failed to analyze effectiveness</p>';
+            analysisElement.innerHTML = `<p class="error">❌ Failed to analyze effectiveness: ${this.escapeHtml(error.message)}</p>`;
         }
         
         this.showLoadingIndicator(false);
@@ -3397,8 +6105,8 @@ Provide 3-4 key insights about usage patterns, popular categories, and recommend
             return;
         }
         
-        if (!this.state.settings.openaiApiKey) {
-            this.showToast('OpenAI API key required for prompt generation', 'error');
+        if (!this.ai.isConfigured('generate')) {
+            this.showToast('Set up an AI provider in Settings for prompt generation', 'error');
             return;
         }
         
@@ -3416,7 +6124,7 @@ Provide 3-4 key insights about usage patterns, popular categories, and recommend
             
             this.showToast('Prompt generated successfully!', 'success');
         } catch (error) {
-            this.showToast('Failed to generate prompt', 'error');
+            this.showToast(`Failed to generate prompt: ${error.message}`, 'error');
         }
         
         this.showLoadingIndicator(false);
@@ -3459,8 +6167,8 @@ Provide 3-4 key insights about usage patterns, popular categories, and recommend
     }
 
     async testAIConnection() {
-        if (!this.state.settings.openaiApiKey) {
-            this.showToast('Please set your OpenAI API key first', 'error');
+        if (!this.ai.isConfigured('run')) {
+            this.showToast('Please set up an AI provider first', 'error');
             return;
         }
         
@@ -3468,7 +6176,7 @@ Provide 3-4 key insights about usage patterns, popular categories, and recommend
         
         try {
             const result = await this.ai.testConnection();
-            if (result) {
+            if (result.success) {
                 this.showToast('AI connection successful!', 'success');
                 document.getElementById('ai-status').textContent = '🟢 Connected';
             } else {
@@ -3483,6 +6191,36 @@ Provide 3-4 key insights about usage patterns, popular categories, and recommend
         this.showLoadingIndicator(false);
     }
 
+    // Fills in the AI Assistant view's cache line: repeated requests are
+    // answered from the server's cache instead of the provider
+    async updateCacheStats() {
+        try {
+            const cache = await this.ai.cacheStats();
+            const element = document.getElementById('ai-cache-stats');
+            if (!element) return;
+            element.textContent = cache.enabled
+                ? `${cache.hits} hits · ${cache.misses} misses (${Math.round(cache.hitRate * 100)}%) · ${cache.entries} cached`
+                : '🔴 Disabled';
+            element.title = Object.entries(cache.tasks)
+                .map(([task, counts]) => `${LLMProviders.TASKS[task] || task}: ${counts.hits} hits, ${counts.misses} misses, ${counts.entries} cached`)
+                .join('\n');
+        } catch (error) {
+            console.warn('Could not load AI cache stats:', error);
+        }
+    }
+
+    async clearAICache() {
+        if (!confirm('Forget every cached AI reply? The next requests go to the provider again.')) return;
+
+        try {
+            const removed = await this.ai.clearCache();
+            this.showToast(`Cleared ${removed} cached repl${removed === 1 ? 'y' : 'ies'}`, 'success');
+            this.updateCacheStats();
+        } catch (error) {
+            this.showToast(error.message, 'error');
+        }
+    }
+
     // Show duplicate detection modal
     showDuplicateModal(skippedPrompts) {
         const modal = document.createElement('div');
@@ -3494,12 +6232,12 @@ Provide 3-4 key insights about usage patterns, popular categories, and recommend
                 <div class="duplicate-list">
                     ${skippedPrompts.map(item => `
                         <div class="duplicate-item">
-                            <div class="duplicate-text">${this.truncateText(item.text, 100)}</div>
+                            <div class="duplicate-text">${this.escapeHtml(this.truncateText(item.text, 100))}</div>
                             <div class="duplicate-matches">
                                 <strong>Similar to:</strong>
                                 ${item.duplicates.map(dup => `
                                     <div class="match-item">
-                                        <span class="match-text">${this.truncateText(dup.text, 80)}</span>
+                                        <span class="match-text">${this.escapeHtml(this.truncateText(dup.text, 80))}</span>
                                         <span class="match-category">${dup.category}</span>
                                     </div>
                                 `).join('')}
@@ -3524,6 +6262,75 @@ Provide 3-4 key insights about usage patterns, popular categories, and recommend
         });
     }
 
+    // Shown when a save is rejected because the same prompts were changed
+    // here and elsewhere. Resolves with { [id]: 'local' | 'remote' }.
+    showConflictModal(conflicts) {
+        return new Promise(resolve => {
+            const describe = (prompt, other) => {
+                if (!prompt) {
+                    return '<div class="conflict-deleted">🗑️ Deleted</div>';
+                }
+                const text = other
+                    ? this.getWordDiffHTML(other.text, prompt.text).after
+                    : this.escapeHtml(prompt.text);
+                return `
+                    <div class="diff-text">${text}</div>
+                    <div class="conflict-meta">
+                        ${this.escapeHtml(prompt.category)} · 📁 ${this.escapeHtml(prompt.folder)}
+                        ${prompt.tags?.length ? ` · ${prompt.tags.map(tag => this.escapeHtml(tag)).join(', ')}` : ''}
+                        · ${prompt.updatedAt ? this.getRelativeTime(prompt.updatedAt) : ''}
+                    </div>
+                `;
+            };
+
+            const modal = document.createElement('div');
+            modal.className = 'modal-overlay';
+            modal.innerHTML = `
+                <div class="modal conflict-modal">
+                    <h2>⚠️ Conflicting Changes</h2>
+                    <p>These prompts were changed in another tab or by someone else while you were editing. Everything else has been merged; choose which version of each to keep.</p>
+                    <div class="conflict-list">
+                        ${conflicts.map((conflict, index) => `
+                            <div class="conflict-item">
+                                <label class="conflict-version">
+                                    <input type="radio" name="conflict-${index}" value="local" checked>
+                                    <span class="conflict-label">Your version</span>
+                                    ${describe(conflict.local, conflict.remote)}
+                                </label>
+                                <label class="conflict-version">
+                                    <input type="radio" name="conflict-${index}" value="remote">
+                                    <span class="conflict-label">Server version</span>
+                                    ${describe(conflict.remote, conflict.local)}
+                                </label>
+                            </div>
+                        `).join('')}
+                    </div>
+                    <div class="modal-actions">
+                        <button class="btn-secondary" data-conflict-choice="remote">Keep All Server Versions</button>
+                        <button class="btn-secondary" data-conflict-choice="local">Keep All Mine</button>
+                        <button class="btn-primary" data-conflict-choice="selected">Apply</button>
+                    </div>
+                </div>
+            `;
+
+            modal.querySelectorAll('[data-conflict-choice]').forEach(button => {
+                button.addEventListener('click', () => {
+                    const choice = button.dataset.conflictChoice;
+                    const choices = {};
+                    conflicts.forEach((conflict, index) => {
+                        choices[conflict.id] = choice === 'selected'
+                            ? modal.querySelector(`input[name="conflict-${index}"]:checked`).value
+                            : choice;
+                    });
+                    modal.remove();
+                    resolve(choices);
+                });
+            });
+
+            document.body.appendChild(modal);
+        });
+    }
+
     // Handle user choosing to override duplicate detection
     async handleDuplicateOverride(skippedPrompts) {
         this.showLoadingIndicator(true, 'Adding prompts...');
@@ -3555,7 +6362,24 @@ Provide 3-4 key insights about usage patterns, popular categories, and recommend
         }
     }
 
+    escapeHtml(text) {
+        return String(text)
+            .replace(/&/g, '&amp;')
+            .replace(/</g, '&lt;')
+            .replace(/>/g, '&gt;')
+            .replace(/"/g, '&quot;');
+    }
+
     // Helper method to truncate text
+    // The part of `text` around the first search match, with matches marked
+    getSnippetHTML(text, length) {
+        const { segments, truncatedStart, truncatedEnd } = this.db.index.snippet(text, this.state.searchWords, length);
+        const body = segments
+            .map(segment => (segment.match ? `<mark>${this.escapeHtml(segment.text)}</mark>` : this.escapeHtml(segment.text)))
+            .join('');
+        return `${truncatedStart ? '…' : ''}${body}${truncatedEnd ? '...' : ''}`;
+    }
+
     truncateText(text, maxLength) {
         if (text.length <= maxLength) {
             return text;
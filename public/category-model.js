@@ -0,0 +1,107 @@
+/**
+ * Category Model
+ * Categories are stored as an ordered list of names in `data.categories`
+ * ("All" first) with their details in `data.categoryDetails`, keyed by name.
+ * Only what the user has changed is stored; the built-in categories fall
+ * back to DEFAULTS. Shared by the browser database, the server routes and
+ * OpenAIIntegration, which builds its categorization prompt from list().
+ */
+
+const CategoryModel = {
+    FIELDS: ['description', 'color', 'icon', 'guidance'],
+    FALLBACK: 'General',
+
+    DEFAULTS: [
+        { name: 'Code', icon: '💻', color: '#FF453A', description: 'Programming, debugging, algorithms, and technical solutions', guidance: 'Programming, debugging, code review, algorithms, technical implementation' },
+        { name: 'Cognitive', icon: '🧠', color: '#30D158', description: 'Problem-solving, decision making, and analytical thinking', guidance: 'Problem-solving, critical thinking, decision making, mental frameworks' },
+        { name: 'Jailbreak', icon: '🔓', color: '#FF9F0A', description: 'Advanced techniques and limitation bypassing strategies', guidance: 'Prompts designed to bypass AI limitations or safety measures' },
+        { name: 'Dev', icon: '🛠️', color: '#007AFF', description: 'Development tools, workflows, and software engineering', guidance: 'Development tools, workflows, project management, technical processes' },
+        { name: 'Writing', icon: '✍️', color: '#AF52DE', description: 'Content creation, editing, and communication', guidance: 'Content creation, editing, storytelling, documentation' },
+        { name: 'Business', icon: '💼', color: '#FF2D92', description: 'Marketing, strategy, operations, and professional tasks', guidance: 'Marketing, strategy, operations, finance, management' },
+        { name: 'General', icon: '📌', color: '#8E8E93', description: 'Everyday questions, basic information, and general topics', guidance: 'Everyday questions, basic information, casual conversation' },
+        { name: 'Creative', icon: '🎨', color: '#FF9500', description: 'Art, design, brainstorming, and creative thinking', guidance: 'Art, design, creative writing, brainstorming, imagination' },
+        { name: 'Analysis', icon: '📊', color: '#32D74B', description: 'Data analysis, evaluation, and research methods', guidance: 'Data analysis, research, investigation, evaluation' },
+        { name: 'Research', icon: '🔬', color: '#64D2FF', description: 'Academic research, investigations, and information gathering', guidance: 'Academic research, fact-finding, literature reviews, surveys' }
+    ],
+
+    defaultNames() {
+        return ['All', ...this.DEFAULTS.map(category => category.name)];
+    },
+
+    get(data, name) {
+        const defaults = this.DEFAULTS.find(category => category.name === name) || {
+            icon: '🏷️',
+            color: '#8E8E93',
+            description: 'Custom category for specialized prompts',
+            guidance: ''
+        };
+        return { ...defaults, ...(data.categoryDetails || {})[name], name };
+    },
+
+    // Every category except "All", with its details
+    list(data) {
+        return (data.categories || []).filter(name => name !== 'All').map(name => this.get(data, name));
+    },
+
+    // The detail fields of `input`, or an error message for the first bad one
+    pick(input = {}) {
+        const details = {};
+        for (const field of this.FIELDS) {
+            if (input[field] === undefined) continue;
+            const value = input[field];
+            if (typeof value !== 'string') {
+                return { error: `${field} must be a string` };
+            }
+            if (field === 'color' && !/^#[0-9a-f]{6}$/i.test(value)) {
+                return { error: 'color must be a hex color like #FF9500' };
+            }
+            if (value.length > (field === 'icon' ? 8 : 1000)) {
+                return { error: `${field} is too long` };
+            }
+            details[field] = value.trim();
+        }
+        return { details };
+    },
+
+    setDetails(data, name, details) {
+        data.categoryDetails = data.categoryDetails || {};
+        data.categoryDetails[name] = { ...data.categoryDetails[name], ...details };
+    },
+
+    // Renames the category in the list and its details; prompts are up to the caller
+    rename(data, from, to) {
+        data.categories = data.categories.map(name => name === from ? to : name);
+        const details = data.categoryDetails || {};
+        if (details[from] && from !== to) {
+            details[to] = details[from];
+            delete details[from];
+        }
+    },
+
+    remove(data, name) {
+        data.categories = data.categories.filter(category => category !== name);
+        if (data.categoryDetails) delete data.categoryDetails[name];
+    },
+
+    // System prompt for AI categorization, listing the user's own categories
+    // and what belongs in each
+    systemPrompt(categories) {
+        const names = categories.map(category => category.name);
+        const guidelines = categories.map(category =>
+            `- ${category.name}: ${category.guidance || category.description || category.name}`
+        );
+
+        return `You are a prompt categorization expert. Analyze the given prompt and categorize it into one of these categories: ${names.join(', ')}.
+
+Guidelines:
+${guidelines.join('\n')}
+
+Respond with only the category name, nothing else.`;
+    }
+};
+
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = CategoryModel;
+} else {
+    window.CategoryModel = CategoryModel;
+}
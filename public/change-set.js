@@ -0,0 +1,157 @@
+/**
+ * Change Set
+ * Works out what changed between the document as last synced (`base`) and
+ * the current copy, so the client can send only those records to the
+ * granular API instead of saving the whole document.
+ */
+
+const ChangeSet = {
+    // Prompt fields the server manages itself
+    IGNORED_FIELDS: ['rev', 'revisions', 'updatedAt'],
+
+    fieldsOf(prompt) {
+        return Object.keys(prompt).filter(key => !this.IGNORED_FIELDS.includes(key));
+    },
+
+    same(a, b) {
+        return JSON.stringify(a) === JSON.stringify(b);
+    },
+
+    // Fields of `current` that differ from `original`; removed fields are sent as null
+    diffPrompt(original, current) {
+        const keys = new Set([...this.fieldsOf(original), ...this.fieldsOf(current)]);
+        const changes = {};
+        keys.forEach(key => {
+            if (!this.same(original[key], current[key])) {
+                changes[key] = current[key] === undefined ? null : current[key];
+            }
+        });
+        return changes;
+    },
+
+    // Entries added to and removed from a list of names
+    diffList(before = [], after = []) {
+        return {
+            added: after.filter(name => !before.includes(name)),
+            removed: before.filter(name => !after.includes(name))
+        };
+    },
+
+    // Records with an id (smart folders, workflows, runs, comparisons) added, changed or removed
+    diffRecords(before = [], after = []) {
+        const previous = new Map(before.map(record => [record.id, record]));
+        const ids = new Set(after.map(record => record.id));
+        return {
+            created: after.filter(record => !previous.has(record.id)),
+            updated: after.filter(record => previous.has(record.id) && !this.same(previous.get(record.id), record)),
+            removed: before.filter(record => !ids.has(record.id)).map(record => record.id)
+        };
+    },
+
+    // Categories whose details (description, color, ...) were set or changed
+    diffDetails(before = {}, after = {}, names = []) {
+        return names
+            .filter(name => after[name] && !this.same(before[name], after[name]))
+            .map(name => ({ name, details: after[name] }));
+    },
+
+    between(base, current) {
+        const basePrompts = new Map((base.prompts || []).map(p => [p.id, p]));
+        const baseTrash = new Map((base.trash || []).map(p => [p.id, p]));
+        const currentTrash = new Set((current.trash || []).map(p => p.id));
+        const currentIds = new Set((current.prompts || []).map(p => p.id));
+
+        const changes = {
+            created: [],
+            updated: [],
+            restored: [],
+            trashed: [],
+            purged: [],
+            categories: this.diffList(base.categories, current.categories),
+            categoryDetails: this.diffDetails(base.categoryDetails, current.categoryDetails, current.categories),
+            customFolders: this.diffList(base.customFolders, current.customFolders),
+            smartFolders: this.diffRecords(base.smartFolders, current.smartFolders),
+            workflows: this.diffRecords(base.workflows, current.workflows),
+            runs: this.diffRecords(base.runs, current.runs),
+            // Evaluations are only ever added; old ones are dropped on both sides
+            evaluations: this.diffRecords(base.evaluations, current.evaluations).created,
+            comparisons: this.diffRecords(base.comparisons, current.comparisons),
+            // The whole synonym map, when it changed
+            tagSynonyms: this.same(base.tagSynonyms || {}, current.tagSynonyms || {}) ? null : current.tagSynonyms,
+            settings: {}
+        };
+
+        (current.prompts || []).forEach(prompt => {
+            const original = basePrompts.get(prompt.id);
+            if (original) {
+                const fields = this.diffPrompt(original, prompt);
+                if (Object.keys(fields).length > 0) {
+                    const revisions = prompt.revisions || [];
+                    const latest = revisions[revisions.length - 1];
+                    changes.updated.push({
+                        id: prompt.id,
+                        rev: original.rev || 0,
+                        changes: fields,
+                        source: latest?.source || 'manual'
+                    });
+                }
+            } else if (baseTrash.has(prompt.id)) {
+                changes.restored.push(prompt.id);
+            } else {
+                changes.created.push(prompt);
+            }
+        });
+
+        basePrompts.forEach((prompt, id) => {
+            if (currentIds.has(id)) return;
+            changes.trashed.push(id);
+            // Deleted and emptied out of the trash before the last sync
+            if (!currentTrash.has(id)) changes.purged.push(id);
+        });
+
+        baseTrash.forEach((prompt, id) => {
+            if (!currentIds.has(id) && !currentTrash.has(id)) changes.purged.push(id);
+        });
+
+        const baseSettings = base.settings || {};
+        Object.entries(current.settings || {}).forEach(([key, value]) => {
+            if (!this.same(baseSettings[key], value)) changes.settings[key] = value;
+        });
+
+        return changes;
+    },
+
+    isEmpty(changes) {
+        return changes.created.length === 0 &&
+            changes.updated.length === 0 &&
+            changes.restored.length === 0 &&
+            changes.trashed.length === 0 &&
+            changes.purged.length === 0 &&
+            changes.categories.added.length === 0 &&
+            changes.categories.removed.length === 0 &&
+            changes.categoryDetails.length === 0 &&
+            changes.customFolders.added.length === 0 &&
+            changes.customFolders.removed.length === 0 &&
+            changes.smartFolders.created.length === 0 &&
+            changes.smartFolders.updated.length === 0 &&
+            changes.smartFolders.removed.length === 0 &&
+            changes.workflows.created.length === 0 &&
+            changes.workflows.updated.length === 0 &&
+            changes.workflows.removed.length === 0 &&
+            changes.runs.created.length === 0 &&
+            changes.runs.updated.length === 0 &&
+            changes.runs.removed.length === 0 &&
+            changes.evaluations.length === 0 &&
+            changes.comparisons.created.length === 0 &&
+            changes.comparisons.updated.length === 0 &&
+            changes.comparisons.removed.length === 0 &&
+            changes.tagSynonyms === null &&
+            Object.keys(changes.settings).length === 0;
+    }
+};
+
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = ChangeSet;
+} else {
+    window.ChangeSet = ChangeSet;
+}
@@ -0,0 +1,326 @@
+/**
+ * Comparison
+ * An A/B comparison runs two prompts, or two revisions of one prompt, on
+ * the same inputs and keeps both outputs side by side with a verdict per
+ * input, picked by the user or judged by the model:
+ *
+ *   { id, name, a: { promptId, version: null }, b: { promptId, version: 3 },
+ *     model, createdAt, updatedAt,
+ *     results: [{ variables: { topic: 'owls' },
+ *                 a: { input, output, error }, b: { input, output, error },
+ *                 winner: 'a' | 'b' | 'tie' | null, judgedBy: 'user' | 'model' | null, reason }] }
+ *
+ * A side without a version runs the prompt as it is now. Comparisons live
+ * in `data.comparisons`; each prompt's win rate is worked out from them.
+ * Shared by the browser database and the server routes.
+ */
+
+const PromptTemplateForComparison = (typeof window !== 'undefined' && window.PromptTemplate) || require('./prompt-template');
+
+const Comparison = {
+    SIDES: ['a', 'b'],
+    WINNERS: ['a', 'b', 'tie'],
+    JUDGES: ['user', 'model'],
+    MAX_INPUTS: 20,
+    JUDGE_SYSTEM: 'You compare two replies of an AI model to the same request and pick the better one. ' +
+        'Reply with JSON only, like {"winner": "a", "reason": "one short sentence"}; winner is "a", "b" or "tie".',
+
+    checkSide(input, label) {
+        if (!input || typeof input.promptId !== 'string' || !input.promptId) {
+            return { error: `${label} needs a promptId` };
+        }
+        const version = input.version === undefined ? null : input.version;
+        if (version !== null && !(Number.isInteger(version) && version > 0)) {
+            return { error: `${label}: version must be a revision number` };
+        }
+        return { side: { promptId: input.promptId, version } };
+    },
+
+    checkVariables(variables) {
+        return !!variables && typeof variables === 'object' && !Array.isArray(variables) &&
+            Object.values(variables).every(value => typeof value === 'string');
+    },
+
+    // Cleaned { name, a, b, inputs } for a comparison to run, or an error
+    // message. Sides may point at prompts that no longer exist; running
+    // reports them.
+    check(input) {
+        if (!input || typeof input !== 'object') {
+            return { error: 'Comparison must be an object' };
+        }
+        if (input.name !== undefined && (typeof input.name !== 'string' || input.name.length > 100)) {
+            return { error: 'name must be text of at most 100 characters' };
+        }
+
+        const { side: a, error: errorA } = this.checkSide(input.a, 'A');
+        if (errorA) return { error: errorA };
+        const { side: b, error: errorB } = this.checkSide(input.b, 'B');
+        if (errorB) return { error: errorB };
+        if (a.promptId === b.promptId && a.version === b.version) {
+            return { error: 'A and B must be different prompts or revisions' };
+        }
+
+        if (!Array.isArray(input.inputs) || input.inputs.length === 0 || input.inputs.length > this.MAX_INPUTS) {
+            return { error: `A comparison needs between 1 and ${this.MAX_INPUTS} inputs` };
+        }
+        const invalid = input.inputs.findIndex(variables => !this.checkVariables(variables));
+        if (invalid !== -1) {
+            return { error: `Input ${invalid + 1} must be an object of variable: text` };
+        }
+
+        return { comparison: { name: (input.name || '').trim(), a, b, inputs: input.inputs } };
+    },
+
+    // A verdict as stored on a result, or an error message
+    checkVerdict(input) {
+        if (!input || typeof input !== 'object') {
+            return { error: 'A verdict must be an object' };
+        }
+        const winner = input.winner === undefined ? null : input.winner;
+        if (winner !== null && !this.WINNERS.includes(winner)) {
+            return { error: `winner must be one of: ${this.WINNERS.join(', ')}` };
+        }
+        const judgedBy = winner === null ? null : (input.judgedBy || 'user');
+        if (winner !== null && !this.JUDGES.includes(judgedBy)) {
+            return { error: `judgedBy must be one of: ${this.JUDGES.join(', ')}` };
+        }
+        if (input.reason !== undefined && input.reason !== null && typeof input.reason !== 'string') {
+            return { error: 'reason must be a string' };
+        }
+        return { verdict: { winner, judgedBy, reason: winner === null ? null : (input.reason || null) } };
+    },
+
+    // One verdict per result, in order; null leaves that result as it is
+    checkVerdicts(input, count) {
+        if (!Array.isArray(input) || input.length !== count) {
+            return { error: `verdicts must be an array of ${count}` };
+        }
+        const verdicts = [];
+        for (const [index, verdict] of input.entries()) {
+            if (verdict === null) {
+                verdicts.push(null);
+                continue;
+            }
+            const { verdict: cleaned, error } = this.checkVerdict(verdict);
+            if (error) return { error: `Result ${index + 1}: ${error}` };
+            verdicts.push(cleaned);
+        }
+        return { verdicts };
+    },
+
+    // A comparison that was run by a client, or an error message
+    checkRecord(input) {
+        if (!input || typeof input !== 'object' || !Array.isArray(input.results)) {
+            return { error: 'A comparison needs a results array' };
+        }
+        const { comparison, error } = this.check({ ...input, inputs: input.results.map(result => result?.variables) });
+        if (error) return { error };
+
+        const checkOutcome = (outcome) => outcome && typeof outcome === 'object' &&
+            ['input', 'output', 'error'].every(key => outcome[key] === undefined || outcome[key] === null || typeof outcome[key] === 'string');
+
+        const results = [];
+        for (const [index, result] of input.results.entries()) {
+            if (!checkOutcome(result.a) || !checkOutcome(result.b)) {
+                return { error: `Result ${index + 1} needs an a and b with input, output and error text` };
+            }
+            const { verdict, error: verdictError } = this.checkVerdict(result);
+            if (verdictError) return { error: `Result ${index + 1}: ${verdictError}` };
+
+            const outcome = ({ input = null, output = null, error = null }) => ({ input, output, error });
+            results.push({ variables: result.variables, a: outcome(result.a), b: outcome(result.b), ...verdict });
+        }
+
+        const createdAt = input.createdAt === undefined ? new Date().toISOString() : input.createdAt;
+        if (typeof createdAt !== 'string' || isNaN(new Date(createdAt))) {
+            return { error: 'createdAt must be a date' };
+        }
+
+        return {
+            comparison: {
+                name: comparison.name,
+                a: comparison.a,
+                b: comparison.b,
+                model: typeof input.model === 'string' ? input.model : null,
+                createdAt,
+                results
+            }
+        };
+    },
+
+    // The prompt a side runs: the prompt itself, or a copy holding the text
+    // of the given revision
+    resolve(side, prompts) {
+        const prompt = prompts.find(p => p.id === side.promptId);
+        if (!prompt) {
+            return { error: `Prompt ${side.promptId} no longer exists` };
+        }
+        if (side.version === null) {
+            return { prompt };
+        }
+        const revision = (prompt.revisions || []).find(r => r.version === side.version);
+        if (!revision) {
+            return { error: `Prompt ${side.promptId} has no revision ${side.version}` };
+        }
+        return { prompt: { ...prompt, text: revision.snapshot.text } };
+    },
+
+    // The { name, ... } fields either side asks for, without repeats
+    fields(comparison, prompts) {
+        const fields = [];
+        this.SIDES.forEach(key => {
+            const { prompt } = this.resolve(comparison[key], prompts);
+            const composed = prompt && PromptTemplateForComparison.compose(prompt, prompts);
+            if (!composed || composed.error) return;
+            PromptTemplateForComparison.fields(composed).forEach(field => {
+                if (!fields.some(other => other.name === field.name)) fields.push(field);
+            });
+        });
+        return fields;
+    },
+
+    async runSide(side, variables, prompts, complete) {
+        const outcome = { input: null, output: null, error: null };
+        const { prompt, error } = this.resolve(side, prompts);
+        if (error) return { ...outcome, error };
+
+        // Each side gets only the variables it has, so a prompt can be
+        // compared with one that asks for fewer
+        const composed = PromptTemplateForComparison.compose(prompt, prompts);
+        const names = composed.error ? [] : PromptTemplateForComparison.variables(composed.text);
+        const values = Object.fromEntries(Object.entries(variables).filter(([name]) => names.includes(name)));
+
+        const filled = PromptTemplateForComparison.fill(prompt, values, prompts);
+        if (filled.error || filled.errors) {
+            return { ...outcome, error: filled.error || Object.values(filled.errors).join(', ') };
+        }
+        outcome.input = filled.text;
+
+        try {
+            outcome.output = await complete(filled.text, {});
+        } catch (runError) {
+            outcome.error = runError.message;
+        }
+        return outcome;
+    },
+
+    // Asks the model which of two outputs is better. Without a usable reply
+    // the result stays undecided.
+    async judge(result, complete) {
+        if (result.a.output === null || result.b.output === null) {
+            return { winner: null, judgedBy: null, reason: null };
+        }
+
+        const request = result.a.input === result.b.input
+            ? `Request:\n${result.a.input}`
+            : `Request A:\n${result.a.input}\n\nRequest B:\n${result.b.input}`;
+        const reply = await complete(`${request}\n\nReply A:\n${result.a.output}\n\nReply B:\n${result.b.output}`,
+            { system: this.JUDGE_SYSTEM, temperature: 0 });
+
+        const fenced = /^```(?:json)?\s*([\s\S]*?)\s*```$/.exec(String(reply).trim());
+        let verdict = null;
+        try {
+            verdict = JSON.parse(fenced ? fenced[1] : reply);
+        } catch (error) {
+            // Handled below
+        }
+        const winner = typeof verdict?.winner === 'string' ? verdict.winner.toLowerCase() : null;
+        if (!this.WINNERS.includes(winner)) {
+            return { winner: null, judgedBy: null, reason: `The judge did not reply with a verdict: ${String(reply).slice(0, 200)}` };
+        }
+        return { winner, judgedBy: 'model', reason: typeof verdict.reason === 'string' ? verdict.reason : null };
+    },
+
+    // Runs both sides on every input, one input at a time. `complete(text,
+    // { system, temperature })` sends one prompt to the model and resolves
+    // with the reply; with `judge` the model also picks a winner for each
+    // input. `onResult(index, result)` is called as each input ends.
+    async run(comparison, prompts, { complete, judge = false, model = null, onResult = () => {} }) {
+        const results = [];
+        for (const [index, variables] of comparison.inputs.entries()) {
+            const result = {
+                variables,
+                a: await this.runSide(comparison.a, variables, prompts, complete),
+                b: await this.runSide(comparison.b, variables, prompts, complete),
+                winner: null,
+                judgedBy: null,
+                reason: null
+            };
+            if (judge) {
+                try {
+                    Object.assign(result, await this.judge(result, complete));
+                } catch (judgeError) {
+                    result.reason = `The judge failed: ${judgeError.message}`;
+                }
+            }
+            results.push(result);
+            onResult(index, result);
+        }
+
+        return {
+            name: comparison.name || '',
+            a: comparison.a,
+            b: comparison.b,
+            model,
+            createdAt: new Date().toISOString(),
+            results
+        };
+    },
+
+    // Wins per side and ties over the results that have a verdict
+    summary(comparison) {
+        const summary = { a: 0, b: 0, tie: 0, undecided: 0 };
+        (comparison.results || []).forEach(result => {
+            summary[result.winner || 'undecided']++;
+        });
+        return summary;
+    },
+
+    // { wins, losses, ties, comparisons, rate } for every prompt compared with
+    // another prompt. Ties count as half a win; rate is null until some
+    // input has a verdict. Comparisons between revisions of one prompt say
+    // nothing about the prompt as a whole and are left out.
+    winRates(data) {
+        const rates = {};
+        (data.comparisons || []).forEach(comparison => {
+            if (comparison.a.promptId === comparison.b.promptId) return;
+            const summary = this.summary(comparison);
+
+            this.SIDES.forEach(key => {
+                const other = key === 'a' ? 'b' : 'a';
+                const rate = rates[comparison[key].promptId] =
+                    rates[comparison[key].promptId] || { wins: 0, losses: 0, ties: 0, comparisons: 0, rate: null };
+                rate.wins += summary[key];
+                rate.losses += summary[other];
+                rate.ties += summary.tie;
+                rate.comparisons++;
+            });
+        });
+
+        Object.values(rates).forEach(rate => {
+            const decided = rate.wins + rate.losses + rate.ties;
+            rate.rate = decided > 0 ? (rate.wins + rate.ties / 2) / decided : null;
+        });
+        return rates;
+    },
+
+    // Comparisons newest first, optionally only those involving a prompt
+    list(data, promptId = null) {
+        return (data.comparisons || [])
+            .filter(comparison => !promptId || comparison.a.promptId === promptId || comparison.b.promptId === promptId)
+            .sort((a, b) => new Date(b.createdAt) - new Date(a.createdAt));
+    },
+
+    // Drops comparisons with a side purged from the trash
+    prune(data) {
+        const known = new Set([...data.prompts, ...(data.trash || [])].map(p => p.id));
+        data.comparisons = (data.comparisons || [])
+            .filter(comparison => known.has(comparison.a.promptId) && known.has(comparison.b.promptId));
+    }
+};
+
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = Comparison;
+} else {
+    window.Comparison = Comparison;
+}
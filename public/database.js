@@ -6,6 +6,12 @@ class LocalJSONDatabase {
         this.autoSaveEnabled = true;
         this.autoSaveDelay = 500; // ms
         this.autoSaveTimeout = null;
+        this.etag = null;      // server revision this copy is based on
+        this.base = null;      // the document as last synced, for merging
+        this.saving = Promise.resolve();
+        this.onConflict = null; // (conflicts) => Promise<{ [id]: 'local' | 'remote' }>
+        this.onMerge = null;    // called after a merge replaced this.data
+        this.index = new SearchIndex(); // full-text index over data.prompts
     }
 
     async init() {
@@ -13,6 +19,9 @@ class LocalJSONDatabase {
             const response = await fetch(`${this.apiBaseUrl}/data`);
             if (response.ok) {
                 this.data = await response.json();
+                this.markSynced(response.headers.get('ETag'));
+                this.purgeExpiredTrash();
+                this.reindex();
                 console.log('✓ Database loaded from server');
             } else {
                 console.warn('Server not available, using default data');
@@ -31,12 +40,20 @@ class LocalJSONDatabase {
     getDefaultData() {
         return {
             prompts: [],
-            categories: ["All", "Code", "Cognitive", "Jailbreak", "Dev", "Writing", "Business", "General", "Creative", "Analysis", "Research"],
+            categories: CategoryModel.defaultNames(),
+            categoryDetails: {},
+            tagSynonyms: {},
             folders: ["All", "Favorites", "Archive", "Default"],
             customFolders: [],
+            smartFolders: [],
+            workflows: [],
+            runs: [],
+            evaluations: [],
+            comparisons: [],
+            trash: [],
             settings: {
-                openaiApiKey: "",
                 autoCategorizationEnabled: true,
+                trashRetentionDays: Trash.DEFAULT_RETENTION_DAYS,
                 lastBackup: null
             },
             metadata: {
@@ -47,41 +64,346 @@ class LocalJSONDatabase {
         };
     }
 
-    async save(immediate = false) {
+    // Saves run one at a time so each is diffed against the last sync
+    save(immediate = false) {
+        this.saving = this.saving.then(() => this.sendToServer(immediate));
+        return this.saving;
+    }
+
+    // Send only the records that changed since the last sync. Until there is
+    // a synced copy to diff against, the whole document is saved instead.
+    async sendToServer(immediate) {
         try {
             this.data.metadata.totalPrompts = this.data.prompts.length;
             this.data.metadata.lastSaved = new Date().toISOString();
+            localStorage.setItem('nlp_prompts_database', JSON.stringify({ ...this.data, settings: LLMProviders.withoutKeys(this.data.settings) }));
+
+            if (!this.base) {
+                return this.sendDocument(immediate);
+            }
+
+            const snapshot = JSON.parse(JSON.stringify(this.data));
+            const changes = ChangeSet.between(this.base, snapshot);
+            if (ChangeSet.isEmpty(changes)) {
+                return true;
+            }
+
+            const conflicts = await this.pushChanges(changes, snapshot);
+            if (conflicts.length > 0) {
+                await this.resolvePromptConflicts(conflicts, snapshot);
+            }
+
+            this.base = snapshot;
+            console.log('✓ Changes saved');
+            return true;
+        } catch (error) {
+            console.error('Failed to save changes, using localStorage only:', error);
+            return false;
+        }
+    }
+
+    async request(method, path, body, headers = {}) {
+        const response = await fetch(`${this.apiBaseUrl}${path}`, {
+            method,
+            headers: { 'Content-Type': 'application/json', ...headers },
+            body: body === undefined ? undefined : JSON.stringify(body)
+        });
+        const result = await response.json().catch(() => ({}));
+
+        // Conflicts and missing records are handled by the caller
+        if (!response.ok && response.status !== 409 && response.status !== 404) {
+            throw new Error(result.error || `${method} ${path} failed with status ${response.status}`);
+        }
+        return { status: response.status, result };
+    }
+
+    // Push a change set in dependency order. Returns the prompt updates the
+    // server rejected because the prompt changed there in the meantime.
+    async pushChanges(changes, snapshot) {
+        const conflicts = [];
+        const name = value => encodeURIComponent(value);
+
+        for (const category of changes.categories.added) {
+            await this.request('POST', '/categories', { name: category });
+        }
+        for (const { name: category, details } of changes.categoryDetails) {
+            await this.request('PUT', `/categories/${name(category)}`, details);
+        }
+        if (changes.tagSynonyms) {
+            await this.request('PUT', '/tag-synonyms', { synonyms: changes.tagSynonyms });
+        }
+        for (const folder of changes.customFolders.added) {
+            await this.request('POST', '/folders', { name: folder });
+        }
+        for (const { id, name, query } of changes.smartFolders.created) {
+            await this.request('POST', '/smart-folders', { id, name, query });
+        }
+        for (const folder of changes.smartFolders.updated) {
+            await this.request('PUT', `/smart-folders/${name(folder.id)}`, { name: folder.name, query: folder.query });
+        }
+
+        if (changes.created.length === 1) {
+            const { result } = await this.request('POST', '/prompts', changes.created[0]);
+            if (result.prompt) this.adoptPrompt(result.prompt, snapshot);
+        } else if (changes.created.length > 1) {
+            const { result } = await this.request('POST', '/prompts/batch', { prompts: changes.created });
+            (result.prompts || []).forEach(prompt => this.adoptPrompt(prompt, snapshot));
+        }
+
+        // Workflow steps refer to prompts, so they follow the new prompts
+        for (const { id, name, description, steps } of changes.workflows.created) {
+            await this.request('POST', '/workflows', { id, name, description, steps });
+        }
+        for (const workflow of changes.workflows.updated) {
+            const { name: title, description, steps } = workflow;
+            await this.request('PUT', `/workflows/${name(workflow.id)}`, { name: title, description, steps });
+        }
+
+        // Runs belong to a prompt; only their rating changes afterwards
+        for (const { id, promptId, ...run } of changes.runs.created) {
+            await this.request('POST', `/prompts/${name(promptId)}/runs`, { id, ...run });
+        }
+        for (const { id, rating } of changes.runs.updated) {
+            await this.request('PUT', `/runs/${name(id)}`, { rating });
+        }
+        for (const { promptId, ...evaluation } of changes.evaluations) {
+            await this.request('POST', `/prompts/${name(promptId)}/evaluations`, evaluation);
+        }
+        // Comparisons keep their results; only the name and verdicts change
+        for (const comparison of changes.comparisons.created) {
+            await this.request('POST', '/comparisons', comparison);
+        }
+        for (const { id, name: title, results } of changes.comparisons.updated) {
+            const verdicts = results.map(({ winner, judgedBy, reason }) => ({ winner, judgedBy, reason }));
+            await this.request('PUT', `/comparisons/${name(id)}`, { name: title, verdicts });
+        }
+
+        for (const update of changes.updated) {
+            const { status, result } = await this.sendPromptUpdate(update, `"prompt-${update.rev}"`);
+            if (status === 200) {
+                this.adoptPrompt(result.prompt, snapshot);
+            } else {
+                conflicts.push({
+                    ...update,
+                    local: snapshot.prompts.find(p => p.id === update.id),
+                    remote: status === 409 ? result.current : null,
+                    etag: result.etag
+                });
+            }
+        }
+
+        if (changes.restored.length > 0) {
+            await this.request('POST', '/trash/restore', { ids: changes.restored });
+        }
+        for (let i = 0; i < changes.trashed.length; i += 100) {
+            await this.request('DELETE', '/prompts/batch', { ids: changes.trashed.slice(i, i + 100) });
+        }
+        if (changes.purged.length > 0) {
+            await this.request('POST', '/trash/purge', { ids: changes.purged });
+        }
+
+        for (const category of changes.categories.removed) {
+            await this.request('DELETE', `/categories/${name(category)}`);
+        }
+        for (const folder of changes.customFolders.removed) {
+            await this.request('DELETE', `/folders/${name(folder)}`);
+        }
+        for (const id of changes.smartFolders.removed) {
+            await this.request('DELETE', `/smart-folders/${name(id)}`);
+        }
+        for (const id of changes.workflows.removed) {
+            await this.request('DELETE', `/workflows/${name(id)}`);
+        }
+        for (const id of changes.runs.removed) {
+            await this.request('DELETE', `/runs/${name(id)}`);
+        }
+        for (const id of changes.comparisons.removed) {
+            await this.request('DELETE', `/comparisons/${name(id)}`);
+        }
+
+        if (Object.keys(changes.settings).length > 0) {
+            await this.request('PUT', '/settings', changes.settings);
+        }
+
+        return conflicts;
+    }
+
+    sendPromptUpdate(update, etag) {
+        return this.request('PUT', `/prompts/${encodeURIComponent(update.id)}`, update.changes, {
+            'If-Match': etag,
+            'X-Revision-Source': update.source
+        });
+    }
+
+    // Take the server's copy of a prompt (with its revision number and
+    // history), unless it was edited again here while the request was out
+    adoptPrompt(prompt, snapshot) {
+        const synced = snapshot.prompts.findIndex(p => p.id === prompt.id);
+        const local = this.data.prompts.findIndex(p => p.id === prompt.id);
+
+        if (local !== -1 && synced !== -1 &&
+            JSON.stringify(this.data.prompts[local]) === JSON.stringify(snapshot.prompts[synced])) {
+            this.data.prompts[local] = JSON.parse(JSON.stringify(prompt));
+            this.index.update(this.data.prompts[local]);
+        }
+        if (synced !== -1) {
+            snapshot.prompts[synced] = prompt;
+        }
+    }
+
+    // Prompts changed on the server, by a background job. Ones not edited
+    // here since the last sync are replaced; edited ones are left for the
+    // next save, which merges them like any other conflict. Returns how many
+    // were taken.
+    adoptServerPrompts(prompts) {
+        let adopted = 0;
+        for (const prompt of prompts) {
+            const synced = this.base ? this.base.prompts.findIndex(p => p.id === prompt.id) : -1;
+            const local = this.data.prompts.findIndex(p => p.id === prompt.id);
+            if (synced === -1 || local === -1 ||
+                JSON.stringify(this.data.prompts[local]) !== JSON.stringify(this.base.prompts[synced])) {
+                continue;
+            }
+
+            this.data.prompts[local] = JSON.parse(JSON.stringify(prompt));
+            this.base.prompts[synced] = JSON.parse(JSON.stringify(prompt));
+            this.index.update(this.data.prompts[local]);
+            adopted++;
+        }
+        return adopted;
+    }
+
+    // Prompt updates rejected with 409. Edits to different fields are merged
+    // without asking; the rest go to the user, as for whole-document saves.
+    async resolvePromptConflicts(conflicts, snapshot) {
+        const ask = [];
+        for (const conflict of conflicts) {
+            const original = this.base.prompts.find(p => p.id === conflict.id) || {};
+            const overlaps = !conflict.remote || Object.keys(conflict.changes)
+                .some(key => !ChangeSet.same(original[key], conflict.remote[key]));
+
+            if (overlaps) {
+                ask.push(conflict);
+            } else {
+                await this.keepLocalPrompt(conflict, snapshot);
+            }
+        }
+
+        let choices = {};
+        if (ask.length > 0 && this.onConflict) {
+            choices = await this.onConflict(ask.map(({ id, local, remote }) => ({ id, local, remote })));
+        }
+
+        for (const conflict of ask) {
+            if (choices[conflict.id] === 'remote') {
+                this.takeRemotePrompt(conflict, snapshot);
+            } else {
+                await this.keepLocalPrompt(conflict, snapshot);
+            }
+        }
+
+        this.reindex();
+        console.log(`✓ Merged prompt changes from the server (${ask.length} conflicts)`);
+        if (this.onMerge) {
+            this.onMerge(this.data);
+        }
+    }
+
+    async keepLocalPrompt(conflict, snapshot) {
+        // Deleted on the server: add it back
+        const { status, result } = conflict.remote
+            ? await this.sendPromptUpdate(conflict, conflict.etag)
+            : await this.request('POST', '/prompts', conflict.local);
+
+        if (status === 200 || status === 201) {
+            this.adoptPrompt(result.prompt, snapshot);
+        }
+    }
+
+    takeRemotePrompt(conflict, snapshot) {
+        [this.data.prompts, snapshot.prompts].forEach(prompts => {
+            const index = prompts.findIndex(p => p.id === conflict.id);
+            if (index === -1) return;
+            if (conflict.remote) {
+                prompts[index] = JSON.parse(JSON.stringify(conflict.remote));
+            } else {
+                prompts.splice(index, 1);
+            }
+        });
+    }
+
+    // Whole-document save, used before the first successful sync
+    async sendDocument(immediate) {
+        try {
+            const body = JSON.stringify(this.data);
+            const headers = { 'Content-Type': 'application/json' };
+            if (this.etag) {
+                headers['If-Match'] = this.etag;
+            }
             
             const endpoint = immediate ? '/data' : '/autosave';
             const response = await fetch(`${this.apiBaseUrl}${endpoint}`, {
                 method: 'POST',
-                headers: {
-                    'Content-Type': 'application/json',
-                },
-                body: JSON.stringify(this.data)
+                headers,
+                body
             });
 
+            if (response.status === 409) {
+                const conflict = await response.json();
+                return this.resolveConflict(conflict.current, conflict.etag);
+            }
+
             if (response.ok) {
-                const result = await response.json();
+                await response.json();
+                this.base = JSON.parse(body);
+                this.etag = response.headers.get('ETag') || this.etag;
                 if (immediate) {
                     console.log('✓ Database saved immediately');
                 } else {
                     console.log('✓ Auto-save queued');
                 }
-                localStorage.setItem('nlp_prompts_database', JSON.stringify(this.data));
                 return true;
             } else {
                 console.warn('Server save failed, using localStorage only');
-                localStorage.setItem('nlp_prompts_database', JSON.stringify(this.data));
                 return false;
             }
         } catch (error) {
             console.error('Failed to save database:', error);
-            localStorage.setItem('nlp_prompts_database', JSON.stringify(this.data));
             return false;
         }
     }
 
+    // Re-index prompts changed outside the methods below (merges, batch edits)
+    reindex() {
+        this.index.sync(this.data.prompts);
+    }
+
+    markSynced(etag) {
+        this.etag = etag;
+        this.base = JSON.parse(JSON.stringify(this.data));
+    }
+
+    // The server copy changed since we last synced. Merge both sides, let
+    // the user pick for prompts edited on both, then save the result.
+    async resolveConflict(remote, etag) {
+        const { merged, conflicts } = DocumentMerge.merge(this.base || {}, this.data, remote);
+        let choices = {};
+        if (conflicts.length > 0 && this.onConflict) {
+            choices = await this.onConflict(conflicts);
+        }
+        DocumentMerge.resolve(merged, conflicts, choices);
+        console.log(`✓ Merged changes from the server (${conflicts.length} conflicts)`);
+
+        this.data = merged;
+        this.base = remote;
+        this.etag = etag;
+        this.reindex();
+        if (this.onMerge) {
+            this.onMerge(this.data);
+        }
+        return this.sendDocument(true);
+    }
+
     autoSave() {
         if (!this.autoSaveEnabled) return;
         
@@ -96,6 +418,7 @@ class LocalJSONDatabase {
             const stored = localStorage.getItem('nlp_prompts_database');
             if (stored) {
                 this.data = JSON.parse(stored);
+                this.reindex();
                 this.initialized = true;
                 return true;
             }
@@ -181,7 +504,7 @@ class LocalJSONDatabase {
             id: this.generateUniqueId(),
             text: promptData.text,
             category: promptData.category || 'General',
-            tags: promptData.tags || [],
+            tags: this.normalizeTags(promptData.tags),
             folder: promptData.folder || 'Default',
             rating: promptData.rating || 0,
             createdAt: new Date().toISOString(),
@@ -193,8 +516,10 @@ class LocalJSONDatabase {
                 confidence: promptData.confidence || 1.0
             }
         };
+        PromptHistory.record(newPrompt, { source: newPrompt.metadata.source, createdAt: newPrompt.createdAt });
 
         this.data.prompts.unshift(newPrompt);
+        this.index.add(newPrompt);
         this.autoSave();
         return newPrompt;
     }
@@ -207,7 +532,7 @@ class LocalJSONDatabase {
             id: this.generateUniqueId(),
             text: promptData.text,
             category: promptData.category || 'General',
-            tags: promptData.tags || [],
+            tags: this.normalizeTags(promptData.tags),
             folder: promptData.folder || 'Default',
             rating: promptData.rating || 0,
             createdAt: new Date().toISOString(),
@@ -220,34 +545,61 @@ class LocalJSONDatabase {
                 duplicateOverride: true
             }
         };
+        PromptHistory.record(newPrompt, { source: newPrompt.metadata.source, createdAt: newPrompt.createdAt });
 
         this.data.prompts.unshift(newPrompt);
+        this.index.add(newPrompt);
         this.autoSave();
         return newPrompt;
     }
 
-    async updatePrompt(id, updates) {
+    // meta.source tells the history where a change came from:
+    // manual, ai-enhance, import, bulk or restore
+    async updatePrompt(id, updates, meta = { source: 'manual' }) {
         if (!this.initialized) await this.init();
         
         const index = this.data.prompts.findIndex(p => p.id === id);
         if (index !== -1) {
-            this.data.prompts[index] = {
-                ...this.data.prompts[index],
-                ...updates,
-                updatedAt: new Date().toISOString()
-            };
+            if (Array.isArray(updates.tags)) {
+                updates = { ...updates, tags: this.normalizeTags(updates.tags) };
+            }
+            this.data.prompts[index] = PromptHistory.applyUpdate(this.data.prompts[index], updates, meta);
+            this.index.update(this.data.prompts[index]);
             this.autoSave();
             return this.data.prompts[index];
         }
         return null;
     }
 
-    async deletePrompt(id) {
+    async getRevisions(id) {
+        if (!this.initialized) await this.init();
+        
+        const prompt = this.data.prompts.find(p => p.id === id);
+        return prompt ? [...(prompt.revisions || [])].reverse() : [];
+    }
+
+    async restoreRevision(id, version) {
         if (!this.initialized) await this.init();
         
         const index = this.data.prompts.findIndex(p => p.id === id);
-        if (index !== -1) {
-            const deleted = this.data.prompts.splice(index, 1)[0];
+        if (index === -1) return null;
+        
+        const restored = PromptHistory.restore(this.data.prompts[index], version);
+        if (restored) {
+            this.data.prompts[index] = restored;
+            this.index.update(restored);
+            this.autoSave();
+        }
+        return restored;
+    }
+
+    // Deleting moves prompts to the trash; see restoreFromTrash and purgeFromTrash
+    async deletePrompt(id) {
+        if (!this.initialized) await this.init();
+        
+        const [deleted] = Trash.moveToTrash(this.data, [id]);
+        if (deleted) {
+            this.index.remove(id);
             this.autoSave();
             return deleted;
         }
@@ -257,52 +609,84 @@ class LocalJSONDatabase {
     async deletePrompts(ids) {
         if (!this.initialized) await this.init();
         
-        const deleted = [];
-        for (const id of ids) {
-            const index = this.data.prompts.findIndex(p => p.id === id);
-            if (index !== -1) {
-                deleted.push(this.data.prompts.splice(index, 1)[0]);
-            }
-        }
+        const deleted = Trash.moveToTrash(this.data, ids);
+        deleted.forEach(prompt => this.index.remove(prompt.id));
         if (deleted.length > 0) {
             this.autoSave();
         }
         return deleted;
     }
 
-    async getPrompts(filters = {}) {
+    async getTrash() {
         if (!this.initialized) await this.init();
-        
-        let filtered = [...this.data.prompts];
+        return Trash.list(this.data);
+    }
 
-        if (filters.category && filters.category !== 'All') {
-            filtered = filtered.filter(p => p.category === filters.category);
-        }
+    getTrashRetentionDays() {
+        return Trash.retentionDays(this.data);
+    }
 
-        if (filters.folder && filters.folder !== 'All') {
-            filtered = filtered.filter(p => p.folder === filters.folder);
+    async restoreFromTrash(ids) {
+        if (!this.initialized) await this.init();
+        
+        const restored = Trash.restore(this.data, ids);
+        restored.forEach(prompt => this.index.add(prompt));
+        if (restored.length > 0) {
+            this.autoSave();
         }
+        return restored;
+    }
 
-        if (filters.minRating !== undefined) {
-            filtered = filtered.filter(p => p.rating >= filters.minRating);
+    async purgeFromTrash(ids) {
+        if (!this.initialized) await this.init();
+        
+        const purged = Trash.purge(this.data, ids);
+        if (purged.length > 0) {
+            RunHistory.prune(this.data);
+            Evaluation.prune(this.data);
+            Comparison.prune(this.data);
+            this.autoSave();
         }
+        return purged;
+    }
 
-        if (filters.search) {
-            const searchLower = filters.search.toLowerCase();
-            filtered = filtered.filter(p => 
-                p.text.toLowerCase().includes(searchLower) ||
-                p.notes.toLowerCase().includes(searchLower) ||
-                p.tags.some(tag => tag.toLowerCase().includes(searchLower))
-            );
+    async emptyTrash() {
+        if (!this.initialized) await this.init();
+        
+        const purged = Trash.empty(this.data);
+        if (purged.length > 0) {
+            RunHistory.prune(this.data);
+            Evaluation.prune(this.data);
+            Comparison.prune(this.data);
+            this.autoSave();
         }
+        return purged;
+    }
 
-        if (filters.tags && filters.tags.length > 0) {
-            filtered = filtered.filter(p => 
-                filters.tags.some(tag => p.tags.includes(tag))
-            );
+    purgeExpiredTrash() {
+        const purged = Trash.purgeExpired(this.data, this.getTrashRetentionDays());
+        if (purged.length > 0) {
+            RunHistory.prune(this.data);
+            Evaluation.prune(this.data);
+            Comparison.prune(this.data);
+            console.log(`✓ Purged ${purged.length} expired prompts from trash`);
         }
+        return purged;
+    }
 
-        return filtered;
+    async getPrompts(filters = {}) {
+        if (!this.initialized) await this.init();
+        
+        return SearchQuery.search(this.data.prompts, {
+            index: this.index,
+            query: filters.search || '',
+            category: filters.category,
+            folder: filters.folder,
+            tags: filters.tags,
+            minRating: filters.minRating,
+            sortBy: filters.sortBy,
+            sortOrder: filters.sortOrder
+        }).prompts;
     }
 
     async getCategories() {
@@ -310,34 +694,384 @@ class LocalJSONDatabase {
         return [...this.data.categories];
     }
 
-    async addCategory(category) {
+    // Categories with their description, color, icon and AI guidance
+    async getCategoryList() {
+        if (!this.initialized) await this.init();
+        return CategoryModel.list(this.data);
+    }
+
+    async addCategory(category, details = {}) {
         if (!this.initialized) await this.init();
         
         if (!this.data.categories.includes(category)) {
             this.data.categories.push(category);
+            if (Object.keys(details).length > 0) {
+                CategoryModel.setDetails(this.data, category, details);
+            }
             this.autoSave();
             return true;
         }
         return false;
     }
 
+    // Changes a category's details and, with a new `name`, renames it along
+    // with its prompts. Returns the number of prompts moved, or null if the
+    // category is missing or the new name is taken.
+    async updateCategory(name, { name: newName = name, ...details }) {
+        if (!this.initialized) await this.init();
+        
+        if (name === 'All' || !this.data.categories.includes(name) ||
+            (newName !== name && (name === CategoryModel.FALLBACK || this.data.categories.includes(newName)))) {
+            return null;
+        }
+        
+        CategoryModel.rename(this.data, name, newName);
+        if (Object.keys(details).length > 0) {
+            CategoryModel.setDetails(this.data, newName, details);
+        }
+        const moved = newName === name ? 0 : this.reassignCategory(name, newName);
+        this.autoSave();
+        return moved;
+    }
+
+    // Moves every prompt in `name` to `into` and removes `name`
+    async mergeCategory(name, into) {
+        if (!this.initialized) await this.init();
+        
+        if (name === into || name === CategoryModel.FALLBACK || name === 'All' ||
+            !this.data.categories.includes(name) || !this.data.categories.includes(into)) {
+            return null;
+        }
+        
+        const moved = this.reassignCategory(name, into);
+        CategoryModel.remove(this.data, name);
+        this.autoSave();
+        return moved;
+    }
+
+    async deleteCategory(name) {
+        return this.mergeCategory(name, CategoryModel.FALLBACK);
+    }
+
+    reassignCategory(from, to) {
+        let moved = 0;
+        this.data.prompts.forEach((prompt, i) => {
+            if (prompt.category !== from) return;
+            this.data.prompts[i] = PromptHistory.applyUpdate(prompt, { category: to }, { source: 'bulk' });
+            moved++;
+        });
+        return moved;
+    }
+
     async getFolders() {
         if (!this.initialized) await this.init();
         return [...this.data.folders, ...this.data.customFolders];
     }
 
+    // Custom folders are paths; adding "Clients/Acme" adds "Clients" too
     async addFolder(folder) {
         if (!this.initialized) await this.init();
         
-        const allFolders = [...this.data.folders, ...this.data.customFolders];
-        if (!allFolders.includes(folder)) {
-            this.data.customFolders.push(folder);
+        folder = FolderTree.normalize(folder);
+        const root = folder.split(FolderTree.SEPARATOR)[0];
+        if (!folder || this.data.folders.includes(root) || this.data.customFolders.includes(folder)) {
+            return false;
+        }
+        this.data.customFolders = FolderTree.withAncestors([...this.data.customFolders, folder]);
+        this.autoSave();
+        return true;
+    }
+
+    // Renames or moves a folder and everything below it. `to` is a full
+    // path, so moving "Acme" under "Clients" is a rename to "Clients/Acme".
+    // Returns the number of prompts moved, or null if the rename is not allowed.
+    async renameFolder(from, to) {
+        if (!this.initialized) await this.init();
+        
+        to = FolderTree.normalize(to);
+        const root = to.split(FolderTree.SEPARATOR)[0];
+        if (!this.data.customFolders.includes(from) || !to || this.data.folders.includes(root) ||
+            (from !== to && (FolderTree.contains(from, to) || this.data.customFolders.includes(to)))) {
+            return null;
+        }
+        
+        this.data.customFolders = FolderTree.renameAll(this.data.customFolders, from, to);
+        let moved = 0;
+        this.data.prompts.forEach((prompt, i) => {
+            if (!FolderTree.contains(from, prompt.folder)) return;
+            this.data.prompts[i] = PromptHistory.applyUpdate(prompt,
+                { folder: FolderTree.rename(prompt.folder, from, to) }, { source: 'bulk' });
+            moved++;
+        });
+        this.autoSave();
+        return moved;
+    }
+
+    // Deletes a folder with its subfolders. Their prompts move to the parent
+    // folder (Default at the top level), or to the trash.
+    async deleteFolder(folder, { trash = false } = {}) {
+        if (!this.initialized) await this.init();
+        
+        if (!this.data.customFolders.includes(folder)) return null;
+        
+        const inside = this.data.prompts.filter(p => FolderTree.contains(folder, p.folder));
+        this.data.customFolders = this.data.customFolders.filter(f => !FolderTree.contains(folder, f));
+        if (trash) {
+            Trash.moveToTrash(this.data, inside.map(p => p.id)).forEach(p => this.index.remove(p.id));
+        } else {
+            const parent = FolderTree.parent(folder) || 'Default';
+            this.data.prompts.forEach((prompt, i) => {
+                if (FolderTree.contains(folder, prompt.folder)) {
+                    this.data.prompts[i] = PromptHistory.applyUpdate(prompt, { folder: parent }, { source: 'bulk' });
+                }
+            });
+        }
+        this.autoSave();
+        return inside.length;
+    }
+
+    // Smart folders are saved search queries; see SearchQuery for the syntax
+    async getSmartFolders() {
+        if (!this.initialized) await this.init();
+        return [...(this.data.smartFolders || [])];
+    }
+
+    async addSmartFolder(name, query) {
+        if (!this.initialized) await this.init();
+        
+        SearchQuery.parse(query); // throws with the position of a syntax error
+        this.data.smartFolders = this.data.smartFolders || [];
+        if (this.data.smartFolders.some(folder => folder.name === name)) {
+            return null;
+        }
+        
+        const folder = {
+            id: `smart_${Date.now()}_${Math.random().toString(36).substr(2, 9)}`,
+            name,
+            query: query.trim(),
+            createdAt: new Date().toISOString()
+        };
+        this.data.smartFolders.push(folder);
+        this.autoSave();
+        return folder;
+    }
+
+    async deleteSmartFolder(id) {
+        if (!this.initialized) await this.init();
+        
+        const before = (this.data.smartFolders || []).length;
+        this.data.smartFolders = (this.data.smartFolders || []).filter(folder => folder.id !== id);
+        if (this.data.smartFolders.length < before) {
             this.autoSave();
             return true;
         }
         return false;
     }
 
+    async getWorkflows() {
+        if (!this.initialized) await this.init();
+        return [...(this.data.workflows || [])];
+    }
+
+    // Creates a workflow, or updates the one with `id`. Throws with a
+    // message when the workflow is invalid; returns null when the name is
+    // already taken.
+    async saveWorkflow(input, id = null) {
+        if (!this.initialized) await this.init();
+        
+        const { workflow: fields, error } = Workflow.check(input);
+        if (error) throw new Error(error);
+        
+        this.data.workflows = this.data.workflows || [];
+        if (this.data.workflows.some(workflow => workflow.id !== id && workflow.name === fields.name)) {
+            return null;
+        }
+        
+        const now = new Date().toISOString();
+        const index = this.data.workflows.findIndex(workflow => workflow.id === id);
+        if (index !== -1) {
+            this.data.workflows[index] = { ...this.data.workflows[index], ...fields, updatedAt: now };
+        } else {
+            this.data.workflows.push({
+                id: `workflow_${Date.now()}_${Math.random().toString(36).substr(2, 9)}`,
+                ...fields,
+                createdAt: now,
+                updatedAt: now
+            });
+        }
+        this.autoSave();
+        return this.data.workflows[index !== -1 ? index : this.data.workflows.length - 1];
+    }
+
+    async deleteWorkflow(id) {
+        if (!this.initialized) await this.init();
+        
+        const before = (this.data.workflows || []).length;
+        this.data.workflows = (this.data.workflows || []).filter(workflow => workflow.id !== id);
+        if (this.data.workflows.length < before) {
+            this.autoSave();
+            return true;
+        }
+        return false;
+    }
+
+    async exportWorkflow(id) {
+        if (!this.initialized) await this.init();
+        
+        const workflow = (this.data.workflows || []).find(w => w.id === id);
+        if (!workflow) return false;
+
+        const dataStr = JSON.stringify(Workflow.export(workflow, this.data.prompts), null, 2);
+        const blob = new Blob([dataStr], { type: 'application/json' });
+        const url = URL.createObjectURL(blob);
+        const a = document.createElement('a');
+        a.href = url;
+        a.download = `${workflow.name.replace(/[^\w-]+/g, '_')}.workflow.json`;
+        a.click();
+        URL.revokeObjectURL(url);
+        
+        return true;
+    }
+
+    // Adds a workflow from an exported file along with the prompts it uses
+    // that are not here yet, like POST /api/workflows/import. Throws with a
+    // message when the file is not a workflow export.
+    async importWorkflow(input) {
+        if (!this.initialized) await this.init();
+        
+        const { workflow: fields, prompts, error } = Workflow.parseExport(input);
+        if (error) throw new Error(error);
+        
+        const known = new Set([...this.data.prompts, ...(this.data.trash || [])].map(p => p.id));
+        const importedAt = new Date().toISOString();
+        const created = prompts.filter(prompt => !known.has(prompt.id)).map(prompt => {
+            const imported = { ...prompt, tags: this.normalizeTags(prompt.tags), importedAt };
+            if (imported.slug && this.data.prompts.some(p => p.slug === imported.slug || p.id === imported.slug)) {
+                delete imported.slug;
+            }
+            PromptHistory.record(imported, { source: 'import', createdAt: importedAt });
+            this.data.prompts.push(imported);
+            this.index.add(imported);
+            return imported;
+        });
+
+        this.data.workflows = this.data.workflows || [];
+        let name = fields.name;
+        for (let n = 2; this.data.workflows.some(w => w.name === name); n++) {
+            name = `${fields.name} (${n})`;
+        }
+        const workflow = await this.saveWorkflow({ ...fields, name });
+        return { workflow, createdCount: created.length };
+    }
+
+    async getRuns(promptId) {
+        if (!this.initialized) await this.init();
+        return RunHistory.list(this.data, promptId);
+    }
+
+    // Records a playground run of a prompt. Throws with a message when the
+    // run is invalid.
+    async addRun(promptId, input) {
+        if (!this.initialized) await this.init();
+        
+        const { run: fields, error } = RunHistory.check(input);
+        if (error) throw new Error(error);
+        
+        const run = {
+            id: `run_${Date.now()}_${Math.random().toString(36).substr(2, 9)}`,
+            promptId,
+            ...fields
+        };
+        RunHistory.add(this.data, run);
+        this.autoSave();
+        return run;
+    }
+
+    async rateRun(id, rating) {
+        if (!this.initialized) await this.init();
+        
+        const run = (this.data.runs || []).find(r => r.id === id);
+        if (!run || RunHistory.checkRating(rating)) return null;
+        
+        run.rating = rating;
+        this.autoSave();
+        return run;
+    }
+
+    async deleteRun(id) {
+        if (!this.initialized) await this.init();
+        
+        if (RunHistory.remove(this.data, id)) {
+            this.autoSave();
+            return true;
+        }
+        return false;
+    }
+
+    async getEvaluations(promptId) {
+        if (!this.initialized) await this.init();
+        return Evaluation.list(this.data, promptId);
+    }
+
+    // Keeps the result of Evaluation.run() for the prompt it ran against
+    async addEvaluation(result) {
+        if (!this.initialized) await this.init();
+        
+        const evaluation = {
+            id: `evaluation_${Date.now()}_${Math.random().toString(36).substr(2, 9)}`,
+            ...result
+        };
+        Evaluation.add(this.data, evaluation);
+        this.autoSave();
+        return evaluation;
+    }
+
+    async getComparisons(promptId = null) {
+        if (!this.initialized) await this.init();
+        return Comparison.list(this.data, promptId);
+    }
+
+    // Keeps the result of Comparison.run()
+    async addComparison(result) {
+        if (!this.initialized) await this.init();
+        
+        const comparison = {
+            id: `comparison_${Date.now()}_${Math.random().toString(36).substr(2, 9)}`,
+            ...result,
+            updatedAt: result.createdAt
+        };
+        this.data.comparisons = this.data.comparisons || [];
+        this.data.comparisons.push(comparison);
+        this.autoSave();
+        return comparison;
+    }
+
+    // Sets the winner of one input: 'a', 'b', 'tie', or null to clear it
+    async setComparisonVerdict(id, index, verdict) {
+        if (!this.initialized) await this.init();
+        
+        const comparison = (this.data.comparisons || []).find(c => c.id === id);
+        const result = comparison && comparison.results[index];
+        const { verdict: cleaned, error } = Comparison.checkVerdict(verdict);
+        if (!result || error) return null;
+        
+        Object.assign(result, cleaned);
+        comparison.updatedAt = new Date().toISOString();
+        this.autoSave();
+        return comparison;
+    }
+
+    async deleteComparison(id) {
+        if (!this.initialized) await this.init();
+        
+        const before = (this.data.comparisons || []).length;
+        this.data.comparisons = (this.data.comparisons || []).filter(c => c.id !== id);
+        if (this.data.comparisons.length === before) return false;
+        
+        this.autoSave();
+        return true;
+    }
+
     async getAllTags() {
         if (!this.initialized) await this.init();
         
@@ -348,6 +1082,72 @@ class LocalJSONDatabase {
         return Array.from(tagSet).sort();
     }
 
+    // Tags are cleaned and run through the synonym rules whenever they are saved
+    normalizeTags(tags = []) {
+        return TagRules.normalize(tags, this.data.tagSynonyms || {});
+    }
+
+    // Every tag and parent tag with its prompt counts, for the tag manager
+    async getTagList() {
+        if (!this.initialized) await this.init();
+        return TagRules.list(this.data.prompts);
+    }
+
+    // Rewrites the tags of every prompt that `change` affects in one save.
+    // Returns the number of prompts changed.
+    updateTags(change) {
+        let updated = 0;
+        this.data.prompts.forEach((prompt, i) => {
+            const tags = change(prompt.tags || []);
+            if (JSON.stringify(tags) === JSON.stringify(prompt.tags || [])) return;
+            this.data.prompts[i] = PromptHistory.applyUpdate(prompt, { tags }, { source: 'bulk' });
+            this.index.update(this.data.prompts[i]);
+            updated++;
+        });
+        if (updated > 0) this.autoSave();
+        return updated;
+    }
+
+    // Renaming onto a tag that already exists merges the two
+    async renameTag(from, to) {
+        if (!this.initialized) await this.init();
+        return this.updateTags(tags => TagRules.rename(tags, from, TagRules.clean(to), this.data.tagSynonyms));
+    }
+
+    async mergeTags(tags, into) {
+        if (!this.initialized) await this.init();
+        
+        into = TagRules.clean(into);
+        const sources = tags.filter(tag => tag !== into);
+        return this.updateTags(current =>
+            sources.reduce((result, tag) => TagRules.rename(result, tag, into, this.data.tagSynonyms), current)
+        );
+    }
+
+    async deleteTag(tag) {
+        if (!this.initialized) await this.init();
+        return this.updateTags(tags => TagRules.remove(tags, tag));
+    }
+
+    async getTagSynonyms() {
+        if (!this.initialized) await this.init();
+        return { ...(this.data.tagSynonyms || {}) };
+    }
+
+    // Replaces the synonym rules and rewrites the prompts already using an
+    // alias. Throws with a message when the rules are invalid.
+    async setTagSynonyms(input) {
+        if (!this.initialized) await this.init();
+        
+        const { synonyms, error } = TagRules.checkSynonyms(input);
+        if (error) throw new Error(error);
+        
+        this.data.tagSynonyms = synonyms;
+        const updated = this.updateTags(tags => TagRules.normalize(tags, synonyms));
+        this.autoSave();
+        return updated;
+    }
+
     async getSettings() {
         if (!this.initialized) await this.init();
         return { ...this.data.settings };
@@ -366,6 +1166,7 @@ class LocalJSONDatabase {
         
         const exportData = {
             ...this.data,
+            settings: LLMProviders.withoutKeys(this.data.settings),
             exported: new Date().toISOString(),
             exportVersion: '1.0.0'
         };
@@ -387,19 +1188,88 @@ class LocalJSONDatabase {
             const importedData = typeof jsonData === 'string' ? JSON.parse(jsonData) : jsonData;
             
             if (importedData.prompts && Array.isArray(importedData.prompts)) {
+                // Imported synonym rules apply to the imported prompts;
+                // rules already here win
+                const { synonyms } = TagRules.checkSynonyms({ ...importedData.tagSynonyms, ...this.data.tagSynonyms });
+                if (synonyms) this.data.tagSynonyms = synonyms;
+
                 importedData.prompts.forEach(prompt => {
                     if (!this.data.prompts.find(p => p.id === prompt.id)) {
-                        this.data.prompts.push({
+                        const imported = {
                             ...prompt,
+                            tags: this.normalizeTags(prompt.tags),
                             importedAt: new Date().toISOString()
-                        });
+                        };
+                        if (!imported.revisions || imported.revisions.length === 0) {
+                            PromptHistory.record(imported, { source: 'import', createdAt: imported.importedAt });
+                        }
+                        this.data.prompts.push(imported);
+                        this.index.add(imported);
                     }
                 });
 
+                // Categories new to this database come with their details;
+                // existing ones keep theirs
+                (importedData.categories || []).forEach(category => {
+                    if (this.data.categories.includes(category)) return;
+                    this.data.categories.push(category);
+                    const { details } = CategoryModel.pick((importedData.categoryDetails || {})[category]);
+                    if (details) CategoryModel.setDetails(this.data, category, details);
+                });
+
                 if (importedData.customFolders) {
-                    importedData.customFolders.forEach(folder => {
-                        if (!this.data.customFolders.includes(folder)) {
-                            this.data.customFolders.push(folder);
+                    this.data.customFolders = FolderTree.withAncestors([
+                        ...this.data.customFolders,
+                        ...importedData.customFolders.map(folder => FolderTree.normalize(folder)).filter(Boolean)
+                    ]);
+                }
+
+                if (importedData.workflows) {
+                    this.data.workflows = this.data.workflows || [];
+                    importedData.workflows.forEach(workflow => {
+                        if (!this.data.workflows.some(w => w.id === workflow.id || w.name === workflow.name)) {
+                            this.data.workflows.push(workflow);
+                        }
+                    });
+                }
+
+                // Runs, evaluations and comparisons come along for the prompts they belong to
+                if (importedData.runs) {
+                    this.data.runs = this.data.runs || [];
+                    const promptIds = new Set(this.data.prompts.map(p => p.id));
+                    importedData.runs.forEach(run => {
+                        if (promptIds.has(run.promptId) && !this.data.runs.some(r => r.id === run.id)) {
+                            this.data.runs.push(run);
+                        }
+                    });
+                }
+
+                if (importedData.evaluations) {
+                    this.data.evaluations = this.data.evaluations || [];
+                    const promptIds = new Set(this.data.prompts.map(p => p.id));
+                    importedData.evaluations.forEach(evaluation => {
+                        if (promptIds.has(evaluation.promptId) && !this.data.evaluations.some(e => e.id === evaluation.id)) {
+                            this.data.evaluations.push(evaluation);
+                        }
+                    });
+                }
+
+                if (importedData.comparisons) {
+                    this.data.comparisons = this.data.comparisons || [];
+                    const promptIds = new Set(this.data.prompts.map(p => p.id));
+                    importedData.comparisons.forEach(comparison => {
+                        if (promptIds.has(comparison.a.promptId) && promptIds.has(comparison.b.promptId) &&
+                            !this.data.comparisons.some(c => c.id === comparison.id)) {
+                            this.data.comparisons.push(comparison);
+                        }
+                    });
+                }
+
+                if (importedData.smartFolders) {
+                    this.data.smartFolders = this.data.smartFolders || [];
+                    importedData.smartFolders.forEach(folder => {
+                        if (!this.data.smartFolders.some(f => f.id === folder.id || f.name === folder.name)) {
+                            this.data.smartFolders.push(folder);
                         }
                     });
                 }
@@ -443,7 +1313,8 @@ class LocalJSONDatabase {
             topTags: Object.entries(tagCounts)
                 .sort(([,a], [,b]) => b - a)
                 .slice(0, 10)
-                .map(([tag, count]) => ({ tag, count }))
+                .map(([tag, count]) => ({ tag, count })),
+            winRates: Comparison.winRates(this.data)
         };
     }
 }
@@ -0,0 +1,147 @@
+/**
+ * Document Merge
+ * Three-way merge used when a save is rejected with 409 because the server
+ * copy changed. `base` is the document as last synced, `local` has this
+ * tab's edits and `remote` is the server's current document. Changes made on
+ * only one side merge on their own; prompts changed on both sides come back
+ * as conflicts for the user to decide.
+ */
+
+const DocumentMerge = {
+    // Keys merged item by item instead of as a whole
+    COLLECTIONS: ['prompts', 'trash', 'smartFolders'],
+
+    // Compare ignoring the server-assigned revision number
+    same(a, b) {
+        const strip = value => (value && typeof value === 'object' && !Array.isArray(value) && 'rev' in value)
+            ? (({ rev, ...rest }) => rest)(value)
+            : value;
+        return JSON.stringify(strip(a)) === JSON.stringify(strip(b));
+    },
+
+    // Merge two lists of records by id. Conflicting items stay in the result
+    // as the local version (or the remote one if deleted locally) until
+    // resolve() applies the user's choice.
+    mergeCollection(base = [], local = [], remote = []) {
+        const baseById = new Map(base.map(item => [item.id, item]));
+        const localById = new Map(local.map(item => [item.id, item]));
+        const items = [];
+        const conflicts = [];
+
+        // Added on the server: first, as new prompts are added to the top
+        remote.forEach(item => {
+            if (!localById.has(item.id) && !baseById.has(item.id)) items.push(item);
+        });
+
+        const remoteById = new Map(remote.map(item => [item.id, item]));
+        local.forEach(mine => {
+            const theirs = remoteById.get(mine.id);
+            const original = baseById.get(mine.id);
+
+            if (theirs) {
+                if (this.same(mine, theirs) || this.same(mine, original)) {
+                    items.push(theirs);
+                } else if (this.same(theirs, original)) {
+                    items.push(mine);
+                } else {
+                    items.push(mine);
+                    conflicts.push({ id: mine.id, local: mine, remote: theirs });
+                }
+            } else if (!original) {
+                items.push(mine);
+            } else if (!this.same(mine, original)) {
+                // Edited here, deleted on the server
+                items.push(mine);
+                conflicts.push({ id: mine.id, local: mine, remote: null });
+            }
+        });
+
+        // Deleted here, edited on the server
+        remote.forEach(theirs => {
+            const original = baseById.get(theirs.id);
+            if (!localById.has(theirs.id) && original && !this.same(theirs, original)) {
+                items.unshift(theirs);
+                conflicts.push({ id: theirs.id, local: null, remote: theirs });
+            }
+        });
+
+        return { items, conflicts };
+    },
+
+    mergeValue(base, local, remote) {
+        if (this.same(local, remote) || this.same(local, base)) return remote;
+        if (this.same(remote, base)) return local;
+
+        const isList = value => Array.isArray(value) && value.every(v => typeof v !== 'object');
+        if (isList(base) && isList(local) && isList(remote)) {
+            const kept = remote.filter(v => local.includes(v) || !base.includes(v));
+            const added = local.filter(v => !remote.includes(v) && !base.includes(v));
+            return [...kept, ...added];
+        }
+
+        const isObject = value => value && typeof value === 'object' && !Array.isArray(value);
+        if (isObject(base) && isObject(local) && isObject(remote)) {
+            const keys = new Set([...Object.keys(local), ...Object.keys(remote)]);
+            return [...keys].reduce((acc, key) => {
+                acc[key] = this.mergeValue(base[key], local[key], remote[key]);
+                return acc;
+            }, {});
+        }
+
+        return local;
+    },
+
+    merge(base, local, remote) {
+        const merged = {};
+        const keys = new Set([...Object.keys(local), ...Object.keys(remote)]);
+
+        keys.forEach(key => {
+            if (!this.COLLECTIONS.includes(key)) {
+                merged[key] = this.mergeValue(base[key], local[key], remote[key]);
+            }
+        });
+
+        const prompts = this.mergeCollection(base.prompts, local.prompts, remote.prompts);
+        // Trash items are never edited, so there is nothing to ask about
+        const trash = this.mergeCollection(base.trash, local.trash, remote.trash);
+
+        merged.prompts = prompts.items;
+        merged.trash = trash.items;
+        // Smart folders edited on both sides keep this tab's version
+        merged.smartFolders = this.mergeCollection(base.smartFolders, local.smartFolders, remote.smartFolders).items;
+
+        return { merged, conflicts: prompts.conflicts };
+    },
+
+    // Apply the user's choices: { [id]: 'local' | 'remote' }, local by default.
+    // Call this even when there are no conflicts; it also tidies the trash.
+    resolve(merged, conflicts, choices = {}) {
+        conflicts.forEach(conflict => {
+            const chosen = choices[conflict.id] === 'remote' ? conflict.remote : conflict.local;
+            const index = merged.prompts.findIndex(p => p.id === conflict.id);
+
+            if (chosen && index !== -1) {
+                merged.prompts[index] = chosen;
+            } else if (chosen) {
+                merged.prompts.unshift(chosen);
+            } else if (index !== -1) {
+                merged.prompts.splice(index, 1);
+            }
+        });
+
+        this.dedupeTrash(merged);
+        return merged;
+    },
+
+    // A prompt kept in the collection must not also sit in the trash
+    dedupeTrash(merged) {
+        const ids = new Set(merged.prompts.map(p => p.id));
+        merged.trash = merged.trash.filter(item => !ids.has(item.id));
+    }
+};
+
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = DocumentMerge;
+} else {
+    window.DocumentMerge = DocumentMerge;
+}
@@ -0,0 +1,337 @@
+/**
+ * Evaluation
+ * A prompt can carry test cases in `prompt.tests`: values for its
+ * {{variables}} and assertions its output must pass.
+ *
+ *   [{ name: 'formal letter', variables: { tone: 'formal' }, assertions: [
+ *       { type: 'contains', value: 'Dear' },
+ *       { type: 'regex', value: '^dear', flags: 'i' },
+ *       { type: 'json-schema', value: { type: 'object', required: ['title'] } },
+ *       { type: 'max-length', value: 500 },
+ *       { type: 'rubric', value: 'Polite and under three paragraphs' } ] }]
+ *
+ * Rubrics are graded by the model itself. Each run of a suite is kept in
+ * `data.evaluations` with a fingerprint of the prompt it ran against, so
+ * results can be flagged once the prompt or its tests change. Shared by the
+ * browser, POST /api/prompts/:id/evaluate and `npm run evaluate`.
+ */
+
+const PromptTemplateForEvaluation = (typeof window !== 'undefined' && window.PromptTemplate) || require('./prompt-template');
+
+const Evaluation = {
+    ASSERTION_TYPES: ['contains', 'regex', 'json-schema', 'max-length', 'rubric'],
+    MAX_TESTS: 50,
+    MAX_ASSERTIONS: 20,
+    MAX_PER_PROMPT: 20,
+    JUDGE_SYSTEM: 'You grade the output of an AI model against a rubric. ' +
+        'Reply with JSON only, like {"pass": true, "reason": "one short sentence"}.',
+
+    // Cleaned test cases, or an error message for the first bad one
+    checkTests(input) {
+        if (!Array.isArray(input)) {
+            return { error: 'tests must be an array' };
+        }
+        if (input.length > this.MAX_TESTS) {
+            return { error: `A prompt can have at most ${this.MAX_TESTS} tests` };
+        }
+
+        const tests = [];
+        for (const [index, test] of input.entries()) {
+            const label = `Test ${index + 1}`;
+            if (!test || typeof test !== 'object') {
+                return { error: `${label} must be an object` };
+            }
+            const name = typeof test.name === 'string' ? test.name.trim() : '';
+            if (name.length === 0 || name.length > 100) {
+                return { error: `${label} needs a name of 1 to 100 characters` };
+            }
+            if (tests.some(other => other.name === name)) {
+                return { error: `There is more than one test named "${name}"` };
+            }
+
+            const variables = test.variables === undefined ? {} : test.variables;
+            if (!variables || typeof variables !== 'object' || Array.isArray(variables) ||
+                Object.values(variables).some(value => typeof value !== 'string')) {
+                return { error: `"${name}": variables must be an object of name: text` };
+            }
+
+            if (!Array.isArray(test.assertions) || test.assertions.length === 0 || test.assertions.length > this.MAX_ASSERTIONS) {
+                return { error: `"${name}" needs between 1 and ${this.MAX_ASSERTIONS} assertions` };
+            }
+            const assertions = [];
+            for (const assertion of test.assertions) {
+                const { assertion: cleaned, error } = this.checkAssertion(assertion);
+                if (error) return { error: `"${name}": ${error}` };
+                assertions.push(cleaned);
+            }
+
+            tests.push({ name, variables, assertions });
+        }
+        return { tests };
+    },
+
+    checkAssertion(input) {
+        if (!input || !this.ASSERTION_TYPES.includes(input.type)) {
+            return { error: `assertion type must be one of: ${this.ASSERTION_TYPES.join(', ')}` };
+        }
+
+        const { type, value } = input;
+        switch (type) {
+            case 'contains':
+            case 'rubric':
+                return typeof value === 'string' && value.trim() !== ''
+                    ? { assertion: { type, value } }
+                    : { error: `${type} needs some text` };
+            case 'regex': {
+                const flags = input.flags || '';
+                if (typeof value !== 'string' || value === '') return { error: 'regex needs a pattern' };
+                try {
+                    new RegExp(value, flags);
+                } catch (error) {
+                    return { error: `invalid regex: ${error.message}` };
+                }
+                return { assertion: flags ? { type, value, flags } : { type, value } };
+            }
+            case 'json-schema':
+                return value && typeof value === 'object' && !Array.isArray(value)
+                    ? { assertion: { type, value } }
+                    : { error: 'json-schema needs a schema object' };
+            case 'max-length':
+                return Number.isInteger(value) && value > 0
+                    ? { assertion: { type, value } }
+                    : { error: 'max-length needs a positive whole number of characters' };
+        }
+    },
+
+    isType(value, type) {
+        switch (type) {
+            case 'null':
+                return value === null;
+            case 'array':
+                return Array.isArray(value);
+            case 'object':
+                return value !== null && typeof value === 'object' && !Array.isArray(value);
+            case 'integer':
+                return Number.isInteger(value);
+            case 'number':
+                return typeof value === 'number' && Number.isFinite(value);
+            default:
+                return typeof value === type;
+        }
+    },
+
+    // What is wrong with `value` for a JSON schema, or null. Covers type,
+    // enum, properties, required, additionalProperties, items and the
+    // min/max keywords, which is what prompt outputs are usually checked for.
+    matchSchema(value, schema, path = '$') {
+        if (!schema || typeof schema !== 'object') return null;
+
+        const types = [].concat(schema.type || []);
+        if (types.length > 0 && !types.some(type => this.isType(value, type))) {
+            return `${path} should be ${types.join(' or ')}`;
+        }
+        if (schema.enum && !schema.enum.some(option => JSON.stringify(option) === JSON.stringify(value))) {
+            return `${path} should be one of ${JSON.stringify(schema.enum)}`;
+        }
+
+        if (typeof value === 'string') {
+            if (schema.minLength !== undefined && value.length < schema.minLength) return `${path} is shorter than ${schema.minLength}`;
+            if (schema.maxLength !== undefined && value.length > schema.maxLength) return `${path} is longer than ${schema.maxLength}`;
+            if (schema.pattern !== undefined && !new RegExp(schema.pattern).test(value)) return `${path} does not match ${schema.pattern}`;
+        }
+        if (typeof value === 'number') {
+            if (schema.minimum !== undefined && value < schema.minimum) return `${path} is less than ${schema.minimum}`;
+            if (schema.maximum !== undefined && value > schema.maximum) return `${path} is more than ${schema.maximum}`;
+        }
+
+        if (Array.isArray(value)) {
+            if (schema.minItems !== undefined && value.length < schema.minItems) return `${path} has fewer than ${schema.minItems} items`;
+            if (schema.maxItems !== undefined && value.length > schema.maxItems) return `${path} has more than ${schema.maxItems} items`;
+            for (const [index, item] of value.entries()) {
+                const error = this.matchSchema(item, schema.items, `${path}[${index}]`);
+                if (error) return error;
+            }
+        } else if (this.isType(value, 'object')) {
+            const missing = (schema.required || []).find(key => !(key in value));
+            if (missing) return `${path}.${missing} is required`;
+
+            const properties = schema.properties || {};
+            for (const [key, item] of Object.entries(value)) {
+                if (properties[key]) {
+                    const error = this.matchSchema(item, properties[key], `${path}.${key}`);
+                    if (error) return error;
+                } else if (schema.additionalProperties === false) {
+                    return `${path}.${key} is not allowed`;
+                }
+            }
+        }
+        return null;
+    },
+
+    // Models like to wrap JSON in a ```json fence
+    parseJSON(text) {
+        const fenced = /^```(?:json)?\s*([\s\S]*?)\s*```$/.exec(String(text).trim());
+        try {
+            return { value: JSON.parse(fenced ? fenced[1] : text) };
+        } catch (error) {
+            return { error: 'Output is not valid JSON' };
+        }
+    },
+
+    // { type, passed, message }. `complete` is only called for rubrics.
+    async assert(assertion, output, complete) {
+        const result = (passed, message) => ({ type: assertion.type, passed, message: passed ? null : message });
+
+        switch (assertion.type) {
+            case 'contains':
+                return result(output.includes(assertion.value), `Output does not contain "${assertion.value}"`);
+            case 'regex':
+                return result(new RegExp(assertion.value, assertion.flags || '').test(output),
+                    `Output does not match /${assertion.value}/${assertion.flags || ''}`);
+            case 'max-length':
+                return result(output.length <= assertion.value,
+                    `Output is ${output.length} characters, more than ${assertion.value}`);
+            case 'json-schema': {
+                const { value, error } = this.parseJSON(output);
+                const mismatch = error || this.matchSchema(value, assertion.value);
+                return result(!mismatch, mismatch);
+            }
+            case 'rubric': {
+                const reply = await complete(`Rubric:\n${assertion.value}\n\nOutput:\n${output}`,
+                    { system: this.JUDGE_SYSTEM, temperature: 0 });
+                const { value: verdict } = this.parseJSON(reply);
+                if (!verdict || typeof verdict.pass !== 'boolean') {
+                    return result(false, `The judge did not reply with a verdict: ${String(reply).slice(0, 200)}`);
+                }
+                return result(verdict.pass, verdict.reason || 'The judge failed the output');
+            }
+            default:
+                return result(false, `Unknown assertion type "${assertion.type}"`);
+        }
+    },
+
+    // Runs one test case. Failing to render or to reach the model fails the
+    // test with an `error` instead of throwing.
+    async runTest(prompt, prompts, test, complete) {
+        const outcome = { name: test.name, input: null, output: null, passed: false, error: null, assertions: [] };
+
+        const { text, errors, error } = PromptTemplateForEvaluation.fill(prompt, test.variables || {}, prompts);
+        if (error || errors) {
+            outcome.error = error || Object.values(errors).join(', ');
+            return outcome;
+        }
+        outcome.input = text;
+
+        try {
+            outcome.output = await complete(text, {});
+            for (const assertion of test.assertions) {
+                outcome.assertions.push(await this.assert(assertion, outcome.output, complete));
+            }
+            outcome.passed = outcome.assertions.every(assertion => assertion.passed);
+        } catch (runError) {
+            outcome.error = runError.message;
+        }
+        return outcome;
+    },
+
+    // Runs a prompt's whole suite one test at a time. `complete(text,
+    // { system, temperature })` sends one prompt to the model and resolves
+    // with the reply; `onTest(index, result)` is called as each test ends.
+    async run(prompt, prompts, { complete, model = null, onTest = () => {} }) {
+        const results = [];
+        for (const [index, test] of (prompt.tests || []).entries()) {
+            const result = await this.runTest(prompt, prompts, test, complete);
+            results.push(result);
+            onTest(index, result);
+        }
+
+        const passed = results.filter(result => result.passed).length;
+        return {
+            promptId: prompt.id,
+            createdAt: new Date().toISOString(),
+            model,
+            fingerprint: this.fingerprint(prompt),
+            passed,
+            failed: results.length - passed,
+            results
+        };
+    },
+
+    // A short hash of what a run depends on: the text, variables and tests
+    fingerprint(prompt) {
+        const source = JSON.stringify([prompt.text || '', prompt.variables || null, prompt.tests || []]);
+        let hash = 0x811c9dc5;
+        for (let i = 0; i < source.length; i++) {
+            hash = Math.imul(hash ^ source.charCodeAt(i), 0x01000193) >>> 0;
+        }
+        return hash.toString(16).padStart(8, '0');
+    },
+
+    // Whether the prompt or its tests changed since this evaluation ran
+    isStale(evaluation, prompt) {
+        return evaluation.fingerprint !== this.fingerprint(prompt);
+    },
+
+    // Evaluations of one prompt, newest first
+    list(data, promptId) {
+        return (data.evaluations || [])
+            .filter(evaluation => evaluation.promptId === promptId)
+            .sort((a, b) => new Date(b.createdAt) - new Date(a.createdAt));
+    },
+
+    latest(data, promptId) {
+        return this.list(data, promptId)[0] || null;
+    },
+
+    // Adds an evaluation and drops the prompt's oldest beyond the limit.
+    // The evaluations array is changed in place.
+    add(data, evaluation) {
+        data.evaluations = data.evaluations || [];
+        data.evaluations.push(evaluation);
+
+        const dropped = this.list(data, evaluation.promptId).slice(this.MAX_PER_PROMPT);
+        dropped.forEach(old => data.evaluations.splice(data.evaluations.indexOf(old), 1));
+        return dropped;
+    },
+
+    // Drops the evaluations of prompts purged from the trash
+    prune(data) {
+        const known = new Set([...data.prompts, ...(data.trash || [])].map(p => p.id));
+        data.evaluations = (data.evaluations || []).filter(evaluation => known.has(evaluation.promptId));
+    },
+
+    // An evaluation sent by a client, or an error message
+    checkEvaluation(input) {
+        if (!input || typeof input !== 'object' || !Array.isArray(input.results)) {
+            return { error: 'An evaluation needs a results array' };
+        }
+        if (input.results.some(result => !result || typeof result.name !== 'string' || typeof result.passed !== 'boolean')) {
+            return { error: 'Every result needs a name and passed' };
+        }
+        if (typeof input.fingerprint !== 'string') {
+            return { error: 'fingerprint must be a string' };
+        }
+        const createdAt = input.createdAt === undefined ? new Date().toISOString() : input.createdAt;
+        if (typeof createdAt !== 'string' || isNaN(new Date(createdAt))) {
+            return { error: 'createdAt must be a date' };
+        }
+
+        const passed = input.results.filter(result => result.passed).length;
+        return {
+            evaluation: {
+                createdAt,
+                model: typeof input.model === 'string' ? input.model : null,
+                fingerprint: input.fingerprint,
+                passed,
+                failed: input.results.length - passed,
+                results: input.results
+            }
+        };
+    }
+};
+
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = Evaluation;
+} else {
+    window.Evaluation = Evaluation;
+}
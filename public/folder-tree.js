@@ -0,0 +1,84 @@
+/**
+ * Folder Tree
+ * Custom folders are stored as paths such as "Clients/Acme/Onboarding" in
+ * `customFolders` and in each prompt's `folder`. These helpers, shared by
+ * the browser database and the server routes, keep every ancestor of a
+ * folder in the list and rewrite paths when a folder is renamed or moved.
+ */
+
+const FolderTree = {
+    SEPARATOR: '/',
+
+    // "  Clients / Acme/ " -> "Clients/Acme"
+    normalize(path) {
+        return String(path || '')
+            .split(this.SEPARATOR)
+            .map(segment => segment.trim())
+            .filter(Boolean)
+            .join(this.SEPARATOR);
+    },
+
+    parent(path) {
+        const index = path.lastIndexOf(this.SEPARATOR);
+        return index === -1 ? null : path.slice(0, index);
+    },
+
+    basename(path) {
+        return path.slice(path.lastIndexOf(this.SEPARATOR) + 1);
+    },
+
+    depth(path) {
+        return path.split(this.SEPARATOR).length - 1;
+    },
+
+    // "A/B/C" -> ["A", "A/B"]
+    ancestors(path) {
+        const segments = path.split(this.SEPARATOR);
+        return segments.slice(0, -1).map((_, i) => segments.slice(0, i + 1).join(this.SEPARATOR));
+    },
+
+    // Whether `path` is `folder` or somewhere below it
+    contains(folder, path) {
+        return path === folder || (path || '').startsWith(folder + this.SEPARATOR);
+    },
+
+    // The paths with any missing ancestors inserted before them
+    withAncestors(paths) {
+        const result = [];
+        paths.forEach(path => {
+            [...this.ancestors(path), path].forEach(folder => {
+                if (!result.includes(folder)) result.push(folder);
+            });
+        });
+        return result;
+    },
+
+    // Where `path` ends up when `from` is renamed or moved to `to`
+    rename(path, from, to) {
+        return this.contains(from, path) ? to + path.slice(from.length) : path;
+    },
+
+    // Rename `from` to `to` in a list of folders, keeping their order
+    renameAll(paths, from, to) {
+        return this.withAncestors(paths.map(path => this.rename(path, from, to)));
+    },
+
+    // Nested { name, path, children } nodes, in the order the paths are listed
+    build(paths) {
+        const roots = [];
+        const nodes = new Map();
+        this.withAncestors(paths).forEach(path => {
+            const node = { name: this.basename(path), path, children: [] };
+            nodes.set(path, node);
+            const parent = this.parent(path);
+            (parent === null ? roots : nodes.get(parent).children).push(node);
+        });
+        return roots;
+    }
+};
+
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = FolderTree;
+} else {
+    window.FolderTree = FolderTree;
+}
@@ -0,0 +1,424 @@
+/**
+ * LLM Providers
+ * The model APIs the app can talk to, shared by the browser and the server.
+ * A provider is a configured driver:
+ *
+ *   { id: 'local', type: 'ollama', name: 'Ollama', baseURL: 'http://localhost:11434/v1', apiKey: '', model: 'llama3.1' }
+ *
+ * `settings.providers` holds the ones the user added, without keys: those
+ * live in the server's secret store (see src/secret-store.js), one per
+ * provider id. Each task can use its own provider and model, falling back to
+ * the default provider:
+ *
+ *   settings.llm = { provider: 'openai', tasks: { categorize: { provider: 'local', model: 'llama3.1' } } }
+ *
+ * Only the server sends requests (see src/openai-integration.js), so keys
+ * never reach the browser. Requests are built here and sent with the
+ * caller's fetch; retries, timeouts and circuit breaking are the server's
+ * (see src/model-client.js).
+ */
+
+const LLMProviders = {
+    DRIVERS: {
+        'openai': {
+            label: 'OpenAI',
+            format: 'openai',
+            baseURL: 'https://api.openai.com/v1',
+            model: 'gpt-3.5-turbo',
+            needsKey: true
+        },
+        'anthropic': {
+            label: 'Anthropic',
+            format: 'anthropic',
+            baseURL: 'https://api.anthropic.com/v1',
+            model: 'claude-3-5-haiku-latest',
+            needsKey: true
+        },
+        // Ollama and the llama.cpp server both speak the OpenAI API under /v1
+        'ollama': {
+            label: 'Ollama / llama.cpp',
+            format: 'openai',
+            baseURL: 'http://localhost:11434/v1',
+            model: 'llama3.1',
+            needsKey: false
+        },
+        'openai-compatible': {
+            label: 'OpenAI-compatible',
+            format: 'openai',
+            baseURL: '',
+            model: '',
+            needsKey: false
+        }
+    },
+    TASKS: {
+        categorize: 'Categorize and tag',
+        enhance: 'Enhance',
+        generate: 'Generate and analyze',
+        run: 'Run prompts (playground, workflows, tests, comparisons)'
+    },
+    ID_PATTERN: /^[a-z0-9][a-z0-9_-]{0,39}$/,
+    ANTHROPIC_VERSION: '2023-06-01',
+
+    // A cleaned provider, or an error message
+    check(input) {
+        if (!input || typeof input !== 'object') {
+            return { error: 'A provider must be an object' };
+        }
+        if (typeof input.id !== 'string' || !this.ID_PATTERN.test(input.id)) {
+            return { error: 'Provider id may only use lowercase letters, digits, "-" and "_"' };
+        }
+        const driver = this.DRIVERS[input.type];
+        if (!driver) {
+            return { error: `"${input.id}": type must be one of: ${Object.keys(this.DRIVERS).join(', ')}` };
+        }
+        for (const key of ['name', 'baseURL', 'apiKey', 'model']) {
+            if (input[key] !== undefined && typeof input[key] !== 'string') {
+                return { error: `"${input.id}": ${key} must be a string` };
+            }
+        }
+
+        const baseURL = (input.baseURL || '').trim().replace(/\/+$/, '');
+        if (baseURL && !/^https?:\/\/[^/\s]+/.test(baseURL)) {
+            return { error: `"${input.id}": baseURL must be an http(s) URL` };
+        }
+        if (!baseURL && !driver.baseURL) {
+            return { error: `"${input.id}": ${driver.label} providers need a baseURL` };
+        }
+
+        return {
+            provider: {
+                id: input.id,
+                type: input.type,
+                name: (input.name || '').trim() || driver.label,
+                baseURL,
+                apiKey: input.apiKey || '',
+                model: (input.model || '').trim()
+            }
+        };
+    },
+
+    // A cleaned list of providers with unique ids, or an error message
+    checkProviders(input) {
+        if (!Array.isArray(input)) {
+            return { error: 'providers must be an array' };
+        }
+        const providers = [];
+        for (const item of input) {
+            const { provider, error } = this.check(item);
+            if (error) return { error };
+            if (providers.some(other => other.id === provider.id)) {
+                return { error: `There is more than one provider with the id "${provider.id}"` };
+            }
+            providers.push(provider);
+        }
+        return { providers };
+    },
+
+    // Cleaned { provider, tasks } routing, or an error message. Provider ids
+    // are not looked up here: a provider configured on the server may not be
+    // in the settings.
+    checkRouting(input) {
+        if (!input || typeof input !== 'object' || Array.isArray(input)) {
+            return { error: 'llm must be an object' };
+        }
+        if (input.provider !== undefined && typeof input.provider !== 'string') {
+            return { error: 'llm.provider must be a provider id' };
+        }
+
+        const tasks = {};
+        for (const [task, choice] of Object.entries(input.tasks || {})) {
+            if (!this.TASKS[task]) {
+                return { error: `Unknown task "${task}"; tasks are: ${Object.keys(this.TASKS).join(', ')}` };
+            }
+            if (!choice || typeof choice !== 'object' ||
+                (choice.provider !== undefined && typeof choice.provider !== 'string') ||
+                (choice.model !== undefined && typeof choice.model !== 'string')) {
+                return { error: `llm.tasks.${task} must be { provider, model }` };
+            }
+            const cleaned = {};
+            if (choice.provider) cleaned.provider = choice.provider;
+            if (choice.model && choice.model.trim()) cleaned.model = choice.model.trim();
+            if (Object.keys(cleaned).length > 0) tasks[task] = cleaned;
+        }
+        return { llm: input.provider ? { provider: input.provider, tasks } : { tasks } };
+    },
+
+    // Every configured provider: `defaults` (the built-in OpenAI provider,
+    // plus whatever the server was configured with) overridden by id with
+    // the user's own. A key in `keys` wins over one from the environment.
+    list(settings = {}, defaults = [{ id: 'openai', type: 'openai' }], keys = {}) {
+        const own = Array.isArray(settings.providers) ? settings.providers : [];
+        const providers = defaults.filter(provider => !own.some(other => other.id === provider.id));
+        return [...providers, ...own].map(provider => ({
+            name: this.DRIVERS[provider.type]?.label || provider.id,
+            baseURL: '',
+            model: '',
+            ...provider,
+            apiKey: keys[provider.id] || provider.apiKey || ''
+        }));
+    },
+
+    // The settings without API keys, for anything that leaves the server
+    withoutKeys(settings = {}) {
+        const { openaiApiKey, ...rest } = settings;
+        if (Array.isArray(rest.providers)) {
+            rest.providers = rest.providers.map(({ apiKey, ...provider }) => provider);
+        }
+        return rest;
+    },
+
+    // The keys written into `settings`, by provider id: what older versions
+    // kept there, or what an API client sent along with a provider
+    keysIn(settings = {}) {
+        const keys = {};
+        if (typeof settings.openaiApiKey === 'string' && settings.openaiApiKey.trim()) {
+            keys.openai = settings.openaiApiKey.trim();
+        }
+        (Array.isArray(settings.providers) ? settings.providers : []).forEach(provider => {
+            if (provider && typeof provider.apiKey === 'string' && provider.apiKey.trim()) {
+                keys[provider.id] = provider.apiKey.trim();
+            }
+        });
+        return keys;
+    },
+
+    baseURL(provider) {
+        return provider.baseURL || this.DRIVERS[provider.type]?.baseURL || '';
+    },
+
+    // Whether requests can be sent: the driver exists, has an address and,
+    // for hosted APIs, a key
+    isReady(provider) {
+        const driver = provider && this.DRIVERS[provider.type];
+        return !!driver && !!this.baseURL(provider) && (!driver.needsKey || !!provider.apiKey);
+    },
+
+    // { provider, model } for a task. A missing or unknown provider id falls
+    // back to the default provider, then to OpenAI, then to the first one
+    // configured.
+    route(providers, llm = {}, task = 'run') {
+        const choice = (llm.tasks || {})[task] || {};
+        const find = id => providers.find(provider => provider.id === id);
+        const provider = find(choice.provider) || find(llm.provider) || find('openai') || providers[0] || null;
+        if (!provider) return { provider: null, model: null };
+
+        const sameProvider = !choice.provider || choice.provider === provider.id;
+        const model = (sameProvider && choice.model) || provider.model || this.DRIVERS[provider.type]?.model || '';
+        return { provider, model };
+    },
+
+    // fetch() arguments for one chat completion
+    buildRequest(provider, { model, system = '', prompt, maxTokens = 1000, temperature = 0.7, stream = false }) {
+        const driver = this.DRIVERS[provider.type];
+        const baseURL = this.baseURL(provider);
+
+        if (driver.format === 'anthropic') {
+            const body = {
+                model,
+                max_tokens: maxTokens,
+                temperature,
+                messages: [{ role: 'user', content: prompt }]
+            };
+            if (system) body.system = system;
+            if (stream) body.stream = true;
+            return {
+                url: `${baseURL}/messages`,
+                init: {
+                    method: 'POST',
+                    headers: {
+                        'x-api-key': provider.apiKey,
+                        'anthropic-version': this.ANTHROPIC_VERSION,
+                        'Content-Type': 'application/json'
+                    },
+                    body: JSON.stringify(body)
+                }
+            };
+        }
+
+        const headers = { 'Content-Type': 'application/json' };
+        if (provider.apiKey) headers['Authorization'] = `Bearer ${provider.apiKey}`;
+        const body = {
+            model,
+            messages: [...(system ? [{ role: 'system', content: system }] : []), { role: 'user', content: prompt }],
+            max_tokens: maxTokens,
+            temperature
+        };
+        if (stream) {
+            body.stream = true;
+            body.stream_options = { include_usage: true };
+        }
+        return { url: `${baseURL}/chat/completions`, init: { method: 'POST', headers, body: JSON.stringify(body) } };
+    },
+
+    // { text, usage } from a chat completion response body
+    parseResponse(provider, data) {
+        if (this.DRIVERS[provider.type].format === 'anthropic') {
+            const text = (data.content || []).filter(block => block.type === 'text').map(block => block.text).join('');
+            const usage = data.usage ? {
+                promptTokens: data.usage.input_tokens,
+                completionTokens: data.usage.output_tokens,
+                totalTokens: data.usage.input_tokens + data.usage.output_tokens
+            } : null;
+            return { text: text.trim(), usage };
+        }
+
+        const usage = data.usage ? {
+            promptTokens: data.usage.prompt_tokens,
+            completionTokens: data.usage.completion_tokens,
+            totalTokens: data.usage.total_tokens
+        } : null;
+        return { text: (data.choices?.[0]?.message?.content || '').trim(), usage };
+    },
+
+    // { token, usage } from one server-sent event's JSON; either may be
+    // missing. Anthropic reports input and output tokens in separate events,
+    // so its usage is partial and merged by the caller.
+    parseStreamEvent(provider, event) {
+        if (this.DRIVERS[provider.type].format === 'anthropic') {
+            switch (event.type) {
+                case 'content_block_delta':
+                    return { token: event.delta?.text || '' };
+                case 'message_start':
+                    return { usage: { promptTokens: event.message?.usage?.input_tokens || 0 } };
+                case 'message_delta':
+                    return { usage: { completionTokens: event.usage?.output_tokens || 0 } };
+                default:
+                    return {};
+            }
+        }
+
+        const result = { token: event.choices?.[0]?.delta?.content || '' };
+        if (event.usage) {
+            result.usage = {
+                promptTokens: event.usage.prompt_tokens,
+                completionTokens: event.usage.completion_tokens,
+                totalTokens: event.usage.total_tokens
+            };
+        }
+        return result;
+    },
+
+    // Seconds to wait from a Retry-After header, which is either a number
+    // of seconds or a date; null without one
+    retryAfter(header, now = Date.now()) {
+        if (!header) return null;
+        const seconds = Number(header);
+        if (Number.isFinite(seconds)) return Math.max(0, Math.ceil(seconds));
+        const date = Date.parse(header);
+        return Number.isNaN(date) ? null : Math.max(0, Math.ceil((date - now) / 1000));
+    },
+
+    // Throws for an error response, with its `status` and `retryAfter`
+    async checkResponse(provider, response) {
+        if (response.ok) return;
+        let detail = '';
+        try {
+            const body = await response.json();
+            detail = body.error?.message || body.error || '';
+        } catch (error) {
+            // No JSON body
+        }
+        throw Object.assign(new Error(`${provider.name} API error: ${response.status}${detail ? ` ${detail}` : ''}`), {
+            status: response.status,
+            retryAfter: this.retryAfter(response.headers?.get('retry-after'))
+        });
+    },
+
+    // Sends one prompt and resolves with { text, usage }. Aborting `signal`
+    // rejects with an AbortError.
+    async complete(provider, { signal, ...options }, fetch) {
+        const { url, init } = this.buildRequest(provider, options);
+        const response = await fetch(url, { ...init, signal });
+        await this.checkResponse(provider, response);
+        return this.parseResponse(provider, await response.json());
+    },
+
+    // Chunks of a fetch() response body: a web stream in the browser, a
+    // Node stream from node-fetch
+    async *chunks(body) {
+        if (!body.getReader) {
+            yield* body;
+            return;
+        }
+        const reader = body.getReader();
+        for (;;) {
+            const { done, value } = await reader.read();
+            if (done) return;
+            yield value;
+        }
+    },
+
+    // The JSON payloads of a server-sent event stream: "data: {json}" lines,
+    // ending with "data: [DONE]" for OpenAI-style APIs
+    async *events(body) {
+        const decoder = new TextDecoder();
+        const parse = (line) => {
+            if (!line.startsWith('data:')) return null;
+            const payload = line.slice('data:'.length).trim();
+            return payload === '' || payload === '[DONE]' ? null : JSON.parse(payload);
+        };
+
+        let buffer = '';
+        for await (const chunk of this.chunks(body)) {
+            buffer += decoder.decode(chunk, { stream: true });
+            const lines = buffer.split('\n');
+            buffer = lines.pop();
+            for (const line of lines) {
+                const event = parse(line);
+                if (event) yield event;
+            }
+        }
+        const event = parse(buffer);
+        if (event) yield event;
+    },
+
+    // Like complete(), but reads the reply as it is generated: `onToken(text)`
+    // gets each piece. Stopping through `signal` keeps what arrived so far.
+    async stream(provider, { onToken = () => {}, signal, ...options }, fetch) {
+        const { url, init } = this.buildRequest(provider, { ...options, stream: true });
+        const response = await fetch(url, { ...init, signal });
+        await this.checkResponse(provider, response);
+
+        let text = '';
+        let usage = null;
+        try {
+            for await (const data of this.events(response.body)) {
+                const event = this.parseStreamEvent(provider, data);
+                if (event.token) {
+                    text += event.token;
+                    onToken(event.token);
+                }
+                if (event.usage) {
+                    usage = { ...usage, ...event.usage };
+                }
+            }
+        } catch (error) {
+            if (error.name !== 'AbortError') throw error;
+        }
+
+        if (usage && usage.totalTokens === undefined) {
+            usage.totalTokens = (usage.promptTokens || 0) + (usage.completionTokens || 0);
+        }
+        return { text, usage };
+    },
+
+    // The model ids the provider offers, for testing a connection and
+    // picking task models
+    async listModels(provider, fetch, { signal } = {}) {
+        const anthropic = this.DRIVERS[provider.type].format === 'anthropic';
+        const headers = anthropic
+            ? { 'x-api-key': provider.apiKey, 'anthropic-version': this.ANTHROPIC_VERSION }
+            : (provider.apiKey ? { 'Authorization': `Bearer ${provider.apiKey}` } : {});
+        const response = await fetch(`${this.baseURL(provider)}/models`, { headers, signal });
+        await this.checkResponse(provider, response);
+
+        const data = await response.json();
+        return (data.data || []).map(model => model.id).filter(Boolean).sort();
+    }
+};
+
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = LLMProviders;
+} else {
+    window.LLMProviders = LLMProviders;
+}
@@ -1,174 +1,156 @@
+/**
+ * AI Integration
+ * Categorizing, tagging, enhancing and running prompts through the server's
+ * /api/ai routes, which call the provider each task is routed to (see
+ * LLMProviders). API keys stay on the server. Without a provider,
+ * categorizing and tagging use keyword rules; anything else, and any call
+ * that fails, throws an error with the server's `code` (timeout,
+ * rate_limited, unavailable, provider, not_configured) and `retryAfter`, so
+ * the UI can say so rather than save made-up text.
+ */
 class OpenAIIntegration {
-    constructor(apiKey = '') {
-        this.apiKey = apiKey;
-        this.baseURL = 'https://api.openai.com/v1';
-        this.model = window.config?.openai?.model || 'gpt-3.5-turbo';
+    constructor(apiBaseUrl = 'http://localhost:3001/api') {
+        this.apiBaseUrl = apiBaseUrl;
         this.maxTokens = window.config?.openai?.maxTokens || 2000;
+        this.categories = CategoryModel.DEFAULTS;
+        this.tagSynonyms = {};
+        this.status = { providers: [], tasks: {} }; // from GET /api/providers
     }
 
-    setApiKey(apiKey) {
-        this.apiKey = apiKey;
+    // Fetches the providers and where each task goes. Until it succeeds
+    // nothing counts as configured.
+    async refresh() {
+        try {
+            const { providers, tasks } = await this.request('GET', '/providers');
+            this.status = { providers, tasks };
+        } catch (error) {
+            console.warn('Could not load AI providers:', error);
+            this.status = { providers: [], tasks: {} };
+        }
+        return this.status;
     }
 
-    async categorizePrompt(promptText) {
-        if (!this.apiKey) {
-            return this.fallbackCategorization(promptText);
+    async request(method, path, body, { signal } = {}) {
+        const response = await fetch(`${this.apiBaseUrl}${path}`, {
+            method,
+            headers: { 'Content-Type': 'application/json' },
+            body: body === undefined ? undefined : JSON.stringify(body),
+            signal
+        });
+        const result = await response.json().catch(() => ({}));
+        if (!response.ok) {
+            throw Object.assign(new Error(result.error || `${method} ${path} failed with status ${response.status}`), {
+                status: response.status,
+                code: result.code,
+                retryAfter: result.retryAfter
+            });
         }
+        return result;
+    }
 
-        const categories = [
-            'Code', 'Cognitive', 'Jailbreak', 'Dev', 'Writing', 
-            'Business', 'General', 'Creative', 'Analysis', 'Research'
-        ];
-
-        const systemPrompt = `You are a prompt categorization expert. Analyze the given prompt and categorize it into one of these categories: ${categories.join(', ')}.
+    // Every provider the server can use, without keys: { id, type, name,
+    // baseURL, model, hasKey, ready }
+    get providers() {
+        return this.status.providers;
+    }
 
-Guidelines:
-- Code: Programming, debugging, code review, algorithms, technical implementation
-- Cognitive: Problem-solving, critical thinking, decision making, mental frameworks
-- Jailbreak: Prompts designed to bypass AI limitations or safety measures
-- Dev: Development tools, workflows, project management, technical processes
-- Writing: Content creation, editing, storytelling, documentation
-- Business: Marketing, strategy, operations, finance, management
-- General: Everyday questions, basic information, casual conversation
-- Creative: Art, design, creative writing, brainstorming, imagination
-- Analysis: Data analysis, research, investigation, evaluation
-- Research: Academic research, fact-finding, literature reviews, surveys
+    // { provider, model } for a task
+    route(task = 'run') {
+        const { provider = null, model = null } = this.status.tasks[task] || {};
+        return { provider: this.providers.find(other => other.id === provider) || null, model };
+    }
 
-Respond with only the category name, nothing else.`;
+    isConfigured(task = 'run') {
+        return !!this.status.tasks[task]?.ready;
+    }
 
-        try {
-            const response = await fetch(`${this.baseURL}/chat/completions`, {
-                method: 'POST',
-                headers: {
-                    'Authorization': `Bearer ${this.apiKey}`,
-                    'Content-Type': 'application/json'
-                },
-                body: JSON.stringify({
-                    model: this.model,
-                    messages: [
-                        { role: 'system', content: systemPrompt },
-                        { role: 'user', content: promptText }
-                    ],
-                    max_tokens: 10,
-                    temperature: 0.1
-                })
-            });
+    // Throws unless a provider is set up for the task
+    requireProvider(task) {
+        if (!this.isConfigured(task)) {
+            throw Object.assign(new Error('No AI provider configured'), { code: 'not_configured' });
+        }
+    }
 
-            if (!response.ok) {
-                throw new Error(`OpenAI API error: ${response.status}`);
-            }
+    // The model prompts are run with
+    get model() {
+        return this.route('run').model;
+    }
 
-            const data = await response.json();
-            const category = data.choices[0]?.message?.content?.trim();
-            
-            return categories.includes(category) ? category : this.fallbackCategorization(promptText);
-        } catch (error) {
-            console.warn('OpenAI categorization failed, using fallback:', error);
-            return this.fallbackCategorization(promptText);
-        }
+    // Adds or rotates a provider's key in the server's secret store
+    async saveKey(providerId, apiKey) {
+        await this.request('PUT', `/secrets/${encodeURIComponent(providerId)}`, { value: apiKey });
+        return this.refresh();
     }
 
-    async generateTags(promptText, maxTags = 5) {
-        if (!this.apiKey) {
-            return this.fallbackTagGeneration(promptText);
-        }
+    // Revokes it; the provider falls back to a key from the server's
+    // environment, if any
+    async revokeKey(providerId) {
+        await this.request('DELETE', `/secrets/${encodeURIComponent(providerId)}`);
+        return this.refresh();
+    }
 
-        const systemPrompt = `Generate 3-5 relevant tags for the given prompt. Tags should be:
-- Single words or short phrases (2-3 words max)
-- Lowercase
-- Relevant to the content and purpose
-- Helpful for searching and organizing
+    // The server's response cache: { enabled, entries, hits, misses, hitRate, tasks }
+    async cacheStats() {
+        const { cache } = await this.request('GET', '/ai/cache');
+        return cache;
+    }
 
-Return only the tags separated by commas, nothing else.`;
+    // Forgets cached replies, all of them or a task's
+    async clearCache(task = null) {
+        const { removed } = await this.request('DELETE', `/ai/cache${task ? `?task=${encodeURIComponent(task)}` : ''}`);
+        return removed;
+    }
 
-        try {
-            const response = await fetch(`${this.baseURL}/chat/completions`, {
-                method: 'POST',
-                headers: {
-                    'Authorization': `Bearer ${this.apiKey}`,
-                    'Content-Type': 'application/json'
-                },
-                body: JSON.stringify({
-                    model: this.model,
-                    messages: [
-                        { role: 'system', content: systemPrompt },
-                        { role: 'user', content: promptText }
-                    ],
-                    max_tokens: 50,
-                    temperature: 0.3
-                })
-            });
+    // Starts a background job on the server ('categorize', 'tag' or
+    // 'enhance'). Resolves with the job, or null when no prompt needs it.
+    async startJob(type, promptIds) {
+        const { job } = await this.request('POST', '/jobs', { type, promptIds });
+        return job;
+    }
 
-            if (!response.ok) {
-                throw new Error(`OpenAI API error: ${response.status}`);
-            }
+    // Newest first
+    async jobs() {
+        const { jobs } = await this.request('GET', '/jobs');
+        return jobs;
+    }
 
-            const data = await response.json();
-            const tagsString = data.choices[0]?.message?.content?.trim();
-            
-            if (tagsString) {
-                return tagsString.split(',')
-                    .map(tag => tag.trim().toLowerCase())
-                    .filter(tag => tag.length > 0)
-                    .slice(0, maxTags);
-            }
-            
-            return this.fallbackTagGeneration(promptText);
-        } catch (error) {
-            console.warn('OpenAI tag generation failed, using fallback:', error);
-            return this.fallbackTagGeneration(promptText);
-        }
+    // { job, done, prompts }: the prompts finished after the first `since`
+    async job(id, since = 0) {
+        return this.request('GET', `/jobs/${encodeURIComponent(id)}?since=${since}`);
     }
 
-    async enhancePrompt(promptText) {
-        if (!this.apiKey) {
-            return { enhanced: promptText, suggestions: [] };
-        }
+    async cancelJob(id) {
+        const { job } = await this.request('POST', `/jobs/${encodeURIComponent(id)}/cancel`);
+        return job;
+    }
 
-        const systemPrompt = `Analyze this prompt and provide:
-1. An enhanced version that's clearer and more effective
-2. 3 brief suggestions for improvement
+    // The user's categories, as CategoryModel.list() returns them
+    setCategories(categories) {
+        this.categories = categories.length > 0 ? categories : CategoryModel.DEFAULTS;
+    }
 
-Format your response as JSON:
-{
-  "enhanced": "enhanced prompt here",
-  "suggestions": ["suggestion 1", "suggestion 2", "suggestion 3"]
-}`;
+    // Generated tags go through the same synonym rules as saved ones
+    setTagSynonyms(synonyms) {
+        this.tagSynonyms = synonyms || {};
+    }
 
-        try {
-            const response = await fetch(`${this.baseURL}/chat/completions`, {
-                method: 'POST',
-                headers: {
-                    'Authorization': `Bearer ${this.apiKey}`,
-                    'Content-Type': 'application/json'
-                },
-                body: JSON.stringify({
-                    model: this.model,
-                    messages: [
-                        { role: 'system', content: systemPrompt },
-                        { role: 'user', content: promptText }
-                    ],
-                    max_tokens: 300,
-                    temperature: 0.2
-                })
-            });
+    async categorizePrompt(promptText) {
+        if (!this.isConfigured('categorize')) {
+            return this.fallbackCategorization(promptText);
+        }
 
-            if (!response.ok) {
-                throw new Error(`OpenAI API error: ${response.status}`);
-            }
+        const { category } = await this.request('POST', '/ai/categorize', { text: promptText });
+        const categories = this.categories.map(category => category.name);
+        return categories.includes(category) ? category : this.fallbackCategorization(promptText);
+    }
 
-            const data = await response.json();
-            const content = data.choices[0]?.message?.content?.trim();
-            
-            try {
-                return JSON.parse(content);
-            } catch {
-                return { enhanced: promptText, suggestions: [] };
-            }
-        } catch (error) {
-            console.warn('OpenAI enhancement failed:', error);
-            return { enhanced: promptText, suggestions: [] };
+    async generateTags(promptText, maxTags = 5) {
+        if (!this.isConfigured('categorize')) {
+            return this.fallbackTagGeneration(promptText);
         }
+
+        const { tags } = await this.request('POST', '/ai/tags', { text: promptText, maxTags });
+        return tags;
     }
 
     fallbackCategorization(text) {
@@ -184,14 +166,15 @@ Format your response as JSON:
         };
 
         const textLower = text.toLowerCase();
+        const names = this.categories.map(category => category.name);
         
         for (const [category, words] of Object.entries(keywords)) {
-            if (words.some(word => textLower.includes(word))) {
+            if (names.includes(category) && words.some(word => textLower.includes(word))) {
                 return category;
             }
         }
         
-        return 'General';
+        return CategoryModel.FALLBACK;
     }
 
     fallbackTagGeneration(text) {
@@ -203,243 +186,103 @@ Format your response as JSON:
             .filter(word => !['the', 'and', 'for', 'are', 'but', 'not', 'you', 'all', 'can', 'had', 'her', 'was', 'one', 'our', 'out', 'day', 'get', 'has', 'him', 'his', 'how', 'its', 'may', 'new', 'now', 'old', 'see', 'two', 'who', 'boy', 'did', 'see', 'way', 'who', 'oil', 'sit', 'set', 'run', 'eat'].includes(word))
             .slice(0, 3);
 
-        return relevantWords.length > 0 ? relevantWords : commonTags.slice(0, 2);
+        return TagRules.normalize(relevantWords.length > 0 ? relevantWords : commonTags.slice(0, 2), this.tagSynonyms);
     }
 
     async generateInsights(prompt) {
-        if (!this.apiKey) {
-            throw new Error('No API key provided');
-        }
-
-        try {
-            const response = await fetch(`${this.baseURL}/chat/completions`, {
-                method: 'POST',
-                headers: {
-                    'Authorization': `Bearer ${this.apiKey}`,
-                    'Content-Type': 'application/json'
-                },
-                body: JSON.stringify({
-                    model: this.model,
-                    messages: [
-                        { role: 'system', content: 'You are a data analyst providing insights about prompt usage patterns. Provide clear, actionable insights in 2-3 sentences.' },
-                        { role: 'user', content: prompt }
-                    ],
-                    max_tokens: 200,
-                    temperature: 0.4
-                })
-            });
-
-            if (!response.ok) {
-                throw new Error(`OpenAI API error: ${response.status}`);
-            }
+        this.requireProvider('generate');
+        const { insights } = await this.request('POST', '/ai/insights', { prompt });
+        return insights;
+    }
 
-            const data = await response.json();
-            return data.choices[0]?.message?.content?.trim();
-        } catch (error) {
-            console.warn('OpenAI insights generation failed:', error);
-            throw error;
-        }
+    // Sends a prompt as-is and returns the reply
+    async runPrompt(promptText, { system = '', temperature = 0.7 } = {}) {
+        const { text } = await this.request('POST', '/ai/run', { text: promptText, system, temperature });
+        return text;
     }
 
-    async testConnection() {
-        if (!this.apiKey) {
-            return { success: false, error: 'No API key provided' };
+    // Like runPrompt, but streams the reply: `onToken(text)` gets each piece
+    // as it arrives. Resolves with { text, usage, latencyMs, model }; usage
+    // is null when the API does not report it. Pass an AbortSignal as
+    // `signal` to stop early.
+    async streamPrompt(promptText, { system = '', temperature = 0.7, maxTokens = this.maxTokens, onToken = () => {}, signal } = {}) {
+        const started = performance.now();
+        const response = await fetch(`${this.apiBaseUrl}/ai/run`, {
+            method: 'POST',
+            headers: { 'Content-Type': 'application/json' },
+            body: JSON.stringify({ text: promptText, system, temperature, maxTokens, stream: true }),
+            signal
+        });
+        if (!response.ok) {
+            const result = await response.json().catch(() => ({}));
+            throw Object.assign(new Error(result.error || `The server responded with status ${response.status}`), {
+                status: response.status,
+                code: result.code,
+                retryAfter: result.retryAfter
+            });
         }
 
+        let text = '';
+        let done = null;
         try {
-            const response = await fetch(`${this.baseURL}/models`, {
-                headers: {
-                    'Authorization': `Bearer ${this.apiKey}`
+            for await (const event of LLMProviders.events(response.body)) {
+                if (event.error) throw Object.assign(new Error(event.error), { code: event.code });
+                if (event.token) {
+                    text += event.token;
+                    onToken(event.token);
                 }
-            });
-
-            if (response.ok) {
-                return { success: true, message: 'OpenAI API connection successful' };
-            } else {
-                return { success: false, error: `API responded with status ${response.status}` };
+                if (event.done) done = event;
             }
         } catch (error) {
-            return { success: false, error: error.message };
+            // Stopping keeps what arrived so far
+            if (error.name !== 'AbortError') throw error;
         }
+
+        return {
+            text,
+            usage: done?.usage || null,
+            latencyMs: Math.round(performance.now() - started),
+            model: done?.model || this.model
+        };
     }
 
-    async enhancePrompt(promptText) {
-        if (!this.apiKey) {
-            return `Enhanced: ${promptText}`;
+    // Checks a provider, the one prompts are run with by default, and lists
+    // its models
+    async testConnection(providerId = this.route('run').provider?.id) {
+        if (!providerId) {
+            return { success: false, error: 'No AI provider configured' };
         }
 
-        const systemPrompt = `You are a prompt enhancement expert. Improve the given prompt by making it:
-- More specific and clear
-- Better structured
-- More likely to produce high-quality results
-- Include relevant context when needed
-
-Return only the enhanced prompt, nothing else.`;
-
         try {
-            const response = await fetch(`${this.baseURL}/chat/completions`, {
-                method: 'POST',
-                headers: {
-                    'Authorization': `Bearer ${this.apiKey}`,
-                    'Content-Type': 'application/json'
-                },
-                body: JSON.stringify({
-                    model: this.model,
-                    messages: [
-                        { role: 'system', content: systemPrompt },
-                        { role: 'user', content: promptText }
-                    ],
-                    max_tokens: 500,
-                    temperature: 0.2
-                })
-            });
-
-            if (!response.ok) {
-                throw new Error(`OpenAI API error: ${response.status}`);
-            }
-
-            const data = await response.json();
-            return data.choices[0]?.message?.content?.trim() || `Enhanced: ${promptText}`;
+            return await this.request('POST', `/providers/${encodeURIComponent(providerId)}/test`);
         } catch (error) {
-            console.warn('OpenAI enhancement failed:', error);
-            return `Enhanced: ${promptText}`;
+            return { success: false, error: error.message };
         }
     }
 
-    async generatePrompt(topic, style = 'professional', length = 'medium') {
-        if (!this.apiKey) {
-            return `Create a ${style} prompt about ${topic} with ${length} detail.`;
-        }
-
-        const systemPrompt = `Generate a high-quality prompt for the given topic, style, and length requirements.
-
-Style guidelines:
-- professional: Clear, formal, structured
-- creative: Imaginative, inspiring, open-ended
-- analytical: Data-driven, logical, methodical
-- conversational: Friendly, casual, engaging
-
-Length guidelines:
-- short: 1-2 sentences, concise
-- medium: 2-4 sentences, detailed
-- long: 4+ sentences, comprehensive
-
-Return only the generated prompt.`;
-
-        try {
-            const response = await fetch(`${this.baseURL}/chat/completions`, {
-                method: 'POST',
-                headers: {
-                    'Authorization': `Bearer ${this.apiKey}`,
-                    'Content-Type': 'application/json'
-                },
-                body: JSON.stringify({
-                    model: this.model,
-                    messages: [
-                        { role: 'system', content: systemPrompt },
-                        { role: 'user', content: `Topic: ${topic}, Style: ${style}, Length: ${length}` }
-                    ],
-                    max_tokens: 300,
-                    temperature: 0.7
-                })
-            });
-
-            if (!response.ok) {
-                throw new Error(`OpenAI API error: ${response.status}`);
-            }
+    async enhancePrompt(promptText) {
+        this.requireProvider('enhance');
+        const { enhanced } = await this.request('POST', '/ai/enhance', { text: promptText });
+        return enhanced;
+    }
 
-            const data = await response.json();
-            return data.choices[0]?.message?.content?.trim() || `Create a ${style} prompt about ${topic} with ${length} detail.`;
-        } catch (error) {
-            console.warn('OpenAI prompt generation failed:', error);
-            return `Create a ${style} prompt about ${topic} with ${length} detail.`;
-        }
+    async generatePrompt(topic, style = 'professional', length = 'medium') {
+        this.requireProvider('generate');
+        const { prompt } = await this.request('POST', '/ai/generate', { topic, style, length });
+        return prompt;
     }
 
     async generateCollectionSummary(stats) {
-        if (!this.apiKey) {
-            return `Your collection contains ${stats.totalPrompts} prompts across ${stats.categories} categories with an average rating of ${stats.avgRating.toFixed(1)} stars.`;
-        }
-
-        const systemPrompt = `Analyze the prompt collection statistics and provide an insightful summary. Focus on:
-- Overall collection health and diversity
-- Trends and patterns
-- Recommendations for improvement
-- Notable strengths
-
-Keep it concise but informative (2-3 sentences).`;
-
-        try {
-            const response = await fetch(`${this.baseURL}/chat/completions`, {
-                method: 'POST',
-                headers: {
-                    'Authorization': `Bearer ${this.apiKey}`,
-                    'Content-Type': 'application/json'
-                },
-                body: JSON.stringify({
-                    model: this.model,
-                    messages: [
-                        { role: 'system', content: systemPrompt },
-                        { role: 'user', content: JSON.stringify(stats) }
-                    ],
-                    max_tokens: 150,
-                    temperature: 0.3
-                })
-            });
-
-            if (!response.ok) {
-                throw new Error(`OpenAI API error: ${response.status}`);
-            }
-
-            const data = await response.json();
-            return data.choices[0]?.message?.content?.trim() || `Your collection contains ${stats.totalPrompts} prompts across ${stats.categories} categories.`;
-        } catch (error) {
-            console.warn('OpenAI summary generation failed:', error);
-            return `Your collection contains ${stats.totalPrompts} prompts across ${stats.categories} categories with an average rating of ${stats.avgRating.toFixed(1)} stars.`;
-        }
+        this.requireProvider('generate');
+        const { summary } = await this.request('POST', '/ai/summary', { stats });
+        return summary;
     }
 
     async analyzeEffectiveness(promptData) {
-        if (!this.apiKey) {
-            return 'Analysis shows effective prompts tend to be specific, well-structured, and provide clear context for the desired outcome.';
-        }
-
-        const systemPrompt = `Analyze the provided prompt effectiveness data (high-rated vs low-rated prompts) and provide insights about what makes prompts effective. Focus on:
-- Common patterns in high-rated prompts
-- Issues with low-rated prompts
-- Actionable recommendations
-
-Keep it practical and concise (2-3 sentences).`;
-
-        try {
-            const response = await fetch(`${this.baseURL}/chat/completions`, {
-                method: 'POST',
-                headers: {
-                    'Authorization': `Bearer ${this.apiKey}`,
-                    'Content-Type': 'application/json'
-                },
-                body: JSON.stringify({
-                    model: this.model,
-                    messages: [
-                        { role: 'system', content: systemPrompt },
-                        { role: 'user', content: JSON.stringify(promptData) }
-                    ],
-                    max_tokens: 200,
-                    temperature: 0.3
-                })
-            });
-
-            if (!response.ok) {
-                throw new Error(`OpenAI API error: ${response.status}`);
-            }
-
-            const data = await response.json();
-            return data.choices[0]?.message?.content?.trim() || 'Analysis shows effective prompts tend to be specific, well-structured, and provide clear context.';
-        } catch (error) {
-            console.warn('OpenAI effectiveness analysis failed:', error);
-            return 'Analysis shows effective prompts tend to be specific, well-structured, and provide clear context for the desired outcome.';
-        }
+        this.requireProvider('generate');
+        const { analysis } = await this.request('POST', '/ai/effectiveness', { data: promptData });
+        return analysis;
     }
 }
 
-window.OpenAIIntegration = OpenAIIntegration;
\ No newline at end of file
+window.OpenAIIntegration = OpenAIIntegration;
@@ -0,0 +1,128 @@
+/**
+ * Prompt History
+ * Revision tracking shared by the browser database and the server routes.
+ * Each prompt carries a `revisions` array of snapshots of its text and
+ * metadata; a new revision is recorded whenever one of those fields changes.
+ */
+
+const PromptHistory = {
+    TRACKED_FIELDS: ['text', 'category', 'tags', 'folder', 'notes'],
+    MAX_REVISIONS: 50,
+    SOURCES: ['manual', 'ai-enhance', 'import', 'bulk', 'restore', 'ai-generated'],
+
+    snapshot(prompt) {
+        return this.TRACKED_FIELDS.reduce((acc, field) => {
+            const value = prompt[field];
+            acc[field] = Array.isArray(value) ? [...value] : (value ?? (field === 'tags' ? [] : ''));
+            return acc;
+        }, {});
+    },
+
+    hasTrackedChanges(prompt, updates) {
+        return this.TRACKED_FIELDS.some(field =>
+            field in updates && JSON.stringify(updates[field]) !== JSON.stringify(prompt[field])
+        );
+    },
+
+    // Append a revision holding the prompt's current state.
+    record(prompt, { source = 'manual', author = null, createdAt = new Date().toISOString() } = {}) {
+        const revisions = prompt.revisions || [];
+        const last = revisions[revisions.length - 1];
+        const revision = {
+            version: last ? last.version + 1 : 1,
+            createdAt,
+            source,
+            author,
+            snapshot: this.snapshot(prompt)
+        };
+
+        prompt.revisions = [...revisions, revision].slice(-this.MAX_REVISIONS);
+        return revision;
+    },
+
+    // Prompts created before history existed get their current state recorded
+    // as the first revision, so the first edit can still be undone.
+    ensureBaseline(prompt) {
+        if (prompt.revisions && prompt.revisions.length > 0) return;
+        this.record(prompt, {
+            source: prompt.metadata?.source || 'manual',
+            createdAt: prompt.updatedAt || prompt.createdAt
+        });
+    },
+
+    // Merge updates into a prompt, recording a revision when tracked fields
+    // change. Returns the updated prompt; the input is not modified.
+    applyUpdate(prompt, updates, meta = {}) {
+        const { revisions, ...changes } = updates;
+        const updatedAt = meta.createdAt || new Date().toISOString();
+        const updated = { ...prompt, ...changes, updatedAt };
+
+        if (this.hasTrackedChanges(prompt, changes)) {
+            const previous = { ...prompt, revisions: [...(prompt.revisions || [])] };
+            this.ensureBaseline(previous);
+            updated.revisions = previous.revisions;
+            this.record(updated, { ...meta, createdAt: updatedAt });
+        }
+
+        return updated;
+    },
+
+    findRevision(prompt, version) {
+        return (prompt.revisions || []).find(r => r.version === Number(version)) || null;
+    },
+
+    // Restore a revision by recording its snapshot as a new revision.
+    restore(prompt, version, meta = {}) {
+        const revision = this.findRevision(prompt, version);
+        if (!revision) return null;
+        return this.applyUpdate(prompt, revision.snapshot, { source: 'restore', ...meta });
+    },
+
+    // Word-level diff. Returns [{ type: 'equal' | 'added' | 'removed', value }].
+    diffWords(oldText = '', newText = '') {
+        const a = oldText.split(/(\s+)/).filter(Boolean);
+        const b = newText.split(/(\s+)/).filter(Boolean);
+
+        // Longest common subsequence table, filled from the end
+        const lcs = Array.from({ length: a.length + 1 }, () => new Array(b.length + 1).fill(0));
+        for (let i = a.length - 1; i >= 0; i--) {
+            for (let j = b.length - 1; j >= 0; j--) {
+                lcs[i][j] = a[i] === b[j] ? lcs[i + 1][j + 1] + 1 : Math.max(lcs[i + 1][j], lcs[i][j + 1]);
+            }
+        }
+
+        const parts = [];
+        const push = (type, value) => {
+            const last = parts[parts.length - 1];
+            if (last && last.type === type) {
+                last.value += value;
+            } else {
+                parts.push({ type, value });
+            }
+        };
+
+        let i = 0;
+        let j = 0;
+        while (i < a.length && j < b.length) {
+            if (a[i] === b[j]) {
+                push('equal', a[i]);
+                i++;
+                j++;
+            } else if (lcs[i + 1][j] >= lcs[i][j + 1]) {
+                push('removed', a[i++]);
+            } else {
+                push('added', b[j++]);
+            }
+        }
+        while (i < a.length) push('removed', a[i++]);
+        while (j < b.length) push('added', b[j++]);
+
+        return parts;
+    }
+};
+
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = PromptHistory;
+} else {
+    window.PromptHistory = PromptHistory;
+}
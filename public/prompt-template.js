@@ -0,0 +1,212 @@
+/**
+ * Prompt Template
+ * A prompt's text can hold {{variable}} placeholders. Optional metadata in
+ * `prompt.variables`, keyed by variable name, gives each one a type, a
+ * default, a description and, for enums, its choices:
+ *
+ *   { audience: { type: 'enum', options: ['kids', 'experts'], default: 'experts' } }
+ *
+ * Placeholders without metadata are plain text. A prompt can also include
+ * another with {{> id}} or {{> slug}}; includes are resolved when the
+ * prompt is rendered, so editing a shared partial changes every prompt that
+ * uses it. Shared by the browser, where the "Use" dialog builds its form
+ * from fields(), and by POST /api/prompts/:id/render.
+ */
+
+const PromptTemplate = {
+    PATTERN: /\{\{\s*([\w.-]+)\s*\}\}/g,
+    INCLUDE_PATTERN: /\{\{>\s*([\w.-]+)\s*\}\}/g,
+    SLUG_PATTERN: /^[a-z0-9][a-z0-9._-]{0,99}$/,
+    TYPES: ['text', 'longtext', 'number', 'boolean', 'date', 'enum'],
+    FIELDS: ['type', 'default', 'description', 'options'],
+
+    // Placeholder names in the order they first appear
+    variables(text) {
+        const names = [];
+        for (const match of String(text || '').matchAll(this.PATTERN)) {
+            if (!names.includes(match[1])) names.push(match[1]);
+        }
+        return names;
+    },
+
+    // Ids or slugs of the prompts included with {{> name}}
+    includes(text) {
+        const keys = [];
+        for (const match of String(text || '').matchAll(this.INCLUDE_PATTERN)) {
+            if (!keys.includes(match[1])) keys.push(match[1]);
+        }
+        return keys;
+    },
+
+    find(prompts, key) {
+        return prompts.find(prompt => prompt.id === key || (prompt.slug && prompt.slug === key));
+    },
+
+    // Prompts that include `prompt` directly
+    usedBy(prompt, prompts) {
+        return prompts.filter(other => other.id !== prompt.id &&
+            this.includes(other.text).some(key => key === prompt.id || (prompt.slug && key === prompt.slug)));
+    },
+
+    // The text with every {{> include}} replaced by that prompt's composed
+    // text, and the partials' variable metadata merged under the prompt's
+    // own. Fails with an error for a missing partial, or with the `cycle`
+    // of ids when prompts end up including themselves.
+    compose(prompt, prompts, trail = []) {
+        if (trail.includes(prompt.id)) {
+            const cycle = [...trail.slice(trail.indexOf(prompt.id)), prompt.id];
+            return { error: `Include cycle: ${cycle.join(' → ')}`, cycle };
+        }
+
+        let variables = {};
+        let failure = null;
+        const text = String(prompt.text || '').replace(this.INCLUDE_PATTERN, (include, key) => {
+            if (failure) return include;
+            const partial = this.find(prompts, key);
+            if (!partial) {
+                failure = { error: `Included prompt "${key}" not found` };
+                return include;
+            }
+            const composed = this.compose(partial, prompts, [...trail, prompt.id]);
+            if (composed.error) {
+                failure = composed;
+                return include;
+            }
+            variables = { ...variables, ...composed.variables };
+            return composed.text;
+        });
+        return failure || { text, variables: { ...variables, ...prompt.variables } };
+    },
+
+    // One { name, type, default, description, options } per placeholder
+    fields(prompt) {
+        const metadata = prompt.variables || {};
+        return this.variables(prompt.text).map(name => ({
+            name,
+            type: 'text',
+            description: '',
+            ...metadata[name]
+        }));
+    },
+
+    // A value of the field's type as it goes into the text, or an error message
+    coerce(field, value) {
+        switch (field.type) {
+            case 'number': {
+                const number = typeof value === 'number' ? value : Number(String(value).trim());
+                return Number.isFinite(number) && String(value).trim() !== ''
+                    ? { value: String(number) }
+                    : { error: `${field.name} must be a number` };
+            }
+            case 'boolean':
+                if (value === true || value === 'true') return { value: 'true' };
+                if (value === false || value === 'false') return { value: 'false' };
+                return { error: `${field.name} must be true or false` };
+            case 'date':
+                return /^\d{4}-\d{2}-\d{2}$/.test(value) && !isNaN(new Date(value))
+                    ? { value }
+                    : { error: `${field.name} must be a date like 2025-01-31` };
+            case 'enum':
+                return (field.options || []).includes(String(value))
+                    ? { value: String(value) }
+                    : { error: `${field.name} must be one of: ${(field.options || []).join(', ')}` };
+            default:
+                return { value: String(value) };
+        }
+    },
+
+    // Cleaned metadata, or an error message for the first bad variable
+    checkVariables(input) {
+        if (!input || typeof input !== 'object' || Array.isArray(input)) {
+            return { error: 'variables must be an object keyed by variable name' };
+        }
+
+        const variables = {};
+        for (const [name, meta] of Object.entries(input)) {
+            if (!/^[\w.-]+$/.test(name)) {
+                return { error: `Invalid variable name "${name}"` };
+            }
+            if (!meta || typeof meta !== 'object' || Array.isArray(meta)) {
+                return { error: `Variable "${name}" must be an object` };
+            }
+            const unknown = Object.keys(meta).find(key => !this.FIELDS.includes(key));
+            if (unknown) {
+                return { error: `Unknown field "${unknown}" for variable "${name}"` };
+            }
+
+            const field = { type: meta.type || 'text' };
+            if (!this.TYPES.includes(field.type)) {
+                return { error: `Variable "${name}" has an unknown type "${field.type}"` };
+            }
+            if (meta.description !== undefined) {
+                if (typeof meta.description !== 'string') {
+                    return { error: `Description of "${name}" must be a string` };
+                }
+                field.description = meta.description.trim();
+            }
+            if (field.type === 'enum') {
+                const options = Array.isArray(meta.options)
+                    ? [...new Set(meta.options.map(option => String(option).trim()).filter(Boolean))]
+                    : [];
+                if (options.length === 0) {
+                    return { error: `Variable "${name}" needs at least one option` };
+                }
+                field.options = options;
+            }
+            if (meta.default !== undefined && meta.default !== '') {
+                const { value, error } = this.coerce({ ...field, name }, meta.default);
+                if (error) return { error: `Default of ${error}` };
+                field.default = field.type === 'number' ? Number(value) : field.type === 'boolean' ? value === 'true' : value;
+            }
+            variables[name] = field;
+        }
+        return { variables };
+    },
+
+    // The value for every placeholder, falling back to defaults, or an
+    // error message per variable that is missing or of the wrong type
+    resolve(prompt, input = {}) {
+        const values = {};
+        const errors = {};
+        this.fields(prompt).forEach(field => {
+            let value = input[field.name];
+            if (value === undefined || value === null || value === '') value = field.default;
+            if (value === undefined && field.type === 'boolean') value = false;
+            if (value === undefined || value === '') {
+                errors[field.name] = `${field.name} needs a value`;
+                return;
+            }
+            const result = this.coerce(field, value);
+            if (result.error) {
+                errors[field.name] = result.error;
+            } else {
+                values[field.name] = result.value;
+            }
+        });
+        return Object.keys(errors).length > 0 ? { errors } : { values };
+    },
+
+    // Placeholders without a value are left as they are
+    render(text, values) {
+        return String(text || '').replace(this.PATTERN, (placeholder, name) =>
+            Object.prototype.hasOwnProperty.call(values, name) ? values[name] : placeholder
+        );
+    },
+
+    // { text, values } with includes resolved against `prompts` and every
+    // placeholder filled, { errors } per variable, or { error } when an
+    // include cannot be resolved
+    fill(prompt, input, prompts = []) {
+        const composed = this.compose(prompt, prompts);
+        if (composed.error) return { error: composed.error };
+
+        const { values, errors } = this.resolve(composed, input);
+        return errors ? { errors } : { text: this.render(composed.text, values), values };
+    }
+};
+
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = PromptTemplate;
+} else {
+    window.PromptTemplate = PromptTemplate;
+}
@@ -0,0 +1,157 @@
+/**
+ * Run History
+ * Every time a prompt is run in the playground the run is kept in
+ * `data.runs`: the variables it was filled with, the parameters it was sent
+ * with, the reply, how long it took and the tokens it used.
+ *
+ *   { id, promptId, createdAt, variables: { topic: 'owls' }, input,
+ *     parameters: { model, system, temperature, maxTokens },
+ *     output, latencyMs, usage: { promptTokens, completionTokens, totalTokens },
+ *     rating }
+ *
+ * Only the latest MAX_PER_PROMPT runs of each prompt are kept. Runs are
+ * rated 1-5; 0 means not rated. Shared by the browser database and the
+ * server routes.
+ */
+
+const RunHistory = {
+    MAX_PER_PROMPT: 50,
+    USAGE_FIELDS: ['promptTokens', 'completionTokens', 'totalTokens'],
+
+    // Runs of one prompt, newest first
+    list(data, promptId) {
+        return (data.runs || [])
+            .filter(run => run.promptId === promptId)
+            .sort((a, b) => new Date(b.createdAt) - new Date(a.createdAt));
+    },
+
+    // Adds a run and drops the prompt's oldest runs beyond the limit.
+    // Returns the dropped runs. The runs array is changed in place; the
+    // browser app holds a reference to it.
+    add(data, run) {
+        data.runs = data.runs || [];
+        data.runs.push(run);
+
+        const dropped = this.list(data, run.promptId).slice(this.MAX_PER_PROMPT);
+        dropped.forEach(old => data.runs.splice(data.runs.indexOf(old), 1));
+        return dropped;
+    },
+
+    remove(data, id) {
+        const index = (data.runs || []).findIndex(run => run.id === id);
+        return index === -1 ? null : data.runs.splice(index, 1)[0];
+    },
+
+    // Drops the runs of prompts that are neither in the collection nor in
+    // the trash, once those have been purged. Returns how many were dropped.
+    prune(data) {
+        const known = new Set([...data.prompts, ...(data.trash || [])].map(p => p.id));
+        const before = (data.runs || []).length;
+        data.runs = (data.runs || []).filter(run => known.has(run.promptId));
+        return before - data.runs.length;
+    },
+
+    checkRating(rating) {
+        return Number.isInteger(rating) && rating >= 0 && rating <= 5
+            ? null
+            : 'rating must be a whole number from 0 to 5';
+    },
+
+    // Cleaned run fields, or an error message
+    check(input) {
+        if (!input || typeof input !== 'object') {
+            return { error: 'Run must be an object' };
+        }
+        if (typeof input.input !== 'string' || input.input.length === 0) {
+            return { error: 'input must be the text that was sent' };
+        }
+        if (typeof input.output !== 'string') {
+            return { error: 'output must be a string' };
+        }
+
+        const variables = input.variables === undefined ? {} : input.variables;
+        if (!variables || typeof variables !== 'object' || Array.isArray(variables) ||
+            Object.values(variables).some(value => typeof value !== 'string')) {
+            return { error: 'variables must be an object of name: text' };
+        }
+
+        const parameters = input.parameters || {};
+        if (typeof parameters !== 'object' || Array.isArray(parameters)) {
+            return { error: 'parameters must be an object' };
+        }
+        if (parameters.model !== undefined && typeof parameters.model !== 'string') {
+            return { error: 'model must be a string' };
+        }
+        if (parameters.system !== undefined && typeof parameters.system !== 'string') {
+            return { error: 'system must be a string' };
+        }
+        if (parameters.temperature !== undefined &&
+            !(typeof parameters.temperature === 'number' && parameters.temperature >= 0 && parameters.temperature <= 2)) {
+            return { error: 'temperature must be a number from 0 to 2' };
+        }
+        if (parameters.maxTokens !== undefined && !(Number.isInteger(parameters.maxTokens) && parameters.maxTokens > 0)) {
+            return { error: 'maxTokens must be a positive whole number' };
+        }
+
+        if (!(typeof input.latencyMs === 'number' && input.latencyMs >= 0)) {
+            return { error: 'latencyMs must be a number of milliseconds' };
+        }
+
+        let usage = null;
+        if (input.usage) {
+            if (this.USAGE_FIELDS.some(field => input.usage[field] !== undefined &&
+                !(Number.isInteger(input.usage[field]) && input.usage[field] >= 0))) {
+                return { error: `usage may only hold token counts: ${this.USAGE_FIELDS.join(', ')}` };
+            }
+            usage = Object.fromEntries(this.USAGE_FIELDS
+                .filter(field => input.usage[field] !== undefined)
+                .map(field => [field, input.usage[field]]));
+        }
+
+        const rating = input.rating === undefined ? 0 : input.rating;
+        const ratingError = this.checkRating(rating);
+        if (ratingError) return { error: ratingError };
+
+        const createdAt = input.createdAt === undefined ? new Date().toISOString() : input.createdAt;
+        if (typeof createdAt !== 'string' || isNaN(new Date(createdAt))) {
+            return { error: 'createdAt must be a date' };
+        }
+
+        return {
+            run: {
+                createdAt,
+                variables,
+                input: input.input,
+                parameters: {
+                    model: parameters.model || null,
+                    system: parameters.system || '',
+                    temperature: parameters.temperature === undefined ? null : parameters.temperature,
+                    maxTokens: parameters.maxTokens === undefined ? null : parameters.maxTokens
+                },
+                output: input.output,
+                latencyMs: Math.round(input.latencyMs),
+                usage,
+                rating
+            }
+        };
+    },
+
+    // { count, rated, averageRating, averageLatencyMs, totalTokens } for a list of runs
+    stats(runs) {
+        const rated = runs.filter(run => run.rating > 0);
+        const average = (values) => values.length > 0 ? values.reduce((sum, value) => sum + value, 0) / values.length : null;
+        return {
+            count: runs.length,
+            rated: rated.length,
+            averageRating: average(rated.map(run => run.rating)),
+            averageLatencyMs: average(runs.map(run => run.latencyMs)),
+            totalTokens: runs.reduce((sum, run) => sum + (run.usage?.totalTokens || 0), 0)
+        };
+    }
+};
+
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = RunHistory;
+} else {
+    window.RunHistory = RunHistory;
+}
@@ -0,0 +1,250 @@
+/**
+ * Search Index
+ * Inverted index over prompt text, notes and tags, shared by the server's
+ * storage layer and LocalJSONDatabase. Words are lower-cased, stop words
+ * dropped and suffixes stemmed; results are ranked with BM25. Query words
+ * also match index terms they are a prefix of, or are one or two typos
+ * away from, at a lower weight.
+ */
+
+class SearchIndex {
+    constructor(prompts = [], { k1 = 1.2, b = 0.75 } = {}) {
+        this.k1 = k1;
+        this.b = b;
+        this.docs = new Map();      // id -> { source, length, terms: Map<term, tf> }
+        this.postings = new Map();  // term -> Map<id, tf>
+        this.totalLength = 0;
+        this.sync(prompts);
+    }
+
+    static tokenize(text) {
+        return SearchIndex.words(text)
+            .map(({ word }) => word)
+            .filter(word => !SearchIndex.STOP_WORDS.has(word))
+            .map(word => SearchIndex.stem(word));
+    }
+
+    // Words with their offsets in the original text, lower-cased
+    static words(text) {
+        const words = [];
+        const pattern = /[\p{L}\p{N}]+/gu;
+        let match;
+        while ((match = pattern.exec(text || '')) !== null) {
+            words.push({ word: match[0].toLowerCase(), start: match.index, end: match.index + match[0].length });
+        }
+        return words;
+    }
+
+    // Light suffix stripping: enough to join plurals and -ing/-ed forms
+    static stem(word) {
+        if (word.length <= 3) return word;
+        if (word.endsWith('sses')) return word.slice(0, -2);
+        if (word.endsWith('ies')) return word.slice(0, -3) + 'y';
+        if (word.endsWith('s') && !/(ss|us|is)$/.test(word)) word = word.slice(0, -1);
+
+        for (const suffix of ['ing', 'ed', 'ly']) {
+            if (word.endsWith(suffix) && word.length - suffix.length >= 3) {
+                word = word.slice(0, -suffix.length);
+                // running -> run
+                if (/([^aeiouslz])\1$/.test(word)) word = word.slice(0, -1);
+                break;
+            }
+        }
+        return word;
+    }
+
+    static sourceOf(prompt) {
+        return [prompt.text || '', prompt.notes || '', ...(prompt.tags || [])].join('\n');
+    }
+
+    add(prompt) {
+        const source = SearchIndex.sourceOf(prompt);
+        const tokens = SearchIndex.tokenize(source);
+        const terms = new Map();
+        tokens.forEach(term => terms.set(term, (terms.get(term) || 0) + 1));
+
+        this.remove(prompt.id);
+        this.docs.set(prompt.id, { source, length: tokens.length, terms });
+        this.totalLength += tokens.length;
+        terms.forEach((tf, term) => {
+            if (!this.postings.has(term)) this.postings.set(term, new Map());
+            this.postings.get(term).set(prompt.id, tf);
+        });
+    }
+
+    update(prompt) {
+        this.add(prompt);
+    }
+
+    remove(id) {
+        const doc = this.docs.get(id);
+        if (!doc) return;
+
+        doc.terms.forEach((tf, term) => {
+            const posting = this.postings.get(term);
+            posting.delete(id);
+            if (posting.size === 0) this.postings.delete(term);
+        });
+        this.totalLength -= doc.length;
+        this.docs.delete(id);
+    }
+
+    // Bring the index in line with a list of prompts, re-indexing only the
+    // ones whose text changed
+    sync(prompts) {
+        const ids = new Set();
+        prompts.forEach(prompt => {
+            ids.add(prompt.id);
+            const doc = this.docs.get(prompt.id);
+            if (!doc || doc.source !== SearchIndex.sourceOf(prompt)) this.add(prompt);
+        });
+        [...this.docs.keys()].forEach(id => {
+            if (!ids.has(id)) this.remove(id);
+        });
+        return this;
+    }
+
+    get size() {
+        return this.docs.size;
+    }
+
+    // Index terms a query word stands for, with a weight for each
+    expand(word) {
+        const raw = word.toLowerCase();
+        const stemmed = SearchIndex.stem(raw);
+        const terms = new Map();
+        if (this.postings.has(stemmed)) terms.set(stemmed, 1);
+
+        const maxTypos = raw.length >= 8 ? 2 : raw.length >= 4 ? 1 : 0;
+        this.postings.forEach((posting, term) => {
+            if (terms.has(term)) return;
+            if (raw.length >= 2 && term.startsWith(raw)) {
+                terms.set(term, SearchIndex.PREFIX_WEIGHT);
+            } else if (maxTypos > 0 && Math.abs(term.length - stemmed.length) <= maxTypos &&
+                SearchIndex.distance(term, stemmed, maxTypos) <= maxTypos) {
+                terms.set(term, SearchIndex.FUZZY_WEIGHT);
+            }
+        });
+        return terms;
+    }
+
+    // BM25 score of each document for one query word, over its expansions
+    scoreWord(word) {
+        const scores = new Map();
+        const count = this.docs.size;
+        const averageLength = count ? this.totalLength / count : 0;
+
+        this.expand(word).forEach((weight, term) => {
+            const posting = this.postings.get(term);
+            const idf = Math.log(1 + (count - posting.size + 0.5) / (posting.size + 0.5));
+            posting.forEach((tf, id) => {
+                const length = this.docs.get(id).length;
+                const norm = tf + this.k1 * (1 - this.b + this.b * (averageLength ? length / averageLength : 0));
+                const score = weight * idf * (tf * (this.k1 + 1)) / norm;
+                scores.set(id, Math.max(scores.get(id) || 0, score));
+            });
+        });
+        return scores;
+    }
+
+    // Scores for a set of query words, computed once per search. A document
+    // matches a query word when it contains every token of it (or a prefix
+    // or typo variant). Words made only of stop words or punctuation cannot
+    // be looked up; for those matches() returns null.
+    scorer(queryWords) {
+        const byWord = new Map();
+        queryWords.forEach(text => {
+            const tokens = SearchIndex.words(text)
+                .map(({ word }) => word)
+                .filter(word => !SearchIndex.STOP_WORDS.has(word));
+            byWord.set(text, tokens.length ? tokens.map(token => this.scoreWord(token)) : null);
+        });
+
+        return {
+            // true/false, or null when the index cannot tell
+            matches: (id, text) => {
+                const scores = byWord.get(text);
+                return scores ? scores.every(score => score.has(id)) : null;
+            },
+            score: id => {
+                let total = 0;
+                byWord.forEach(scores => {
+                    (scores || []).forEach(score => {
+                        total += score.get(id) || 0;
+                    });
+                });
+                return total;
+            }
+        };
+    }
+
+    // A window of `text` around the first match for the query words, split
+    // into { text, match } segments for highlighting
+    snippet(text, queryWords, length = 150) {
+        text = text || '';
+        const terms = new Map();
+        queryWords.forEach(query => {
+            SearchIndex.words(query).forEach(({ word }) => {
+                this.expand(word).forEach((weight, term) => terms.set(term, weight));
+            });
+        });
+
+        const matches = SearchIndex.words(text).filter(({ word }) =>
+            !SearchIndex.STOP_WORDS.has(word) && terms.has(SearchIndex.stem(word))
+        );
+
+        let start = 0;
+        if (matches.length > 0 && matches[0].end > length) {
+            start = Math.max(0, matches[0].start - Math.floor(length / 3));
+            const space = text.lastIndexOf(' ', start);
+            if (space > start - 20 && space !== -1) start = space + 1;
+        }
+        const end = Math.min(text.length, start + length);
+
+        const segments = [];
+        let position = start;
+        matches.filter(match => match.start >= start && match.end <= end).forEach(match => {
+            if (match.start > position) segments.push({ text: text.slice(position, match.start), match: false });
+            segments.push({ text: text.slice(match.start, match.end), match: true });
+            position = match.end;
+        });
+        if (position < end) segments.push({ text: text.slice(position, end), match: false });
+
+        return { segments, truncatedStart: start > 0, truncatedEnd: end < text.length };
+    }
+
+    // Levenshtein distance, giving up once it exceeds `max`
+    static distance(a, b, max) {
+        let previous = Array.from({ length: b.length + 1 }, (_, i) => i);
+        for (let i = 1; i <= a.length; i++) {
+            const current = [i];
+            let best = i;
+            for (let j = 1; j <= b.length; j++) {
+                current[j] = Math.min(
+                    previous[j] + 1,
+                    current[j - 1] + 1,
+                    previous[j - 1] + (a[i - 1] === b[j - 1] ? 0 : 1)
+                );
+                best = Math.min(best, current[j]);
+            }
+            if (best > max) return best;
+            previous = current;
+        }
+        return previous[b.length];
+    }
+}
+
+SearchIndex.PREFIX_WEIGHT = 0.7;
+SearchIndex.FUZZY_WEIGHT = 0.5;
+SearchIndex.STOP_WORDS = new Set([
+    'a', 'an', 'and', 'are', 'as', 'at', 'be', 'but', 'by', 'for', 'from', 'how', 'i', 'if', 'in',
+    'into', 'is', 'it', 'its', 'me', 'my', 'no', 'not', 'of', 'on', 'or', 'our', 'so', 'such',
+    'that', 'the', 'their', 'then', 'there', 'these', 'they', 'this', 'to', 'was', 'we', 'what',
+    'when', 'which', 'will', 'with', 'you', 'your'
+]);
+
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = SearchIndex;
+} else {
+    window.SearchIndex = SearchIndex;
+}
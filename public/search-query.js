@@ -0,0 +1,443 @@
+/**
+ * Search Query
+ * The search language shared by the search box and GET /api/prompts/search,
+ * so both return the same prompts in the same order.
+ *
+ *   creative writing          both words, anywhere in text, notes or tags
+ *   "exact phrase"            a phrase
+ *   tag:code category:dev     field operators (also folder:, rating:, usage:, created:, updated:)
+ *   tag:code folder:work      a tag or folder and everything nested under it
+ *   tag:"creative writing"    quoted values
+ *   rating:4  rating:2..4     at least 4 stars / between 2 and 4
+ *   rating:>=4  usage:>10     comparisons: >, >=, <, <=, =
+ *   created:>2025-06-01       dates compare by whole days
+ *   created:2024-01-01..2024-03-31   ranges, either end may be left open
+ *   has:notes                 has notes, tags or {{variables}}
+ *   a OR b, NOT a, -a, (a OR b) c   boolean logic; AND is implied between terms
+ *
+ * Free-text words are looked up in a SearchIndex, so they also find other
+ * forms of a word, prefixes and near misses, and results can be sorted by
+ * relevance.
+ */
+
+// A script global in the browser, a module on the server
+const SearchIndexClass = (typeof window !== 'undefined' && window.SearchIndex) || require('./search-index');
+const FolderTreeModule = (typeof window !== 'undefined' && window.FolderTree) || require('./folder-tree');
+const TagRulesModule = (typeof window !== 'undefined' && window.TagRules) || require('./tag-rules');
+const PromptTemplateModule = (typeof window !== 'undefined' && window.PromptTemplate) || require('./prompt-template');
+
+const SearchQuery = {
+    FIELDS: ['tag', 'category', 'folder', 'rating', 'usage', 'created', 'updated', 'has'],
+    HAS: ['notes', 'tags', 'variables'],
+    DAY: 24 * 60 * 60 * 1000,
+    SORT_KEYS: ['relevance', 'createdAt', 'updatedAt', 'rating', 'usage_count', 'text'],
+    KEYWORDS: ['AND', 'OR', 'NOT'],
+
+    // Errors carry the span of the input they refer to, for highlighting
+    error(message, position, end = position + 1) {
+        return Object.assign(new Error(message), { position, end });
+    },
+
+    // Split a query into terms, phrases, keywords and parentheses, keeping
+    // each token's position in the input
+    tokenize(input) {
+        const tokens = [];
+        let i = 0;
+
+        const readQuoted = () => {
+            const start = i;
+            const end = input.indexOf('"', i + 1);
+            if (end === -1) throw this.error('Missing closing quote', start, input.length);
+            i = end + 1;
+            return input.slice(start + 1, end);
+        };
+
+        while (i < input.length) {
+            const char = input[i];
+            const start = i;
+
+            if (/\s/.test(char)) {
+                i++;
+            } else if (char === '-' && i + 1 < input.length && !/[\s)]/.test(input[i + 1])) {
+                // -term is short for NOT term
+                tokens.push({ type: 'NOT', start, end: ++i });
+            } else if (char === '(' || char === ')') {
+                tokens.push({ type: char, start, end: ++i });
+            } else if (char === '"') {
+                const value = readQuoted();
+                tokens.push({ type: 'text', value, phrase: true, start, end: i });
+            } else {
+                while (i < input.length && !/[\s()"]/.test(input[i])) i++;
+                const word = input.slice(start, i);
+                const colon = word.indexOf(':');
+                const field = colon > 0 ? word.slice(0, colon).toLowerCase() : null;
+
+                if (this.KEYWORDS.includes(word)) {
+                    tokens.push({ type: word, start, end: i });
+                } else if (field && this.FIELDS.includes(field)) {
+                    let value = word.slice(colon + 1);
+                    if (value === '' && input[i] === '"') value = readQuoted();
+                    if (value === '') throw this.error(`Missing value for ${field}:`, start, i);
+                    tokens.push({ type: 'field', field, value, start, end: i });
+                } else {
+                    tokens.push({ type: 'text', value: word, start, end: i });
+                }
+            }
+        }
+
+        return tokens;
+    },
+
+    // Parse a query into a tree of and/or/not/text/field nodes. Returns null
+    // for an empty query and throws an error with a `position` when the
+    // query is malformed.
+    parse(input) {
+        const tokens = this.tokenize(input || '');
+        if (tokens.length === 0) return null;
+        let index = 0;
+
+        const peek = () => tokens[index];
+        const next = () => tokens[index++];
+        const position = () => (peek() ? peek().start : input.length);
+
+        const parseOr = () => {
+            const nodes = [parseAnd()];
+            while (peek() && peek().type === 'OR') {
+                next();
+                nodes.push(parseAnd());
+            }
+            return nodes.length === 1 ? nodes[0] : { type: 'or', nodes };
+        };
+
+        const parseAnd = () => {
+            const nodes = [parseUnary()];
+            while (peek() && peek().type !== 'OR' && peek().type !== ')') {
+                if (peek().type === 'AND') next();
+                nodes.push(parseUnary());
+            }
+            return nodes.length === 1 ? nodes[0] : { type: 'and', nodes };
+        };
+
+        const parseUnary = () => {
+            if (peek() && peek().type === 'NOT') {
+                next();
+                return { type: 'not', node: parseUnary() };
+            }
+            return parsePrimary();
+        };
+
+        const parsePrimary = () => {
+            const token = next();
+            if (!token) throw this.error('Query ends unexpectedly', input.length);
+
+            if (token.type === '(') {
+                const node = parseOr();
+                if (!peek() || peek().type !== ')') throw this.error('Missing closing parenthesis', token.start, token.end);
+                next();
+                return node;
+            }
+            if (token.type === 'text') {
+                return { type: 'text', value: token.value.toLowerCase(), phrase: !!token.phrase };
+            }
+            if (token.type === 'field') {
+                return this.fieldNode(token);
+            }
+            throw this.error(`Unexpected ${token.type}`, token.start, token.end);
+        };
+
+        const tree = parseOr();
+        if (peek()) throw this.error(`Unexpected ${peek().type}`, position(), peek().end);
+        return tree;
+    },
+
+    // For search-as-you-type: a query that does not parse yet (an open quote
+    // or parenthesis) is searched for as plain text instead
+    parseLenient(input) {
+        try {
+            return this.parse(input);
+        } catch (error) {
+            return { type: 'text', value: input.trim().toLowerCase(), phrase: true };
+        }
+    },
+
+    // Field values are checked while parsing so bad input fails early
+    fieldNode(token) {
+        const { field, value } = token;
+
+        if (field === 'rating' || field === 'usage') {
+            // A bare rating means "at least", as the star filter does
+            return { type: 'field', field, ...this.parseBounds(value, token, { atLeast: field === 'rating' }) };
+        }
+        if (field === 'created' || field === 'updated') {
+            return { type: 'field', field, ...this.parseBounds(value, token, { dates: true }) };
+        }
+        if (field === 'has' && !this.HAS.includes(value.toLowerCase())) {
+            throw this.error(`has: expects one of ${this.HAS.join(', ')}`, token.start, token.end);
+        }
+        return { type: 'field', field, value: value.toLowerCase() };
+    },
+
+    // Turn "4", ">=4", "<2025-06-01" or "2..4" into { lower, upper } bounds,
+    // each { value, inclusive } or null. A date without a time stands for
+    // the whole day.
+    parseBounds(value, token, { atLeast = false, dates = false } = {}) {
+        const convert = text => {
+            const number = text === '' ? NaN : dates ? this.parseDate(text) : Number(text);
+            if (Number.isNaN(number)) {
+                throw this.error(`Invalid ${token.field} "${value}"`, token.start, token.end);
+            }
+            return number;
+        };
+        const span = text => (dates && /^\d{4}-\d{2}-\d{2}$/.test(text) ? this.DAY : 0);
+        const upperBound = text => (span(text)
+            ? { value: convert(text) + span(text), inclusive: false }
+            : { value: convert(text), inclusive: true });
+
+        const parts = value.split('..');
+        if (parts.length === 2) {
+            const [low, high] = parts;
+            return {
+                lower: low === '' ? null : { value: convert(low), inclusive: true },
+                upper: high === '' ? null : upperBound(high)
+            };
+        }
+        if (parts.length > 2) {
+            throw this.error(`Invalid range "${value}"`, token.start, token.end);
+        }
+
+        const [, op = '', operand] = value.match(/^(>=|<=|>|<|=)?(.*)$/);
+        switch (op) {
+            case '>=':
+                return { lower: { value: convert(operand), inclusive: true }, upper: null };
+            case '>':
+                return {
+                    lower: span(operand)
+                        ? { value: convert(operand) + span(operand), inclusive: true }
+                        : { value: convert(operand), inclusive: false },
+                    upper: null
+                };
+            case '<':
+                return { lower: null, upper: { value: convert(operand), inclusive: false } };
+            case '<=':
+                return { lower: null, upper: upperBound(operand) };
+            default:
+                return {
+                    lower: { value: convert(operand), inclusive: true },
+                    upper: op === '' && atLeast ? null : upperBound(operand)
+                };
+        }
+    },
+
+    parseDate(value) {
+        return new Date(value).getTime();
+    },
+
+    textOf(prompt) {
+        return [prompt.text || '', prompt.notes || '', ...(prompt.tags || [])].map(value => value.toLowerCase());
+    },
+
+    // Without a scorer (from SearchIndex#scorer) free text is matched as a
+    // plain substring
+    matches(prompt, node, scorer = null) {
+        if (!node) return true;
+
+        switch (node.type) {
+            case 'and':
+                return node.nodes.every(child => this.matches(prompt, child, scorer));
+            case 'or':
+                return node.nodes.some(child => this.matches(prompt, child, scorer));
+            case 'not':
+                return !this.matches(prompt, node.node, scorer);
+            case 'text': {
+                const indexed = scorer && !node.phrase ? scorer.matches(prompt.id, node.value) : null;
+                if (indexed !== null) return indexed;
+                return this.textOf(prompt).some(value => value.includes(node.value));
+            }
+            case 'field':
+                return this.matchesField(prompt, node);
+            default:
+                return false;
+        }
+    },
+
+    within(value, { lower, upper }) {
+        if (lower && (lower.inclusive ? value < lower.value : value <= lower.value)) return false;
+        if (upper && (upper.inclusive ? value > upper.value : value >= upper.value)) return false;
+        return true;
+    },
+
+    matchesField(prompt, node) {
+        switch (node.field) {
+            case 'tag':
+                return TagRulesModule.matches(prompt.tags || [], node.value);
+            case 'category':
+                return (prompt.category || '').toLowerCase().includes(node.value);
+            case 'folder':
+                return FolderTreeModule.contains(node.value, (prompt.folder || '').toLowerCase());
+            case 'rating':
+                return this.within(prompt.rating || 0, node);
+            case 'usage':
+                return this.within(prompt.usage_count || 0, node);
+            case 'created':
+                return this.within(this.parseDate(prompt.createdAt), node);
+            case 'updated':
+                return this.within(this.parseDate(prompt.updatedAt || prompt.createdAt), node);
+            case 'has':
+                return this.has(prompt, node.value);
+            default:
+                return false;
+        }
+    },
+
+    has(prompt, what) {
+        switch (what) {
+            case 'notes':
+                return !!(prompt.notes && prompt.notes.trim());
+            case 'tags':
+                return (prompt.tags || []).length > 0;
+            case 'variables':
+                return PromptTemplateModule.variables(prompt.text).length > 0;
+            default:
+                return false;
+        }
+    },
+
+    // Free-text terms a result can be highlighted with (negated ones excluded)
+    textTerms(node) {
+        if (!node || node.type === 'not') return [];
+        if (node.type === 'text') return [node.value];
+        return (node.nodes || []).flatMap(child => this.textTerms(child));
+    },
+
+    // Quote a value for use after a field operator when it needs it
+    quote(value) {
+        return /[\s()"]/.test(value) ? `"${value.replace(/"/g, '')}"` : value;
+    },
+
+    // Relevance falls back to newest first among equally relevant prompts
+    sortValue(prompt, sortBy, scorer = null) {
+        if (sortBy === 'relevance') {
+            return [scorer ? scorer.score(prompt.id) : 0, this.sortValue(prompt, 'createdAt')];
+        }
+        const value = prompt[sortBy];
+        if (sortBy === 'text') return (value || '').toLowerCase();
+        if (sortBy === 'createdAt' || sortBy === 'updatedAt') return this.parseDate(value) || 0;
+        return value || 0;
+    },
+
+    // Order two prompts given their sort values; ties are broken by id so
+    // every prompt has a fixed place for paging
+    compareKeys(aVal, aId, bVal, bId, direction) {
+        const aKeys = [].concat(aVal);
+        const bKeys = [].concat(bVal);
+        for (let i = 0; i < aKeys.length; i++) {
+            if (aKeys[i] !== bKeys[i]) return (aKeys[i] > bKeys[i] ? 1 : -1) * direction;
+        }
+        return aId < bId ? -1 : aId > bId ? 1 : 0;
+    },
+
+    compare(sortBy = 'createdAt', sortOrder = 'desc', scorer = null) {
+        const direction = sortOrder === 'asc' ? 1 : -1;
+        return (a, b) => this.compareKeys(
+            this.sortValue(a, sortBy, scorer), a.id,
+            this.sortValue(b, sortBy, scorer), b.id,
+            direction
+        );
+    },
+
+    // Cursors name the last prompt of a page by its sort value and id, so
+    // pages stay consistent while prompts are added or removed
+    encodeCursor(prompt, sortBy, scorer = null) {
+        const json = JSON.stringify({ value: this.sortValue(prompt, sortBy, scorer), id: prompt.id });
+        return btoa(unescape(encodeURIComponent(json)));
+    },
+
+    decodeCursor(cursor) {
+        try {
+            const { value, id } = JSON.parse(decodeURIComponent(escape(atob(cursor))));
+            if (id === undefined) throw new Error();
+            return { value, id };
+        } catch (error) {
+            throw this.error('Invalid cursor');
+        }
+    },
+
+    // tag: terms written as a synonym search for the tag it stands for
+    withSynonyms(node, synonyms) {
+        if (!node) return node;
+        switch (node.type) {
+            case 'and':
+            case 'or':
+                return { ...node, nodes: node.nodes.map(child => this.withSynonyms(child, synonyms)) };
+            case 'not':
+                return { ...node, node: this.withSynonyms(node.node, synonyms) };
+            case 'field':
+                return node.field === 'tag' ? { ...node, value: TagRulesModule.canonical(node.value, synonyms) } : node;
+            default:
+                return node;
+        }
+    },
+
+    // Filter, sort and page a list of prompts.
+    // options: query, category, folder (with its subfolders), tags (with
+    // their child tags), synonyms, minRating, sortBy, sortOrder, limit,
+    // cursor, and index (a SearchIndex kept up to date by the caller; one is
+    // built on the spot if missing)
+    search(prompts, options = {}) {
+        const {
+            query = '',
+            category,
+            folder,
+            tags = [],
+            minRating = 0,
+            sortBy = 'createdAt',
+            sortOrder = 'desc',
+            limit,
+            cursor,
+            index,
+            synonyms
+        } = options;
+
+        if (!this.SORT_KEYS.includes(sortBy)) {
+            throw this.error(`Cannot sort by "${sortBy}"`);
+        }
+
+        let tree = typeof query === 'string' ? this.parse(query) : query;
+        if (synonyms) tree = this.withSynonyms(tree, synonyms);
+        const words = this.textTerms(tree);
+        const scorer = words.length > 0 ? (index || new SearchIndexClass(prompts)).scorer(words) : null;
+
+        let results = prompts.filter(prompt =>
+            (!category || category === 'All' || prompt.category === category) &&
+            (!folder || folder === 'All' || FolderTreeModule.contains(folder, prompt.folder)) &&
+            (prompt.rating || 0) >= minRating &&
+            (tags.length === 0 || tags.some(tag => TagRulesModule.matches(prompt.tags, tag))) &&
+            this.matches(prompt, tree, scorer)
+        );
+        results.sort(this.compare(sortBy, sortOrder, scorer));
+
+        const total = results.length;
+        if (cursor) {
+            const { value, id } = this.decodeCursor(cursor);
+            const direction = sortOrder === 'asc' ? 1 : -1;
+            const after = results.findIndex(prompt =>
+                this.compareKeys(this.sortValue(prompt, sortBy, scorer), prompt.id, value, id, direction) > 0
+            );
+            results = after === -1 ? [] : results.slice(after);
+        }
+
+        let nextCursor = null;
+        if (limit && results.length > limit) {
+            results = results.slice(0, limit);
+            nextCursor = this.encodeCursor(results[results.length - 1], sortBy, scorer);
+        }
+
+        return { prompts: results, total, nextCursor };
+    }
+};
+
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = SearchQuery;
+} else {
+    window.SearchQuery = SearchQuery;
+}
@@ -0,0 +1,117 @@
+/**
+ * Tag Rules
+ * Tags are lower-cased and trimmed, and can be nested with "/" so that
+ * "code/python" sits under "code". Synonym rules in `data.tagSynonyms` map
+ * an alias to the tag it should become ({ js: 'javascript' }) and are
+ * applied whenever tags are saved or generated. Shared by the browser
+ * database, the server routes, SearchQuery and OpenAIIntegration.
+ */
+
+const TagRules = {
+    SEPARATOR: '/',
+
+    // " Code / Python " -> "code/python"
+    clean(tag) {
+        return String(tag || '')
+            .toLowerCase()
+            .split(this.SEPARATOR)
+            .map(segment => segment.trim().replace(/\s+/g, ' '))
+            .filter(Boolean)
+            .join(this.SEPARATOR);
+    },
+
+    canonical(tag, synonyms = {}) {
+        const cleaned = this.clean(tag);
+        return Object.prototype.hasOwnProperty.call(synonyms, cleaned) ? synonyms[cleaned] : cleaned;
+    },
+
+    // Cleaned, de-duplicated tags with synonyms replaced, in their original order
+    normalize(tags = [], synonyms = {}) {
+        const result = [];
+        tags.forEach(tag => {
+            const canonical = this.canonical(tag, synonyms);
+            if (canonical && !result.includes(canonical)) result.push(canonical);
+        });
+        return result;
+    },
+
+    // Whether `tag` is `parent` or one of its children
+    contains(parent, tag) {
+        return tag === parent || tag.startsWith(parent + this.SEPARATOR);
+    },
+
+    // Renaming a tag renames its children too: code -> dev makes code/python dev/python
+    rename(tags, from, to, synonyms = {}) {
+        return this.normalize(tags.map(tag => (this.contains(from, tag) ? to + tag.slice(from.length) : tag)), synonyms);
+    },
+
+    // Removes a tag and its children
+    remove(tags, tag) {
+        return tags.filter(t => !this.contains(tag, t));
+    },
+
+    // Whether a prompt's tags include `tag` or one of its children
+    matches(tags = [], tag) {
+        return tags.some(t => this.contains(tag, t));
+    },
+
+    // { name, count, total } for every tag in use and every parent of one,
+    // sorted so children follow their parent. `count` is the prompts with
+    // exactly that tag, `total` includes the children.
+    list(prompts) {
+        const counts = new Map();
+        prompts.forEach(prompt => {
+            (prompt.tags || []).forEach(tag => counts.set(tag, (counts.get(tag) || 0) + 1));
+        });
+
+        const names = new Set(counts.keys());
+        counts.forEach((count, tag) => {
+            const segments = tag.split(this.SEPARATOR);
+            for (let i = 1; i < segments.length; i++) {
+                names.add(segments.slice(0, i).join(this.SEPARATOR));
+            }
+        });
+
+        return [...names].sort().map(name => ({
+            name,
+            count: counts.get(name) || 0,
+            total: prompts.filter(prompt => this.matches(prompt.tags, name)).length
+        }));
+    },
+
+    // A cleaned synonym map, or an error message. Aliases that point at
+    // another alias are followed so every rule leads straight to a tag.
+    checkSynonyms(input) {
+        if (!input || typeof input !== 'object' || Array.isArray(input)) {
+            return { error: 'synonyms must be an object of alias: tag' };
+        }
+
+        const synonyms = {};
+        for (const [alias, tag] of Object.entries(input)) {
+            const from = this.clean(alias);
+            const to = this.clean(tag);
+            if (typeof tag !== 'string' || !from || !to) {
+                return { error: `Invalid synonym "${alias}"` };
+            }
+            if (from !== to) synonyms[from] = to;
+        }
+
+        for (const alias of Object.keys(synonyms)) {
+            const seen = new Set([alias]);
+            let tag = synonyms[alias];
+            while (Object.prototype.hasOwnProperty.call(synonyms, tag)) {
+                if (seen.has(tag)) return { error: `Synonyms for "${alias}" loop back on themselves` };
+                seen.add(tag);
+                tag = synonyms[tag];
+            }
+            synonyms[alias] = tag;
+        }
+        return { synonyms };
+    }
+};
+
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = TagRules;
+} else {
+    window.TagRules = TagRules;
+}
@@ -0,0 +1,83 @@
+/**
+ * Trash
+ * Soft delete shared by the browser database and the server routes.
+ * Deleted prompts move from `data.prompts` to `data.trash` with a deletedAt
+ * timestamp and keep everything else (folder, history) so they can be
+ * restored as they were. Items older than the retention period are purged.
+ */
+
+const Trash = {
+    DEFAULT_RETENTION_DAYS: 30,
+
+    list(data) {
+        return [...(data.trash || [])].sort((a, b) => new Date(b.deletedAt) - new Date(a.deletedAt));
+    },
+
+    // Move prompts to the trash. Returns the trashed prompts. The prompts
+    // array is changed in place; the browser app holds a reference to it.
+    moveToTrash(data, ids, deletedAt = new Date().toISOString()) {
+        const idSet = new Set(ids);
+        const trashed = [];
+
+        for (let i = data.prompts.length - 1; i >= 0; i--) {
+            if (idSet.has(data.prompts[i].id)) {
+                const [prompt] = data.prompts.splice(i, 1);
+                trashed.unshift({ ...prompt, deletedAt });
+            }
+        }
+
+        data.trash = [...(data.trash || []), ...trashed];
+        return trashed;
+    },
+
+    // Move prompts back to the collection. Returns the restored prompts.
+    restore(data, ids) {
+        const idSet = new Set(ids);
+        const existing = new Set(data.prompts.map(p => p.id));
+        const restored = [];
+
+        data.trash = (data.trash || []).filter(item => {
+            if (!idSet.has(item.id) || existing.has(item.id)) return true;
+            const { deletedAt, ...prompt } = item;
+            restored.push(prompt);
+            return false;
+        });
+
+        data.prompts.unshift(...restored);
+        return restored;
+    },
+
+    // Permanently remove prompts from the trash. Returns the purged prompts.
+    purge(data, ids) {
+        const idSet = new Set(ids);
+        const purged = (data.trash || []).filter(item => idSet.has(item.id));
+        data.trash = (data.trash || []).filter(item => !idSet.has(item.id));
+        return purged;
+    },
+
+    empty(data) {
+        const purged = data.trash || [];
+        data.trash = [];
+        return purged;
+    },
+
+    retentionDays(data, fallback = this.DEFAULT_RETENTION_DAYS) {
+        const days = data.settings?.trashRetentionDays;
+        return Number.isFinite(days) && days >= 0 ? days : fallback;
+    },
+
+    // Purge items deleted more than retentionDays ago. 0 keeps items forever.
+    purgeExpired(data, retentionDays, now = Date.now()) {
+        if (!retentionDays) return [];
+
+        const cutoff = now - retentionDays * 24 * 60 * 60 * 1000;
+        const expired = (data.trash || []).filter(item => new Date(item.deletedAt).getTime() < cutoff);
+        return expired.length > 0 ? this.purge(data, expired.map(item => item.id)) : [];
+    }
+};
+
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = Trash;
+} else {
+    window.Trash = Trash;
+}
@@ -0,0 +1,195 @@
+/**
+ * Workflow
+ * A workflow runs existing prompts one after another. Each step names a
+ * prompt and binds its {{variables}} to text that may refer to:
+ *
+ *   {{previous}}      the output of the step before
+ *   {{step2}}         the output of step 2 (steps count from 1)
+ *   {{input.topic}}   a value asked for when the workflow is run
+ *
+ *   { id, name, description, steps: [{ promptId, inputs: { notes: '{{previous}}' } }] }
+ *
+ * Variables left unbound fall back to their defaults. Workflows live in
+ * `data.workflows`; they run in the browser against the configured model.
+ * Shared by the browser database and the server routes.
+ */
+
+const PromptTemplateForWorkflow = (typeof window !== 'undefined' && window.PromptTemplate) || require('./prompt-template');
+
+const Workflow = {
+    MAX_STEPS: 20,
+    EXPORT_FORMAT: 'nlp-prompt-workflow',
+    EXPORT_VERSION: 1,
+
+    // Values asked for when the workflow runs, from its {{input.*}} references
+    inputs(workflow) {
+        const names = [];
+        (workflow.steps || []).forEach(step => {
+            Object.values(step.inputs || {}).forEach(binding => {
+                PromptTemplateForWorkflow.variables(binding).forEach(reference => {
+                    const name = reference.startsWith('input.') ? reference.slice('input.'.length) : null;
+                    if (name && !names.includes(name)) names.push(name);
+                });
+            });
+        });
+        return names;
+    },
+
+    // What is wrong with a reference in step `index` (0-based), or null
+    checkReference(reference, index) {
+        if (reference === 'previous') {
+            return index === 0 ? 'the first step has no {{previous}} output' : null;
+        }
+        const step = /^step(\d+)$/.exec(reference);
+        if (step) {
+            const number = parseInt(step[1]);
+            return number >= 1 && number <= index ? null : `{{${reference}}} must refer to an earlier step`;
+        }
+        return /^input\.[\w-]+$/.test(reference) ? null : `unknown reference {{${reference}}}`;
+    },
+
+    // Cleaned { name, description, steps }, or an error message. Steps may
+    // point at prompts that no longer exist; running reports them.
+    check(input) {
+        if (!input || typeof input !== 'object') {
+            return { error: 'Workflow must be an object' };
+        }
+        const name = typeof input.name === 'string' ? input.name.trim() : '';
+        if (name.length === 0 || name.length > 100) {
+            return { error: 'Name must be between 1 and 100 characters' };
+        }
+        if (input.description !== undefined && typeof input.description !== 'string') {
+            return { error: 'description must be a string' };
+        }
+        if (!Array.isArray(input.steps) || input.steps.length === 0 || input.steps.length > this.MAX_STEPS) {
+            return { error: `A workflow needs between 1 and ${this.MAX_STEPS} steps` };
+        }
+
+        const steps = [];
+        for (const [index, step] of input.steps.entries()) {
+            if (!step || typeof step.promptId !== 'string' || !step.promptId) {
+                return { error: `Step ${index + 1} needs a promptId` };
+            }
+            const bindings = step.inputs === undefined ? {} : step.inputs;
+            if (!bindings || typeof bindings !== 'object' || Array.isArray(bindings)) {
+                return { error: `Step ${index + 1}: inputs must be an object of variable: text` };
+            }
+
+            const inputs = {};
+            for (const [variable, binding] of Object.entries(bindings)) {
+                if (typeof binding !== 'string') {
+                    return { error: `Step ${index + 1}: the value for "${variable}" must be a string` };
+                }
+                for (const reference of PromptTemplateForWorkflow.variables(binding)) {
+                    const error = this.checkReference(reference, index);
+                    if (error) return { error: `Step ${index + 1}: ${error}` };
+                }
+                if (binding !== '') inputs[variable] = binding;
+            }
+            steps.push({ promptId: step.promptId, inputs });
+        }
+
+        return { workflow: { name, description: (input.description || '').trim(), steps } };
+    },
+
+    // The text sent to the model for step `index`, given the run's inputs and
+    // the outputs of the steps before it
+    prepare(workflow, index, { inputs = {}, outputs = [] }, prompts) {
+        const step = workflow.steps[index];
+        const prompt = prompts.find(p => p.id === step.promptId);
+        if (!prompt) {
+            return { error: `Step ${index + 1}: prompt ${step.promptId} no longer exists` };
+        }
+
+        const context = { previous: index > 0 ? outputs[index - 1] : '' };
+        outputs.forEach((output, i) => { context[`step${i + 1}`] = output; });
+        Object.entries(inputs).forEach(([name, value]) => { context[`input.${name}`] = String(value); });
+
+        const values = {};
+        Object.entries(step.inputs || {}).forEach(([variable, binding]) => {
+            values[variable] = PromptTemplateForWorkflow.render(binding, context);
+        });
+
+        const { text, errors, error } = PromptTemplateForWorkflow.fill(prompt, values, prompts);
+        if (error) return { error: `Step ${index + 1}: ${error}` };
+        if (errors) return { error: `Step ${index + 1}: ${Object.values(errors).join(', ')}` };
+        return { text };
+    },
+
+    // Runs the steps in order. `complete(text)` sends one prompt to the model
+    // and resolves with the reply; `onStep(index, step)` is called when a step
+    // starts and again when it finishes. Stops at the first failing step.
+    async run(workflow, prompts, { inputs = {}, complete, onStep = () => {} }) {
+        const steps = [];
+        const outputs = [];
+
+        for (let index = 0; index < workflow.steps.length; index++) {
+            const { text, error } = this.prepare(workflow, index, { inputs, outputs }, prompts);
+            const step = { promptId: workflow.steps[index].promptId, input: text || null, output: null, error: error || null };
+            steps.push(step);
+
+            if (!step.error) {
+                onStep(index, step);
+                try {
+                    step.output = await complete(text);
+                    outputs.push(step.output);
+                } catch (runError) {
+                    step.error = `Step ${index + 1}: ${runError.message}`;
+                }
+            }
+            onStep(index, step);
+            if (step.error) return { steps, output: null, error: step.error };
+        }
+
+        return { steps, output: outputs[outputs.length - 1] };
+    },
+
+    // Every prompt the workflow needs, including the partials they include
+    promptsFor(workflow, prompts) {
+        const needed = [];
+        const add = (prompt) => {
+            if (!prompt || needed.includes(prompt)) return;
+            needed.push(prompt);
+            PromptTemplateForWorkflow.includes(prompt.text)
+                .forEach(key => add(PromptTemplateForWorkflow.find(prompts, key)));
+        };
+        workflow.steps.forEach(step => add(prompts.find(p => p.id === step.promptId)));
+        return needed;
+    },
+
+    // A self-contained file: the workflow and the prompts it uses, without
+    // their revision history
+    export(workflow, prompts) {
+        return {
+            format: this.EXPORT_FORMAT,
+            version: this.EXPORT_VERSION,
+            exported: new Date().toISOString(),
+            workflow,
+            prompts: this.promptsFor(workflow, prompts).map(({ revisions, rev, ...prompt }) => prompt)
+        };
+    },
+
+    // { workflow, prompts } from an exported file, or an error message
+    parseExport(input) {
+        if (!input || input.format !== this.EXPORT_FORMAT) {
+            return { error: 'Not a workflow export' };
+        }
+        if (input.version > this.EXPORT_VERSION) {
+            return { error: `Workflow export version ${input.version} is newer than this app supports` };
+        }
+        const { workflow, error } = this.check(input.workflow);
+        if (error) return { error };
+
+        const prompts = Array.isArray(input.prompts) ? input.prompts : [];
+        if (prompts.some(prompt => !prompt || typeof prompt.id !== 'string' || typeof prompt.text !== 'string')) {
+            return { error: 'Every exported prompt needs an id and text' };
+        }
+        return { workflow, prompts };
+    }
+};
+
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = Workflow;
+} else {
+    window.Workflow = Workflow;
+}
@@ -4,9 +4,38 @@ const path = require('path');
 const cors = require('cors');
 const config = require('./src/config');
 const logger = require('./src/utils/logger');
+const { createStorage } = require('./src/storage');
+const PromptHistory = require('./public/prompt-history');
+const Trash = require('./public/trash');
+const SearchQuery = require('./public/search-query');
+const FolderTree = require('./public/folder-tree');
+const CategoryModel = require('./public/category-model');
+const TagRules = require('./public/tag-rules');
+const PromptTemplate = require('./public/prompt-template');
+const Workflow = require('./public/workflow');
+const RunHistory = require('./public/run-history');
+const Evaluation = require('./public/evaluation');
+const Comparison = require('./public/comparison');
+const LLMProviders = require('./public/llm-providers');
+const OpenAIIntegration = require('./src/openai-integration');
+const SecretStore = require('./src/secret-store');
+const AICache = require('./src/ai-cache');
+const JobQueue = require('./src/job-queue');
+const {
+    documentETag,
+    promptETag,
+    checkIfMatch,
+    fingerprint,
+    stamp
+} = require('./src/utils/concurrency');
 const { 
     validatePromptData, 
     validatePromptId, 
+    validateNewPrompt,
+    validateNewPrompts,
+    checkPrompt,
+    validateName,
+    validateCategory,
     validateBulkOperations, 
     sanitizeInput, 
     rateLimiter, 
@@ -15,9 +44,8 @@ const {
 
 const app = express();
 const PORT = config.server.port;
-const DATA_FILE = path.resolve(__dirname, config.database.dataFilePath);
 
-app.use(cors({ origin: config.security.corsOrigin }));
+app.use(cors({ origin: config.security.corsOrigin, exposedHeaders: ['ETag'] }));
 app.use(express.json({ limit: '50mb' }));
 app.use(express.static('public'));
 app.use(sanitizeInput);
@@ -26,226 +54,2098 @@ if (config.security.rateLimitEnabled) {
     app.use(rateLimiter());
 }
 
-// Auto-save middleware with debouncing
-let saveTimeout;
-const AUTOSAVE_DELAY = 500; // 500ms delay to match client expectations
+const createDefaultData = () => ({
+    prompts: [],
+    categories: CategoryModel.defaultNames(),
+    categoryDetails: {},
+    tagSynonyms: {},
+    folders: ["All", "Favorites", "Archive", "Default"],
+    customFolders: [],
+    smartFolders: [],
+    workflows: [],
+    runs: [],
+    evaluations: [],
+    comparisons: [],
+    trash: [],
+    settings: {
+        autoCategorizationEnabled: true,
+        lastBackup: null
+    },
+    metadata: {
+        version: "1.0.0",
+        created: new Date().toISOString().split('T')[0],
+        totalPrompts: 0,
+        lastSaved: new Date().toISOString()
+    }
+});
+
+// All reads and writes go through the configured storage driver
+const store = createStorage(config.database, { baseDir: __dirname, createDefaultData });
+
+// Provider keys, encrypted in their own file
+const secrets = new SecretStore(path.resolve(__dirname, config.secrets.filePath), {
+    passphrase: config.secrets.passphrase,
+    keyFilePath: path.resolve(__dirname, config.secrets.keyFilePath)
+});
+
+// Model replies, reused by the AI routes
+const aiCache = new AICache(path.resolve(__dirname, config.aiCache.filePath), {
+    ttl: config.aiCache.ttlHours * 60 * 60 * 1000,
+    maxEntries: config.aiCache.maxEntries
+});
+
+// Auto-save delay, matches client expectations
+const AUTOSAVE_DELAY = 500;
+
+const httpError = (status, message) => Object.assign(new Error(message), { status });
+
+// API keys stay on the server: the document is sent, exported and backed up
+// without them
+const withoutKeys = data => ({ ...data, settings: LLMProviders.withoutKeys(data.settings) });
+
+// Keys that arrive in the settings go to the secret store instead. Names a
+// provider could not have are dropped.
+const saveKeys = async (keys) => {
+    for (const [name, value] of Object.entries(keys)) {
+        if (SecretStore.checkName(name)) await secrets.set(name, value);
+    }
+};
+
+// Who made a change, for the prompt's revision history
+const revisionMeta = (req, defaultSource = 'manual') => {
+    const source = req.get('X-Revision-Source');
+    return {
+        source: PromptHistory.SOURCES.includes(source) ? source : defaultSource,
+        author: req.get('X-Revision-Author') || null
+    };
+};
+
+// Every change to the document goes through mutate() or replaceDocument():
+// If-Match is checked against the document (routes for a single prompt pass
+// checkDocument: false and check the prompt instead, background jobs pass
+// no request) and new revision numbers are stamped before the write.
+const mutate = async (req, mutator, { checkDocument = true } = {}) => {
+    let etag;
+    const result = await store.update(async data => {
+        if (checkDocument) checkIfMatch(req, documentETag(data), withoutKeys(data));
+        const before = fingerprint(data);
+        const value = await mutator(data);
+        etag = documentETag(stamp(data, before));
+        return value;
+    });
+    return { result, etag };
+};
+
+// Full-document saves. Autosaves are checked against the newest document,
+// including one still waiting to be written, and then debounced.
+const replaceDocument = (req, data, { debounce = false } = {}) => {
+    const task = async () => {
+        const current = await store.latest();
+        checkIfMatch(req, documentETag(current), withoutKeys(current));
+        if (data.settings) {
+            await saveKeys(LLMProviders.keysIn(data.settings));
+            data.settings = LLMProviders.withoutKeys(data.settings);
+        }
+        stamp(data, fingerprint(current));
+        
+        if (debounce) {
+            store.scheduleReplace(data, AUTOSAVE_DELAY);
+        } else {
+            await store.write(data);
+        }
+        return documentETag(data);
+    };
+    return debounce ? store.enqueue(task) : store.transact(task);
+};
+
+// Tags sent by clients are cleaned up and run through the synonym rules
+const normalizeTags = (data, fields) => (Array.isArray(fields.tags)
+    ? { ...fields, tags: TagRules.normalize(fields.tags, data.tagSynonyms) }
+    : fields);
+
+// Template variable metadata is checked and stored cleaned up; null removes it
+const checkVariables = fields => {
+    if (fields.variables === undefined || fields.variables === null) return fields;
+    const { variables, error } = PromptTemplate.checkVariables(fields.variables);
+    if (error) throw httpError(400, error);
+    return { ...fields, variables };
+};
+
+// Test cases are checked the same way; null removes them
+const checkTests = fields => {
+    if (fields.tests === undefined || fields.tests === null) return fields;
+    const { tests, error } = Evaluation.checkTests(fields.tests);
+    if (error) throw httpError(400, error);
+    return { ...fields, tests };
+};
+
+// A prompt's slug must not clash with another prompt's id or slug, and its
+// {{> includes}} must not lead back to itself. Missing includes are allowed
+// since the partial may be added later; rendering reports them.
+const checkIncludes = (data, prompt) => {
+    if (prompt.slug !== undefined && prompt.slug !== null &&
+        (typeof prompt.slug !== 'string' || !PromptTemplate.SLUG_PATTERN.test(prompt.slug))) {
+        throw httpError(400, 'Prompt slug may only use lowercase letters, digits, ".", "-" and "_"');
+    }
+    if (prompt.slug && data.prompts.some(p => p.id !== prompt.id && (p.slug === prompt.slug || p.id === prompt.slug))) {
+        throw httpError(409, `The slug "${prompt.slug}" is already in use`);
+    }
+    const { cycle } = PromptTemplate.compose(prompt, [...data.prompts.filter(p => p.id !== prompt.id), prompt]);
+    if (cycle) {
+        throw Object.assign(httpError(400, `Include cycle: ${cycle.join(' → ')}`), { details: { cycle } });
+    }
+    return prompt;
+};
+
+// Applies a client's changes to a stored prompt and checks the result the
+// way new prompts are checked. The id cannot be changed; rev and createdAt
+// belong to the server and are ignored.
+const updatePrompt = (data, prompt, changes, meta) => {
+    if (!changes || typeof changes !== 'object' || Array.isArray(changes)) {
+        throw httpError(400, 'Changes must be an object');
+    }
+    const { id, rev, createdAt, ...fields } = changes;
+    if (id !== undefined && id !== prompt.id) {
+        throw httpError(400, 'Prompt id cannot be changed');
+    }
+    
+    const updated = PromptHistory.applyUpdate(prompt, normalizeTags(data, checkTests(checkVariables(fields))), meta);
+    const error = checkPrompt(updated);
+    if (error) {
+        throw httpError(400, error);
+    }
+    return checkIncludes(data, updated);
+};
+
+const generatePromptId = () => `prompt_${Date.now()}_${Math.random().toString(36).slice(2, 11)}`;
+
+// Build a new prompt from request input. Ids sent by the client are kept
+// (the browser creates prompts offline first) but must be unused.
+const createPrompt = (data, input, meta) => {
+    const id = input.id || generatePromptId();
+    if (data.prompts.some(p => p.id === id) || (data.trash || []).some(p => p.id === id)) {
+        throw httpError(409, `Prompt ${id} already exists`);
+    }
+    
+    const now = new Date().toISOString();
+    const { rev, ...fields } = input;
+    const prompt = {
+        text: '',
+        category: CategoryModel.FALLBACK,
+        tags: [],
+        folder: 'Default',
+        rating: 0,
+        createdAt: now,
+        updatedAt: now,
+        usage_count: 0,
+        notes: '',
+        ...normalizeTags(data, checkTests(checkVariables(fields))),
+        id
+    };
+    checkIncludes(data, prompt);
+    
+    if (!prompt.revisions || prompt.revisions.length === 0) {
+        PromptHistory.record(prompt, { ...meta, createdAt: prompt.createdAt });
+    }
+    return prompt;
+};
+
+// Apply the same change to every prompt matching `filter`; `changes` may be
+// a function of the prompt. Returns how many prompts changed.
+const reassignPrompts = (data, filter, changes, meta) => {
+    let count = 0;
+    data.prompts = data.prompts.map(prompt => {
+        if (!filter(prompt)) return prompt;
+        count++;
+        const updates = typeof changes === 'function' ? changes(prompt) : changes;
+        return PromptHistory.applyUpdate(prompt, updates, meta);
+    });
+    if (count > 0) {
+        data.metadata.lastSaved = new Date().toISOString();
+    }
+    return count;
+};
+
+// Drop trashed prompts older than the retention period. Full-document saves
+// go through this too, so a stale client cannot bring expired items back.
+const purgeExpiredTrash = (data) => {
+    const purged = Trash.purgeExpired(data, Trash.retentionDays(data, config.trash.retentionDays));
+    if (purged.length > 0) {
+        RunHistory.prune(data);
+        Evaluation.prune(data);
+        Comparison.prune(data);
+        logger.info('Purged expired prompts from trash', { count: purged.length });
+    }
+    return purged;
+};
+
+// Load data from file
+app.get('/api/data', async (req, res) => {
+    try {
+        await store.flush();
+        const data = await store.read();
+        res.set('ETag', documentETag(data)).json(withoutKeys(data));
+    } catch (error) {
+        console.error('Load error:', error);
+        res.status(500).json({ success: false, error: error.message });
+    }
+});
+
+// Save data to file with auto-save
+app.post('/api/data', validatePromptData, async (req, res) => {
+    try {
+        const data = req.body;
+        data.metadata.lastSaved = new Date().toISOString();
+        data.metadata.totalPrompts = data.prompts.length;
+        purgeExpiredTrash(data);
+        
+        // Immediate save for explicit saves
+        const etag = await replaceDocument(req, data);
+        console.log('✓ Data saved immediately');
+        
+        res.set('ETag', etag).json({ success: true, message: 'Data saved successfully' });
+    } catch (error) {
+        if (!error.status) console.error('Save error:', error);
+        res.status(error.status || 500).json({ success: false, error: error.message, ...error.details });
+    }
+});
+
+// Auto-save endpoint (debounced)
+app.post('/api/autosave', async (req, res) => {
+    try {
+        const data = req.body;
+        data.metadata.lastSaved = new Date().toISOString();
+        data.metadata.totalPrompts = data.prompts.length;
+        purgeExpiredTrash(data);
+        
+        const etag = await replaceDocument(req, data, { debounce: true });
+        res.set('ETag', etag).json({ success: true, message: 'Auto-save queued' });
+    } catch (error) {
+        if (!error.status) console.error('Auto-save error:', error);
+        res.status(error.status || 500).json({ success: false, error: error.message, ...error.details });
+    }
+});
+
+// Backup endpoint
+app.post('/api/backup', async (req, res) => {
+    try {
+        await store.flush();
+        const data = await store.read();
+        const timestamp = new Date().toISOString().replace(/:/g, '-').split('.')[0];
+        const backupFile = path.join(__dirname, 'backups', `prompts-${timestamp}.json`);
+        
+        // Ensure backups directory exists
+        await fs.mkdir(path.dirname(backupFile), { recursive: true });
+        await fs.writeFile(backupFile, JSON.stringify(withoutKeys(data), null, 2));
+        
+        res.json({ success: true, backupFile: `backups/prompts-${timestamp}.json` });
+    } catch (error) {
+        console.error('Backup error:', error);
+        res.status(500).json({ success: false, error: error.message });
+    }
+});
+
+// Bulk operations. Registered before the :id routes so "batch" is not taken for an id.
+app.delete('/api/prompts/batch', validateBulkOperations, async (req, res) => {
+    try {
+        const { ids } = req.body;
+        
+        if (!Array.isArray(ids)) {
+            return res.status(400).json({ success: false, error: 'ids must be an array' });
+        }
+        
+        const { result: deletedPrompts, etag } = await mutate(req, data => {
+            const deleted = Trash.moveToTrash(data, ids);
+            data.metadata.lastSaved = new Date().toISOString();
+            data.metadata.totalPrompts = data.prompts.length;
+            return deleted;
+        });
+        
+        res.set('ETag', etag).json({ success: true, deletedCount: deletedPrompts.length, deletedPrompts });
+    } catch (error) {
+        if (!error.status) console.error('Bulk delete error:', error);
+        res.status(error.status || 500).json({ success: false, error: error.message, ...error.details });
+    }
+});
+
+app.put('/api/prompts/batch', validateBulkOperations, async (req, res) => {
+    try {
+        const { updates } = req.body;
+        const meta = revisionMeta(req, 'bulk');
+        
+        if (!Array.isArray(updates)) {
+            return res.status(400).json({ success: false, error: 'updates must be an array' });
+        }
+        
+        const { result: updatedPrompts, etag } = await mutate(req, data => {
+            const updated = [];
+            updates.forEach(update => {
+                const index = data.prompts.findIndex(p => p.id === update.id);
+                if (index !== -1) {
+                    data.prompts[index] = updatePrompt(data, data.prompts[index], update.changes, meta);
+                    updated.push(data.prompts[index]);
+                }
+            });
+            
+            data.metadata.lastSaved = new Date().toISOString();
+            return updated;
+        });
+        
+        res.set('ETag', etag).json({ success: true, updatedCount: updatedPrompts.length, updatedPrompts });
+    } catch (error) {
+        if (!error.status) console.error('Bulk update error:', error);
+        res.status(error.status || 500).json({ success: false, error: error.message, ...error.details });
+    }
+});
+
+app.post('/api/prompts/batch', validateNewPrompts, async (req, res) => {
+    try {
+        const meta = revisionMeta(req, 'import');
+        
+        const { result: createdPrompts, etag } = await mutate(req, data => {
+            const created = req.body.prompts.map(input => createPrompt(data, input, meta));
+            data.prompts.unshift(...created);
+            data.metadata.lastSaved = new Date().toISOString();
+            data.metadata.totalPrompts = data.prompts.length;
+            return created;
+        }, { checkDocument: false });
+        
+        res.status(201).set('ETag', etag).json({ success: true, createdCount: createdPrompts.length, prompts: createdPrompts });
+    } catch (error) {
+        if (!error.status) console.error('Bulk create error:', error);
+        res.status(error.status || 500).json({ success: false, error: error.message, ...error.details });
+    }
+});
+
+// Individual prompt endpoints. If-Match on these is checked against the
+// prompt's own ETag, so edits to other prompts do not conflict.
+app.get('/api/prompts', async (req, res) => {
+    try {
+        const { category, folder, tag } = req.query;
+        await store.flush();
+        let prompts = await store.listPrompts();
+        
+        if (category && category !== 'All') {
+            prompts = prompts.filter(p => p.category === category);
+        }
+        if (folder && folder !== 'All') {
+            prompts = prompts.filter(p => FolderTree.contains(folder, p.folder));
+        }
+        if (tag) {
+            prompts = prompts.filter(p => TagRules.matches(p.tags, tag));
+        }
+        
+        res.json({ success: true, prompts });
+    } catch (error) {
+        console.error('List prompts error:', error);
+        res.status(500).json({ success: false, error: error.message });
+    }
+});
+
+// Search with the same query language as the search box. Results are paged
+// with an opaque cursor: pass nextCursor back to get the following page.
+app.get('/api/prompts/search', async (req, res) => {
+    try {
+        const { q = '', category, folder, tags, cursor, sort = 'relevance', order = 'desc' } = req.query;
+        const limit = Math.min(parseInt(req.query.limit) || 50, 200);
+        
+        await store.flush();
+        const data = await store.read();
+        const index = await store.getSearchIndex();
+        let page;
+        try {
+            page = SearchQuery.search(data.prompts, {
+                index,
+                synonyms: data.tagSynonyms,
+                query: q,
+                category,
+                folder,
+                tags: tags ? tags.split(',').map(tag => tag.trim()).filter(Boolean) : [],
+                minRating: parseInt(req.query.minRating) || 0,
+                sortBy: sort,
+                sortOrder: order === 'asc' ? 'asc' : 'desc',
+                limit,
+                cursor
+            });
+        } catch (error) {
+            throw Object.assign(httpError(400, error.message), {
+                details: error.position !== undefined ? { position: error.position } : undefined
+            });
+        }
+        
+        res.json({ success: true, ...page });
+    } catch (error) {
+        if (!error.status) console.error('Search error:', error);
+        res.status(error.status || 500).json({ success: false, error: error.message, ...error.details });
+    }
+});
+
+app.post('/api/prompts', validateNewPrompt, async (req, res) => {
+    try {
+        const meta = revisionMeta(req);
+        
+        const { result: prompt } = await mutate(req, data => {
+            const created = createPrompt(data, req.body, meta);
+            data.prompts.unshift(created);
+            data.metadata.lastSaved = new Date().toISOString();
+            data.metadata.totalPrompts = data.prompts.length;
+            return created;
+        }, { checkDocument: false });
+        
+        res.status(201).set('ETag', promptETag(prompt)).json({ success: true, prompt });
+    } catch (error) {
+        if (!error.status) console.error('Create prompt error:', error);
+        res.status(error.status || 500).json({ success: false, error: error.message, ...error.details });
+    }
+});
+
+app.get('/api/prompts/:id', validatePromptId, async (req, res) => {
+    try {
+        await store.flush();
+        const prompt = await store.getPrompt(req.params.id);
+        if (!prompt) {
+            return res.status(404).json({ success: false, error: 'Prompt not found' });
+        }
+        
+        res.set('ETag', promptETag(prompt)).json({ success: true, prompt });
+    } catch (error) {
+        console.error('Get prompt error:', error);
+        res.status(500).json({ success: false, error: error.message });
+    }
+});
+
+// Fill a template's {{variables}} after resolving its {{> includes}}.
+// Body: { variables: { name: value } }; variables left out fall back to
+// their defaults.
+app.post('/api/prompts/:id/render', validatePromptId, async (req, res) => {
+    try {
+        const input = req.body.variables || {};
+        if (typeof input !== 'object' || Array.isArray(input)) {
+            return res.status(400).json({ success: false, error: 'variables must be an object' });
+        }
+        
+        await store.flush();
+        const prompts = await store.listPrompts();
+        const prompt = prompts.find(p => p.id === req.params.id);
+        if (!prompt) {
+            return res.status(404).json({ success: false, error: 'Prompt not found' });
+        }
+        
+        const { text, values, errors, error } = PromptTemplate.fill(prompt, input, prompts);
+        if (error) {
+            return res.status(400).json({ success: false, error });
+        }
+        if (errors) {
+            return res.status(400).json({ success: false, error: 'Some variables are missing or invalid', errors });
+        }
+        
+        res.json({ success: true, text, variables: values });
+    } catch (error) {
+        console.error('Render prompt error:', error);
+        res.status(500).json({ success: false, error: error.message });
+    }
+});
+
+app.put('/api/prompts/:id', validatePromptId, async (req, res) => {
+    try {
+        const promptId = req.params.id;
+        const updatedPrompt = req.body;
+        const meta = revisionMeta(req);
+        
+        const { result: prompt } = await mutate(req, data => {
+            const index = data.prompts.findIndex(p => p.id === promptId);
+            if (index === -1) {
+                throw httpError(404, 'Prompt not found');
+            }
+            checkIfMatch(req, promptETag(data.prompts[index]), data.prompts[index]);
+            
+            data.prompts[index] = updatePrompt(data, data.prompts[index], updatedPrompt, meta);
+            data.metadata.lastSaved = new Date().toISOString();
+            return data.prompts[index];
+        }, { checkDocument: false });
+        
+        res.set('ETag', promptETag(prompt)).json({ success: true, prompt });
+    } catch (error) {
+        if (!error.status) console.error('Update prompt error:', error);
+        res.status(error.status || 500).json({ success: false, error: error.message, ...error.details });
+    }
+});
+
+// Revision history, newest first
+app.get('/api/prompts/:id/revisions', validatePromptId, async (req, res) => {
+    try {
+        await store.flush();
+        const prompt = await store.getPrompt(req.params.id);
+        if (!prompt) {
+            return res.status(404).json({ success: false, error: 'Prompt not found' });
+        }
+        
+        res.json({ success: true, revisions: [...(prompt.revisions || [])].reverse() });
+    } catch (error) {
+        console.error('List revisions error:', error);
+        res.status(500).json({ success: false, error: error.message });
+    }
+});
+
+app.post('/api/prompts/:id/revisions/:version/restore', validatePromptId, async (req, res) => {
+    try {
+        const { id, version } = req.params;
+        const meta = { author: req.get('X-Revision-Author') || null };
+        
+        const { result: prompt } = await mutate(req, data => {
+            const index = data.prompts.findIndex(p => p.id === id);
+            if (index === -1) {
+                throw httpError(404, 'Prompt not found');
+            }
+            checkIfMatch(req, promptETag(data.prompts[index]), data.prompts[index]);
+            
+            const restored = PromptHistory.restore(data.prompts[index], version, meta);
+            if (!restored) {
+                throw httpError(404, `Revision ${version} not found`);
+            }
+            
+            data.prompts[index] = restored;
+            data.metadata.lastSaved = new Date().toISOString();
+            return restored;
+        }, { checkDocument: false });
+        
+        res.set('ETag', promptETag(prompt)).json({ success: true, prompt });
+    } catch (error) {
+        if (!error.status) console.error('Restore revision error:', error);
+        res.status(error.status || 500).json({ success: false, error: error.message, ...error.details });
+    }
+});
+
+app.delete('/api/prompts/:id', validatePromptId, async (req, res) => {
+    try {
+        const promptId = req.params.id;
+        
+        const { result: deletedPrompt, etag } = await mutate(req, data => {
+            const prompt = data.prompts.find(p => p.id === promptId);
+            if (!prompt) {
+                throw httpError(404, 'Prompt not found');
+            }
+            checkIfMatch(req, promptETag(prompt), prompt);
+            
+            const [deleted] = Trash.moveToTrash(data, [promptId]);
+            data.metadata.lastSaved = new Date().toISOString();
+            data.metadata.totalPrompts = data.prompts.length;
+            return deleted;
+        }, { checkDocument: false });
+        
+        res.set('ETag', etag).json({ success: true, deletedPrompt });
+    } catch (error) {
+        if (!error.status) console.error('Delete prompt error:', error);
+        res.status(error.status || 500).json({ success: false, error: error.message, ...error.details });
+    }
+});
+
+// Trash
+app.get('/api/trash', async (req, res) => {
+    try {
+        await store.flush();
+        const data = await store.read();
+        res.set('ETag', documentETag(data)).json({
+            success: true,
+            retentionDays: Trash.retentionDays(data, config.trash.retentionDays),
+            prompts: Trash.list(data)
+        });
+    } catch (error) {
+        console.error('List trash error:', error);
+        res.status(500).json({ success: false, error: error.message });
+    }
+});
+
+app.post('/api/trash/restore', async (req, res) => {
+    try {
+        const { ids } = req.body;
+        
+        if (!Array.isArray(ids) || ids.length === 0) {
+            return res.status(400).json({ success: false, error: 'ids must be a non-empty array' });
+        }
+        
+        const { result: restoredPrompts, etag } = await mutate(req, data => {
+            const restored = Trash.restore(data, ids);
+            data.metadata.lastSaved = new Date().toISOString();
+            data.metadata.totalPrompts = data.prompts.length;
+            return restored;
+        });
+        
+        res.set('ETag', etag).json({ success: true, restoredCount: restoredPrompts.length, restoredPrompts });
+    } catch (error) {
+        if (!error.status) console.error('Restore from trash error:', error);
+        res.status(error.status || 500).json({ success: false, error: error.message, ...error.details });
+    }
+});
+
+app.post('/api/trash/purge', async (req, res) => {
+    try {
+        const { ids } = req.body;
+        
+        if (!Array.isArray(ids) || ids.length === 0) {
+            return res.status(400).json({ success: false, error: 'ids must be a non-empty array' });
+        }
+        
+        const { result: purged, etag } = await mutate(req, data => {
+            const purged = Trash.purge(data, ids);
+            RunHistory.prune(data);
+            Evaluation.prune(data);
+            Comparison.prune(data);
+            return purged;
+        });
+        res.set('ETag', etag).json({ success: true, purgedCount: purged.length });
+    } catch (error) {
+        if (!error.status) console.error('Purge trash error:', error);
+        res.status(error.status || 500).json({ success: false, error: error.message, ...error.details });
+    }
+});
+
+app.delete('/api/trash', async (req, res) => {
+    try {
+        const { result: purged, etag } = await mutate(req, data => {
+            const purged = Trash.empty(data);
+            RunHistory.prune(data);
+            Evaluation.prune(data);
+            Comparison.prune(data);
+            return purged;
+        });
+        res.set('ETag', etag).json({ success: true, purgedCount: purged.length });
+    } catch (error) {
+        if (!error.status) console.error('Empty trash error:', error);
+        res.status(error.status || 500).json({ success: false, error: error.message, ...error.details });
+    }
+});
+
+// Categories
+app.get('/api/categories', async (req, res) => {
+    try {
+        await store.flush();
+        const data = await store.read();
+        const categories = CategoryModel.list(data).map(category => ({
+            ...category,
+            count: data.prompts.filter(p => p.category === category.name).length
+        }));
+        res.json({ success: true, categories });
+    } catch (error) {
+        console.error('List categories error:', error);
+        res.status(500).json({ success: false, error: error.message });
+    }
+});
+
+const findCategory = (data, name) => {
+    if (name === 'All' || !(data.categories || []).includes(name)) {
+        throw httpError(404, `Category "${name}" not found`);
+    }
+    return name;
+};
+
+// Body: { name, description?, color?, icon?, guidance? }
+app.post('/api/categories', validateCategory, async (req, res) => {
+    try {
+        const { name } = req.body;
+        
+        const { result: category, etag } = await mutate(req, data => {
+            data.categories = data.categories || [];
+            if (data.categories.includes(name)) {
+                throw httpError(409, `Category "${name}" already exists`);
+            }
+            data.categories.push(name);
+            if (Object.keys(req.categoryDetails).length > 0) {
+                CategoryModel.setDetails(data, name, req.categoryDetails);
+            }
+            return CategoryModel.get(data, name);
+        });
+        
+        res.status(201).set('ETag', etag).json({ success: true, category });
+    } catch (error) {
+        if (!error.status) console.error('Create category error:', error);
+        res.status(error.status || 500).json({ success: false, error: error.message, ...error.details });
+    }
+});
+
+// Updates a category's details; a new name renames it and moves every
+// prompt in it along
+app.put('/api/categories/:name', validateCategory, async (req, res) => {
+    try {
+        const from = req.params.name;
+        const to = req.body.name;
+        const meta = revisionMeta(req, 'bulk');
+        
+        const { result, etag } = await mutate(req, data => {
+            findCategory(data, from);
+            if (from === CategoryModel.FALLBACK && to !== from) {
+                throw httpError(400, `The ${CategoryModel.FALLBACK} category cannot be renamed`);
+            }
+            if (from !== to && data.categories.includes(to)) {
+                throw httpError(409, `Category "${to}" already exists; merge into it instead`);
+            }
+            
+            CategoryModel.rename(data, from, to);
+            if (Object.keys(req.categoryDetails).length > 0) {
+                CategoryModel.setDetails(data, to, req.categoryDetails);
+            }
+            const moved = from === to ? 0 : reassignPrompts(data, p => p.category === from, { category: to }, meta);
+            return { category: CategoryModel.get(data, to), updatedCount: moved };
+        });
+        
+        res.set('ETag', etag).json({ success: true, ...result });
+    } catch (error) {
+        if (!error.status) console.error('Update category error:', error);
+        res.status(error.status || 500).json({ success: false, error: error.message, ...error.details });
+    }
+});
+
+// Moves every prompt into another category and removes this one.
+// Body: { into }
+app.post('/api/categories/:name/merge', async (req, res) => {
+    try {
+        const from = req.params.name;
+        const { into } = req.body;
+        const meta = revisionMeta(req, 'bulk');
+        
+        const { result, etag } = await mutate(req, data => {
+            findCategory(data, from);
+            findCategory(data, into);
+            if (from === into) {
+                throw httpError(400, 'A category cannot be merged into itself');
+            }
+            if (from === CategoryModel.FALLBACK) {
+                throw httpError(400, `The ${CategoryModel.FALLBACK} category cannot be merged away`);
+            }
+            
+            const moved = reassignPrompts(data, p => p.category === from, { category: into }, meta);
+            CategoryModel.remove(data, from);
+            return { categories: data.categories, updatedCount: moved };
+        });
+        
+        res.set('ETag', etag).json({ success: true, ...result });
+    } catch (error) {
+        if (!error.status) console.error('Merge category error:', error);
+        res.status(error.status || 500).json({ success: false, error: error.message, ...error.details });
+    }
+});
+
+// Prompts in a deleted category fall back to CategoryModel.FALLBACK
+app.delete('/api/categories/:name', async (req, res) => {
+    try {
+        const { name } = req.params;
+        const meta = revisionMeta(req, 'bulk');
+        const fallback = CategoryModel.FALLBACK;
+        
+        const { result, etag } = await mutate(req, data => {
+            if (!(data.categories || []).includes(name) || name === 'All' || name === fallback) {
+                throw httpError(name === fallback ? 400 : 404, name === fallback ? `The ${fallback} category cannot be deleted` : 'Category not found');
+            }
+            
+            CategoryModel.remove(data, name);
+            const moved = reassignPrompts(data, p => p.category === name, { category: fallback }, meta);
+            return { categories: data.categories, updatedCount: moved };
+        });
+        
+        res.set('ETag', etag).json({ success: true, ...result });
+    } catch (error) {
+        if (!error.status) console.error('Delete category error:', error);
+        res.status(error.status || 500).json({ success: false, error: error.message, ...error.details });
+    }
+});
+
+// Folders. The built-in folders are fixed; custom folders can be managed
+// and nested by path ("Clients/Acme/Onboarding").
+app.get('/api/folders', async (req, res) => {
+    try {
+        await store.flush();
+        const data = await store.read();
+        res.json({
+            success: true,
+            folders: data.folders || [],
+            customFolders: data.customFolders || [],
+            tree: FolderTree.build(data.customFolders || [])
+        });
+    } catch (error) {
+        console.error('List folders error:', error);
+        res.status(500).json({ success: false, error: error.message });
+    }
+});
+
+// A custom folder path, or a 400 when it is empty or would sit inside a
+// built-in folder
+const checkFolderPath = (data, value) => {
+    const folder = FolderTree.normalize(value);
+    if (!folder) {
+        throw httpError(400, 'Folder name is required');
+    }
+    if ((data.folders || []).includes(folder.split(FolderTree.SEPARATOR)[0])) {
+        throw httpError(400, 'Built-in folders cannot be renamed or contain other folders');
+    }
+    return folder;
+};
+
+const findCustomFolder = (data, name) => {
+    if ((data.folders || []).includes(name)) {
+        throw httpError(400, 'Built-in folders cannot be changed');
+    }
+    if (!(data.customFolders || []).includes(name)) {
+        throw httpError(404, 'Folder not found');
+    }
+    return name;
+};
+
+// Creating "A/B" also creates "A" if it is missing
+app.post('/api/folders', validateName, async (req, res) => {
+    try {
+        const { result: customFolders, etag } = await mutate(req, data => {
+            const name = checkFolderPath(data, req.body.name);
+            data.customFolders = data.customFolders || [];
+            if (data.customFolders.includes(name)) {
+                throw httpError(409, `Folder "${name}" already exists`);
+            }
+            data.customFolders = FolderTree.withAncestors([...data.customFolders, name]);
+            return data.customFolders;
+        });
+        
+        res.status(201).set('ETag', etag).json({ success: true, customFolders });
+    } catch (error) {
+        if (!error.status) console.error('Create folder error:', error);
+        res.status(error.status || 500).json({ success: false, error: error.message, ...error.details });
+    }
+});
+
+// Renames or moves a folder with everything below it; the new name is a
+// full path, so "Acme" -> "Clients/Acme" reparents it
+app.put('/api/folders/:name', validateName, async (req, res) => {
+    try {
+        const meta = revisionMeta(req, 'bulk');
+        
+        const { result, etag } = await mutate(req, data => {
+            const from = findCustomFolder(data, req.params.name);
+            const to = checkFolderPath(data, req.body.name);
+            if (from !== to && FolderTree.contains(from, to)) {
+                throw httpError(400, 'A folder cannot be moved into itself');
+            }
+            if (from !== to && data.customFolders.includes(to)) {
+                throw httpError(409, `Folder "${to}" already exists`);
+            }
+            
+            data.customFolders = FolderTree.renameAll(data.customFolders, from, to);
+            const moved = reassignPrompts(data, p => FolderTree.contains(from, p.folder),
+                p => ({ folder: FolderTree.rename(p.folder, from, to) }), meta);
+            return { customFolders: data.customFolders, updatedCount: moved };
+        });
+        
+        res.set('ETag', etag).json({ success: true, ...result });
+    } catch (error) {
+        if (!error.status) console.error('Rename folder error:', error);
+        res.status(error.status || 500).json({ success: false, error: error.message, ...error.details });
+    }
+});
+
+// Deletes a folder and its subfolders. Their prompts move to the parent
+// folder (Default for a top-level folder), or to the trash with
+// ?contents=trash.
+app.delete('/api/folders/:name', async (req, res) => {
+    try {
+        const contents = req.query.contents || 'move';
+        if (!['move', 'trash'].includes(contents)) {
+            return res.status(400).json({ success: false, error: 'contents must be "move" or "trash"' });
+        }
+        const meta = revisionMeta(req, 'bulk');
+        
+        const { result, etag } = await mutate(req, data => {
+            const name = findCustomFolder(data, req.params.name);
+            const inside = p => FolderTree.contains(name, p.folder);
+            
+            data.customFolders = data.customFolders.filter(f => !FolderTree.contains(name, f));
+            if (contents === 'trash') {
+                const trashed = Trash.moveToTrash(data, data.prompts.filter(inside).map(p => p.id));
+                data.metadata.lastSaved = new Date().toISOString();
+                data.metadata.totalPrompts = data.prompts.length;
+                return { customFolders: data.customFolders, trashedCount: trashed.length };
+            }
+            const moved = reassignPrompts(data, inside, { folder: FolderTree.parent(name) || 'Default' }, meta);
+            return { customFolders: data.customFolders, updatedCount: moved };
+        });
+        
+        res.set('ETag', etag).json({ success: true, ...result });
+    } catch (error) {
+        if (!error.status) console.error('Delete folder error:', error);
+        res.status(error.status || 500).json({ success: false, error: error.message, ...error.details });
+    }
+});
+
+// Smart folders are saved searches. Counts are worked out on every read so
+// they always reflect the current prompts.
+const checkSmartFolderQuery = (query) => {
+    if (typeof query !== 'string' || query.trim() === '') {
+        throw httpError(400, 'Query is required');
+    }
+    try {
+        SearchQuery.parse(query);
+    } catch (error) {
+        throw Object.assign(httpError(400, `Invalid query: ${error.message}`), {
+            details: { position: error.position }
+        });
+    }
+    return query.trim();
+};
+
+app.get('/api/smart-folders', async (req, res) => {
+    try {
+        await store.flush();
+        const data = await store.read();
+        const index = await store.getSearchIndex();
+        
+        const smartFolders = (data.smartFolders || []).map(folder => {
+            let count = 0;
+            try {
+                count = SearchQuery.search(data.prompts, { index, query: folder.query }).total;
+            } catch (error) {
+                logger.warn('Smart folder query no longer parses', { id: folder.id, error: error.message });
+            }
+            return { ...folder, count };
+        });
+        
+        res.json({ success: true, smartFolders });
+    } catch (error) {
+        console.error('List smart folders error:', error);
+        res.status(500).json({ success: false, error: error.message });
+    }
+});
+
+app.post('/api/smart-folders', validateName, async (req, res) => {
+    try {
+        const query = checkSmartFolderQuery(req.body.query);
+        const { name, id = `smart_${Date.now()}_${Math.random().toString(36).slice(2, 11)}` } = req.body;
+        
+        const { result: smartFolder, etag } = await mutate(req, data => {
+            data.smartFolders = data.smartFolders || [];
+            if (data.smartFolders.some(f => f.id === id || f.name === name)) {
+                throw httpError(409, `Smart folder "${name}" already exists`);
+            }
+            const folder = { id, name, query, createdAt: new Date().toISOString() };
+            data.smartFolders.push(folder);
+            return folder;
+        });
+        
+        res.status(201).set('ETag', etag).json({ success: true, smartFolder });
+    } catch (error) {
+        if (!error.status) console.error('Create smart folder error:', error);
+        res.status(error.status || 500).json({ success: false, error: error.message, ...error.details });
+    }
+});
+
+app.put('/api/smart-folders/:id', validateName, async (req, res) => {
+    try {
+        const query = checkSmartFolderQuery(req.body.query);
+        const { name } = req.body;
+        
+        const { result: smartFolder, etag } = await mutate(req, data => {
+            const folder = (data.smartFolders || []).find(f => f.id === req.params.id);
+            if (!folder) {
+                throw httpError(404, 'Smart folder not found');
+            }
+            if (data.smartFolders.some(f => f.id !== folder.id && f.name === name)) {
+                throw httpError(409, `Smart folder "${name}" already exists`);
+            }
+            Object.assign(folder, { name, query, updatedAt: new Date().toISOString() });
+            return folder;
+        });
+        
+        res.set('ETag', etag).json({ success: true, smartFolder });
+    } catch (error) {
+        if (!error.status) console.error('Update smart folder error:', error);
+        res.status(error.status || 500).json({ success: false, error: error.message, ...error.details });
+    }
+});
+
+app.delete('/api/smart-folders/:id', async (req, res) => {
+    try {
+        const { etag } = await mutate(req, data => {
+            const before = (data.smartFolders || []).length;
+            data.smartFolders = (data.smartFolders || []).filter(f => f.id !== req.params.id);
+            if (data.smartFolders.length === before) {
+                throw httpError(404, 'Smart folder not found');
+            }
+        });
+        
+        res.set('ETag', etag).json({ success: true });
+    } catch (error) {
+        if (!error.status) console.error('Delete smart folder error:', error);
+        res.status(error.status || 500).json({ success: false, error: error.message, ...error.details });
+    }
+});
+
+// Workflows run existing prompts in sequence; see public/workflow.js for
+// how steps pass outputs along. They are run by the browser, so these
+// routes only store them.
+const checkWorkflow = (input) => {
+    const { workflow, error } = Workflow.check(input);
+    if (error) throw httpError(400, error);
+    return workflow;
+};
+
+const generateWorkflowId = () => `workflow_${Date.now()}_${Math.random().toString(36).slice(2, 11)}`;
+
+app.get('/api/workflows', async (req, res) => {
+    try {
+        await store.flush();
+        const data = await store.read();
+        res.json({ success: true, workflows: data.workflows || [] });
+    } catch (error) {
+        console.error('List workflows error:', error);
+        res.status(500).json({ success: false, error: error.message });
+    }
+});
+
+app.post('/api/workflows', async (req, res) => {
+    try {
+        const fields = checkWorkflow(req.body);
+        const id = req.body.id || generateWorkflowId();
+        
+        const { result: workflow, etag } = await mutate(req, data => {
+            data.workflows = data.workflows || [];
+            if (data.workflows.some(w => w.id === id || w.name === fields.name)) {
+                throw httpError(409, `Workflow "${fields.name}" already exists`);
+            }
+            const now = new Date().toISOString();
+            const created = { id, ...fields, createdAt: now, updatedAt: now };
+            data.workflows.push(created);
+            return created;
+        });
+        
+        res.status(201).set('ETag', etag).json({ success: true, workflow });
+    } catch (error) {
+        if (!error.status) console.error('Create workflow error:', error);
+        res.status(error.status || 500).json({ success: false, error: error.message, ...error.details });
+    }
+});
+
+// Body: the file GET /api/workflows/:id/export produced. Prompts that are
+// not in the database yet are added; the workflow always gets a new id.
+app.post('/api/workflows/import', async (req, res) => {
+    try {
+        const { workflow: fields, prompts, error } = Workflow.parseExport(req.body);
+        if (error) {
+            return res.status(400).json({ success: false, error });
+        }
+        const meta = revisionMeta(req, 'import');
+        
+        const { result, etag } = await mutate(req, data => {
+            data.workflows = data.workflows || [];
+            const known = new Set([...data.prompts, ...(data.trash || [])].map(p => p.id));
+            const created = prompts.filter(prompt => !known.has(prompt.id)).map(prompt => {
+                const slugTaken = prompt.slug && data.prompts.some(p => p.slug === prompt.slug || p.id === prompt.slug);
+                return createPrompt(data, slugTaken ? { ...prompt, slug: undefined } : prompt, meta);
+            });
+            data.prompts.unshift(...created);
+            data.metadata.totalPrompts = data.prompts.length;
+            
+            let name = fields.name;
+            for (let n = 2; data.workflows.some(w => w.name === name); n++) {
+                name = `${fields.name} (${n})`;
+            }
+            const now = new Date().toISOString();
+            const workflow = { id: generateWorkflowId(), ...fields, name, createdAt: now, updatedAt: now };
+            data.workflows.push(workflow);
+            return { workflow, createdCount: created.length };
+        });
+        
+        res.status(201).set('ETag', etag).json({ success: true, ...result });
+    } catch (error) {
+        if (!error.status) console.error('Import workflow error:', error);
+        res.status(error.status || 500).json({ success: false, error: error.message, ...error.details });
+    }
+});
+
+app.get('/api/workflows/:id', async (req, res) => {
+    try {
+        await store.flush();
+        const data = await store.read();
+        const workflow = (data.workflows || []).find(w => w.id === req.params.id);
+        if (!workflow) {
+            return res.status(404).json({ success: false, error: 'Workflow not found' });
+        }
+        
+        res.json({ success: true, workflow });
+    } catch (error) {
+        console.error('Get workflow error:', error);
+        res.status(500).json({ success: false, error: error.message });
+    }
+});
+
+app.get('/api/workflows/:id/export', async (req, res) => {
+    try {
+        await store.flush();
+        const data = await store.read();
+        const workflow = (data.workflows || []).find(w => w.id === req.params.id);
+        if (!workflow) {
+            return res.status(404).json({ success: false, error: 'Workflow not found' });
+        }
+        
+        const filename = `${workflow.name.replace(/[^\w-]+/g, '_')}.workflow.json`;
+        res.set('Content-Disposition', `attachment; filename="${filename}"`)
+            .json(Workflow.export(workflow, data.prompts));
+    } catch (error) {
+        console.error('Export workflow error:', error);
+        res.status(500).json({ success: false, error: error.message });
+    }
+});
+
+app.put('/api/workflows/:id', async (req, res) => {
+    try {
+        const fields = checkWorkflow(req.body);
+        
+        const { result: workflow, etag } = await mutate(req, data => {
+            const workflow = (data.workflows || []).find(w => w.id === req.params.id);
+            if (!workflow) {
+                throw httpError(404, 'Workflow not found');
+            }
+            if (data.workflows.some(w => w.id !== workflow.id && w.name === fields.name)) {
+                throw httpError(409, `Workflow "${fields.name}" already exists`);
+            }
+            Object.assign(workflow, fields, { updatedAt: new Date().toISOString() });
+            return workflow;
+        });
+        
+        res.set('ETag', etag).json({ success: true, workflow });
+    } catch (error) {
+        if (!error.status) console.error('Update workflow error:', error);
+        res.status(error.status || 500).json({ success: false, error: error.message, ...error.details });
+    }
+});
+
+app.delete('/api/workflows/:id', async (req, res) => {
+    try {
+        const { etag } = await mutate(req, data => {
+            const before = (data.workflows || []).length;
+            data.workflows = (data.workflows || []).filter(w => w.id !== req.params.id);
+            if (data.workflows.length === before) {
+                throw httpError(404, 'Workflow not found');
+            }
+        });
+        
+        res.set('ETag', etag).json({ success: true });
+    } catch (error) {
+        if (!error.status) console.error('Delete workflow error:', error);
+        res.status(error.status || 500).json({ success: false, error: error.message, ...error.details });
+    }
+});
+
+// Playground runs. The browser runs prompts through POST /api/ai/run, which
+// calls the model on the server; these routes keep the history of each
+// prompt's runs.
+app.get('/api/prompts/:id/runs', validatePromptId, async (req, res) => {
+    try {
+        await store.flush();
+        const data = await store.read();
+        if (![...data.prompts, ...(data.trash || [])].some(p => p.id === req.params.id)) {
+            return res.status(404).json({ success: false, error: 'Prompt not found' });
+        }
+        
+        const runs = RunHistory.list(data, req.params.id);
+        res.json({ success: true, runs, stats: RunHistory.stats(runs) });
+    } catch (error) {
+        console.error('List runs error:', error);
+        res.status(500).json({ success: false, error: error.message });
+    }
+});
+
+app.post('/api/prompts/:id/runs', validatePromptId, async (req, res) => {
+    try {
+        const { run: fields, error } = RunHistory.check(req.body);
+        if (error) {
+            return res.status(400).json({ success: false, error });
+        }
+        const id = req.body.id || `run_${Date.now()}_${Math.random().toString(36).slice(2, 11)}`;
+        
+        const { result: run, etag } = await mutate(req, data => {
+            if (!data.prompts.some(p => p.id === req.params.id)) {
+                throw httpError(404, 'Prompt not found');
+            }
+            if ((data.runs || []).some(r => r.id === id)) {
+                throw httpError(409, `Run ${id} already exists`);
+            }
+            const run = { id, promptId: req.params.id, ...fields };
+            RunHistory.add(data, run);
+            return run;
+        });
+        
+        res.status(201).set('ETag', etag).json({ success: true, run });
+    } catch (error) {
+        if (!error.status) console.error('Save run error:', error);
+        res.status(error.status || 500).json({ success: false, error: error.message, ...error.details });
+    }
+});
+
+// Body: { rating }. Runs are otherwise kept as they happened.
+app.put('/api/runs/:id', async (req, res) => {
+    try {
+        const error = RunHistory.checkRating(req.body.rating);
+        if (error) {
+            return res.status(400).json({ success: false, error });
+        }
+        
+        const { result: run, etag } = await mutate(req, data => {
+            const run = (data.runs || []).find(r => r.id === req.params.id);
+            if (!run) {
+                throw httpError(404, 'Run not found');
+            }
+            run.rating = req.body.rating;
+            return run;
+        });
+        
+        res.set('ETag', etag).json({ success: true, run });
+    } catch (error) {
+        if (!error.status) console.error('Rate run error:', error);
+        res.status(error.status || 500).json({ success: false, error: error.message, ...error.details });
+    }
+});
+
+app.delete('/api/runs/:id', async (req, res) => {
+    try {
+        const { etag } = await mutate(req, data => {
+            if (!RunHistory.remove(data, req.params.id)) {
+                throw httpError(404, 'Run not found');
+            }
+        });
+        
+        res.set('ETag', etag).json({ success: true });
+    } catch (error) {
+        if (!error.status) console.error('Delete run error:', error);
+        res.status(error.status || 500).json({ success: false, error: error.message, ...error.details });
+    }
+});
+
+// Evaluations run a prompt's test cases (prompt.tests) and keep the
+// results. The browser runs suites through POST /api/ai/run, so the model
+// is called by the server, and stores the results here; POST /evaluate
+// runs a whole suite on the server against the configured model, which can
+// be a local stub (see src/utils/stub-model.js).
+app.get('/api/prompts/:id/evaluations', validatePromptId, async (req, res) => {
+    try {
+        await store.flush();
+        const data = await store.read();
+        const prompt = data.prompts.find(p => p.id === req.params.id);
+        if (!prompt) {
+            return res.status(404).json({ success: false, error: 'Prompt not found' });
+        }
+        
+        const evaluations = Evaluation.list(data, prompt.id)
+            .map(evaluation => ({ ...evaluation, stale: Evaluation.isStale(evaluation, prompt) }));
+        res.json({ success: true, evaluations });
+    } catch (error) {
+        console.error('List evaluations error:', error);
+        res.status(500).json({ success: false, error: error.message });
+    }
+});
+
+const saveEvaluation = (req, evaluation) => mutate(req, data => {
+    if (!data.prompts.some(p => p.id === req.params.id)) {
+        throw httpError(404, 'Prompt not found');
+    }
+    if ((data.evaluations || []).some(e => e.id === evaluation.id)) {
+        throw httpError(409, `Evaluation ${evaluation.id} already exists`);
+    }
+    Evaluation.add(data, evaluation);
+    return evaluation;
+});
+
+const generateEvaluationId = () => `evaluation_${Date.now()}_${Math.random().toString(36).slice(2, 11)}`;
+
+app.post('/api/prompts/:id/evaluations', validatePromptId, async (req, res) => {
+    try {
+        const { evaluation: fields, error } = Evaluation.checkEvaluation(req.body);
+        if (error) {
+            return res.status(400).json({ success: false, error });
+        }
+        
+        const { result: evaluation, etag } = await saveEvaluation(req, {
+            id: req.body.id || generateEvaluationId(),
+            promptId: req.params.id,
+            ...fields
+        });
+        res.status(201).set('ETag', etag).json({ success: true, evaluation });
+    } catch (error) {
+        if (!error.status) console.error('Save evaluation error:', error);
+        res.status(error.status || 500).json({ success: false, error: error.message, ...error.details });
+    }
+});
+
+// Runs the suite now. Failing tests still answer 201; check `failed`.
+app.post('/api/prompts/:id/evaluate', validatePromptId, async (req, res) => {
+    try {
+        await store.flush();
+        const data = await store.read();
+        const prompt = data.prompts.find(p => p.id === req.params.id);
+        if (!prompt) {
+            return res.status(404).json({ success: false, error: 'Prompt not found' });
+        }
+        if (!prompt.tests || prompt.tests.length === 0) {
+            return res.status(400).json({ success: false, error: 'This prompt has no tests' });
+        }
+        
+        const ai = new OpenAIIntegration(data.settings, await secrets.getAll());
+        if (!ai.isConfigured('run')) {
+            return res.status(503).json({ success: false, error: 'No model configured. Add a provider in Settings or set OPENAI_API_KEY (and OPENAI_BASE_URL for a stub).' });
+        }
+        
+        const run = await Evaluation.run(prompt, data.prompts, {
+            complete: (text, options) => ai.runPrompt(text, options),
+            model: ai.model
+        });
+        const { result: evaluation, etag } = await saveEvaluation(req, { id: generateEvaluationId(), ...run });
+        res.status(201).set('ETag', etag).json({ success: true, evaluation });
+    } catch (error) {
+        if (!error.status) console.error('Evaluate prompt error:', error);
+        res.status(error.status || 500).json({ success: false, error: error.message, ...error.details });
+    }
+});
+
+// A/B comparisons run two prompts (or two revisions of one) on the same
+// inputs; see public/comparison.js. The browser runs them through POST
+// /api/ai/run, so the model is called by the server, and stores the
+// results here; POST /run runs a whole comparison on the server.
+const generateComparisonId = () => `comparison_${Date.now()}_${Math.random().toString(36).slice(2, 11)}`;
+
+const saveComparison = (req, comparison) => mutate(req, data => {
+    const missing = Comparison.SIDES.find(key => !data.prompts.some(p => p.id === comparison[key].promptId));
+    if (missing) {
+        throw httpError(404, `Prompt ${comparison[missing].promptId} not found`);
+    }
+    data.comparisons = data.comparisons || [];
+    if (data.comparisons.some(c => c.id === comparison.id)) {
+        throw httpError(409, `Comparison ${comparison.id} already exists`);
+    }
+    data.comparisons.push(comparison);
+    return comparison;
+});
 
-const debouncedSave = (data) => {
-    clearTimeout(saveTimeout);
-    saveTimeout = setTimeout(async () => {
-        try {
-            await fs.writeFile(DATA_FILE, JSON.stringify(data, null, 2));
-            console.log('✓ Auto-saved to', DATA_FILE);
-        } catch (error) {
-            console.error('✗ Auto-save failed:', error);
+const withSummary = (comparison) => ({ ...comparison, summary: Comparison.summary(comparison) });
+
+// ?promptId= limits the list to comparisons involving that prompt
+app.get('/api/comparisons', async (req, res) => {
+    try {
+        await store.flush();
+        const data = await store.read();
+        res.json({
+            success: true,
+            comparisons: Comparison.list(data, req.query.promptId || null).map(withSummary),
+            winRates: Comparison.winRates(data)
+        });
+    } catch (error) {
+        console.error('List comparisons error:', error);
+        res.status(500).json({ success: false, error: error.message });
+    }
+});
+
+app.post('/api/comparisons', async (req, res) => {
+    try {
+        const { comparison: fields, error } = Comparison.checkRecord(req.body);
+        if (error) {
+            return res.status(400).json({ success: false, error });
         }
-    }, AUTOSAVE_DELAY);
-};
 
-// Load data from file
-app.get('/api/data', async (req, res) => {
+        const { result: comparison, etag } = await saveComparison(req, {
+            id: req.body.id || generateComparisonId(),
+            ...fields,
+            updatedAt: fields.createdAt
+        });
+        res.status(201).set('ETag', etag).json({ success: true, comparison: withSummary(comparison) });
+    } catch (error) {
+        if (!error.status) console.error('Save comparison error:', error);
+        res.status(error.status || 500).json({ success: false, error: error.message, ...error.details });
+    }
+});
+
+// Body: { name, a, b, inputs, judge }. With `judge: true` the model also
+// picks a winner for every input.
+app.post('/api/comparisons/run', async (req, res) => {
+    try {
+        const { comparison: fields, error } = Comparison.check(req.body);
+        if (error) {
+            return res.status(400).json({ success: false, error });
+        }
+
+        await store.flush();
+        const data = await store.read();
+        const missing = Comparison.SIDES.map(key => Comparison.resolve(fields[key], data.prompts).error).find(Boolean);
+        if (missing) {
+            return res.status(404).json({ success: false, error: missing });
+        }
+
+        const ai = new OpenAIIntegration(data.settings, await secrets.getAll());
+        if (!ai.isConfigured('run')) {
+            return res.status(503).json({ success: false, error: 'No model configured. Add a provider in Settings or set OPENAI_API_KEY (and OPENAI_BASE_URL for a stub).' });
+        }
+
+        const run = await Comparison.run(fields, data.prompts, {
+            complete: (text, options) => ai.runPrompt(text, options),
+            judge: req.body.judge === true,
+            model: ai.model
+        });
+        const { result: comparison, etag } = await saveComparison(req, {
+            id: generateComparisonId(),
+            ...run,
+            updatedAt: run.createdAt
+        });
+        res.status(201).set('ETag', etag).json({ success: true, comparison: withSummary(comparison) });
+    } catch (error) {
+        if (!error.status) console.error('Run comparison error:', error);
+        res.status(error.status || 500).json({ success: false, error: error.message, ...error.details });
+    }
+});
+
+app.get('/api/comparisons/:id', async (req, res) => {
+    try {
+        await store.flush();
+        const data = await store.read();
+        const comparison = (data.comparisons || []).find(c => c.id === req.params.id);
+        if (!comparison) {
+            return res.status(404).json({ success: false, error: 'Comparison not found' });
+        }
+        res.json({ success: true, comparison: withSummary(comparison) });
+    } catch (error) {
+        console.error('Get comparison error:', error);
+        res.status(500).json({ success: false, error: error.message });
+    }
+});
+
+// Body: { name, verdicts }. One verdict ({ winner, judgedBy, reason }) per
+// result in order, or null to leave that result as it is.
+app.put('/api/comparisons/:id', async (req, res) => {
     try {
-        const data = await fs.readFile(DATA_FILE, 'utf8');
-        res.json(JSON.parse(data));
-    } catch (error) {
-        console.log('Creating new data file...');
-        const defaultData = {
-            prompts: [],
-            categories: ["All", "Code", "Cognitive", "Jailbreak", "Dev", "Writing", "Business", "General", "Creative", "Analysis", "Research"],
-            folders: ["All", "Favorites", "Archive", "Default"],
-            customFolders: [],
-            settings: {
-                openaiApiKey: "",
-                autoCategorizationEnabled: true,
-                lastBackup: null
-            },
-            metadata: {
-                version: "1.0.0",
-                created: new Date().toISOString().split('T')[0],
-                totalPrompts: 0,
-                lastSaved: new Date().toISOString()
+        const { name, verdicts: input } = req.body;
+        if (name !== undefined && (typeof name !== 'string' || name.length > 100)) {
+            return res.status(400).json({ success: false, error: 'name must be text of at most 100 characters' });
+        }
+
+        const { result: comparison, etag } = await mutate(req, data => {
+            const comparison = (data.comparisons || []).find(c => c.id === req.params.id);
+            if (!comparison) {
+                throw httpError(404, 'Comparison not found');
             }
-        };
-        await fs.writeFile(DATA_FILE, JSON.stringify(defaultData, null, 2));
-        res.json(defaultData);
+            if (input !== undefined) {
+                const { verdicts, error } = Comparison.checkVerdicts(input, comparison.results.length);
+                if (error) throw httpError(400, error);
+                verdicts.forEach((verdict, index) => {
+                    if (verdict) Object.assign(comparison.results[index], verdict);
+                });
+            }
+            if (name !== undefined) {
+                comparison.name = name.trim();
+            }
+            comparison.updatedAt = new Date().toISOString();
+            return comparison;
+        });
+        res.set('ETag', etag).json({ success: true, comparison: withSummary(comparison) });
+    } catch (error) {
+        if (!error.status) console.error('Update comparison error:', error);
+        res.status(error.status || 500).json({ success: false, error: error.message, ...error.details });
     }
 });
 
-// Save data to file with auto-save
-app.post('/api/data', validatePromptData, async (req, res) => {
+app.delete('/api/comparisons/:id', async (req, res) => {
     try {
-        const data = req.body;
-        data.metadata.lastSaved = new Date().toISOString();
-        data.metadata.totalPrompts = data.prompts.length;
-        
-        // Immediate save for explicit saves
-        await fs.writeFile(DATA_FILE, JSON.stringify(data, null, 2));
-        console.log('✓ Data saved immediately');
+        const { etag } = await mutate(req, data => {
+            const before = (data.comparisons || []).length;
+            data.comparisons = (data.comparisons || []).filter(c => c.id !== req.params.id);
+            if (data.comparisons.length === before) {
+                throw httpError(404, 'Comparison not found');
+            }
+        });
+
+        res.set('ETag', etag).json({ success: true });
+    } catch (error) {
+        if (!error.status) console.error('Delete comparison error:', error);
+        res.status(error.status || 500).json({ success: false, error: error.message, ...error.details });
+    }
+});
+
+// Tags only exist on prompts, so they are listed with counts and can be
+// renamed (or merged into an existing tag) and removed everywhere. Tags
+// nest with "/": renaming or deleting "code" also affects "code/python".
+app.get('/api/tags', async (req, res) => {
+    try {
+        await store.flush();
+        const data = await store.read();
+        const tree = TagRules.list(data.prompts);
         
-        res.json({ success: true, message: 'Data saved successfully' });
+        res.json({
+            success: true,
+            tags: tree.filter(tag => tag.count > 0).map(({ name, count }) => ({ name, count })),
+            tree,
+            synonyms: data.tagSynonyms || {}
+        });
     } catch (error) {
-        console.error('Save error:', error);
+        console.error('List tags error:', error);
         res.status(500).json({ success: false, error: error.message });
     }
 });
 
-// Auto-save endpoint (debounced)
-app.post('/api/autosave', async (req, res) => {
+// Body: { tags: [...], into }. All prompts are rewritten in one save.
+app.post('/api/tags/merge', async (req, res) => {
     try {
-        const data = req.body;
-        data.metadata.lastSaved = new Date().toISOString();
-        data.metadata.totalPrompts = data.prompts.length;
+        const { tags } = req.body;
+        const into = TagRules.clean(req.body.into);
+        if (!Array.isArray(tags) || tags.length === 0 || !into) {
+            return res.status(400).json({ success: false, error: 'tags must be a non-empty array and into a tag' });
+        }
+        const meta = revisionMeta(req, 'bulk');
+        
+        const { result: updatedCount, etag } = await mutate(req, data => {
+            const sources = tags.map(tag => TagRules.clean(tag)).filter(tag => tag !== into);
+            const moved = reassignPrompts(data, p => sources.some(tag => TagRules.matches(p.tags, tag)), prompt => ({
+                tags: sources.reduce((result, tag) => TagRules.rename(result, tag, into, data.tagSynonyms), prompt.tags)
+            }), meta);
+            if (moved === 0) {
+                throw httpError(404, 'None of the tags are in use');
+            }
+            return moved;
+        });
         
-        debouncedSave(data);
-        res.json({ success: true, message: 'Auto-save queued' });
+        res.set('ETag', etag).json({ success: true, updatedCount });
     } catch (error) {
-        console.error('Auto-save error:', error);
-        res.status(500).json({ success: false, error: error.message });
+        if (!error.status) console.error('Merge tags error:', error);
+        res.status(error.status || 500).json({ success: false, error: error.message, ...error.details });
     }
 });
 
-// Backup endpoint
-app.post('/api/backup', async (req, res) => {
+app.put('/api/tags/:tag', validateName, async (req, res) => {
     try {
-        const data = await fs.readFile(DATA_FILE, 'utf8');
-        const timestamp = new Date().toISOString().replace(/:/g, '-').split('.')[0];
-        const backupFile = path.join(__dirname, 'backups', `prompts-${timestamp}.json`);
+        const from = req.params.tag;
+        const to = TagRules.clean(req.body.name);
+        const meta = revisionMeta(req, 'bulk');
         
-        // Ensure backups directory exists
-        await fs.mkdir(path.dirname(backupFile), { recursive: true });
-        await fs.writeFile(backupFile, data);
+        const { result: updatedCount, etag } = await mutate(req, data => {
+            const moved = reassignPrompts(data, p => TagRules.matches(p.tags, from), prompt => ({
+                tags: TagRules.rename(prompt.tags, from, to, data.tagSynonyms)
+            }), meta);
+            if (moved === 0) {
+                throw httpError(404, 'Tag not found');
+            }
+            return moved;
+        });
         
-        res.json({ success: true, backupFile: `backups/prompts-${timestamp}.json` });
+        res.set('ETag', etag).json({ success: true, updatedCount });
     } catch (error) {
-        console.error('Backup error:', error);
-        res.status(500).json({ success: false, error: error.message });
+        if (!error.status) console.error('Rename tag error:', error);
+        res.status(error.status || 500).json({ success: false, error: error.message, ...error.details });
     }
 });
 
-// Individual prompt endpoints
-app.put('/api/prompts/:id', validatePromptId, async (req, res) => {
+app.delete('/api/tags/:tag', async (req, res) => {
     try {
-        const data = await fs.readFile(DATA_FILE, 'utf8');
-        const jsonData = JSON.parse(data);
-        const promptId = req.params.id;
-        const updatedPrompt = req.body;
+        const { tag } = req.params;
+        const meta = revisionMeta(req, 'bulk');
         
-        const index = jsonData.prompts.findIndex(p => p.id === promptId);
-        if (index === -1) {
-            return res.status(404).json({ success: false, error: 'Prompt not found' });
+        const { result: updatedCount, etag } = await mutate(req, data => {
+            const moved = reassignPrompts(data, p => TagRules.matches(p.tags, tag), prompt => ({
+                tags: TagRules.remove(prompt.tags, tag)
+            }), meta);
+            if (moved === 0) {
+                throw httpError(404, 'Tag not found');
+            }
+            return moved;
+        });
+        
+        res.set('ETag', etag).json({ success: true, updatedCount });
+    } catch (error) {
+        if (!error.status) console.error('Delete tag error:', error);
+        res.status(error.status || 500).json({ success: false, error: error.message, ...error.details });
+    }
+});
+
+// Synonym rules ({ alias: tag }) normalize tags whenever prompts are saved.
+// With apply: true the prompts already using an alias are rewritten too.
+app.get('/api/tag-synonyms', async (req, res) => {
+    try {
+        await store.flush();
+        const data = await store.read();
+        res.json({ success: true, synonyms: data.tagSynonyms || {} });
+    } catch (error) {
+        console.error('Get tag synonyms error:', error);
+        res.status(500).json({ success: false, error: error.message });
+    }
+});
+
+app.put('/api/tag-synonyms', async (req, res) => {
+    try {
+        const { synonyms, error } = TagRules.checkSynonyms(req.body.synonyms);
+        if (error) {
+            return res.status(400).json({ success: false, error });
         }
+        const meta = revisionMeta(req, 'bulk');
         
-        jsonData.prompts[index] = { ...jsonData.prompts[index], ...updatedPrompt };
-        jsonData.metadata.lastSaved = new Date().toISOString();
+        const { result, etag } = await mutate(req, data => {
+            data.tagSynonyms = synonyms;
+            const updatedCount = req.body.apply !== true ? 0 : reassignPrompts(data,
+                p => JSON.stringify(p.tags || []) !== JSON.stringify(TagRules.normalize(p.tags, synonyms)),
+                prompt => ({ tags: TagRules.normalize(prompt.tags, synonyms) }), meta);
+            return { synonyms, updatedCount };
+        });
         
-        await fs.writeFile(DATA_FILE, JSON.stringify(jsonData, null, 2));
-        res.json({ success: true, prompt: jsonData.prompts[index] });
+        res.set('ETag', etag).json({ success: true, ...result });
+    } catch (error) {
+        if (!error.status) console.error('Update tag synonyms error:', error);
+        res.status(error.status || 500).json({ success: false, error: error.message, ...error.details });
+    }
+});
+
+// Settings
+app.get('/api/settings', async (req, res) => {
+    try {
+        await store.flush();
+        const data = await store.read();
+        res.set('ETag', documentETag(data)).json({ success: true, settings: LLMProviders.withoutKeys(data.settings) });
     } catch (error) {
-        console.error('Update prompt error:', error);
+        console.error('Get settings error:', error);
         res.status(500).json({ success: false, error: error.message });
     }
 });
 
-app.delete('/api/prompts/:id', validatePromptId, async (req, res) => {
+// Partial update: only the keys sent are changed. API keys sent along go to
+// the secret store and are never sent back.
+app.put('/api/settings', async (req, res) => {
     try {
-        const data = await fs.readFile(DATA_FILE, 'utf8');
-        const jsonData = JSON.parse(data);
-        const promptId = req.params.id;
+        if (!req.body || typeof req.body !== 'object' || Array.isArray(req.body)) {
+            return res.status(400).json({ success: false, error: 'Settings must be an object' });
+        }
         
-        const index = jsonData.prompts.findIndex(p => p.id === promptId);
-        if (index === -1) {
-            return res.status(404).json({ success: false, error: 'Prompt not found' });
+        const changes = { ...req.body };
+        if (changes.providers !== undefined) {
+            const { providers, error } = LLMProviders.checkProviders(changes.providers);
+            if (error) {
+                return res.status(400).json({ success: false, error });
+            }
+            changes.providers = providers;
+        }
+        if (changes.llm !== undefined) {
+            const { llm, error } = LLMProviders.checkRouting(changes.llm);
+            if (error) {
+                return res.status(400).json({ success: false, error });
+            }
+            changes.llm = llm;
         }
         
-        const deletedPrompt = jsonData.prompts.splice(index, 1)[0];
-        jsonData.metadata.lastSaved = new Date().toISOString();
-        jsonData.metadata.totalPrompts = jsonData.prompts.length;
+        const { result: settings, etag } = await mutate(req, data => {
+            data.settings = LLMProviders.withoutKeys({ ...data.settings, ...changes });
+            return data.settings;
+        });
+        await saveKeys(LLMProviders.keysIn(changes));
+        
+        res.set('ETag', etag).json({ success: true, settings });
+    } catch (error) {
+        if (!error.status) console.error('Update settings error:', error);
+        res.status(error.status || 500).json({ success: false, error: error.message, ...error.details });
+    }
+});
+
+// The providers the server's own AI calls can use, from the environment and
+// the settings, with the provider and model each task goes to. Keys are
+// only sent back masked; keySource tells whether one is in the secret store
+// (and can be rotated or revoked) or comes from the environment.
+app.get('/api/providers', async (req, res) => {
+    try {
+        await store.flush();
+        const data = await store.read();
+        const keys = await secrets.getAll();
+        const ai = new OpenAIIntegration(data.settings, keys);
+        
+        const providers = ai.providers.map(({ apiKey, ...provider }) => ({
+            ...provider,
+            baseURL: LLMProviders.baseURL(provider),
+            hasKey: !!apiKey,
+            maskedKey: SecretStore.mask(apiKey),
+            keySource: keys[provider.id] ? 'secrets' : (apiKey ? 'environment' : null),
+            ready: LLMProviders.isReady({ ...provider, apiKey }),
+            circuit: OpenAIIntegration.client.status(provider.id)
+        }));
+        const tasks = {};
+        for (const task of Object.keys(LLMProviders.TASKS)) {
+            const { provider, model } = ai.route(task);
+            tasks[task] = { provider: provider?.id || null, model, ready: LLMProviders.isReady(provider) };
+        }
         
-        await fs.writeFile(DATA_FILE, JSON.stringify(jsonData, null, 2));
-        res.json({ success: true, deletedPrompt });
+        res.json({ success: true, providers, tasks });
     } catch (error) {
-        console.error('Delete prompt error:', error);
+        console.error('Get providers error:', error);
         res.status(500).json({ success: false, error: error.message });
     }
 });
 
-// Bulk operations
-app.delete('/api/prompts/batch', validateBulkOperations, async (req, res) => {
+// Secrets: one credential per provider id, encrypted at rest. Values are
+// write-only; reads list them masked.
+app.get('/api/secrets', async (req, res) => {
     try {
-        const data = await fs.readFile(DATA_FILE, 'utf8');
-        const jsonData = JSON.parse(data);
-        const { ids } = req.body;
+        res.json({ success: true, secrets: await secrets.list() });
+    } catch (error) {
+        console.error('Get secrets error:', error);
+        res.status(500).json({ success: false, error: error.message });
+    }
+});
+
+// Adds or rotates a credential
+app.put('/api/secrets/:name', async (req, res) => {
+    try {
+        const { value } = req.body || {};
+        if (!SecretStore.checkName(req.params.name)) {
+            return res.status(400).json({ success: false, error: 'Secret names use lowercase letters, digits, - and _' });
+        }
+        if (typeof value !== 'string' || value.trim() === '') {
+            return res.status(400).json({ success: false, error: 'value must be a non-empty string' });
+        }
         
-        if (!Array.isArray(ids)) {
-            return res.status(400).json({ success: false, error: 'ids must be an array' });
+        res.json({ success: true, secret: await secrets.set(req.params.name, value) });
+    } catch (error) {
+        console.error('Set secret error:', error);
+        res.status(500).json({ success: false, error: error.message });
+    }
+});
+
+// Revokes a credential; the provider falls back to a key from the
+// environment, if any
+app.delete('/api/secrets/:name', async (req, res) => {
+    try {
+        if (!await secrets.delete(req.params.name)) {
+            return res.status(404).json({ success: false, error: 'Secret not found' });
+        }
+        res.json({ success: true });
+    } catch (error) {
+        console.error('Revoke secret error:', error);
+        res.status(500).json({ success: false, error: error.message });
+    }
+});
+
+// Lists the provider's models, which tells whether it can be reached
+app.post('/api/providers/:id/test', async (req, res) => {
+    try {
+        await store.flush();
+        const data = await store.read();
+        const ai = new OpenAIIntegration(data.settings, await secrets.getAll());
+        if (!ai.providers.some(p => p.id === req.params.id)) {
+            return res.status(404).json({ success: false, error: 'Provider not found' });
         }
         
-        const deletedPrompts = [];
-        jsonData.prompts = jsonData.prompts.filter(prompt => {
-            if (ids.includes(prompt.id)) {
-                deletedPrompts.push(prompt);
-                return false;
-            }
-            return true;
+        const result = await ai.testConnection(req.params.id);
+        if (!result.success) {
+            return res.status(502).json({ success: false, error: result.message });
+        }
+        res.json(result);
+    } catch (error) {
+        console.error('Test provider error:', error);
+        res.status(500).json({ success: false, error: error.message });
+    }
+});
+
+// AI proxy: the browser asks the server, which calls the provider the task
+// is routed to with the key only it holds. Failures answer with a `code`
+// (see src/model-client.js) and a status to match: 503 with code
+// not_configured when no provider is set up for the task, 429 when the
+// provider is still rate limiting after the retries (with Retry-After), 504
+// when it timed out, 503 while its circuit is open and 502 otherwise.
+// Replies come from the cache when the same thing was asked before, unless
+// `fresh` is set.
+const aiFor = async (task, { fresh = false } = {}) => {
+    await store.flush();
+    const data = await store.read();
+    const ai = new OpenAIIntegration(data.settings, await secrets.getAll());
+    if (!ai.isConfigured(task)) {
+        throw Object.assign(httpError(503, 'No AI provider is set up for this. Add one in Settings or set OPENAI_API_KEY.'), {
+            details: { code: 'not_configured' }
         });
+    }
+    ai.setCategories(CategoryModel.list(data));
+    ai.setTagSynonyms(data.tagSynonyms);
+    if (config.aiCache.enabled) {
+        ai.setCache(aiCache, { fresh });
+    }
+    return ai;
+};
+
+const requireText = (value, name = 'text') => {
+    if (typeof value !== 'string' || value.trim() === '') {
+        throw httpError(400, `${name} must be a non-empty string`);
+    }
+    return value;
+};
+
+const MODEL_ERROR_STATUS = { rate_limited: 429, timeout: 504, unavailable: 503 };
+
+const callModel = promise => promise.catch(error => {
+    const details = { code: error.code || 'provider' };
+    if (error.retryAfter) details.retryAfter = error.retryAfter;
+    throw Object.assign(httpError(MODEL_ERROR_STATUS[error.code] || 502, error.message), { details });
+});
+
+const sendAIError = (res, error) => {
+    if (error.details?.retryAfter) res.set('Retry-After', String(error.details.retryAfter));
+    res.status(error.status || 500).json({ success: false, error: error.message, ...error.details });
+};
+
+// One route per helper: `handler(ai, body)` resolves with the fields to answer with
+const aiRoute = (name, task, handler) => {
+    app.post(`/api/ai/${name}`, async (req, res) => {
+        try {
+            const body = req.body || {};
+            const ai = await aiFor(task, { fresh: body.fresh === true });
+            res.json({ success: true, ...await handler(ai, body) });
+        } catch (error) {
+            if (!error.status) console.error(`AI ${name} error:`, error);
+            sendAIError(res, error);
+        }
+    });
+};
+
+aiRoute('categorize', 'categorize', async (ai, { text }) => ({
+    category: await callModel(ai.categorizePrompt(requireText(text)))
+}));
+
+aiRoute('tags', 'categorize', async (ai, { text, maxTags = 5 }) => ({
+    tags: await callModel(ai.generateTags(requireText(text), Number.isInteger(maxTags) && maxTags > 0 ? maxTags : 5))
+}));
+
+aiRoute('enhance', 'enhance', async (ai, { text }) => ({
+    enhanced: await callModel(ai.enhancePrompt(requireText(text)))
+}));
+
+aiRoute('generate', 'generate', async (ai, { topic, style, length }) => ({
+    prompt: await callModel(ai.generatePrompt(requireText(topic, 'topic'), style, length))
+}));
+
+aiRoute('summary', 'generate', async (ai, { stats }) => ({
+    summary: await callModel(ai.generateCollectionSummary(stats || {}))
+}));
+
+aiRoute('insights', 'generate', async (ai, { prompt }) => ({
+    insights: await callModel(ai.generateInsights(requireText(prompt, 'prompt')))
+}));
+
+aiRoute('effectiveness', 'generate', async (ai, { data }) => ({
+    analysis: await callModel(ai.analyzeEffectiveness(data || {}))
+}));
+
+// Background jobs: one AI change over many prompts. Each type picks the
+// prompts it applies to, asks the model about one at a time and saves the
+// answer as a revision; a prompt that no longer applies by the time its
+// turn comes (edited by hand, deleted) is skipped. `run` resolves with the
+// changes, or with a function that makes them from the prompt as it is
+// when they are saved.
+const JOB_TYPES = {
+    categorize: {
+        task: 'categorize',
+        source: 'bulk',
+        applies: prompt => !prompt.category || prompt.category === CategoryModel.FALLBACK,
+        run: async (ai, prompt) => ({ category: await ai.categorizePrompt(prompt.text) })
+    },
+    tag: {
+        task: 'categorize',
+        source: 'bulk',
+        applies: prompt => !prompt.tags || prompt.tags.length === 0,
+        run: async (ai, prompt) => ({ tags: await ai.generateTags(prompt.text) })
+    },
+    enhance: {
+        task: 'enhance',
+        source: 'ai-enhance',
+        // The suggestion is added below the user's notes, once per prompt
+        applies: prompt => (prompt.rating || 0) < 4 && !prompt.enhancedAt,
+        run: async (ai, prompt) => {
+            const note = `Enhanced version: ${await ai.enhancePrompt(prompt.text)}`;
+            return current => ({
+                notes: current.notes && current.notes.trim() ? `${current.notes.trimEnd()}\n\n${note}` : note,
+                enhancedAt: new Date().toISOString()
+            });
+        }
+    }
+};
+
+// Model errors are passed on as they are: while the provider's circuit is
+// open, or it keeps rate limiting with a Retry-After, they carry retryAfter
+// and the queue puts the prompt back and waits instead of failing it and
+// every prompt after it
+const runJobItem = async (id, job) => {
+    const type = JOB_TYPES[job.type];
+    await store.flush();
+    const prompt = (await store.read()).prompts.find(p => p.id === id);
+    if (!prompt || !type.applies(prompt)) return 'skipped';
+
+    const changes = await type.run(await aiFor(type.task), prompt);
+    const { result } = await mutate(null, data => {
+        const index = data.prompts.findIndex(p => p.id === id);
+        if (index === -1 || !type.applies(data.prompts[index])) return 'skipped';
+        const fields = typeof changes === 'function' ? changes(data.prompts[index]) : changes;
+        data.prompts[index] = PromptHistory.applyUpdate(data.prompts[index], normalizeTags(data, fields), { source: type.source, author: null });
+        data.metadata.lastSaved = new Date().toISOString();
+        return 'done';
+    }, { checkDocument: false });
+    return result;
+};
+
+const jobs = new JobQueue(path.resolve(__dirname, config.jobs.filePath), {
+    handlers: Object.fromEntries(Object.keys(JOB_TYPES).map(type => [type, runJobItem])),
+    concurrency: config.jobs.concurrency,
+    requestsPerMinute: config.jobs.requestsPerMinute
+});
+
+// Starts a job over every prompt the type applies to, or over those of
+// `promptIds` it applies to. Answers with job: null when there are none.
+app.post('/api/jobs', async (req, res) => {
+    try {
+        const { type, promptIds } = req.body || {};
+        if (!JOB_TYPES[type]) {
+            return res.status(400).json({ success: false, error: `type must be one of: ${Object.keys(JOB_TYPES).join(', ')}` });
+        }
+        if (promptIds !== undefined && (!Array.isArray(promptIds) || !promptIds.every(id => typeof id === 'string'))) {
+            return res.status(400).json({ success: false, error: 'promptIds must be an array of prompt ids' });
+        }
         
-        jsonData.metadata.lastSaved = new Date().toISOString();
-        jsonData.metadata.totalPrompts = jsonData.prompts.length;
+        await aiFor(JOB_TYPES[type].task);
+        await store.flush();
+        const data = await store.read();
+        const ids = data.prompts
+            .filter(prompt => (!promptIds || promptIds.includes(prompt.id)) && JOB_TYPES[type].applies(prompt))
+            .map(prompt => prompt.id);
+        if (ids.length === 0) {
+            return res.json({ success: true, job: null });
+        }
         
-        await fs.writeFile(DATA_FILE, JSON.stringify(jsonData, null, 2));
-        res.json({ success: true, deletedCount: deletedPrompts.length, deletedPrompts });
+        const job = await jobs.add(type, ids);
+        res.status(202).json({ success: true, job: JobQueue.summarize(job) });
+    } catch (error) {
+        if (!error.status) console.error('Start job error:', error);
+        res.status(error.status || 500).json({ success: false, error: error.message, ...error.details });
+    }
+});
+
+// Newest first, without their item lists
+app.get('/api/jobs', async (req, res) => {
+    try {
+        res.json({ success: true, jobs: (await jobs.list()).map(JobQueue.summarize) });
     } catch (error) {
-        console.error('Bulk delete error:', error);
+        console.error('Get jobs error:', error);
         res.status(500).json({ success: false, error: error.message });
     }
 });
 
-app.put('/api/prompts/batch', validateBulkOperations, async (req, res) => {
+// A job, with the prompts it has finished since the first `since`, as they
+// are now, so a client can take the changes in as they happen
+app.get('/api/jobs/:id', async (req, res) => {
     try {
-        const data = await fs.readFile(DATA_FILE, 'utf8');
-        const jsonData = JSON.parse(data);
-        const { updates } = req.body;
-        
-        if (!Array.isArray(updates)) {
-            return res.status(400).json({ success: false, error: 'updates must be an array' });
+        const job = await jobs.get(req.params.id);
+        if (!job) {
+            return res.status(404).json({ success: false, error: 'Job not found' });
         }
         
-        const updatedPrompts = [];
-        updates.forEach(update => {
-            const index = jsonData.prompts.findIndex(p => p.id === update.id);
-            if (index !== -1) {
-                jsonData.prompts[index] = { ...jsonData.prompts[index], ...update.changes };
-                updatedPrompts.push(jsonData.prompts[index]);
-            }
-        });
+        const since = Math.max(0, parseInt(req.query.since, 10) || 0);
+        const done = job.done.slice(since);
+        const prompts = await Promise.all(done.map(id => store.getPrompt(id)));
+        res.json({ success: true, job: JobQueue.summarize(job), done: done.length, prompts: prompts.filter(Boolean) });
+    } catch (error) {
+        console.error('Get job error:', error);
+        res.status(500).json({ success: false, error: error.message });
+    }
+});
+
+app.post('/api/jobs/:id/cancel', async (req, res) => {
+    try {
+        const job = await jobs.get(req.params.id);
+        if (!job) {
+            return res.status(404).json({ success: false, error: 'Job not found' });
+        }
+        if (!JobQueue.isActive(job)) {
+            return res.status(409).json({ success: false, error: `Job already ${job.status}`, job: JobQueue.summarize(job) });
+        }
         
-        jsonData.metadata.lastSaved = new Date().toISOString();
+        res.json({ success: true, job: JobQueue.summarize(await jobs.cancel(job.id)) });
+    } catch (error) {
+        console.error('Cancel job error:', error);
+        res.status(500).json({ success: false, error: error.message });
+    }
+});
+
+// Hit and miss counts, overall and by task
+app.get('/api/ai/cache', async (req, res) => {
+    try {
+        const summary = await aiCache.summary();
+        res.json({ success: true, cache: { enabled: config.aiCache.enabled, ttlHours: config.aiCache.ttlHours, ...summary } });
+    } catch (error) {
+        console.error('Get AI cache error:', error);
+        res.status(500).json({ success: false, error: error.message });
+    }
+});
+
+// Drops every cached reply, or with ?task= one task's
+app.delete('/api/ai/cache', async (req, res) => {
+    try {
+        const { task } = req.query;
+        if (task !== undefined && !LLMProviders.TASKS[task]) {
+            return res.status(400).json({ success: false, error: `Unknown task: ${task}` });
+        }
         
-        await fs.writeFile(DATA_FILE, JSON.stringify(jsonData, null, 2));
-        res.json({ success: true, updatedCount: updatedPrompts.length, updatedPrompts });
+        const removed = await aiCache.clear(task || null);
+        res.json({ success: true, removed });
     } catch (error) {
-        console.error('Bulk update error:', error);
+        console.error('Clear AI cache error:', error);
         res.status(500).json({ success: false, error: error.message });
     }
 });
 
+// Runs a prompt as-is. With `stream: true` the reply comes back as
+// server-sent events: { token } for each piece, then { done, text, usage,
+// latencyMs, model }, or { error }. Closing the connection stops the model.
+app.post('/api/ai/run', async (req, res) => {
+    try {
+        const { text, system = '', temperature = 0.7, maxTokens, stream = false } = req.body || {};
+        requireText(text);
+        if (typeof system !== 'string' || typeof temperature !== 'number' ||
+            (maxTokens !== undefined && (!Number.isInteger(maxTokens) || maxTokens < 1))) {
+            return res.status(400).json({ success: false, error: 'system must be a string, temperature a number and maxTokens a positive integer' });
+        }
+        const ai = await aiFor('run');
+        const options = { system, temperature, maxTokens: maxTokens || ai.maxTokens };
+        
+        if (!stream) {
+            const started = Date.now();
+            const reply = await callModel(ai.runPrompt(text, options));
+            return res.json({ success: true, text: reply, latencyMs: Date.now() - started, model: ai.model });
+        }
+        
+        const controller = new AbortController();
+        res.on('close', () => {
+            if (!res.writableEnded) controller.abort();
+        });
+        res.set({ 'Content-Type': 'text/event-stream', 'Cache-Control': 'no-cache' }).flushHeaders();
+        const send = event => res.write(`data: ${JSON.stringify(event)}\n\n`);
+        
+        try {
+            const result = await ai.streamPrompt(text, { ...options, signal: controller.signal, onToken: token => send({ token }) });
+            send({ done: true, ...result });
+        } catch (error) {
+            send({ error: error.message, code: error.code || 'provider' });
+        }
+        res.end();
+    } catch (error) {
+        if (!error.status) console.error('AI run error:', error);
+        sendAIError(res, error);
+    }
+});
+
 // Analytics endpoint
 app.get('/api/analytics', async (req, res) => {
     try {
-        const data = await fs.readFile(DATA_FILE, 'utf8');
-        const jsonData = JSON.parse(data);
+        const prompts = await store.listPrompts();
+        const { comparisons = [] } = await store.read();
         
         const analytics = {
-            totalPrompts: jsonData.prompts.length,
+            totalPrompts: prompts.length,
             categories: {},
             topTags: {},
             ratingDistribution: {},
             monthlyStats: {},
-            avgRating: 0
+            avgRating: 0,
+            winRates: Comparison.winRates({ comparisons })
         };
         
         // Calculate analytics
-        jsonData.prompts.forEach(prompt => {
+        prompts.forEach(prompt => {
             // Categories
             analytics.categories[prompt.category] = (analytics.categories[prompt.category] || 0) + 1;
             
@@ -268,8 +2168,8 @@ app.get('/api/analytics', async (req, res) => {
         });
         
         // Calculate average rating
-        const totalRating = jsonData.prompts.reduce((sum, p) => sum + (p.rating || 0), 0);
-        analytics.avgRating = jsonData.prompts.length > 0 ? totalRating / jsonData.prompts.length : 0;
+        const totalRating = prompts.reduce((sum, p) => sum + (p.rating || 0), 0);
+        analytics.avgRating = prompts.length > 0 ? totalRating / prompts.length : 0;
         
         res.json(analytics);
     } catch (error) {
@@ -283,7 +2183,8 @@ app.get('/api/health', (req, res) => {
     res.json({ 
         status: 'ok', 
         timestamp: new Date().toISOString(),
-        dataFile: DATA_FILE 
+        storage: store.driver,
+        dataFile: store.location
     });
 });
 
@@ -294,15 +2195,56 @@ app.get('/', (req, res) => {
 
 app.use(errorHandler);
 
+// Automatic trash purge
+const runTrashPurge = () => {
+    store.transact(async () => {
+        const data = await store.readForUpdate();
+        const before = fingerprint(data);
+        if (purgeExpiredTrash(data).length > 0) {
+            await store.write(stamp(data, before));
+        }
+    }).catch(error => {
+        logger.error('Trash purge failed', { error: error.message });
+    });
+};
+runTrashPurge();
+setInterval(runTrashPurge, config.trash.purgeInterval * 60 * 1000).unref();
+
+// Keys used to be kept in the settings; move any still there into the
+// secret store, and out of the data file's backup copy too
+const migrateKeys = () => {
+    store.transact(async () => {
+        const data = await store.readForUpdate();
+        const keys = LLMProviders.keysIn(data.settings);
+        if (Object.keys(keys).length === 0) return;
+        
+        const before = fingerprint(data);
+        await saveKeys(keys);
+        data.settings = LLMProviders.withoutKeys(data.settings);
+        await store.write(stamp(data, before));
+        await store.refreshBackup();
+        logger.info('Moved API keys from the settings into the secret store', { providers: Object.keys(keys) });
+    }).catch(error => {
+        logger.error('Moving API keys into the secret store failed', { error: error.message });
+    });
+};
+migrateKeys();
+
+// Jobs left unfinished by the last run carry on
+jobs.start().catch(error => {
+    logger.error('Resuming background jobs failed', { error: error.message });
+});
+
 app.listen(PORT, config.server.host, () => {
     logger.info(`NLP Prompt Database server started`, {
         host: config.server.host,
         port: PORT,
-        dataFile: DATA_FILE,
+        storage: store.driver,
+        dataFile: store.location,
         environment: config.server.nodeEnv
     });
     console.log(`🚀 NLP Prompt Database server running on http://${config.server.host}:${PORT}`);
-    console.log(`📁 Data file: ${DATA_FILE}`);
+    console.log(`📁 Data file (${store.driver}): ${store.location}`);
 });
 
 module.exports = app;
\ No newline at end of file
@@ -0,0 +1,192 @@
+/**
+ * AI Cache
+ * Model replies, kept in data/ai-cache.json so asking the same thing again
+ * (re-running batch categorization over an unchanged library, say) costs
+ * nothing. Entries are keyed on a hash of the task, provider, model,
+ * normalized input and parameters, expire after a TTL, and the least
+ * recently used are dropped past maxEntries.
+ *
+ *   { "entries": [{ "key": "…", "task": "categorize", "model": "gpt-3.5-turbo", "value": "Code", "createdAt": …, "usedAt": … }],
+ *     "stats": { "categorize": { "hits": 12, "misses": 3 } } }
+ *
+ * Writes are debounced; flush() writes now.
+ */
+
+const crypto = require('crypto');
+const logger = require('./utils/logger');
+const { readJSON, writeJSON } = require('./utils/json-file');
+
+const hash = value => crypto.createHash('sha256').update(value).digest('hex');
+
+class AICache {
+    constructor(filePath, { ttl = 30 * 24 * 60 * 60 * 1000, maxEntries = 5000, writeDelay = 1000 } = {}) {
+        this.filePath = filePath;
+        this.ttl = ttl;
+        this.maxEntries = maxEntries;
+        this.writeDelay = writeDelay;
+        this.entries = null;
+        this.stats = {};
+        this.loading = null;
+        this.timer = null;
+        this.writing = Promise.resolve();
+    }
+
+    // Whitespace and line endings do not change what a model is asked
+    static normalize(text) {
+        return String(text ?? '')
+            .normalize('NFC')
+            .replace(/\r\n?/g, '\n')
+            .replace(/[ \t]+/g, ' ')
+            .replace(/\n{3,}/g, '\n\n')
+            .trim();
+    }
+
+    // { task, provider, model, prompt, system, temperature, maxTokens }
+    static key({ task, provider, model, prompt, system = '', ...params }) {
+        const input = [AICache.normalize(prompt), AICache.normalize(system)].map(hash);
+        return hash(JSON.stringify([task, provider, model, ...input, params]));
+    }
+
+    // The cached reply, or undefined; counts a hit or a miss for the task
+    async get(task, key) {
+        await this.load();
+        const entry = this.entries.get(key);
+        const counts = this.stats[task] || (this.stats[task] = { hits: 0, misses: 0 });
+
+        if (!entry || entry.createdAt + this.ttl <= Date.now()) {
+            if (entry) this.entries.delete(key);
+            counts.misses++;
+            this.schedule();
+            return undefined;
+        }
+
+        // Most recently used last, so eviction takes from the front
+        this.entries.delete(key);
+        this.entries.set(key, { ...entry, usedAt: Date.now() });
+        counts.hits++;
+        this.schedule();
+        return entry.value;
+    }
+
+    async set(task, key, value, { model = null } = {}) {
+        await this.load();
+        const now = Date.now();
+        this.entries.delete(key);
+        this.entries.set(key, { key, task, model, value, createdAt: now, usedAt: now });
+        for (const oldest of this.entries.keys()) {
+            if (this.entries.size <= this.maxEntries) break;
+            this.entries.delete(oldest);
+        }
+        this.schedule();
+    }
+
+    // Looks `options` up, or calls `produce()` and keeps what it resolves
+    // with. `fresh` skips the lookup and replaces the entry.
+    async wrap(options, produce, { fresh = false } = {}) {
+        const key = AICache.key(options);
+        if (!fresh) {
+            const cached = await this.get(options.task, key);
+            if (cached !== undefined) return cached;
+        }
+
+        const value = await produce();
+        await this.set(options.task, key, value, { model: options.model });
+        return value;
+    }
+
+    // Drops every entry, or a task's; resolves with how many went
+    async clear(task = null) {
+        await this.load();
+        let removed = 0;
+        for (const [key, entry] of this.entries) {
+            if (!task || entry.task === task) {
+                this.entries.delete(key);
+                removed++;
+            }
+        }
+        if (task) {
+            delete this.stats[task];
+        } else {
+            this.stats = {};
+        }
+        this.schedule();
+        return removed;
+    }
+
+    // { entries, hits, misses, hitRate, tasks: { categorize: { entries, hits, misses } } }
+    async summary() {
+        await this.load();
+        const now = Date.now();
+        const tasks = {};
+        for (const [task, counts] of Object.entries(this.stats)) {
+            tasks[task] = { entries: 0, ...counts };
+        }
+        for (const entry of this.entries.values()) {
+            if (entry.createdAt + this.ttl <= now) continue;
+            const counts = tasks[entry.task] || (tasks[entry.task] = { entries: 0, hits: 0, misses: 0 });
+            counts.entries++;
+        }
+
+        const total = field => Object.values(tasks).reduce((sum, counts) => sum + counts[field], 0);
+        const hits = total('hits');
+        const misses = total('misses');
+        return {
+            entries: total('entries'),
+            hits,
+            misses,
+            hitRate: hits + misses > 0 ? hits / (hits + misses) : 0,
+            tasks
+        };
+    }
+
+    async load() {
+        if (this.entries) return;
+        if (!this.loading) {
+            this.loading = this.readFile().finally(() => {
+                this.loading = null;
+            });
+        }
+        await this.loading;
+    }
+
+    // A missing or unreadable file starts an empty cache
+    async readFile() {
+        let file = {};
+        try {
+            file = await readJSON(this.filePath) || {};
+        } catch (error) {
+            logger.warn('AI cache unreadable; starting empty', { file: this.filePath, error: error.message });
+        }
+
+        const now = Date.now();
+        const entries = (Array.isArray(file.entries) ? file.entries : [])
+            .filter(entry => entry && entry.key && entry.createdAt + this.ttl > now)
+            .sort((a, b) => a.usedAt - b.usedAt);
+        this.entries = new Map(entries.map(entry => [entry.key, entry]));
+        this.stats = file.stats && typeof file.stats === 'object' ? file.stats : {};
+    }
+
+    schedule() {
+        if (this.timer) return;
+        this.timer = setTimeout(() => {
+            this.timer = null;
+            this.flush().catch(error => {
+                logger.error('AI cache write failed', { error: error.message });
+            });
+        }, this.writeDelay);
+        this.timer.unref();
+    }
+
+    // Writes now, after any write in progress
+    async flush() {
+        clearTimeout(this.timer);
+        this.timer = null;
+        if (!this.entries) return;
+
+        const file = { entries: [...this.entries.values()], stats: this.stats };
+        this.writing = this.writing.catch(() => {}).then(() => writeJSON(this.filePath, file));
+        return this.writing;
+    }
+}
+
+module.exports = AICache;
@@ -8,18 +8,76 @@ const config = {
     },
     
     database: {
+        driver: process.env.DATABASE_DRIVER || 'json',
         dataFilePath: process.env.DATA_FILE_PATH || './data/prompts.json',
+        sqliteFilePath: process.env.SQLITE_FILE_PATH || './data/prompts.db',
         backupDirectory: process.env.BACKUP_DIRECTORY || './backups',
         autoBackupEnabled: process.env.AUTO_BACKUP_ENABLED === 'true',
         autoBackupInterval: parseInt(process.env.AUTO_BACKUP_INTERVAL) || 24
     },
     
+    trash: {
+        retentionDays: parseInt(process.env.TRASH_RETENTION_DAYS ?? 30),
+        purgeInterval: parseInt(process.env.TRASH_PURGE_INTERVAL) || 60
+    },
+    
     openai: {
         apiKey: process.env.OPENAI_API_KEY || '',
+        // Any OpenAI-compatible endpoint, e.g. a local stub for CI
+        baseURL: process.env.OPENAI_BASE_URL || 'https://api.openai.com/v1',
         model: process.env.OPENAI_MODEL || 'gpt-3.5-turbo',
         maxTokens: parseInt(process.env.OPENAI_MAX_TOKENS) || 2000
     },
     
+    // More providers for the server's own AI calls; each is added when its
+    // key or URL is set. Users can add their own in the Settings view.
+    llm: {
+        provider: process.env.LLM_PROVIDER || 'openai',
+        anthropic: {
+            apiKey: process.env.ANTHROPIC_API_KEY || '',
+            baseURL: process.env.ANTHROPIC_BASE_URL || '',
+            model: process.env.ANTHROPIC_MODEL || ''
+        },
+        ollama: {
+            baseURL: process.env.OLLAMA_BASE_URL || '',
+            model: process.env.OLLAMA_MODEL || ''
+        },
+        // Every model call is retried with backoff, times out, and stops
+        // for a while once a provider keeps failing (see src/model-client.js)
+        requests: {
+            retries: parseInt(process.env.MODEL_RETRIES ?? 3),
+            timeoutSeconds: parseInt(process.env.MODEL_TIMEOUT_SECONDS) || 60,
+            failureThreshold: parseInt(process.env.MODEL_CIRCUIT_THRESHOLD) || 5,
+            cooldownSeconds: parseInt(process.env.MODEL_CIRCUIT_COOLDOWN_SECONDS) || 30
+        }
+    },
+    
+    // Model replies are cached, so asking the same thing twice costs one
+    // call. Prompt runs are never cached.
+    aiCache: {
+        enabled: process.env.AI_CACHE_ENABLED !== 'false',
+        filePath: process.env.AI_CACHE_FILE_PATH || './data/ai-cache.json',
+        ttlHours: parseInt(process.env.AI_CACHE_TTL_HOURS) || 720,
+        maxEntries: parseInt(process.env.AI_CACHE_MAX_ENTRIES) || 5000
+    },
+    
+    // Batch AI jobs run in the background on the server. Items of a job run
+    // `concurrency` at a time, starting at most requestsPerMinute a minute.
+    jobs: {
+        filePath: process.env.JOBS_FILE_PATH || './data/jobs.json',
+        concurrency: parseInt(process.env.JOB_CONCURRENCY) || 2,
+        requestsPerMinute: parseInt(process.env.JOB_REQUESTS_PER_MINUTE) || 60
+    },
+    
+    // Provider keys are encrypted at rest with a key derived from the
+    // passphrase. Without one a random key is generated into keyFilePath,
+    // which then has to be kept (and backed up) alongside the secrets file.
+    secrets: {
+        filePath: process.env.SECRETS_FILE_PATH || './data/secrets.json',
+        passphrase: process.env.SECRETS_PASSPHRASE || '',
+        keyFilePath: process.env.SECRETS_KEY_FILE || './data/secrets.key'
+    },
+    
     app: {
         autoCategorizationEnabled: process.env.AUTO_CATEGORIZATION_ENABLED !== 'false',
         autoTagsEnabled: process.env.AUTO_TAGS_ENABLED !== 'false',
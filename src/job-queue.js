@@ -0,0 +1,277 @@
+/**
+ * Job Queue
+ * Background batch jobs (categorize, tag or enhance many prompts), run on
+ * the server so they survive the tab closing. Jobs run one at a time, in
+ * order; the items of a job run `concurrency` at a time and start no more
+ * than `requestsPerMinute` a minute. Progress is kept in data/jobs.json and
+ * a job that was queued or running when the server stopped picks up where
+ * it left off.
+ *
+ *   {
+ *     "id": "job_…", "type": "categorize", "status": "running",
+ *     "total": 120, "pending": ["prompt_…"], "done": ["prompt_…"],
+ *     "succeeded": 40, "skipped": 2, "failed": 1, "errors": [{ "id": "prompt_…", "error": "…" }],
+ *     "paused": null, "retries": { "prompt_…": 1 },
+ *     "createdAt": "…", "startedAt": "…", "finishedAt": null
+ *   }
+ *
+ * `handlers[type](id, job)` processes one item; resolving with 'skipped'
+ * counts it as skipped, throwing as failed. An error with a `retryAfter`
+ * (seconds) is not a failure: the item goes back to pending and no item
+ * starts until then, while `paused` holds { until, error }. An item that
+ * is sent back more than `maxRetries` times fails after all.
+ */
+
+const crypto = require('crypto');
+const logger = require('./utils/logger');
+const { readJSON, writeJSON } = require('./utils/json-file');
+
+const ACTIVE = ['queued', 'running'];
+const MAX_ERRORS = 50;
+
+class JobQueue {
+    constructor(filePath, { handlers = {}, concurrency = 2, requestsPerMinute = 60, maxRetries = 5, keep = 20, writeDelay = 500 } = {}) {
+        this.filePath = filePath;
+        this.handlers = handlers;
+        this.concurrency = Math.max(1, concurrency);
+        this.maxRetries = maxRetries;
+        this.interval = requestsPerMinute > 0 ? 60000 / requestsPerMinute : 0;
+        this.keep = keep;
+        this.writeDelay = writeDelay;
+        this.jobs = null;
+        this.loading = null;
+        this.current = null;
+        this.nextStart = 0;
+        this.timer = null;
+        this.writing = Promise.resolve();
+    }
+
+    static isActive(job) {
+        return ACTIVE.includes(job.status);
+    }
+
+    // A job without its item lists, for listings
+    static summarize({ pending, done, retries, ...job }) {
+        return job;
+    }
+
+    // Loads the saved jobs and resumes the unfinished ones
+    async start() {
+        await this.load();
+        const resumed = this.jobs.filter(JobQueue.isActive);
+        resumed.forEach(job => {
+            job.status = 'queued';
+        });
+        if (resumed.length > 0) {
+            logger.info('Resuming background jobs', { jobs: resumed.map(job => job.id) });
+        }
+        this.pump();
+    }
+
+    async add(type, ids) {
+        if (!this.handlers[type]) {
+            throw new Error(`Unknown job type: ${type}`);
+        }
+        await this.load();
+
+        const job = {
+            id: `job_${Date.now()}_${crypto.randomBytes(4).toString('hex')}`,
+            type,
+            status: 'queued',
+            total: ids.length,
+            pending: [...ids],
+            done: [],
+            succeeded: 0,
+            skipped: 0,
+            failed: 0,
+            errors: [],
+            paused: null,
+            retries: {},
+            createdAt: new Date().toISOString(),
+            startedAt: null,
+            finishedAt: null
+        };
+        this.jobs.push(job);
+        await this.flush();
+        this.pump();
+        return job;
+    }
+
+    async get(id) {
+        await this.load();
+        return this.jobs.find(job => job.id === id) || null;
+    }
+
+    // Newest first
+    async list() {
+        await this.load();
+        return [...this.jobs].reverse();
+    }
+
+    // Items already started finish; no new ones are taken. Resolves with the
+    // job, or null if there is none.
+    async cancel(id) {
+        const job = await this.get(id);
+        if (!job || !JobQueue.isActive(job)) return job;
+
+        job.status = 'cancelled';
+        job.finishedAt = new Date().toISOString();
+        await this.flush();
+        return job;
+    }
+
+    // Starts the next queued job when none is running
+    pump() {
+        if (this.current || !this.jobs) return;
+        const job = this.jobs.find(other => other.status === 'queued');
+        if (!job) return;
+
+        this.current = this.run(job)
+            .catch(error => {
+                logger.error('Background job failed', { job: job.id, error: error.message });
+                job.status = 'failed';
+                job.finishedAt = new Date().toISOString();
+            })
+            .finally(async () => {
+                this.current = null;
+                this.prune();
+                await this.flush().catch(error => {
+                    logger.error('Saving jobs failed', { error: error.message });
+                });
+                this.pump();
+            });
+    }
+
+    async run(job) {
+        job.status = 'running';
+        job.startedAt = job.startedAt || new Date().toISOString();
+        if (job.paused) {
+            this.nextStart = Math.max(this.nextStart, Date.parse(job.paused.until));
+        }
+        await this.flush();
+
+        const queue = [...job.pending];
+        const worker = async () => {
+            while (queue.length > 0 && job.status === 'running') {
+                const id = queue.shift();
+                await this.throttle();
+                if (job.status !== 'running') return;
+                if (!await this.runItem(job, id)) {
+                    queue.unshift(id);
+                }
+            }
+        };
+        await Promise.all(Array.from({ length: Math.min(this.concurrency, queue.length) }, worker));
+
+        if (job.status === 'running') {
+            job.status = 'completed';
+            job.finishedAt = new Date().toISOString();
+        }
+    }
+
+    // Resolves with false when the item has to wait and run again
+    async runItem(job, id) {
+        try {
+            const outcome = await this.handlers[job.type](id, job);
+            if (outcome === 'skipped') {
+                job.skipped++;
+            } else {
+                job.succeeded++;
+            }
+        } catch (error) {
+            if (error.retryAfter > 0) {
+                job.retries = job.retries || {};
+                job.retries[id] = (job.retries[id] || 0) + 1;
+                if (job.retries[id] <= this.maxRetries) {
+                    this.pause(job, error);
+                    return false;
+                }
+            }
+            job.failed++;
+            if (job.errors.length < MAX_ERRORS) {
+                job.errors.push({ id, error: error.message });
+            }
+        }
+        job.pending = job.pending.filter(other => other !== id);
+        job.done.push(id);
+        if (job.retries) delete job.retries[id];
+        if (job.paused && Date.parse(job.paused.until) <= Date.now()) {
+            job.paused = null;
+        }
+        this.schedule();
+        return true;
+    }
+
+    // No item starts before `error.retryAfter` seconds from now
+    pause(job, error) {
+        const until = Date.now() + error.retryAfter * 1000;
+        this.nextStart = Math.max(this.nextStart, until);
+        job.paused = { until: new Date(until).toISOString(), error: error.message };
+        logger.warn('Background job paused', { job: job.id, retryAfter: error.retryAfter, error: error.message });
+        this.flush().catch(saveError => {
+            logger.error('Saving jobs failed', { error: saveError.message });
+        });
+    }
+
+    // Waits for the next start the rate limit allows
+    async throttle() {
+        const now = Date.now();
+        const start = Math.max(now, this.nextStart);
+        this.nextStart = start + this.interval;
+        if (start > now) {
+            await new Promise(resolve => setTimeout(resolve, start - now));
+        }
+    }
+
+    // Finished jobs past the newest `keep` are forgotten
+    prune() {
+        const finished = this.jobs.filter(job => !JobQueue.isActive(job));
+        const dropped = new Set(finished.slice(0, Math.max(0, finished.length - this.keep)));
+        this.jobs = this.jobs.filter(job => !dropped.has(job));
+    }
+
+    async load() {
+        if (this.jobs) return;
+        if (!this.loading) {
+            this.loading = readJSON(this.filePath)
+                .then(file => {
+                    this.jobs = Array.isArray(file?.jobs) ? file.jobs : [];
+                })
+                .finally(() => {
+                    this.loading = null;
+                });
+        }
+        await this.loading;
+    }
+
+    // Progress is saved at most every writeDelay ms; status changes at once
+    schedule() {
+        if (this.timer) return;
+        this.timer = setTimeout(() => {
+            this.timer = null;
+            this.flush().catch(error => {
+                logger.error('Saving jobs failed', { error: error.message });
+            });
+        }, this.writeDelay);
+        this.timer.unref();
+    }
+
+    async flush() {
+        clearTimeout(this.timer);
+        this.timer = null;
+        if (!this.jobs) return;
+
+        const file = JSON.parse(JSON.stringify({ jobs: this.jobs }));
+        this.writing = this.writing.catch(() => {}).then(() => writeJSON(this.filePath, file));
+        return this.writing;
+    }
+
+    // Resolves once no job is running, for tests and shutdown
+    async idle() {
+        while (this.current) {
+            await this.current;
+        }
+    }
+}
+
+module.exports = JobQueue;
@@ -1,4 +1,52 @@
 const logger = require('../utils/logger');
+const CategoryModel = require('../../public/category-model');
+const PromptTemplate = require('../../public/prompt-template');
+const Evaluation = require('../../public/evaluation');
+
+// Returns what is wrong with a prompt, or null. New prompts may leave the
+// id to the server.
+const checkPrompt = (prompt, { requireId = true } = {}) => {
+    if (!prompt || typeof prompt !== 'object') {
+        return 'Prompt must be an object';
+    }
+    
+    if (requireId ? (!prompt.id || typeof prompt.id !== 'string') : (prompt.id !== undefined && typeof prompt.id !== 'string')) {
+        return 'Each prompt must have a valid string ID';
+    }
+    
+    if (!prompt.text || typeof prompt.text !== 'string') {
+        return 'Each prompt must have text content';
+    }
+    
+    if (prompt.text.length > 10000) {
+        return 'Prompt text cannot exceed 10,000 characters';
+    }
+    
+    if (prompt.tags && !Array.isArray(prompt.tags)) {
+        return 'Prompt tags must be an array';
+    }
+    
+    if (prompt.rating && (typeof prompt.rating !== 'number' || prompt.rating < 0 || prompt.rating > 5)) {
+        return 'Prompt rating must be a number between 0 and 5';
+    }
+    
+    if (prompt.slug !== undefined && prompt.slug !== null &&
+        (typeof prompt.slug !== 'string' || !PromptTemplate.SLUG_PATTERN.test(prompt.slug))) {
+        return 'Prompt slug may only use lowercase letters, digits, ".", "-" and "_"';
+    }
+    
+    if (prompt.variables !== undefined) {
+        const { error } = PromptTemplate.checkVariables(prompt.variables);
+        if (error) return error;
+    }
+    
+    if (prompt.tests !== undefined && prompt.tests !== null) {
+        const { error } = Evaluation.checkTests(prompt.tests);
+        if (error) return error;
+    }
+    
+    return null;
+};
 
 const validatePromptData = (req, res, next) => {
     const { prompts, categories, folders, settings, metadata } = req.body;
@@ -13,39 +61,9 @@ const validatePromptData = (req, res, next) => {
 
         if (prompts) {
             for (const prompt of prompts) {
-                if (!prompt.id || typeof prompt.id !== 'string') {
-                    return res.status(400).json({
-                        success: false,
-                        error: 'Each prompt must have a valid string ID'
-                    });
-                }
-                
-                if (!prompt.text || typeof prompt.text !== 'string') {
-                    return res.status(400).json({
-                        success: false,
-                        error: 'Each prompt must have text content'
-                    });
-                }
-                
-                if (prompt.text.length > 10000) {
-                    return res.status(400).json({
-                        success: false,
-                        error: 'Prompt text cannot exceed 10,000 characters'
-                    });
-                }
-                
-                if (prompt.tags && !Array.isArray(prompt.tags)) {
-                    return res.status(400).json({
-                        success: false,
-                        error: 'Prompt tags must be an array'
-                    });
-                }
-                
-                if (prompt.rating && (typeof prompt.rating !== 'number' || prompt.rating < 0 || prompt.rating > 5)) {
-                    return res.status(400).json({
-                        success: false,
-                        error: 'Prompt rating must be a number between 0 and 5'
-                    });
+                const error = checkPrompt(prompt);
+                if (error) {
+                    return res.status(400).json({ success: false, error });
                 }
             }
         }
@@ -148,25 +166,121 @@ const validateBulkOperations = (req, res, next) => {
     next();
 };
 
+// Body of POST /api/prompts: a single new prompt
+const validateNewPrompt = (req, res, next) => {
+    const error = checkPrompt(req.body, { requireId: false });
+    if (error) {
+        return res.status(400).json({ success: false, error });
+    }
+    next();
+};
+
+// Body of POST /api/prompts/batch: { prompts: [...] }
+const validateNewPrompts = (req, res, next) => {
+    const { prompts } = req.body;
+    
+    if (!Array.isArray(prompts) || prompts.length === 0) {
+        return res.status(400).json({
+            success: false,
+            error: 'Prompts must be a non-empty array'
+        });
+    }
+    
+    if (prompts.length > 1000) {
+        return res.status(400).json({
+            success: false,
+            error: 'Cannot create more than 1000 prompts at once'
+        });
+    }
+    
+    for (const prompt of prompts) {
+        const error = checkPrompt(prompt, { requireId: false });
+        if (error) {
+            return res.status(400).json({ success: false, error });
+        }
+    }
+    
+    next();
+};
+
+// Category, folder and tag names
+const validateName = (req, res, next) => {
+    const { name } = req.body;
+    
+    if (typeof name !== 'string' || name.trim().length === 0 || name.trim().length > 100) {
+        return res.status(400).json({
+            success: false,
+            error: 'Name must be between 1 and 100 characters'
+        });
+    }
+    
+    if (name.trim() === 'All') {
+        return res.status(400).json({
+            success: false,
+            error: '"All" is reserved'
+        });
+    }
+    
+    req.body.name = name.trim();
+    next();
+};
+
+// Category name and details. When updating, the name may be left out to
+// keep the current one.
+const validateCategory = (req, res, next) => {
+    if (req.body.name === undefined && req.params.name !== undefined) {
+        req.body.name = req.params.name;
+    }
+    
+    const { details, error } = CategoryModel.pick(req.body);
+    if (error) {
+        return res.status(400).json({
+            success: false,
+            error
+        });
+    }
+    
+    req.categoryDetails = details;
+    validateName(req, res, next);
+};
+
+// Fields holding short labels that the client shows as names. Everything
+// else (prompt text, notes, run inputs and outputs, AI requests) is kept
+// exactly as sent: code such as `List<String>` is valid content, and the
+// client escapes it when rendering.
+const LABEL_FIELDS = ['name', 'category', 'categories', 'folder', 'customFolders', 'tags', 'tagSynonyms'];
+
 const sanitizeInput = (req, res, next) => {
     const sanitizeString = (str) => {
         if (typeof str !== 'string') return str;
         
         return str
             .replace(/<script\b[^<]*(?:(?!<\/script>)<[^<]*)*<\/script>/gi, '')
-            .replace(/<[^>]*>/g, '')
+            .replace(/<\/?[a-z][^>]*>/gi, '')
             .trim();
     };
     
-    const sanitizeObject = (obj) => {
+    const sanitizeLabels = (obj) => {
         if (obj === null || obj === undefined) return obj;
         if (typeof obj === 'string') return sanitizeString(obj);
         if (typeof obj !== 'object') return obj;
+        if (Array.isArray(obj)) return obj.map(sanitizeLabels);
+        
+        const sanitized = {};
+        for (const [key, value] of Object.entries(obj)) {
+            sanitized[sanitizeString(key)] = sanitizeLabels(value);
+        }
+        return sanitized;
+    };
+    
+    // Walks the body and only rewrites the label fields it finds
+    const sanitizeObject = (obj) => {
+        if (obj === null || typeof obj !== 'object') return obj;
         if (Array.isArray(obj)) return obj.map(sanitizeObject);
         
         const sanitized = {};
         for (const [key, value] of Object.entries(obj)) {
-            sanitized[key] = sanitizeObject(value);
+            sanitized[key] = LABEL_FIELDS.includes(key) ? sanitizeLabels(value) : sanitizeObject(value);
         }
         return sanitized;
     };
@@ -230,8 +344,13 @@ const errorHandler = (err, req, res, next) => {
 };
 
 module.exports = {
+    checkPrompt,
     validatePromptData,
     validatePromptId,
+    validateNewPrompt,
+    validateNewPrompts,
+    validateName,
+    validateCategory,
     validateBulkOperations,
     sanitizeInput,
     rateLimiter,
@@ -0,0 +1,181 @@
+/**
+ * Model Client
+ * Every request the server sends to a model provider goes through here.
+ * Each attempt gets a timeout; failures worth another try (the network, a
+ * timeout, 408, 429, 5xx) are retried with exponential backoff and jitter,
+ * waiting as long as a 429's Retry-After asks when that is not too long; and
+ * each provider has a circuit breaker: after `failureThreshold` failed
+ * attempts in a row its requests fail at once for `cooldown` ms, after which
+ * one request is let through to see whether it has recovered.
+ *
+ * Failures are thrown with a `code`, so callers can tell the user what went
+ * wrong instead of carrying on with made-up output:
+ *
+ *   timeout       no answer within `timeout` ms
+ *   rate_limited  still rate limited after the retries; `retryAfter` seconds
+ *   unavailable   the circuit is open; `retryAfter` seconds
+ *   provider      the provider answered with an error; `status`
+ *   network       the provider could not be reached
+ */
+
+const RETRY_STATUSES = [408, 425, 429, 500, 502, 503, 504, 529];
+
+const sleep = ms => new Promise(resolve => setTimeout(resolve, ms));
+
+class ModelClient {
+    constructor({ retries = 3, baseDelay = 500, maxDelay = 20000, timeout = 60000, failureThreshold = 5, cooldown = 30000, random = Math.random } = {}) {
+        this.retries = retries;
+        this.baseDelay = baseDelay;
+        this.maxDelay = maxDelay;
+        this.timeout = timeout;
+        this.failureThreshold = failureThreshold;
+        this.cooldown = cooldown;
+        this.random = random;
+        this.circuits = new Map();
+    }
+
+    static isRetryable(error) {
+        return ['timeout', 'rate_limited', 'network'].includes(error.code) || RETRY_STATUSES.includes(error.status);
+    }
+
+    // Runs `operation(signal)` for `provider`, retrying as described above.
+    // `timeout` is per attempt, 0 for none; aborting `signal` stops at once
+    // without a retry or counting against the provider.
+    async call(provider, operation, { retries = this.retries, timeout = this.timeout, signal } = {}) {
+        const circuit = this.circuit(provider.id);
+        this.enter(provider, circuit);
+
+        for (let attempt = 0; ; attempt++) {
+            try {
+                const result = await this.attempt(provider, operation, timeout, signal);
+                this.close(circuit);
+                return result;
+            } catch (error) {
+                if (signal?.aborted) {
+                    circuit.probing = false;
+                    throw error;
+                }
+                if (!ModelClient.isRetryable(error)) {
+                    // It answered, so it is up
+                    this.close(circuit);
+                    throw error;
+                }
+
+                this.fail(circuit);
+                const delay = this.delay(attempt, error.retryAfter);
+                if (attempt >= retries || delay === null || circuit.openUntil > Date.now()) {
+                    throw this.finalError(provider, error);
+                }
+                await sleep(delay);
+            }
+        }
+    }
+
+    // One attempt, with the error it fails with given a code
+    async attempt(provider, operation, timeout, signal) {
+        const controller = new AbortController();
+        const stop = () => controller.abort();
+        if (signal?.aborted) stop();
+        signal?.addEventListener('abort', stop, { once: true });
+
+        let timedOut = false;
+        const timer = timeout > 0 ? setTimeout(() => {
+            timedOut = true;
+            controller.abort();
+        }, timeout) : null;
+
+        try {
+            return await operation(controller.signal);
+        } catch (error) {
+            if (timedOut) {
+                throw Object.assign(new Error(`${provider.name} did not answer within ${timeout / 1000}s`), {
+                    code: 'timeout',
+                    provider: provider.id
+                });
+            }
+            if (signal?.aborted) throw error;
+            if (error.status) {
+                throw Object.assign(error, { code: error.status === 429 ? 'rate_limited' : 'provider', provider: provider.id });
+            }
+            throw Object.assign(new Error(`Could not reach ${provider.name}: ${error.message}`), {
+                code: 'network',
+                provider: provider.id
+            });
+        } finally {
+            clearTimeout(timer);
+            signal?.removeEventListener('abort', stop);
+        }
+    }
+
+    // Milliseconds before the next attempt: Retry-After when the provider
+    // sent one, otherwise base * 2^attempt, between half and all of it. Null
+    // when Retry-After asks for longer than maxDelay.
+    delay(attempt, retryAfter = null) {
+        if (retryAfter !== null && retryAfter !== undefined) {
+            return retryAfter * 1000 <= this.maxDelay ? retryAfter * 1000 : null;
+        }
+        const backoff = Math.min(this.maxDelay, this.baseDelay * 2 ** attempt);
+        return backoff / 2 + this.random() * backoff / 2;
+    }
+
+    // The error to give up with
+    finalError(provider, error) {
+        if (error.code === 'rate_limited') {
+            const wait = error.retryAfter ? `; try again in ${error.retryAfter}s` : '; try again later';
+            return Object.assign(new Error(`${provider.name} is rate limiting requests${wait}`), {
+                code: 'rate_limited',
+                status: 429,
+                retryAfter: error.retryAfter ?? null,
+                provider: provider.id
+            });
+        }
+        return error;
+    }
+
+    circuit(id) {
+        if (!this.circuits.has(id)) {
+            this.circuits.set(id, { failures: 0, openUntil: 0, probing: false });
+        }
+        return this.circuits.get(id);
+    }
+
+    // Throws while the circuit is open. Once the cooldown is over the first
+    // request through is the probe; others wait for its outcome.
+    enter(provider, circuit) {
+        const now = Date.now();
+        if (circuit.openUntil > now || circuit.probing) {
+            const retryAfter = Math.max(1, Math.ceil((circuit.openUntil - now) / 1000));
+            throw Object.assign(new Error(`${provider.name} is failing; requests are paused for ${retryAfter}s`), {
+                code: 'unavailable',
+                retryAfter,
+                provider: provider.id
+            });
+        }
+        if (circuit.openUntil) {
+            circuit.probing = true;
+        }
+    }
+
+    close(circuit) {
+        Object.assign(circuit, { failures: 0, openUntil: 0, probing: false });
+    }
+
+    fail(circuit) {
+        circuit.failures++;
+        if (circuit.probing || circuit.failures >= this.failureThreshold) {
+            Object.assign(circuit, { failures: 0, openUntil: Date.now() + this.cooldown, probing: false });
+        }
+    }
+
+    // { state: 'closed' | 'open' | 'half-open', failures, retryAfter } for a provider
+    status(id) {
+        const { failures, openUntil, probing } = this.circuit(id);
+        const now = Date.now();
+        if (openUntil > now) {
+            return { state: 'open', failures, retryAfter: Math.ceil((openUntil - now) / 1000) };
+        }
+        return { state: openUntil || probing ? 'half-open' : 'closed', failures, retryAfter: null };
+    }
+}
+
+module.exports = ModelClient;
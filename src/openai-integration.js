@@ -1,134 +1,147 @@
 /**
  * OpenAI Integration Module (Backend)
- * Server-side OpenAI API integration for prompt categorization and analysis
+ * Server-side AI integration for prompt categorization and analysis. Calls
+ * go to OpenAI or any other provider LLMProviders has a driver for, through
+ * the shared ModelClient, which retries, times out and circuit-breaks them.
+ * A failed call throws; nothing made up is returned in its place.
  */
 
 const config = require('./config');
+const ModelClient = require('./model-client');
+const CategoryModel = require('../public/category-model');
+const TagRules = require('../public/tag-rules');
+const LLMProviders = require('../public/llm-providers');
 
 class OpenAIIntegration {
-    constructor(apiKey = '') {
-        this.apiKey = apiKey || config.openai.apiKey;
-        this.baseURL = 'https://api.openai.com/v1';
-        this.model = config.openai.model || 'gpt-3.5-turbo';
+    // Takes the stored settings (see LLMProviders) and the keys from the
+    // secret store by provider id or, as before, an OpenAI key
+    constructor(settings = {}, keys = {}) {
         this.maxTokens = config.openai.maxTokens || 2000;
+        this.categories = CategoryModel.DEFAULTS;
+        this.tagSynonyms = {};
+        this.cache = null;
+        this.fresh = false;
+        this.client = OpenAIIntegration.client;
+        if (typeof settings === 'string') {
+            this.configure({}, { openai: settings });
+        } else {
+            this.configure(settings, keys);
+        }
+    }
+
+    // The providers set up through the environment, before the user's own
+    static defaultProviders() {
+        const providers = [{
+            id: 'openai',
+            type: 'openai',
+            apiKey: config.openai.apiKey,
+            baseURL: config.openai.baseURL,
+            model: config.openai.model
+        }];
+        if (config.llm.anthropic.apiKey) {
+            providers.push({ id: 'anthropic', type: 'anthropic', ...config.llm.anthropic });
+        }
+        if (config.llm.ollama.baseURL) {
+            providers.push({ id: 'ollama', type: 'ollama', ...config.llm.ollama });
+        }
+        return providers;
+    }
+
+    configure(settings = {}, keys = this.keys || {}) {
+        this.settings = settings;
+        this.keys = keys;
+        this.providers = LLMProviders.list(settings, OpenAIIntegration.defaultProviders(), keys);
     }
 
     setApiKey(apiKey) {
-        this.apiKey = apiKey;
+        this.configure(this.settings, { ...this.keys, openai: apiKey });
     }
 
-    async categorizePrompt(promptText) {
-        if (!this.apiKey) {
-            return this.fallbackCategorization(promptText);
-        }
+    // { provider, model } for a task; LLM_PROVIDER is the default provider
+    // until the user picks one
+    route(task = 'run') {
+        return LLMProviders.route(this.providers, { provider: config.llm.provider, ...this.settings.llm }, task);
+    }
 
-        const categories = [
-            'Code', 'Cognitive', 'Jailbreak', 'Dev', 'Writing', 
-            'Business', 'General', 'Creative', 'Analysis', 'Research'
-        ];
+    isConfigured(task = 'run') {
+        return LLMProviders.isReady(this.route(task).provider);
+    }
 
-        const systemPrompt = `You are a prompt categorization expert. Analyze the given prompt and categorize it into one of these categories: ${categories.join(', ')}.
+    // The model prompts are run with
+    get model() {
+        return this.route('run').model;
+    }
 
-Guidelines:
-- Code: Programming, debugging, code review, algorithms, technical implementation
-- Cognitive: Problem-solving, critical thinking, decision making, mental frameworks
-- Jailbreak: Prompts designed to bypass AI limitations or safety measures
-- Dev: Development tools, workflows, project management, technical processes
-- Writing: Content creation, editing, storytelling, documentation
-- Business: Marketing, strategy, operations, finance, management
-- General: Everyday questions, basic information, casual conversation
-- Creative: Art, design, creative writing, brainstorming, imagination
-- Analysis: Data analysis, research, investigation, evaluation
-- Research: Academic research, fact-finding, literature reviews, surveys
+    // The user's categories, as CategoryModel.list() returns them
+    setCategories(categories) {
+        this.categories = categories.length > 0 ? categories : CategoryModel.DEFAULTS;
+    }
 
-Respond with only the category name, nothing else.`;
+    // Generated tags go through the same synonym rules as saved ones
+    setTagSynonyms(synonyms) {
+        this.tagSynonyms = synonyms || {};
+    }
 
-        try {
-            // Use node-fetch or axios for server-side requests
-            const fetch = (await import('node-fetch')).default;
-            
-            const response = await fetch(`${this.baseURL}/chat/completions`, {
-                method: 'POST',
-                headers: {
-                    'Authorization': `Bearer ${this.apiKey}`,
-                    'Content-Type': 'application/json'
-                },
-                body: JSON.stringify({
-                    model: this.model,
-                    messages: [
-                        { role: 'system', content: systemPrompt },
-                        { role: 'user', content: promptText }
-                    ],
-                    max_tokens: 50,
-                    temperature: 0.3
-                })
-            });
-
-            if (!response.ok) {
-                throw new Error(`OpenAI API error: ${response.status} ${response.statusText}`);
-            }
+    // Replies are looked up in `cache` (see src/ai-cache.js) before a
+    // request is sent; `fresh` asks the model again and replaces them
+    setCache(cache, { fresh = false } = {}) {
+        this.cache = cache;
+        this.fresh = fresh;
+    }
 
-            const data = await response.json();
-            const category = data.choices[0]?.message?.content?.trim() || 'General';
-            
-            // Validate category
-            if (categories.includes(category)) {
-                return category;
-            }
-            
-            return this.fallbackCategorization(promptText);
-        } catch (error) {
-            console.error('OpenAI categorization error:', error.message);
-            return this.fallbackCategorization(promptText);
+    // Sends one prompt through the task's provider and returns the reply.
+    // Runs are never cached: running a prompt again is meant to get a new
+    // sample.
+    async complete(task, options) {
+        const { provider, model } = this.route(task);
+        if (!LLMProviders.isReady(provider)) {
+            throw new Error('No AI provider configured');
+        }
+
+        const send = async () => {
+            const fetch = (await import('node-fetch')).default;
+            const { text } = await this.client.call(provider, signal => LLMProviders.complete(provider, { model, ...options, signal }, fetch));
+            return text;
+        };
+        if (!this.cache || task === 'run') {
+            return send();
         }
+        return this.cache.wrap({ task, provider: provider.id, model, ...options }, send, { fresh: this.fresh });
     }
 
-    async generateTags(promptText) {
-        if (!this.apiKey) {
-            return this.fallbackTagGeneration(promptText);
+    // A reply that is not one of the categories is matched by keyword
+    // instead
+    async categorizePrompt(promptText) {
+        const categories = this.categories.map(category => category.name);
+        const systemPrompt = CategoryModel.systemPrompt(this.categories);
+
+        const category = await this.complete('categorize', {
+            system: systemPrompt,
+            prompt: promptText,
+            maxTokens: 50,
+            temperature: 0.3
+        });
+
+        if (categories.includes(category)) {
+            return category;
         }
+        return this.fallbackCategorization(promptText);
+    }
 
+    async generateTags(promptText, maxTags = 5) {
         const systemPrompt = `Analyze the following prompt and generate 3-5 relevant tags. Tags should be single words or short phrases (max 2 words).
 Return only the tags as a comma-separated list, nothing else.
 
 Example: "optimization, algorithms, performance, coding"`;
 
-        try {
-            const fetch = (await import('node-fetch')).default;
-            
-            const response = await fetch(`${this.baseURL}/chat/completions`, {
-                method: 'POST',
-                headers: {
-                    'Authorization': `Bearer ${this.apiKey}`,
-                    'Content-Type': 'application/json'
-                },
-                body: JSON.stringify({
-                    model: this.model,
-                    messages: [
-                        { role: 'system', content: systemPrompt },
-                        { role: 'user', content: promptText }
-                    ],
-                    max_tokens: 100,
-                    temperature: 0.5
-                })
-            });
-
-            if (!response.ok) {
-                throw new Error(`OpenAI API error: ${response.status} ${response.statusText}`);
-            }
-
-            const data = await response.json();
-            const tagsText = data.choices[0]?.message?.content?.trim() || '';
-            
-            return tagsText
-                .split(',')
-                .map(tag => tag.trim())
-                .filter(tag => tag.length > 0)
-                .slice(0, 5);
-        } catch (error) {
-            console.error('OpenAI tag generation error:', error.message);
-            return this.fallbackTagGeneration(promptText);
-        }
+        const tagsText = await this.complete('categorize', {
+            system: systemPrompt,
+            prompt: promptText,
+            maxTokens: 100,
+            temperature: 0.5
+        });
+        
+        return TagRules.normalize(tagsText.split(','), this.tagSynonyms).slice(0, maxTags);
     }
 
     fallbackCategorization(promptText) {
@@ -147,55 +160,141 @@ Example: "optimization, algorithms, performance, coding"`;
             { keywords: ['jailbreak', 'bypass', 'override', 'ignore'], category: 'Jailbreak' }
         ];
 
+        const names = this.categories.map(category => category.name);
         for (const rule of rules) {
-            if (rule.keywords.some(keyword => text.includes(keyword))) {
+            if (names.includes(rule.category) && rule.keywords.some(keyword => text.includes(keyword))) {
                 return rule.category;
             }
         }
 
-        return 'General';
+        return CategoryModel.FALLBACK;
     }
 
-    fallbackTagGeneration(promptText) {
-        const text = promptText.toLowerCase();
-        const commonTags = [
-            'productivity', 'automation', 'ai', 'efficiency', 'learning',
-            'development', 'analysis', 'writing', 'creative', 'technical'
-        ];
+    async enhancePrompt(promptText) {
+        const systemPrompt = `You are a prompt enhancement expert. Improve the given prompt by making it:
+- More specific and clear
+- Better structured
+- More likely to produce high-quality results
+- Include relevant context when needed
 
-        // Simple tag extraction based on keywords
-        const extractedTags = commonTags.filter(tag => text.includes(tag));
-        
-        return extractedTags.length > 0 
-            ? extractedTags.slice(0, 5) 
-            : ['general', 'prompt'];
+Return only the enhanced prompt, nothing else.`;
+
+        return this.complete('enhance', { system: systemPrompt, prompt: promptText, maxTokens: 500, temperature: 0.2 });
+    }
+
+    async generatePrompt(topic, style = 'professional', length = 'medium') {
+        const systemPrompt = `Generate a high-quality prompt for the given topic, style, and length requirements.
+
+Style guidelines:
+- professional: Clear, formal, structured
+- creative: Imaginative, inspiring, open-ended
+- analytical: Data-driven, logical, methodical
+- conversational: Friendly, casual, engaging
+
+Length guidelines:
+- short: 1-2 sentences, concise
+- medium: 2-4 sentences, detailed
+- long: 4+ sentences, comprehensive
+
+Return only the generated prompt.`;
+
+        return this.complete('generate', {
+            system: systemPrompt,
+            prompt: `Topic: ${topic}, Style: ${style}, Length: ${length}`,
+            maxTokens: 300,
+            temperature: 0.7
+        });
+    }
+
+    async generateCollectionSummary(stats) {
+        const systemPrompt = `Analyze the prompt collection statistics and provide an insightful summary. Focus on:
+- Overall collection health and diversity
+- Trends and patterns
+- Recommendations for improvement
+- Notable strengths
+
+Keep it concise but informative (2-3 sentences).`;
+
+        return this.complete('generate', { system: systemPrompt, prompt: JSON.stringify(stats), maxTokens: 150, temperature: 0.3 });
+    }
+
+    async generateInsights(prompt) {
+        return this.complete('generate', {
+            system: 'You are a data analyst providing insights about prompt usage patterns. Provide clear, actionable insights in 2-3 sentences.',
+            prompt,
+            maxTokens: 200,
+            temperature: 0.4
+        });
+    }
+
+    async analyzeEffectiveness(promptData) {
+        const systemPrompt = `Analyze the provided prompt effectiveness data (high-rated vs low-rated prompts) and provide insights about what makes prompts effective. Focus on:
+- Common patterns in high-rated prompts
+- Issues with low-rated prompts
+- Actionable recommendations
+
+Keep it practical and concise (2-3 sentences).`;
+
+        return this.complete('generate', { system: systemPrompt, prompt: JSON.stringify(promptData), maxTokens: 200, temperature: 0.3 });
+    }
+
+    // Sends a prompt as-is and returns the reply, for evaluations. A failed
+    // call fails the test that made it.
+    async runPrompt(promptText, { system = '', temperature = 0.7, maxTokens = this.maxTokens } = {}) {
+        return this.complete('run', { system, prompt: promptText, maxTokens, temperature });
+    }
+
+    // Like runPrompt, but streams the reply: `onToken(text)` gets each piece
+    // as it arrives. Resolves with { text, usage, latencyMs, model }; usage
+    // is null when the API does not report it. Aborting `signal` stops early
+    // and keeps what arrived. Streams are not retried, since part of the
+    // reply may already have been shown, and have no timeout: they show
+    // their progress and can be stopped.
+    async streamPrompt(promptText, { system = '', temperature = 0.7, maxTokens = this.maxTokens, onToken = () => {}, signal } = {}) {
+        const { provider, model } = this.route('run');
+        if (!LLMProviders.isReady(provider)) {
+            throw new Error('No AI provider configured');
+        }
+
+        const fetch = (await import('node-fetch')).default;
+        const started = Date.now();
+        const { text, usage } = await this.client.call(provider, signal => LLMProviders.stream(provider, {
+            model,
+            system,
+            prompt: promptText,
+            maxTokens,
+            temperature,
+            onToken,
+            signal
+        }, fetch), { retries: 0, timeout: 0, signal });
+
+        return { text, usage, latencyMs: Date.now() - started, model };
     }
 
-    async testConnection() {
-        if (!this.apiKey) {
-            return { success: false, message: 'No API key configured' };
+    // Checks a provider, the one prompts are run with by default
+    async testConnection(providerId = this.route('run').provider?.id) {
+        const provider = this.providers.find(other => other.id === providerId);
+        if (!LLMProviders.isReady(provider)) {
+            return { success: false, message: provider ? `${provider.name} is missing its key or URL` : 'No AI provider configured' };
         }
 
         try {
             const fetch = (await import('node-fetch')).default;
-            
-            const response = await fetch(`${this.baseURL}/models`, {
-                method: 'GET',
-                headers: {
-                    'Authorization': `Bearer ${this.apiKey}`,
-                    'Content-Type': 'application/json'
-                }
-            });
-
-            if (response.ok) {
-                return { success: true, message: 'OpenAI API connection successful' };
-            } else {
-                return { success: false, message: `API error: ${response.status}` };
-            }
+            const models = await this.client.call(provider, signal => LLMProviders.listModels(provider, fetch, { signal }), { retries: 0 });
+            return { success: true, message: `${provider.name} connection successful`, models };
         } catch (error) {
             return { success: false, message: error.message };
         }
     }
 }
 
+// Shared by every instance, so a provider's circuit breaker sees all its
+// requests
+OpenAIIntegration.client = new ModelClient({
+    retries: config.llm.requests.retries,
+    timeout: config.llm.requests.timeoutSeconds * 1000,
+    failureThreshold: config.llm.requests.failureThreshold,
+    cooldown: config.llm.requests.cooldownSeconds * 1000
+});
+
 module.exports = OpenAIIntegration;
@@ -0,0 +1,204 @@
+/**
+ * Secret Store
+ * Provider keys, encrypted at rest in their own file (data/secrets.json)
+ * instead of the prompt document, so exports, backups and copies of
+ * prompts.json never carry them. Each credential is named after the
+ * provider it belongs to and sealed with AES-256-GCM under a key derived
+ * (scrypt) from SECRETS_PASSPHRASE or, without one, from a random key
+ * generated once into data/secrets.key.
+ *
+ *   {
+ *     "version": 1,
+ *     "salt": "…",
+ *     "check": { "iv": "…", "tag": "…", "data": "…" },
+ *     "credentials": {
+ *       "openai": { "value": { "iv": "…", "tag": "…", "data": "…" }, "masked": "sk-…f3Qa", "createdAt": "…", "updatedAt": "…" }
+ *     }
+ *   }
+ *
+ * `check` seals a known value, so a changed passphrase is reported as such
+ * instead of as a corrupt credential. Only masked values leave the server.
+ */
+
+const crypto = require('crypto');
+const fs = require('fs').promises;
+const path = require('path');
+const { promisify } = require('util');
+const logger = require('./utils/logger');
+const { readJSON, writeJSON } = require('./utils/json-file');
+
+const scrypt = promisify(crypto.scrypt);
+
+const NAME_PATTERN = /^[a-z0-9][a-z0-9_-]{0,39}$/;
+const CHECK_VALUE = 'nlp-prompt-database';
+
+class SecretStore {
+    constructor(filePath, { passphrase = '', keyFilePath = null } = {}) {
+        this.filePath = filePath;
+        this.passphrase = passphrase;
+        this.keyFilePath = keyFilePath || path.join(path.dirname(filePath), 'secrets.key');
+        this.file = null;
+        this.loading = null;
+        this.key = null;
+        this.queue = Promise.resolve();
+    }
+
+    // Enough of a key to tell which one it is: "sk-…f3Qa"
+    static mask(value) {
+        if (!value) return '';
+        return value.length > 12 ? `${value.slice(0, 3)}…${value.slice(-4)}` : '••••';
+    }
+
+    static checkName(name) {
+        return typeof name === 'string' && NAME_PATTERN.test(name);
+    }
+
+    // [{ name, masked, createdAt, updatedAt }], sorted by name
+    async list() {
+        const { credentials } = await this.load();
+        return Object.keys(credentials).sort().map(name => this.describe(name, credentials[name]));
+    }
+
+    async get(name) {
+        const { credentials } = await this.load();
+        return credentials[name] ? this.open(credentials[name].value) : null;
+    }
+
+    // Every credential in plain text, by name, for the server's own calls
+    async getAll() {
+        const { credentials } = await this.load();
+        const values = {};
+        for (const name of Object.keys(credentials)) {
+            values[name] = this.open(credentials[name].value);
+        }
+        return values;
+    }
+
+    // Adds or rotates a credential. Resolves with its description.
+    set(name, value) {
+        if (!SecretStore.checkName(name)) {
+            return Promise.reject(new Error('Secret names use lowercase letters, digits, - and _'));
+        }
+        if (typeof value !== 'string' || value.trim() === '') {
+            return Promise.reject(new Error('Secret value must be a non-empty string'));
+        }
+
+        return this.enqueue(async () => {
+            const file = await this.load();
+            const now = new Date().toISOString();
+            const credential = {
+                value: this.seal(value.trim()),
+                masked: SecretStore.mask(value.trim()),
+                createdAt: file.credentials[name]?.createdAt || now,
+                updatedAt: now
+            };
+            await this.write({ ...file, credentials: { ...file.credentials, [name]: credential } });
+            return this.describe(name, credential);
+        });
+    }
+
+    // Revokes a credential. Resolves with whether there was one.
+    delete(name) {
+        return this.enqueue(async () => {
+            const file = await this.load();
+            if (!file.credentials[name]) return false;
+
+            const { [name]: removed, ...credentials } = file.credentials;
+            await this.write({ ...file, credentials });
+            return true;
+        });
+    }
+
+    describe(name, { masked, createdAt, updatedAt }) {
+        return { name, masked, createdAt, updatedAt };
+    }
+
+    // Writes run one at a time, in order
+    enqueue(task) {
+        const run = this.queue.then(task);
+        this.queue = run.catch(() => {});
+        return run;
+    }
+
+    // The file is only changed through this store, so it is read once
+    async load() {
+        if (this.file) return this.file;
+        if (!this.loading) {
+            this.loading = this.readFile().finally(() => {
+                this.loading = null;
+            });
+        }
+        return this.loading;
+    }
+
+    async readFile() {
+        let file;
+        try {
+            file = await readJSON(this.filePath);
+        } catch (error) {
+            throw new Error(`Cannot read ${this.filePath}: ${error.message}`);
+        }
+
+        if (!file) {
+            const salt = crypto.randomBytes(16).toString('base64');
+            this.key = await this.deriveKey(salt);
+            this.file = { version: 1, salt, check: this.seal(CHECK_VALUE), credentials: {} };
+            return this.file;
+        }
+
+        this.key = await this.deriveKey(file.salt);
+        try {
+            this.open(file.check);
+        } catch (error) {
+            this.key = null;
+            throw new Error(`Cannot decrypt ${this.filePath}: it was sealed with a different SECRETS_PASSPHRASE or key file`);
+        }
+        this.file = { ...file, credentials: file.credentials || {} };
+        return this.file;
+    }
+
+    async deriveKey(salt) {
+        const secret = this.passphrase || await this.readKeyFile();
+        return scrypt(secret, Buffer.from(salt, 'base64'), 32);
+    }
+
+    // The generated key, created on first use
+    async readKeyFile() {
+        try {
+            return (await fs.readFile(this.keyFilePath, 'utf8')).trim();
+        } catch (error) {
+            if (error.code !== 'ENOENT') throw error;
+        }
+
+        const key = crypto.randomBytes(32).toString('hex');
+        await fs.mkdir(path.dirname(this.keyFilePath), { recursive: true });
+        await fs.writeFile(this.keyFilePath, key, { mode: 0o600, flag: 'wx' });
+        logger.warn('No SECRETS_PASSPHRASE set; generated a key for the secret store', { keyFile: this.keyFilePath });
+        return key;
+    }
+
+    seal(value) {
+        const iv = crypto.randomBytes(12);
+        const cipher = crypto.createCipheriv('aes-256-gcm', this.key, iv);
+        const data = Buffer.concat([cipher.update(value, 'utf8'), cipher.final()]);
+        return {
+            iv: iv.toString('base64'),
+            tag: cipher.getAuthTag().toString('base64'),
+            data: data.toString('base64')
+        };
+    }
+
+    open({ iv, tag, data }) {
+        const decipher = crypto.createDecipheriv('aes-256-gcm', this.key, Buffer.from(iv, 'base64'));
+        decipher.setAuthTag(Buffer.from(tag, 'base64'));
+        return Buffer.concat([decipher.update(Buffer.from(data, 'base64')), decipher.final()]).toString('utf8');
+    }
+
+    // Readable by the owner only
+    async write(file) {
+        await writeJSON(this.filePath, file, { mode: 0o600, space: 2 });
+        this.file = file;
+    }
+}
+
+module.exports = SecretStore;
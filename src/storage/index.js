@@ -0,0 +1,30 @@
+/**
+ * Storage factory
+ * Picks the storage driver configured in config.database.driver.
+ */
+
+const path = require('path');
+const JsonFileStore = require('./json-file-store');
+
+const DRIVERS = ['json', 'sqlite'];
+
+function createStorage(databaseConfig, options = {}) {
+    const baseDir = options.baseDir || process.cwd();
+    const driver = databaseConfig.driver || 'json';
+
+    switch (driver) {
+        case 'json':
+            return new JsonFileStore(path.resolve(baseDir, databaseConfig.dataFilePath), options);
+        case 'sqlite': {
+            const SqliteStore = require('./sqlite-store');
+            return new SqliteStore(path.resolve(baseDir, databaseConfig.sqliteFilePath), options);
+        }
+        default:
+            throw new Error(`Unknown storage driver "${driver}". Expected one of: ${DRIVERS.join(', ')}`);
+    }
+}
+
+module.exports = {
+    createStorage,
+    DRIVERS
+};
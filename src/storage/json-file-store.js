@@ -0,0 +1,157 @@
+/**
+ * JSON File Store
+ * Storage driver for data/prompts.json. Writes go through temp-file + fsync +
+ * rename so the data file is never half-written, and the previous version is
+ * kept as prompts.json.bak. The parsed document is cached in memory and only
+ * re-read when the file changes on disk.
+ */
+
+const fs = require('fs').promises;
+const path = require('path');
+const logger = require('../utils/logger');
+const StorageAdapter = require('./storage-adapter');
+
+class JsonFileStore extends StorageAdapter {
+    constructor(filePath, options = {}) {
+        super(options);
+        this.driver = 'json';
+        this.filePath = filePath;
+        this.location = filePath;
+        this.backupPath = `${filePath}.bak`;
+        this.tempPath = `${filePath}.${process.pid}.tmp`;
+        this.cache = null;
+    }
+
+    // Read the current document. Falls back to the last good copy if the
+    // main file cannot be parsed, and to default data if it does not exist.
+    // The returned object is shared with other readers; do not mutate it.
+    async read() {
+        const stamp = await this.getFileStamp();
+        if (this.cache && stamp && this.cache.stamp === stamp) {
+            return this.cache.data;
+        }
+
+        try {
+            const data = await this.readFile(this.filePath);
+            this.cache = { stamp, data };
+            return data;
+        } catch (error) {
+            if (error.code === 'ENOENT') {
+                return this.startWithDefaults();
+            }
+            // Anything but a corrupt file (permissions, I/O) is passed on:
+            // serving the older copy would have the next save overwrite the
+            // newer data with it
+            if (!(error instanceof SyntaxError)) {
+                throw error;
+            }
+            logger.error('Data file unreadable, trying last good copy', {
+                file: this.filePath,
+                error: error.message
+            });
+            return this.recoverFromBackup(error);
+        }
+    }
+
+    async readForUpdate() {
+        return JSON.parse(JSON.stringify(await this.read()));
+    }
+
+    async getFileStamp() {
+        try {
+            const stats = await fs.stat(this.filePath);
+            return `${stats.mtimeMs}:${stats.size}`;
+        } catch (error) {
+            return null;
+        }
+    }
+
+    async readFile(filePath) {
+        const content = await fs.readFile(filePath, 'utf8');
+        return JSON.parse(content);
+    }
+
+    async recoverFromBackup(originalError) {
+        let data;
+        try {
+            data = await this.readFile(this.backupPath);
+        } catch (backupError) {
+            throw originalError;
+        }
+        logger.warn('Recovered data from the last good copy; it is written back on the next save', {
+            file: this.backupPath
+        });
+        return data;
+    }
+
+    // A missing data file is a fresh start, even when a last good copy is
+    // left over. The copy is not loaded, but it is pointed out: the next
+    // save but one replaces it.
+    async startWithDefaults() {
+        try {
+            await fs.access(this.backupPath);
+            logger.error('Data file not found; starting with default data. A last good copy exists and can be restored by hand', {
+                file: this.filePath,
+                backup: this.backupPath
+            });
+        } catch (error) {
+            // Nothing left over
+        }
+        return this.createDefaultData();
+    }
+
+    async write(data) {
+        const json = JSON.stringify(data, null, 2);
+        await fs.mkdir(path.dirname(this.filePath), { recursive: true });
+
+        const handle = await fs.open(this.tempPath, 'w');
+        try {
+            await handle.writeFile(json);
+            await handle.sync();
+        } finally {
+            await handle.close();
+        }
+
+        await this.preserveLastGoodCopy();
+        await fs.rename(this.tempPath, this.filePath);
+        await this.syncDirectory();
+
+        this.cache = { stamp: await this.getFileStamp(), data: JSON.parse(json) };
+    }
+
+    async preserveLastGoodCopy() {
+        try {
+            await this.readFile(this.filePath);
+            await fs.copyFile(this.filePath, this.backupPath);
+        } catch (error) {
+            if (error.code !== 'ENOENT' && !(error instanceof SyntaxError)) {
+                throw error;
+            }
+        }
+    }
+
+    // Replace the last good copy with the current file, for when what was
+    // just written out must not survive in the copy either
+    async refreshBackup() {
+        try {
+            await fs.copyFile(this.filePath, this.backupPath);
+        } catch (error) {
+            if (error.code !== 'ENOENT') throw error;
+        }
+    }
+
+    // Persist the rename itself. Not supported on every platform.
+    async syncDirectory() {
+        let handle;
+        try {
+            handle = await fs.open(path.dirname(this.filePath), 'r');
+            await handle.sync();
+        } catch (error) {
+            logger.debug('Directory fsync skipped', { error: error.message });
+        } finally {
+            await handle?.close();
+        }
+    }
+}
+
+module.exports = JsonFileStore;
@@ -0,0 +1,201 @@
+/**
+ * SQLite Store
+ * Embedded SQLite storage driver. Each prompt is one row (with the fields the
+ * server filters on pulled out into indexed columns); every other top-level
+ * key of the document (categories, folders, settings, metadata, ...) is a row
+ * in the documents table. Writes only touch rows that actually changed.
+ * The assembled document is cached in memory and only rebuilt when another
+ * connection has written to the database since (PRAGMA data_version).
+ */
+
+const fs = require('fs');
+const path = require('path');
+const logger = require('../utils/logger');
+const StorageAdapter = require('./storage-adapter');
+
+const SCHEMA = `
+    CREATE TABLE IF NOT EXISTS prompts (
+        id TEXT PRIMARY KEY,
+        position INTEGER NOT NULL,
+        category TEXT,
+        folder TEXT,
+        rating REAL,
+        created_at TEXT,
+        updated_at TEXT,
+        data TEXT NOT NULL
+    );
+    CREATE INDEX IF NOT EXISTS idx_prompts_position ON prompts (position);
+    CREATE INDEX IF NOT EXISTS idx_prompts_category ON prompts (category);
+    CREATE INDEX IF NOT EXISTS idx_prompts_folder ON prompts (folder);
+
+    CREATE TABLE IF NOT EXISTS documents (
+        key TEXT PRIMARY KEY,
+        value TEXT NOT NULL
+    );
+`;
+
+function loadDriver() {
+    try {
+        return require('better-sqlite3');
+    } catch (error) {
+        throw new Error('The sqlite storage driver requires the "better-sqlite3" package. Run "npm install better-sqlite3" or set DATABASE_DRIVER=json.');
+    }
+}
+
+class SqliteStore extends StorageAdapter {
+    constructor(filePath, options = {}) {
+        super(options);
+        this.driver = 'sqlite';
+        this.filePath = filePath;
+        this.location = filePath;
+
+        const Database = loadDriver();
+        fs.mkdirSync(path.dirname(filePath), { recursive: true });
+        this.db = new Database(filePath);
+        this.db.pragma('journal_mode = WAL');
+        this.db.pragma('synchronous = FULL');
+        this.db.exec(SCHEMA);
+
+        this.statements = {
+            listPrompts: this.db.prepare('SELECT data FROM prompts ORDER BY position'),
+            getPrompt: this.db.prepare('SELECT data FROM prompts WHERE id = ?'),
+            promptRows: this.db.prepare('SELECT id, position, data FROM prompts'),
+            upsertPrompt: this.db.prepare(`
+                INSERT INTO prompts (id, position, category, folder, rating, created_at, updated_at, data)
+                VALUES (@id, @position, @category, @folder, @rating, @createdAt, @updatedAt, @data)
+                ON CONFLICT(id) DO UPDATE SET
+                    position = excluded.position,
+                    category = excluded.category,
+                    folder = excluded.folder,
+                    rating = excluded.rating,
+                    created_at = excluded.created_at,
+                    updated_at = excluded.updated_at,
+                    data = excluded.data
+            `),
+            setPosition: this.db.prepare('UPDATE prompts SET position = ? WHERE id = ?'),
+            deletePrompt: this.db.prepare('DELETE FROM prompts WHERE id = ?'),
+            listDocuments: this.db.prepare('SELECT key, value FROM documents'),
+            upsertDocument: this.db.prepare(`
+                INSERT INTO documents (key, value) VALUES (?, ?)
+                ON CONFLICT(key) DO UPDATE SET value = excluded.value
+            `),
+            deleteDocument: this.db.prepare('DELETE FROM documents WHERE key = ?')
+        };
+        this.cache = null;
+    }
+
+    // Bumped by commits from other connections, not by this one's
+    dataVersion() {
+        return this.db.pragma('data_version', { simple: true });
+    }
+
+    // The cached document, or null when it is missing or out of date
+    cached() {
+        return this.cache && this.cache.version === this.dataVersion() ? this.cache.data : null;
+    }
+
+    // The returned object is shared with other readers; do not mutate it.
+    async read() {
+        const cached = this.cached();
+        if (cached) return cached;
+
+        const version = this.dataVersion();
+        const documents = this.statements.listDocuments.all();
+        if (documents.length === 0) {
+            return this.createDefaultData();
+        }
+
+        const data = { prompts: this.statements.listPrompts.all().map(row => JSON.parse(row.data)) };
+        documents.forEach(({ key, value }) => {
+            data[key] = JSON.parse(value);
+        });
+        this.cache = { version, data };
+        return data;
+    }
+
+    async readForUpdate() {
+        return JSON.parse(JSON.stringify(await this.read()));
+    }
+
+    async listPrompts() {
+        const cached = this.cached();
+        if (cached) return cached.prompts;
+        return this.statements.listPrompts.all().map(row => JSON.parse(row.data));
+    }
+
+    async getPrompt(id) {
+        const cached = this.cached();
+        if (cached) return cached.prompts.find(p => p.id === id) || null;
+        const row = this.statements.getPrompt.get(id);
+        return row ? JSON.parse(row.data) : null;
+    }
+
+    async write(data) {
+        const { prompts = [], ...documents } = data;
+        this.db.transaction(() => {
+            this.writePrompts(prompts);
+            this.writeDocuments(documents);
+        })();
+        this.cache = { version: this.dataVersion(), data: JSON.parse(JSON.stringify(data)) };
+    }
+
+    writePrompts(prompts) {
+        const existing = new Map(this.statements.promptRows.all().map(row => [row.id, row]));
+        const seen = new Set();
+
+        prompts.forEach((prompt, position) => {
+            if (seen.has(prompt.id)) {
+                logger.warn('Duplicate prompt id in document, keeping the first', { id: prompt.id });
+                return;
+            }
+            seen.add(prompt.id);
+
+            const json = JSON.stringify(prompt);
+            const row = existing.get(prompt.id);
+            existing.delete(prompt.id);
+
+            if (!row || row.data !== json) {
+                this.statements.upsertPrompt.run({
+                    id: prompt.id,
+                    position,
+                    category: prompt.category ?? null,
+                    folder: prompt.folder ?? null,
+                    rating: typeof prompt.rating === 'number' ? prompt.rating : null,
+                    createdAt: prompt.createdAt ?? null,
+                    updatedAt: prompt.updatedAt ?? null,
+                    data: json
+                });
+            } else if (row.position !== position) {
+                this.statements.setPosition.run(position, prompt.id);
+            }
+        });
+
+        existing.forEach((row, id) => this.statements.deletePrompt.run(id));
+    }
+
+    writeDocuments(documents) {
+        const existing = new Map(this.statements.listDocuments.all().map(row => [row.key, row.value]));
+
+        Object.entries(documents).forEach(([key, value]) => {
+            if (value === undefined) return;
+            const json = JSON.stringify(value);
+            if (existing.get(key) !== json) {
+                this.statements.upsertDocument.run(key, json);
+            }
+            existing.delete(key);
+        });
+
+        existing.forEach((value, key) => this.statements.deleteDocument.run(key));
+    }
+
+    async isEmpty() {
+        return this.statements.listDocuments.all().length === 0;
+    }
+
+    async close() {
+        await super.close();
+        this.db.close();
+    }
+}
+
+module.exports = SqliteStore;
@@ -0,0 +1,128 @@
+/**
+ * Storage Adapter
+ * Base class for the storage drivers behind the API routes. It owns the
+ * mutation queue, the debounced autosave and the full-text search index;
+ * drivers implement how the document is read and written.
+ *
+ * Driver contract:
+ *   read()            -> full document ({ prompts, categories, ... }), read-only
+ *   readForUpdate()   -> a copy of the document the mutator may change freely
+ *   write(data)       -> persist the full document
+ *   listPrompts()     -> prompts only, in document order
+ *   getPrompt(id)     -> a single prompt or null
+ *   refreshBackup()   -> overwrite any last good copy with the current document
+ *   close()           -> release file handles
+ */
+
+const logger = require('../utils/logger');
+const SearchIndex = require('../../public/search-index');
+
+class StorageAdapter {
+    constructor(options = {}) {
+        this.createDefaultData = options.createDefaultData || (() => ({}));
+        this.queue = Promise.resolve();
+        this.pendingWrite = null;
+        this.searchIndex = null;
+
+        // Every write, whichever path it takes, updates the search index
+        const write = this.write;
+        this.write = async (data) => {
+            const result = await write.call(this, data);
+            if (this.searchIndex) this.searchIndex.sync(data.prompts || []);
+            return result;
+        };
+    }
+
+    // Built from the stored prompts on first use, then kept current by write()
+    async getSearchIndex() {
+        if (!this.searchIndex) {
+            this.searchIndex = new SearchIndex(await this.listPrompts());
+        }
+        return this.searchIndex;
+    }
+
+    async listPrompts() {
+        const data = await this.read();
+        return data.prompts || [];
+    }
+
+    async getPrompt(id) {
+        const prompts = await this.listPrompts();
+        return prompts.find(p => p.id === id) || null;
+    }
+
+    async readForUpdate() {
+        return this.read();
+    }
+
+    // Drivers that keep no copy of the previous document have nothing to do
+    async refreshBackup() {}
+
+    // Apply a mutation to the document and persist it. Mutations run one at
+    // a time in arrival order; the mutator's return value is passed through.
+    // A mutator that throws leaves the stored data untouched.
+    update(mutator) {
+        return this.transact(async () => {
+            const data = await this.readForUpdate();
+            const result = await mutator(data);
+            await this.write(data);
+            return result;
+        });
+    }
+
+    // Replace the whole document.
+    replace(data) {
+        return this.transact(() => this.write(data));
+    }
+
+    // The newest document, including an autosave that has not been written yet.
+    async latest() {
+        return this.pendingWrite ? this.pendingWrite.data : this.read();
+    }
+
+    transact(task) {
+        this.flushPendingWrite();
+        return this.enqueue(task);
+    }
+
+    // Debounced replace used by autosave. The latest payload wins; it is
+    // queued when the timer fires or as soon as any other mutation arrives,
+    // whichever comes first, so it can never land after a newer change.
+    scheduleReplace(data, delay) {
+        if (this.pendingWrite) {
+            clearTimeout(this.pendingWrite.timer);
+        }
+        const pending = { data };
+        pending.timer = setTimeout(() => this.flushPendingWrite(), delay);
+        this.pendingWrite = pending;
+    }
+
+    flushPendingWrite() {
+        const pending = this.pendingWrite;
+        if (!pending) return null;
+
+        clearTimeout(pending.timer);
+        this.pendingWrite = null;
+        return this.enqueue(() => this.write(pending.data))
+            .then(() => logger.debug('Auto-saved data', { location: this.location }))
+            .catch(error => logger.error('Auto-save failed', { error: error.message }));
+    }
+
+    // Resolves once every mutation queued so far has been written.
+    async flush() {
+        this.flushPendingWrite();
+        await this.queue;
+    }
+
+    enqueue(task) {
+        const run = this.queue.then(task);
+        this.queue = run.catch(() => {});
+        return run;
+    }
+
+    async close() {
+        await this.flush();
+    }
+}
+
+module.exports = StorageAdapter;
@@ -0,0 +1,66 @@
+/**
+ * Concurrency
+ * Optimistic concurrency for the API. The document carries metadata.rev and
+ * every prompt a rev; each goes up by one whenever it changes and is exposed
+ * as an ETag. Mutating routes honour If-Match and answer 409 with the current
+ * version when the client's copy is stale.
+ */
+
+const documentETag = (data) => `"doc-${data.metadata?.rev || 0}"`;
+
+const promptETag = (prompt) => `"prompt-${prompt.rev || 0}"`;
+
+// Tags listed in If-Match, or null when the header is absent
+function parseIfMatch(req) {
+    const header = req.get('If-Match');
+    if (!header) return null;
+    return header.split(',').map(tag => tag.trim().replace(/^W\//, ''));
+}
+
+// Throws a 409 carrying the current version unless If-Match is absent or matches
+function checkIfMatch(req, etag, current) {
+    const tags = parseIfMatch(req);
+    if (!tags || tags.includes('*') || tags.includes(etag)) return;
+
+    throw Object.assign(new Error('Conflict: this was changed by someone else'), {
+        status: 409,
+        details: { etag, current }
+    });
+}
+
+const contentOf = ({ rev, ...prompt }) => JSON.stringify(prompt);
+
+// Prompt contents by id, taken before a change so stamp() can tell what changed
+function fingerprint(data) {
+    return {
+        rev: data.metadata?.rev || 0,
+        prompts: new Map((data.prompts || []).map(p => [p.id, { rev: p.rev || 0, content: contentOf(p) }]))
+    };
+}
+
+// Give the document a new revision, and every prompt that changed since the
+// fingerprint was taken. Revisions sent by the client are never trusted.
+function stamp(data, before) {
+    (data.prompts || []).forEach(prompt => {
+        const previous = before.prompts.get(prompt.id);
+        if (!previous) {
+            prompt.rev = (prompt.rev || 0) + 1;
+        } else if (previous.content !== contentOf(prompt)) {
+            prompt.rev = previous.rev + 1;
+        } else {
+            prompt.rev = previous.rev;
+        }
+    });
+
+    data.metadata = { ...data.metadata, rev: before.rev + 1 };
+    return data;
+}
+
+module.exports = {
+    documentETag,
+    promptETag,
+    parseIfMatch,
+    checkIfMatch,
+    fingerprint,
+    stamp
+};
@@ -0,0 +1,38 @@
+/**
+ * JSON File
+ * Reads and writes the small files the server keeps next to the data file
+ * (secrets, the AI cache, jobs). Writes go through temp-file + fsync +
+ * rename, like JsonFileStore's, so a crash never leaves one half-written.
+ */
+
+const fs = require('fs').promises;
+const path = require('path');
+
+// The parsed file, or null when there is none
+async function readJSON(filePath) {
+    try {
+        return JSON.parse(await fs.readFile(filePath, 'utf8'));
+    } catch (error) {
+        if (error.code === 'ENOENT') return null;
+        throw error;
+    }
+}
+
+async function writeJSON(filePath, value, { mode = 0o644, space = 0 } = {}) {
+    const tempPath = `${filePath}.${process.pid}.tmp`;
+    await fs.mkdir(path.dirname(filePath), { recursive: true });
+
+    const handle = await fs.open(tempPath, 'w', mode);
+    try {
+        await handle.writeFile(JSON.stringify(value, null, space));
+        await handle.sync();
+    } finally {
+        await handle.close();
+    }
+    await fs.rename(tempPath, filePath);
+}
+
+module.exports = {
+    readJSON,
+    writeJSON
+};
@@ -0,0 +1,74 @@
+/**
+ * Stub Model
+ * An OpenAI-compatible /chat/completions endpoint that runs locally without
+ * a key, so evaluations can run offline and in CI. Each request is answered
+ * with the reply of the first rule whose `match` (a regular expression) is
+ * found in the user message; without a matching rule the message is echoed
+ * back. Streaming requests get the reply a word at a time. A rule with a
+ * `status` answers with that error instead, its reply as the message, to
+ * try out failures (with `retryAfter`, in seconds, for a 429).
+ *
+ *   [{ "match": "^Rubric:", "reply": "{\"pass\": true}" },
+ *    { "match": "^Busy", "status": 429, "retryAfter": 120, "reply": "Slow down" }]
+ */
+
+const express = require('express');
+
+function createStubModel({ replies = [] } = {}) {
+    const rules = replies.map(({ match, ...rule }) => ({ pattern: new RegExp(match), ...rule }));
+    const app = express();
+    app.use(express.json({ limit: '10mb' }));
+
+    app.post('/v1/chat/completions', (req, res) => {
+        const messages = Array.isArray(req.body.messages) ? req.body.messages : [];
+        const user = [...messages].reverse().find(message => message.role === 'user');
+        const content = String(user?.content || '');
+        const rule = rules.find(({ pattern }) => pattern.test(content));
+        const reply = rule ? rule.reply : content;
+        if (rule?.status) {
+            if (rule.retryAfter !== undefined) res.set('Retry-After', String(rule.retryAfter));
+            return res.status(rule.status).json({ error: { message: reply } });
+        }
+        const usage = { prompt_tokens: content.length, completion_tokens: reply.length, total_tokens: content.length + reply.length };
+
+        // Streamed a word at a time, with usage in the last chunk
+        if (req.body.stream) {
+            res.set('Content-Type', 'text/event-stream');
+            const send = chunk => res.write(`data: ${JSON.stringify(chunk)}\n\n`);
+            reply.split(/(?<= )/).forEach(piece => send({ choices: [{ index: 0, delta: { content: piece } }] }));
+            send({ choices: [], usage });
+            res.end('data: [DONE]\n\n');
+            return;
+        }
+
+        res.json({
+            id: `stub-${Date.now()}`,
+            object: 'chat.completion',
+            model: req.body.model || 'stub',
+            choices: [{ index: 0, message: { role: 'assistant', content: reply }, finish_reason: 'stop' }],
+            usage
+        });
+    });
+
+    app.get('/v1/models', (req, res) => {
+        res.json({ object: 'list', data: [{ id: 'stub', object: 'model' }] });
+    });
+
+    return app;
+}
+
+// Listens on a free local port. Resolves with the server and the base URL
+// to point OPENAI_BASE_URL (or an OpenAIIntegration) at.
+function startStubModel(options = {}) {
+    return new Promise((resolve, reject) => {
+        const server = createStubModel(options).listen(0, '127.0.0.1', () => {
+            resolve({ server, baseURL: `http://127.0.0.1:${server.address().port}/v1` });
+        });
+        server.on('error', reject);
+    });
+}
+
+module.exports = {
+    createStubModel,
+    startStubModel
+};
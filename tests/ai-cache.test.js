@@ -0,0 +1,95 @@
+const { expect } = require('chai');
+const fs = require('fs').promises;
+const os = require('os');
+const path = require('path');
+
+const AICache = require('../src/ai-cache');
+
+describe('AICache', () => {
+    let dir;
+    let filePath;
+
+    const request = (prompt, extra = {}) => ({ task: 'categorize', provider: 'openai', model: 'gpt-3.5-turbo', prompt, system: 'Pick one', temperature: 0.3, ...extra });
+
+    beforeEach(async () => {
+        dir = await fs.mkdtemp(path.join(os.tmpdir(), 'nlp-ai-cache-'));
+        filePath = path.join(dir, 'ai-cache.json');
+    });
+
+    afterEach(async () => {
+        await fs.rm(dir, { recursive: true, force: true });
+    });
+
+    it('should key on task, model, normalized input and parameters', () => {
+        const key = AICache.key(request('Fix this bug'));
+        expect(AICache.key(request('  Fix   this bug\r\n'))).to.equal(key);
+        expect(AICache.key(request('Fix this Bug'))).to.not.equal(key);
+        expect(AICache.key(request('Fix this bug', { task: 'enhance' }))).to.not.equal(key);
+        expect(AICache.key(request('Fix this bug', { model: 'gpt-4o-mini' }))).to.not.equal(key);
+        expect(AICache.key(request('Fix this bug', { provider: 'local' }))).to.not.equal(key);
+        expect(AICache.key(request('Fix this bug', { temperature: 0.7 }))).to.not.equal(key);
+        expect(AICache.key(request('Fix this bug', { system: 'Pick two' }))).to.not.equal(key);
+    });
+
+    it('should answer repeated requests without calling the model and count hits and misses', async () => {
+        const cache = new AICache(filePath);
+        let calls = 0;
+        const produce = async () => `Code ${++calls}`;
+
+        expect(await cache.wrap(request('Fix this bug'), produce)).to.equal('Code 1');
+        expect(await cache.wrap(request('Fix  this bug'), produce)).to.equal('Code 1');
+        expect(await cache.wrap(request('Fix this bug'), produce, { fresh: true })).to.equal('Code 2');
+        expect(await cache.wrap(request('Fix this bug'), produce)).to.equal('Code 2');
+        expect(calls).to.equal(2);
+
+        const summary = await cache.summary();
+        expect(summary).to.include({ entries: 1, hits: 2, misses: 1 });
+        expect(summary.hitRate).to.be.closeTo(2 / 3, 0.001);
+        expect(summary.tasks.categorize).to.deep.equal({ entries: 1, hits: 2, misses: 1 });
+    });
+
+    it('should not keep failed calls', async () => {
+        const cache = new AICache(filePath);
+        try {
+            await cache.wrap(request('Fix this bug'), async () => { throw new Error('429'); });
+            expect.fail('should have thrown');
+        } catch (error) {
+            expect(error.message).to.equal('429');
+        }
+        expect((await cache.summary()).entries).to.equal(0);
+    });
+
+    it('should expire entries and drop the least recently used past the limit', async () => {
+        const cache = new AICache(filePath, { ttl: 1000, maxEntries: 2 });
+        const keys = ['a', 'b', 'c'].map(prompt => AICache.key(request(prompt)));
+        await cache.set('categorize', keys[0], 'A');
+        await cache.set('categorize', keys[1], 'B');
+        expect(await cache.get('categorize', keys[0])).to.equal('A');
+        await cache.set('categorize', keys[2], 'C');
+
+        expect(await cache.get('categorize', keys[1])).to.be.undefined;
+        expect(await cache.get('categorize', keys[0])).to.equal('A');
+
+        const entry = cache.entries.get(keys[2]);
+        cache.entries.set(keys[2], { ...entry, createdAt: Date.now() - 1000 });
+        expect(await cache.get('categorize', keys[2])).to.be.undefined;
+        expect((await cache.summary()).entries).to.equal(1);
+    });
+
+    it('should persist entries and counts, and clear them by task', async () => {
+        const cache = new AICache(filePath);
+        await cache.wrap(request('Fix this bug'), async () => 'Code');
+        await cache.wrap(request('Fix this bug', { task: 'enhance' }), async () => 'Fix this bug, step by step');
+        await cache.wrap(request('Fix this bug'), async () => 'Other');
+        await cache.flush();
+
+        const reopened = new AICache(filePath);
+        expect(await reopened.wrap(request('Fix this bug'), async () => 'Other')).to.equal('Code');
+        expect((await reopened.summary()).tasks.categorize).to.deep.equal({ entries: 1, hits: 2, misses: 1 });
+
+        expect(await reopened.clear('enhance')).to.equal(1);
+        expect(Object.keys((await reopened.summary()).tasks)).to.deep.equal(['categorize']);
+        expect(await reopened.clear()).to.equal(1);
+        expect(await reopened.summary()).to.deep.equal({ entries: 0, hits: 0, misses: 0, hitRate: 0, tasks: {} });
+    });
+});
@@ -0,0 +1,44 @@
+const { expect } = require('chai');
+
+const CategoryModel = require('../public/category-model');
+
+describe('CategoryModel', () => {
+    const data = () => ({
+        categories: ['All', 'Code', 'General', 'Legal'],
+        categoryDetails: {
+            Code: { color: '#123456' },
+            Legal: { icon: '⚖️', guidance: 'Contracts, compliance and policy review' }
+        }
+    });
+
+    it('should fill in details from the defaults', () => {
+        const [code, general, legal] = CategoryModel.list(data());
+
+        expect(code).to.include({ name: 'Code', color: '#123456', icon: '💻' });
+        expect(general.description).to.equal(CategoryModel.DEFAULTS.find(c => c.name === 'General').description);
+        expect(legal).to.include({ icon: '⚖️', description: 'Custom category for specialized prompts' });
+    });
+
+    it('should move details along when a category is renamed', () => {
+        const renamed = data();
+        CategoryModel.rename(renamed, 'Legal', 'Compliance');
+
+        expect(renamed.categories).to.deep.equal(['All', 'Code', 'General', 'Compliance']);
+        expect(CategoryModel.get(renamed, 'Compliance').icon).to.equal('⚖️');
+        expect(renamed.categoryDetails).to.not.have.property('Legal');
+    });
+
+    it('should reject detail fields of the wrong shape', () => {
+        expect(CategoryModel.pick({ color: 'orange' })).to.have.property('error');
+        expect(CategoryModel.pick({ icon: 42 })).to.have.property('error');
+        expect(CategoryModel.pick({ color: '#ff9500', name: 'ignored' })).to.deep.equal({ details: { color: '#ff9500' } });
+    });
+
+    it('should build the categorization prompt from the categories given', () => {
+        const prompt = CategoryModel.systemPrompt(CategoryModel.list(data()));
+
+        expect(prompt).to.include('one of these categories: Code, General, Legal.');
+        expect(prompt).to.include('- Legal: Contracts, compliance and policy review');
+        expect(prompt).to.not.include('Jailbreak');
+    });
+});
@@ -0,0 +1,109 @@
+const { expect } = require('chai');
+
+const ChangeSet = require('../public/change-set');
+
+describe('ChangeSet', () => {
+    const base = () => ({
+        prompts: [
+            { id: 'a', text: 'A', tags: ['x'], rev: 3 },
+            { id: 'b', text: 'B', tags: [], rev: 1 },
+            { id: 'c', text: 'C', tags: [], rev: 1 }
+        ],
+        trash: [{ id: 't', text: 'T', deletedAt: '2024-01-01' }, { id: 'u', text: 'U', deletedAt: '2024-01-01' }],
+        categories: ['All', 'General', 'Code'],
+        customFolders: ['Work'],
+        settings: { autoCategorizationEnabled: true, trashRetentionDays: 30 }
+    });
+
+    it('should report no changes for an identical copy', () => {
+        const changes = ChangeSet.between(base(), base());
+        expect(ChangeSet.isEmpty(changes)).to.be.true;
+    });
+
+    it('should send only the fields that changed on each prompt', () => {
+        const current = base();
+        current.prompts[0].text = 'A edited';
+        current.prompts[0].updatedAt = '2024-02-01';
+        current.prompts[0].revisions = [{ version: 2, source: 'ai-enhance' }];
+        current.prompts[1].rev = 5;
+
+        const changes = ChangeSet.between(base(), current);
+
+        expect(changes.updated).to.deep.equal([
+            { id: 'a', rev: 3, changes: { text: 'A edited' }, source: 'ai-enhance' }
+        ]);
+    });
+
+    it('should sort prompts into created, restored, trashed and purged', () => {
+        const current = base();
+        current.prompts.unshift({ id: 'new', text: 'New' }, { id: 't', text: 'T' });
+        current.prompts = current.prompts.filter(p => p.id !== 'b' && p.id !== 'c');
+        current.trash = [{ id: 'b', text: 'B', deletedAt: '2024-02-01' }];
+
+        const changes = ChangeSet.between(base(), current);
+
+        expect(changes.created.map(p => p.id)).to.deep.equal(['new']);
+        expect(changes.restored).to.deep.equal(['t']);
+        expect(changes.trashed).to.deep.equal(['b', 'c']);
+        expect(changes.purged).to.deep.equal(['c', 'u']);
+    });
+
+    it('should list added and removed names and changed settings', () => {
+        const current = base();
+        current.categories = ['All', 'General', 'Writing'];
+        current.customFolders.push('Later');
+        current.settings.trashRetentionDays = 7;
+
+        const changes = ChangeSet.between(base(), current);
+
+        expect(changes.categories).to.deep.equal({ added: ['Writing'], removed: ['Code'] });
+        expect(changes.customFolders).to.deep.equal({ added: ['Later'], removed: [] });
+        expect(changes.settings).to.deep.equal({ trashRetentionDays: 7 });
+    });
+
+    it('should list created, changed and removed smart folders by id', () => {
+        const before = [{ id: 's1', name: 'Good', query: 'rating:>=4' }, { id: 's2', name: 'Old', query: 'tag:old' }];
+        const after = [{ id: 's1', name: 'Great', query: 'rating:5' }, { id: 's3', name: 'New', query: 'has:notes' }];
+
+        const changes = ChangeSet.diffRecords(before, after);
+
+        expect(changes.created.map(f => f.id)).to.deep.equal(['s3']);
+        expect(changes.updated.map(f => f.id)).to.deep.equal(['s1']);
+        expect(changes.removed).to.deep.equal(['s2']);
+    });
+
+    it('should pick up new and re-rated playground runs', () => {
+        const before = { ...base(), runs: [{ id: 'r1', promptId: 'a', rating: 0 }] };
+        const current = { ...base(), runs: [{ id: 'r1', promptId: 'a', rating: 4 }, { id: 'r2', promptId: 'a', rating: 0 }] };
+
+        const changes = ChangeSet.between(before, current);
+
+        expect(ChangeSet.isEmpty(changes)).to.be.false;
+        expect(changes.runs.created.map(r => r.id)).to.deep.equal(['r2']);
+        expect(changes.runs.updated.map(r => r.id)).to.deep.equal(['r1']);
+    });
+
+    it('should pick up new evaluations', () => {
+        const before = { ...base(), evaluations: [{ id: 'e1', promptId: 'a' }] };
+        const current = { ...base(), evaluations: [{ id: 'e1', promptId: 'a' }, { id: 'e2', promptId: 'a' }] };
+
+        const changes = ChangeSet.between(before, current);
+
+        expect(ChangeSet.isEmpty(changes)).to.be.false;
+        expect(changes.evaluations.map(e => e.id)).to.deep.equal(['e2']);
+        expect(ChangeSet.isEmpty(ChangeSet.between(current, current))).to.be.true;
+    });
+
+    it('should pick up new, re-judged and deleted comparisons', () => {
+        const comparison = (id, winner) => ({ id, a: { promptId: 'a' }, b: { promptId: 'b' }, results: [{ winner }] });
+        const before = { ...base(), comparisons: [comparison('c1', null), comparison('c2', 'a')] };
+        const current = { ...base(), comparisons: [comparison('c1', 'b'), comparison('c3', null)] };
+
+        const changes = ChangeSet.between(before, current);
+
+        expect(ChangeSet.isEmpty(changes)).to.be.false;
+        expect(changes.comparisons.created.map(c => c.id)).to.deep.equal(['c3']);
+        expect(changes.comparisons.updated.map(c => c.id)).to.deep.equal(['c1']);
+        expect(changes.comparisons.removed).to.deep.equal(['c2']);
+    });
+});
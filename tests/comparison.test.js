@@ -0,0 +1,129 @@
+const { expect } = require('chai');
+
+const Comparison = require('../public/comparison');
+
+describe('Comparison', () => {
+    const prompts = [
+        {
+            id: 'p1',
+            text: 'Summarize {{topic}} briefly',
+            revisions: [
+                { version: 1, snapshot: { text: 'Summarize {{topic}}' } },
+                { version: 2, snapshot: { text: 'Summarize {{topic}} briefly' } }
+            ]
+        },
+        { id: 'p2', text: 'Explain {{topic}} to a {{reader}}', variables: { reader: { default: 'child' } } },
+        { id: 'p3', text: 'Say hi' }
+    ];
+    const echo = async (text) => text;
+
+    it('should clean a comparison and reject bad ones', () => {
+        const { comparison } = Comparison.check({
+            name: ' Brief or not ',
+            a: { promptId: 'p1', version: 1 },
+            b: { promptId: 'p1' },
+            inputs: [{ topic: 'owls' }]
+        });
+        expect(comparison).to.deep.equal({
+            name: 'Brief or not',
+            a: { promptId: 'p1', version: 1 },
+            b: { promptId: 'p1', version: null },
+            inputs: [{ topic: 'owls' }]
+        });
+
+        const valid = { a: { promptId: 'p1' }, b: { promptId: 'p2' }, inputs: [{}] };
+        const error = input => Comparison.check({ ...valid, ...input }).error;
+        expect(error({ a: {} })).to.match(/A needs a promptId/);
+        expect(error({ b: { promptId: 'p2', version: 0 } })).to.match(/revision number/);
+        expect(error({ b: { promptId: 'p1' } })).to.match(/different/);
+        expect(error({ inputs: [] })).to.match(/between 1 and/);
+        expect(error({ inputs: [{ topic: 3 }] })).to.match(/Input 1/);
+    });
+
+    it('should check verdicts', () => {
+        expect(Comparison.checkVerdict({ winner: 'a' }).verdict).to.deep.equal({ winner: 'a', judgedBy: 'user', reason: null });
+        expect(Comparison.checkVerdict({ winner: null, reason: 'kept' }).verdict).to.deep.equal({ winner: null, judgedBy: null, reason: null });
+        expect(Comparison.checkVerdict({ winner: 'c' }).error).to.match(/winner/);
+        expect(Comparison.checkVerdict({ winner: 'a', judgedBy: 'robot' }).error).to.match(/judgedBy/);
+        expect(Comparison.checkVerdicts([null], 2).error).to.match(/array of 2/);
+        expect(Comparison.checkVerdicts([null, { winner: 'x' }], 2).error).to.match(/^Result 2/);
+    });
+
+    it('should run a revision and another prompt with only the variables each asks for', async () => {
+        const seen = [];
+        const comparison = await Comparison.run({
+            name: '',
+            a: { promptId: 'p1', version: 1 },
+            b: { promptId: 'p2', version: null },
+            inputs: [{ topic: 'owls' }, {}]
+        }, prompts, { complete: echo, model: 'stub', onResult: index => seen.push(index) });
+
+        expect(seen).to.deep.equal([0, 1]);
+        expect(comparison).to.include({ model: 'stub' });
+        expect(comparison.results[0].a).to.deep.equal({ input: 'Summarize owls', output: 'Summarize owls', error: null });
+        expect(comparison.results[0].b.output).to.equal('Explain owls to a child');
+        expect(comparison.results[0].winner).to.be.null;
+        expect(comparison.results[1].a.error).to.equal('topic needs a value');
+
+        const missing = await Comparison.run({ a: { promptId: 'p1', version: 9 }, b: { promptId: 'gone', version: null }, inputs: [{ topic: 'x' }] },
+            prompts, { complete: echo });
+        expect(missing.results[0].a.error).to.equal('Prompt p1 has no revision 9');
+        expect(missing.results[0].b.error).to.equal('Prompt gone no longer exists');
+    });
+
+    it('should let the model judge each input', async () => {
+        let asked;
+        const judge = async (text, options) => {
+            if (!options.system) return text;
+            asked = { text, options };
+            return '```json\n{"winner": "B", "reason": "Friendlier"}\n```';
+        };
+        const comparison = await Comparison.run({
+            a: { promptId: 'p3', version: null },
+            b: { promptId: 'p3', version: null },
+            inputs: [{}]
+        }, prompts, { complete: judge, judge: true });
+
+        expect(comparison.results[0]).to.include({ winner: 'b', judgedBy: 'model', reason: 'Friendlier' });
+        expect(asked.text).to.equal('Request:\nSay hi\n\nReply A:\nSay hi\n\nReply B:\nSay hi');
+        expect(asked.options).to.deep.equal({ system: Comparison.JUDGE_SYSTEM, temperature: 0 });
+
+        const result = comparison.results[0];
+        expect(await Comparison.judge(result, async () => 'A, clearly')).to.include({ winner: null, judgedBy: null });
+        expect(await Comparison.judge({ ...result, b: { input: null, output: null, error: 'offline' } }, judge))
+            .to.deep.equal({ winner: null, judgedBy: null, reason: null });
+    });
+
+    it('should work out win rates between different prompts', () => {
+        const result = winner => ({ variables: {}, winner });
+        const data = {
+            comparisons: [
+                { a: { promptId: 'p1' }, b: { promptId: 'p2' }, results: [result('a'), result('a'), result('tie'), result(null)] },
+                { a: { promptId: 'p2' }, b: { promptId: 'p3' }, results: [result('b')] },
+                { a: { promptId: 'p1', version: 1 }, b: { promptId: 'p1' }, results: [result('b')] },
+                { a: { promptId: 'p3' }, b: { promptId: 'p1' }, results: [result(null)] }
+            ]
+        };
+
+        expect(Comparison.summary(data.comparisons[0])).to.deep.equal({ a: 2, b: 0, tie: 1, undecided: 1 });
+        const rates = Comparison.winRates(data);
+        expect(rates.p1).to.deep.equal({ wins: 2, losses: 0, ties: 1, comparisons: 2, rate: 2.5 / 3 });
+        expect(rates.p2).to.deep.equal({ wins: 0, losses: 3, ties: 1, comparisons: 2, rate: 0.5 / 4 });
+        expect(rates.p3.rate).to.equal(1);
+    });
+
+    it('should drop comparisons of purged prompts', () => {
+        const data = {
+            prompts: [{ id: 'p1' }],
+            trash: [{ id: 'p2' }],
+            comparisons: [
+                { id: 'kept', a: { promptId: 'p1' }, b: { promptId: 'p2' } },
+                { id: 'gone', a: { promptId: 'p1' }, b: { promptId: 'p9' } }
+            ]
+        };
+        Comparison.prune(data);
+        expect(data.comparisons.map(c => c.id)).to.deep.equal(['kept']);
+        expect(Comparison.list(data, 'p2').map(c => c.id)).to.deep.equal(['kept']);
+        expect(Comparison.list(data, 'p9')).to.deep.equal([]);
+    });
+});
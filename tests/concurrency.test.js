@@ -0,0 +1,44 @@
+const { expect } = require('chai');
+
+const {
+    documentETag,
+    checkIfMatch,
+    fingerprint,
+    stamp
+} = require('../src/utils/concurrency');
+
+describe('Concurrency', () => {
+    const requestWith = (ifMatch) => ({ get: (name) => (name === 'If-Match' ? ifMatch : undefined) });
+
+    it('should bump revisions of changed and new prompts only', () => {
+        const data = {
+            prompts: [{ id: 'a', text: 'A', rev: 4 }, { id: 'b', text: 'B', rev: 2 }],
+            metadata: { rev: 7 }
+        };
+        const before = fingerprint(data);
+
+        data.prompts[0].text = 'A2';
+        data.prompts[1].rev = 99;
+        data.prompts.push({ id: 'c', text: 'C' });
+        stamp(data, before);
+
+        expect(data.prompts.map(p => p.rev)).to.deep.equal([5, 2, 1]);
+        expect(documentETag(data)).to.equal('"doc-8"');
+    });
+
+    it('should reject a stale If-Match with 409', () => {
+        const current = { metadata: { rev: 3 } };
+
+        expect(() => checkIfMatch(requestWith(undefined), '"doc-3"', current)).to.not.throw();
+        expect(() => checkIfMatch(requestWith('"doc-3"'), '"doc-3"', current)).to.not.throw();
+        expect(() => checkIfMatch(requestWith('*'), '"doc-3"', current)).to.not.throw();
+
+        try {
+            checkIfMatch(requestWith('"doc-2"'), '"doc-3"', current);
+            expect.fail('should have thrown');
+        } catch (error) {
+            expect(error.status).to.equal(409);
+            expect(error.details).to.deep.equal({ etag: '"doc-3"', current });
+        }
+    });
+});
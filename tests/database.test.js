@@ -1,9 +1,29 @@
 const { expect } = require('chai');
 const request = require('supertest');
 const fs = require('fs').promises;
+const os = require('os');
 const path = require('path');
 
+const config = require('../src/config');
+
+// The server is pointed at a throwaway data directory, so a test run never
+// touches the prompts, settings, keys, cached replies or jobs in data/, and
+// leaves no jobs behind for the next server start to resume. Set on the
+// config itself: another test file may have loaded it before this one.
+const tmpDir = require('fs').mkdtempSync(path.join(os.tmpdir(), 'nlp-prompt-db-'));
+config.database.dataFilePath = path.join(tmpDir, 'prompts.json');
+config.secrets.filePath = path.join(tmpDir, 'secrets.json');
+config.secrets.keyFilePath = path.join(tmpDir, 'secrets.key');
+config.aiCache.filePath = path.join(tmpDir, 'ai-cache.json');
+config.jobs.filePath = path.join(tmpDir, 'jobs.json');
+// The cache and job files are saved on a timer and recreate the directory
+// if it fires after the tests are done
+process.once('exit', () => require('fs').rmSync(tmpDir, { recursive: true, force: true }));
+
 const app = require('../server');
+const ModelClient = require('../src/model-client');
+const OpenAIIntegration = require('../src/openai-integration');
+const { startStubModel } = require('../src/utils/stub-model');
 
 describe('Database API Tests', () => {
     const testDataFile = path.join(__dirname, '../data/test-prompts.json');
@@ -32,6 +52,7 @@ describe('Database API Tests', () => {
         } catch (error) {
             console.log('Test file cleanup failed:', error.message);
         }
+        await fs.rm(tmpDir, { recursive: true, force: true });
     });
 
     describe('GET /api/data', () => {
@@ -83,6 +104,1224 @@ describe('Database API Tests', () => {
         });
     });
 
+    describe('Prompt revisions', () => {
+        it('should record a revision when a prompt is edited', async () => {
+            await request(app)
+                .put('/api/prompts/test-prompt-1')
+                .set('X-Revision-Source', 'ai-enhance')
+                .send({ text: 'Edited test prompt' })
+                .expect(200);
+
+            const response = await request(app)
+                .get('/api/prompts/test-prompt-1/revisions')
+                .expect(200);
+
+            expect(response.body.revisions).to.have.length(2);
+            expect(response.body.revisions[0].source).to.equal('ai-enhance');
+            expect(response.body.revisions[1].snapshot.text).to.equal('Test prompt');
+        });
+
+        it('should restore an earlier revision', async () => {
+            const response = await request(app)
+                .post('/api/prompts/test-prompt-1/revisions/1/restore')
+                .expect(200);
+
+            expect(response.body.prompt.text).to.equal('Test prompt');
+            expect(response.body.prompt.revisions.pop().source).to.equal('restore');
+        });
+
+        it('should include an autosave that has not been written yet', async () => {
+            const data = await request(app)
+                .get('/api/data')
+                .expect(200);
+            const prompt = data.body.prompts.find(p => p.id === 'test-prompt-1');
+            const snapshot = { ...prompt.revisions[prompt.revisions.length - 1].snapshot, text: 'Autosaved test prompt' };
+            prompt.text = snapshot.text;
+            prompt.revisions.push({ version: prompt.revisions.length + 1, createdAt: new Date().toISOString(), source: 'manual', author: null, snapshot });
+            await request(app)
+                .post('/api/autosave')
+                .send(data.body)
+                .expect(200);
+
+            const response = await request(app)
+                .get('/api/prompts/test-prompt-1/revisions')
+                .expect(200);
+
+            expect(response.body.revisions[0].snapshot.text).to.equal('Autosaved test prompt');
+        });
+
+        it('should return 404 for an unknown revision', async () => {
+            await request(app)
+                .post('/api/prompts/test-prompt-1/revisions/99/restore')
+                .expect(404);
+        });
+    });
+
+    describe('Trash', () => {
+        it('should move a deleted prompt to the trash', async () => {
+            const response = await request(app)
+                .delete('/api/prompts/test-prompt-1')
+                .expect(200);
+
+            expect(response.body.deletedPrompt).to.have.property('deletedAt');
+
+            const trash = await request(app)
+                .get('/api/trash')
+                .expect(200);
+            expect(response.headers.etag).to.equal(trash.headers.etag);
+
+            expect(trash.body.prompts.map(p => p.id)).to.include('test-prompt-1');
+            expect(trash.body).to.have.property('retentionDays');
+        });
+
+        it('should restore a prompt from the trash', async () => {
+            const response = await request(app)
+                .post('/api/trash/restore')
+                .send({ ids: ['test-prompt-1'] })
+                .expect(200);
+
+            expect(response.body.restoredCount).to.equal(1);
+        });
+
+        it('should soft delete in bulk and purge permanently', async () => {
+            const response = await request(app)
+                .delete('/api/prompts/batch')
+                .send({ ids: ['test-prompt-1'] })
+                .expect(200);
+
+            expect(response.body.deletedCount).to.equal(1);
+
+            const purge = await request(app)
+                .post('/api/trash/purge')
+                .send({ ids: ['test-prompt-1'] })
+                .expect(200);
+
+            expect(purge.body.purgedCount).to.equal(1);
+
+            await request(app)
+                .post('/api/trash/restore')
+                .send({ ids: [] })
+                .expect(400);
+        });
+    });
+
+    describe('Optimistic concurrency', () => {
+        it('should reject a full save based on a stale ETag', async () => {
+            const loaded = await request(app)
+                .get('/api/data')
+                .expect(200);
+            const etag = loaded.headers.etag;
+
+            const saved = await request(app)
+                .post('/api/data')
+                .set('If-Match', etag)
+                .send(loaded.body)
+                .expect(200);
+            expect(saved.headers.etag).to.not.equal(etag);
+
+            const conflict = await request(app)
+                .post('/api/data')
+                .set('If-Match', etag)
+                .send(loaded.body)
+                .expect(409);
+            expect(conflict.body.etag).to.equal(saved.headers.etag);
+            expect(conflict.body.current).to.have.property('prompts');
+        });
+
+        it('should check prompt updates against the prompt ETag', async () => {
+            const current = await request(app).get('/api/data');
+            current.body.prompts.unshift({ id: 'test-prompt-2', text: 'Another prompt', tags: [], rating: 0 });
+            await request(app)
+                .post('/api/data')
+                .send(current.body)
+                .expect(200);
+
+            const loaded = await request(app)
+                .get('/api/prompts/test-prompt-2')
+                .expect(200);
+            const etag = loaded.headers.etag;
+
+            await request(app)
+                .put('/api/prompts/test-prompt-2')
+                .set('If-Match', etag)
+                .send({ rating: 4 })
+                .expect(200);
+
+            const conflict = await request(app)
+                .put('/api/prompts/test-prompt-2')
+                .set('If-Match', etag)
+                .send({ rating: 1 })
+                .expect(409);
+            expect(conflict.body.current.rating).to.equal(4);
+        });
+    });
+
+    describe('Granular resources', () => {
+        it('should create a prompt with defaults and a first revision', async () => {
+            const response = await request(app)
+                .post('/api/prompts')
+                .send({ id: 'test-prompt-3', text: 'Created on its own', tags: ['granular'] })
+                .expect(201);
+
+            expect(response.headers.etag).to.equal('"prompt-1"');
+            expect(response.body.prompt).to.include({ category: 'General', folder: 'Default' });
+            expect(response.body.prompt.revisions).to.have.length(1);
+
+            await request(app)
+                .post('/api/prompts')
+                .send({ id: 'test-prompt-3', text: 'Duplicate' })
+                .expect(409);
+        });
+
+        it('should check updated prompts like new ones', async () => {
+            for (const changes of [{ text: 'x'.repeat(20000) }, { rating: 99 }, { tags: 'code' }, { text: '' }]) {
+                await request(app)
+                    .put('/api/prompts/test-prompt-3')
+                    .send(changes)
+                    .expect(400);
+                await request(app)
+                    .put('/api/prompts/batch')
+                    .send({ updates: [{ id: 'test-prompt-3', changes }] })
+                    .expect(400);
+            }
+
+            const response = await request(app)
+                .get('/api/prompts/test-prompt-3')
+                .expect(200);
+            expect(response.body.prompt).to.include({ text: 'Created on its own', rev: 1 });
+        });
+
+        it('should not let an update change the prompt id', async () => {
+            await request(app)
+                .put('/api/prompts/test-prompt-3')
+                .send({ id: 'test-prompt-1', text: 'Taken over' })
+                .expect(400);
+            await request(app)
+                .put('/api/prompts/batch')
+                .send({ updates: [{ id: 'test-prompt-3', changes: { id: 'test-prompt-1' } }] })
+                .expect(400);
+
+            const updated = await request(app)
+                .put('/api/prompts/test-prompt-3')
+                .send({ id: 'test-prompt-3', text: 'Created on its own', rating: 4, rev: 99, createdAt: '2000-01-01T00:00:00.000Z' })
+                .expect(200);
+            expect(updated.body.prompt).to.include({ id: 'test-prompt-3', rating: 4, rev: 2 });
+            expect(updated.body.prompt.createdAt).to.not.equal('2000-01-01T00:00:00.000Z');
+
+            const data = await request(app)
+                .get('/api/data')
+                .expect(200);
+            expect(data.body.prompts.filter(p => p.id === 'test-prompt-3')).to.have.length(1);
+        });
+
+        it('should create prompts in bulk and list them', async () => {
+            await request(app)
+                .post('/api/prompts/batch')
+                .send({ prompts: [{ text: 'Bulk one', category: 'Code' }, { text: 'Bulk two', category: 'Code' }] })
+                .expect(201);
+
+            const response = await request(app)
+                .get('/api/prompts')
+                .query({ category: 'Code' })
+                .expect(200);
+
+            expect(response.body.prompts.map(p => p.text)).to.include.members(['Bulk one', 'Bulk two']);
+        });
+
+        it('should rename and delete categories along with their prompts', async () => {
+            await request(app)
+                .post('/api/categories')
+                .send({ name: 'Drafts' })
+                .expect(201);
+
+            await request(app)
+                .put('/api/prompts/test-prompt-3')
+                .send({ category: 'Drafts' })
+                .expect(200);
+
+            const renamed = await request(app)
+                .put('/api/categories/Drafts')
+                .send({ name: 'Ideas' })
+                .expect(200);
+            expect(renamed.body.updatedCount).to.equal(1);
+
+            await request(app)
+                .delete('/api/categories/Ideas')
+                .expect(200);
+
+            const prompt = await request(app).get('/api/prompts/test-prompt-3');
+            expect(prompt.body.prompt.category).to.equal('General');
+        });
+
+        it('should keep category details and merge categories', async () => {
+            const created = await request(app)
+                .post('/api/categories')
+                .send({ name: 'Legal', icon: '⚖️', color: '#336699', guidance: 'Contracts and compliance' })
+                .expect(201);
+            expect(created.body.category).to.include({ name: 'Legal', color: '#336699' });
+
+            await request(app)
+                .post('/api/categories')
+                .send({ name: 'Contracts', color: 'blue' })
+                .expect(400);
+
+            await request(app)
+                .put('/api/prompts/test-prompt-3')
+                .send({ category: 'Legal' })
+                .expect(200);
+
+            const updated = await request(app)
+                .put('/api/categories/Legal')
+                .send({ description: 'Legal work' })
+                .expect(200);
+            expect(updated.body.category).to.include({ name: 'Legal', icon: '⚖️', description: 'Legal work' });
+
+            const merged = await request(app)
+                .post('/api/categories/Legal/merge')
+                .send({ into: 'Code' })
+                .expect(200);
+            expect(merged.body.updatedCount).to.equal(1);
+            expect(merged.body.categories).to.not.include('Legal');
+
+            const listed = await request(app)
+                .get('/api/categories')
+                .expect(200);
+            expect(listed.body.categories.find(c => c.name === 'Code')).to.include({ icon: '💻' });
+
+            await request(app)
+                .put('/api/prompts/test-prompt-3')
+                .send({ category: 'General' })
+                .expect(200);
+        });
+
+        it('should manage custom folders but not built-in ones', async () => {
+            const created = await request(app)
+                .post('/api/folders')
+                .send({ name: 'Work' })
+                .expect(201);
+            expect(created.body.customFolders).to.include('Work');
+
+            await request(app)
+                .delete('/api/folders/Default')
+                .expect(400);
+
+            await request(app)
+                .delete('/api/folders/Work')
+                .expect(200);
+        });
+
+        it('should move nested folders with their prompts', async () => {
+            await request(app)
+                .post('/api/folders')
+                .send({ name: 'Acme/Onboarding' })
+                .expect(201);
+
+            await request(app)
+                .post('/api/prompts')
+                .send({ id: 'test-prompt-4', text: 'Welcome pack', folder: 'Acme/Onboarding' })
+                .expect(201);
+
+            await request(app)
+                .put('/api/folders/Acme')
+                .send({ name: 'Acme/Inner' })
+                .expect(400);
+
+            const moved = await request(app)
+                .put('/api/folders/Acme')
+                .send({ name: 'Clients/Acme' })
+                .expect(200);
+            expect(moved.body.customFolders).to.include.members(['Clients', 'Clients/Acme', 'Clients/Acme/Onboarding']);
+            expect(moved.body.updatedCount).to.equal(1);
+
+            const inFolder = await request(app)
+                .get('/api/prompts/search')
+                .query({ folder: 'Clients' })
+                .expect(200);
+            expect(inFolder.body.prompts.map(p => p.id)).to.deep.equal(['test-prompt-4']);
+
+            const deleted = await request(app)
+                .delete(`/api/folders/${encodeURIComponent('Clients/Acme')}`)
+                .expect(200);
+            expect(deleted.body.customFolders).to.include('Clients').and.not.include('Clients/Acme/Onboarding');
+
+            const prompt = await request(app).get('/api/prompts/test-prompt-4');
+            expect(prompt.body.prompt.folder).to.equal('Clients');
+
+            await request(app)
+                .delete('/api/folders/Clients')
+                .query({ contents: 'trash' })
+                .expect(200);
+
+            await request(app)
+                .get('/api/prompts/test-prompt-4')
+                .expect(404);
+        });
+
+        it('should count, rename and remove tags', async () => {
+            const tags = await request(app)
+                .get('/api/tags')
+                .expect(200);
+            expect(tags.body.tags).to.deep.include({ name: 'granular', count: 1 });
+
+            await request(app)
+                .put('/api/tags/granular')
+                .send({ name: 'focused' })
+                .expect(200);
+
+            await request(app)
+                .delete('/api/tags/focused')
+                .expect(200);
+
+            await request(app)
+                .delete('/api/tags/focused')
+                .expect(404);
+        });
+
+        it('should nest, merge and apply synonyms to tags', async () => {
+            const created = await request(app)
+                .post('/api/prompts')
+                .send({ id: 'test-prompt-5', text: 'Lint this file', tags: ['JS', 'Code / Python'] })
+                .expect(201);
+            expect(created.body.prompt.tags).to.deep.equal(['js', 'code/python']);
+
+            await request(app)
+                .put('/api/tag-synonyms')
+                .send({ synonyms: { a: 'b', b: 'a' } })
+                .expect(400);
+
+            const synonyms = await request(app)
+                .put('/api/tag-synonyms')
+                .send({ synonyms: { js: 'javascript' }, apply: true })
+                .expect(200);
+            expect(synonyms.body.updatedCount).to.equal(1);
+
+            const nested = await request(app)
+                .get('/api/prompts')
+                .query({ tag: 'code' })
+                .expect(200);
+            expect(nested.body.prompts.map(p => p.id)).to.deep.equal(['test-prompt-5']);
+
+            const merged = await request(app)
+                .post('/api/tags/merge')
+                .send({ tags: ['javascript', 'code/python'], into: 'code' })
+                .expect(200);
+            expect(merged.body.updatedCount).to.equal(1);
+
+            const prompt = await request(app).get('/api/prompts/test-prompt-5');
+            expect(prompt.body.prompt.tags).to.deep.equal(['code']);
+
+            const tags = await request(app).get('/api/tags');
+            expect(tags.body.synonyms).to.deep.equal({ js: 'javascript' });
+        });
+
+        it('should render a template with its variables', async () => {
+            await request(app)
+                .post('/api/prompts')
+                .send({ text: 'x', variables: { tone: { type: 'enum' } } })
+                .expect(400);
+
+            await request(app)
+                .post('/api/prompts')
+                .send({
+                    id: 'test-template',
+                    text: 'Write a {{tone}} note about {{subject}}',
+                    variables: { tone: { type: 'enum', options: ['formal', 'casual'], default: 'formal' } }
+                })
+                .expect(201);
+
+            const rendered = await request(app)
+                .post('/api/prompts/test-template/render')
+                .send({ variables: { subject: 'the launch' } })
+                .expect(200);
+            expect(rendered.body.text).to.equal('Write a formal note about the launch');
+
+            const invalid = await request(app)
+                .post('/api/prompts/test-template/render')
+                .send({ variables: { tone: 'angry' } })
+                .expect(400);
+            expect(invalid.body.errors).to.have.keys('tone', 'subject');
+
+            await request(app)
+                .put('/api/prompts/test-template')
+                .send({ variables: { tone: { type: 'colour' } } })
+                .expect(400);
+        });
+
+        it('should resolve partials and reject include cycles', async () => {
+            await request(app)
+                .post('/api/prompts')
+                .send({ id: 'test-partial', slug: 'senior-engineer', text: 'You are a senior engineer.' })
+                .expect(201);
+
+            await request(app)
+                .post('/api/prompts')
+                .send({ id: 'test-includer', text: '{{> senior-engineer}} Review the {{subject}}' })
+                .expect(201);
+
+            await request(app)
+                .post('/api/prompts')
+                .send({ text: 'x', slug: 'senior-engineer' })
+                .expect(409);
+
+            await request(app)
+                .put('/api/prompts/test-partial')
+                .send({ text: 'You are a staff engineer.' })
+                .expect(200);
+
+            const rendered = await request(app)
+                .post('/api/prompts/test-includer/render')
+                .send({ variables: { subject: 'diff' } })
+                .expect(200);
+            expect(rendered.body.text).to.equal('You are a staff engineer. Review the diff');
+
+            const cycle = await request(app)
+                .put('/api/prompts/test-partial')
+                .send({ text: 'Intro {{> test-includer}}' })
+                .expect(400);
+            expect(cycle.body.cycle).to.deep.equal(['test-partial', 'test-includer', 'test-partial']);
+        });
+
+        it('should update only the settings sent', async () => {
+            await request(app)
+                .put('/api/settings')
+                .send({ autoCategorizationEnabled: false })
+                .expect(200);
+
+            const response = await request(app)
+                .put('/api/settings')
+                .send({ trashRetentionDays: 14 })
+                .expect(200);
+
+            expect(response.body.settings).to.include({ autoCategorizationEnabled: false, trashRetentionDays: 14 });
+        });
+    });
+
+    describe('GET /api/prompts/search', () => {
+        it('should search with the query language and page the results', async () => {
+            const first = await request(app)
+                .get('/api/prompts/search')
+                .query({ q: 'category:code OR tag:granular', sort: 'text', order: 'asc', limit: 1 })
+                .expect(200);
+
+            expect(first.body.total).to.equal(2);
+            expect(first.body.prompts.map(p => p.text)).to.deep.equal(['Bulk one']);
+
+            const second = await request(app)
+                .get('/api/prompts/search')
+                .query({ q: 'category:code OR tag:granular', sort: 'text', order: 'asc', limit: 1, cursor: first.body.nextCursor })
+                .expect(200);
+
+            expect(second.body.prompts.map(p => p.text)).to.deep.equal(['Bulk two']);
+        });
+
+        it('should reject a malformed query with its position', async () => {
+            const response = await request(app)
+                .get('/api/prompts/search')
+                .query({ q: 'code (tag:x' })
+                .expect(400);
+
+            expect(response.body.position).to.equal(5);
+        });
+    });
+
+    describe('Smart folders', () => {
+        it('should count the prompts matching a saved query', async () => {
+            const created = await request(app)
+                .post('/api/smart-folders')
+                .send({ name: 'Code prompts', query: 'category:code' })
+                .expect(201);
+            const id = created.body.smartFolder.id;
+
+            await request(app)
+                .post('/api/smart-folders')
+                .send({ name: 'Code prompts', query: 'tag:x' })
+                .expect(409);
+
+            const listed = await request(app)
+                .get('/api/smart-folders')
+                .expect(200);
+            expect(listed.body.smartFolders).to.deep.include({ ...created.body.smartFolder, count: 2 });
+
+            await request(app)
+                .put(`/api/smart-folders/${id}`)
+                .send({ name: 'Code prompts', query: 'category:code rating:>3' })
+                .expect(200);
+
+            await request(app)
+                .delete(`/api/smart-folders/${id}`)
+                .expect(200);
+        });
+
+        it('should reject a query that does not parse', async () => {
+            const response = await request(app)
+                .post('/api/smart-folders')
+                .send({ name: 'Broken', query: 'rating:>' })
+                .expect(400);
+
+            expect(response.body).to.have.property('position');
+        });
+    });
+
+    describe('Workflows', () => {
+        const steps = [
+            { promptId: 'test-template', inputs: { subject: '{{input.subject}}' } },
+            { promptId: 'test-includer', inputs: { subject: '{{previous}}' } }
+        ];
+
+        it('should store a workflow and validate its steps', async () => {
+            await request(app)
+                .post('/api/workflows')
+                .send({ name: 'Broken', steps: [{ promptId: 'test-template', inputs: { subject: '{{previous}}' } }] })
+                .expect(400);
+
+            const created = await request(app)
+                .post('/api/workflows')
+                .send({ id: 'test-workflow', name: 'Daily pipeline', steps })
+                .expect(201);
+            expect(created.body.workflow.steps).to.deep.equal(steps);
+
+            await request(app)
+                .post('/api/workflows')
+                .send({ name: 'Daily pipeline', steps })
+                .expect(409);
+
+            const updated = await request(app)
+                .put('/api/workflows/test-workflow')
+                .send({ name: 'Daily pipeline', description: 'Runs every morning', steps })
+                .expect(200);
+            expect(updated.body.workflow.description).to.equal('Runs every morning');
+        });
+
+        it('should export a workflow and import it with its prompts', async () => {
+            const exported = await request(app)
+                .get('/api/workflows/test-workflow/export')
+                .expect(200);
+            expect(exported.body.format).to.equal('nlp-prompt-workflow');
+            expect(exported.body.prompts.map(p => p.id)).to.include.members(['test-template', 'test-includer', 'test-partial']);
+
+            exported.body.prompts.push({ id: 'test-imported', text: 'Brand new' });
+            const imported = await request(app)
+                .post('/api/workflows/import')
+                .send(exported.body)
+                .expect(201);
+            expect(imported.body.createdCount).to.equal(1);
+            expect(imported.body.workflow.name).to.equal('Daily pipeline (2)');
+
+            await request(app)
+                .delete(`/api/workflows/${imported.body.workflow.id}`)
+                .expect(200);
+
+            await request(app)
+                .post('/api/workflows/import')
+                .send({ name: 'not an export' })
+                .expect(400);
+        });
+    });
+
+    describe('Playground runs', () => {
+        const run = {
+            id: 'test-run',
+            variables: { subject: 'owls' },
+            input: 'Explain owls',
+            parameters: { model: 'gpt-4o-mini', temperature: 0.3, maxTokens: 100 },
+            output: 'Owls are birds.',
+            latencyMs: 420,
+            usage: { promptTokens: 3, completionTokens: 4, totalTokens: 7 }
+        };
+
+        it('should record, list and rate runs of a prompt', async () => {
+            await request(app)
+                .post('/api/prompts/test-template/runs')
+                .send({ ...run, latencyMs: 'fast' })
+                .expect(400);
+            await request(app)
+                .post('/api/prompts/no-such-prompt/runs')
+                .send(run)
+                .expect(404);
+
+            const created = await request(app)
+                .post('/api/prompts/test-template/runs')
+                .send(run)
+                .expect(201);
+            expect(created.body.run).to.include({ id: 'test-run', promptId: 'test-template', rating: 0 });
+
+            await request(app)
+                .put('/api/runs/test-run')
+                .send({ rating: 9 })
+                .expect(400);
+            await request(app)
+                .put('/api/runs/test-run')
+                .send({ rating: 4 })
+                .expect(200);
+
+            const listed = await request(app)
+                .get('/api/prompts/test-template/runs')
+                .expect(200);
+            expect(listed.body.runs.map(r => r.id)).to.deep.equal(['test-run']);
+            expect(listed.body.stats).to.include({ count: 1, averageRating: 4, totalTokens: 7 });
+        });
+
+        it('should keep code and markup in prompts and runs as sent', async () => {
+            const text = 'Convert List<String> to Map<K, V> ';
+            await request(app)
+                .post('/api/prompts')
+                .send({ id: 'test-generics', text, tags: ['<b>java</b>'] })
+                .expect(201);
+            await request(app)
+                .put('/api/prompts/test-generics')
+                .send({ notes: 'Wrap it in <div class="result">' })
+                .expect(200);
+            await request(app)
+                .post('/api/prompts/test-generics/runs')
+                .send({ ...run, id: 'test-generics-run', input: text, output: '<div>Map<String, Integer></div>' })
+                .expect(201);
+
+            const prompt = await request(app)
+                .get('/api/prompts/test-generics')
+                .expect(200);
+            expect(prompt.body.prompt).to.include({ text, notes: 'Wrap it in <div class="result">' });
+            expect(prompt.body.prompt.tags).to.deep.equal(['java']);
+
+            const runs = await request(app)
+                .get('/api/prompts/test-generics/runs')
+                .expect(200);
+            expect(runs.body.runs[0]).to.include({ input: text, output: '<div>Map<String, Integer></div>' });
+        });
+
+        it('should delete runs', async () => {
+            await request(app)
+                .delete('/api/runs/test-run')
+                .expect(200);
+            await request(app)
+                .delete('/api/runs/test-run')
+                .expect(404);
+        });
+    });
+
+    describe('Evaluations', () => {
+        const openai = { ...config.openai };
+        let stub;
+
+        before(async () => {
+            stub = await startStubModel({ replies: [{ match: '^Rubric:', reply: '{"pass": false, "reason": "Too short"}' }] });
+            Object.assign(config.openai, { baseURL: stub.baseURL, apiKey: 'stub' });
+        });
+
+        after(() => {
+            Object.assign(config.openai, openai);
+            stub.server.close();
+        });
+
+        it('should validate test cases on a prompt', async () => {
+            await request(app)
+                .put('/api/prompts/test-template')
+                .send({ tests: [{ name: 'bad', assertions: [{ type: 'regex', value: '(' }] }] })
+                .expect(400);
+
+            await request(app)
+                .post('/api/prompts/test-partial/evaluate')
+                .expect(400);
+
+            await request(app)
+                .put('/api/prompts/test-template')
+                .send({
+                    tests: [
+                        { name: 'mentions the subject', variables: { subject: 'owls' }, assertions: [{ type: 'contains', value: 'owls' }] },
+                        {
+                            name: 'short and judged',
+                            variables: { subject: 'owls' },
+                            assertions: [{ type: 'max-length', value: 10 }, { type: 'rubric', value: 'Reads well' }]
+                        }
+                    ]
+                })
+                .expect(200);
+        });
+
+        it('should run a suite against a stub model and flag outdated results', async () => {
+            const response = await request(app)
+                .post('/api/prompts/test-template/evaluate')
+                .expect(201);
+            const { evaluation } = response.body;
+            expect(evaluation).to.include({ passed: 1, failed: 1 });
+            expect(evaluation.results[0].output).to.equal('Write a formal note about owls');
+            expect(evaluation.results[1].assertions.map(a => a.message)).to.deep.equal([
+                'Output is 30 characters, more than 10',
+                'Too short'
+            ]);
+
+            let listed = await request(app)
+                .get('/api/prompts/test-template/evaluations')
+                .expect(200);
+            expect(listed.body.evaluations[0]).to.include({ id: evaluation.id, stale: false });
+
+            await request(app)
+                .put('/api/prompts/test-template')
+                .send({ text: 'Write a {{tone}} poem about {{subject}}' })
+                .expect(200);
+            listed = await request(app)
+                .get('/api/prompts/test-template/evaluations')
+                .expect(200);
+            expect(listed.body.evaluations[0].stale).to.be.true;
+        });
+
+        it('should store evaluations run by the browser', async () => {
+            await request(app)
+                .post('/api/prompts/test-template/evaluations')
+                .send({ fingerprint: 'abc' })
+                .expect(400);
+
+            const response = await request(app)
+                .post('/api/prompts/test-template/evaluations')
+                .send({ id: 'test-evaluation', fingerprint: 'abc', results: [{ name: 'a', passed: true }] })
+                .expect(201);
+            expect(response.body.evaluation).to.include({ promptId: 'test-template', passed: 1, failed: 0 });
+        });
+    });
+
+    describe('Comparisons', () => {
+        const openai = { ...config.openai };
+        let stub;
+
+        before(async () => {
+            stub = await startStubModel({ replies: [{ match: '^Request', reply: '{"winner": "b", "reason": "A poem was asked for"}' }] });
+            Object.assign(config.openai, { baseURL: stub.baseURL, apiKey: 'stub' });
+        });
+
+        after(() => {
+            Object.assign(config.openai, openai);
+            stub.server.close();
+        });
+
+        it('should run a revision against the current text and judge it', async () => {
+            const prompt = await request(app)
+                .get('/api/prompts/test-template')
+                .expect(200);
+            const { version } = prompt.body.prompt.revisions.find(r => r.snapshot.text.includes(' note '));
+
+            await request(app)
+                .post('/api/comparisons/run')
+                .send({ a: { promptId: 'test-template' }, b: { promptId: 'test-template' }, inputs: [{}] })
+                .expect(400);
+            await request(app)
+                .post('/api/comparisons/run')
+                .send({ a: { promptId: 'missing' }, b: { promptId: 'test-template' }, inputs: [{}] })
+                .expect(404);
+
+            const response = await request(app)
+                .post('/api/comparisons/run')
+                .send({
+                    a: { promptId: 'test-template', version },
+                    b: { promptId: 'test-template' },
+                    inputs: [{ subject: 'owls' }, { subject: 'cats' }],
+                    judge: true
+                })
+                .expect(201);
+            const { comparison } = response.body;
+            expect(comparison.results[0].a.output).to.equal('Write a formal note about owls');
+            expect(comparison.results[0].b.output).to.equal('Write a formal poem about owls');
+            expect(comparison.results[1]).to.include({ winner: 'b', judgedBy: 'model', reason: 'A poem was asked for' });
+            expect(comparison.summary).to.deep.equal({ a: 0, b: 2, tie: 0, undecided: 0 });
+        });
+
+        it('should store verdicts and work out win rates between prompts', async () => {
+            const outcome = (output) => ({ input: 'Hi', output, error: null });
+            const created = await request(app)
+                .post('/api/comparisons')
+                .send({
+                    id: 'test-comparison',
+                    a: { promptId: 'test-partial' },
+                    b: { promptId: 'test-template' },
+                    results: [
+                        { variables: {}, a: outcome('one'), b: outcome('two'), winner: 'a' },
+                        { variables: {}, a: outcome('three'), b: outcome('four') }
+                    ]
+                })
+                .expect(201);
+            expect(created.body.comparison.results[0]).to.include({ winner: 'a', judgedBy: 'user' });
+
+            await request(app)
+                .put('/api/comparisons/test-comparison')
+                .send({ verdicts: [{ winner: 'nobody' }, null] })
+                .expect(400);
+            const updated = await request(app)
+                .put('/api/comparisons/test-comparison')
+                .send({ verdicts: [null, { winner: 'tie' }] })
+                .expect(200);
+            expect(updated.body.comparison.summary).to.deep.equal({ a: 1, b: 0, tie: 1, undecided: 0 });
+
+            const listed = await request(app)
+                .get('/api/comparisons')
+                .query({ promptId: 'test-partial' })
+                .expect(200);
+            expect(listed.body.comparisons.map(c => c.id)).to.deep.equal(['test-comparison']);
+            // The revision comparison says nothing about the prompt as a whole
+            expect(listed.body.winRates['test-partial']).to.deep.equal({ wins: 1, losses: 0, ties: 1, comparisons: 1, rate: 0.75 });
+            expect(listed.body.winRates['test-template'].rate).to.equal(0.25);
+
+            const analytics = await request(app)
+                .get('/api/analytics')
+                .expect(200);
+            expect(analytics.body.winRates['test-partial'].rate).to.equal(0.75);
+
+            await request(app).delete('/api/comparisons/test-comparison').expect(200);
+            await request(app).delete('/api/comparisons/test-comparison').expect(404);
+        });
+    });
+
+    describe('Providers', () => {
+        const openai = { ...config.openai };
+        const llm = JSON.parse(JSON.stringify(config.llm));
+        let stub;
+
+        // Only the providers the tests set up, whatever the environment has
+        before(async () => {
+            stub = await startStubModel({
+                replies: [
+                    { match: '^Busy', status: 429, retryAfter: 120, reply: 'Slow down' },
+                    { match: '^Broken', status: 500, reply: 'Internal error' }
+                ]
+            });
+            Object.assign(config.openai, { apiKey: '' });
+            config.llm.provider = 'openai';
+            config.llm.anthropic.apiKey = '';
+            config.llm.ollama.baseURL = '';
+        });
+
+        after(() => {
+            Object.assign(config.openai, openai);
+            Object.assign(config.llm, llm);
+            stub.server.close();
+        });
+
+        it('should reject bad providers and routing', async () => {
+            await request(app)
+                .put('/api/settings')
+                .send({ providers: [{ id: 'Local!', type: 'ollama' }] })
+                .expect(400);
+            await request(app)
+                .put('/api/settings')
+                .send({ providers: [{ id: 'custom', type: 'openai-compatible' }] })
+                .expect(400);
+            await request(app)
+                .put('/api/settings')
+                .send({ llm: { tasks: { translate: { provider: 'openai' } } } })
+                .expect(400);
+        });
+
+        it('should route a task to a configured provider without exposing its key', async () => {
+            await request(app)
+                .put('/api/settings')
+                .send({
+                    providers: [{ id: 'stub', type: 'openai-compatible', name: 'Stub', baseURL: `${stub.baseURL}/`, apiKey: 'secret' }],
+                    llm: { tasks: { run: { provider: 'stub', model: 'stub-large' } } }
+                })
+                .expect(200);
+
+            const response = await request(app)
+                .get('/api/providers')
+                .expect(200);
+            const provider = response.body.providers.find(p => p.id === 'stub');
+            expect(provider).to.include({ baseURL: stub.baseURL, hasKey: true, ready: true });
+            expect(provider).to.not.have.property('apiKey');
+            expect(response.body.providers.find(p => p.id === 'openai').ready).to.be.false;
+            expect(response.body.tasks.run).to.deep.equal({ provider: 'stub', model: 'stub-large', ready: true });
+            expect(response.body.tasks.categorize.provider).to.equal('openai');
+
+            const evaluated = await request(app)
+                .post('/api/prompts/test-template/evaluate')
+                .expect(201);
+            expect(evaluated.body.evaluation.model).to.equal('stub-large');
+        });
+
+        it('should keep keys in the secret store and only show them masked', async () => {
+            const saved = await request(app)
+                .put('/api/settings')
+                .send({
+                    providers: [{ id: 'stub', type: 'openai-compatible', name: 'Stub', baseURL: stub.baseURL }],
+                    llm: { tasks: { categorize: { provider: 'stub' }, run: { provider: 'stub', model: 'stub-large' } } }
+                })
+                .expect(200);
+            expect(saved.body.settings.providers[0]).to.not.have.property('apiKey');
+
+            await request(app)
+                .put('/api/secrets/Not%20a%20name')
+                .send({ value: 'sk-test' })
+                .expect(400);
+            await request(app)
+                .put('/api/secrets/openai')
+                .send({ value: ' ' })
+                .expect(400);
+            const added = await request(app)
+                .put('/api/secrets/openai')
+                .send({ value: 'sk-test-first-1111' })
+                .expect(200);
+            expect(added.body.secret).to.include({ name: 'openai', masked: 'sk-…1111' });
+
+            // A full save from a client that never saw the keys keeps them
+            const data = await request(app)
+                .get('/api/data')
+                .expect(200);
+            expect(JSON.stringify(data.body)).to.not.include('secret').and.not.include('sk-test');
+            await request(app)
+                .post('/api/data')
+                .send(data.body)
+                .expect(200);
+
+            let providers = await request(app)
+                .get('/api/providers')
+                .expect(200);
+            expect(providers.body.providers.filter(p => p.hasKey).map(p => p.id)).to.deep.equal(['openai', 'stub']);
+            expect(providers.body.providers[0]).to.include({ maskedKey: 'sk-…1111', keySource: 'secrets' });
+
+            const listed = await request(app)
+                .get('/api/secrets')
+                .expect(200);
+            expect(listed.body.secrets.map(secret => secret.name)).to.deep.equal(['openai', 'stub']);
+            expect(JSON.stringify(listed.body)).to.not.include('sk-test');
+
+            // Nothing readable on disk
+            const files = await Promise.all(['prompts.json', 'secrets.json'].map(name =>
+                fs.readFile(path.join(tmpDir, name), 'utf8')));
+            files.forEach(file => expect(file).to.not.include('sk-test'));
+
+            const backup = await request(app)
+                .post('/api/backup')
+                .expect(200);
+            const backupFile = path.join(__dirname, '..', backup.body.backupFile);
+            expect(await fs.readFile(backupFile, 'utf8')).to.not.include('sk-test');
+            await fs.unlink(backupFile);
+
+            const rotated = await request(app)
+                .put('/api/secrets/openai')
+                .send({ value: 'sk-test-second-2222' })
+                .expect(200);
+            expect(rotated.body.secret).to.include({ masked: 'sk-…2222', createdAt: added.body.secret.createdAt });
+
+            await request(app)
+                .delete('/api/secrets/openai')
+                .expect(200);
+            await request(app)
+                .delete('/api/secrets/openai')
+                .expect(404);
+            providers = await request(app)
+                .get('/api/providers')
+                .expect(200);
+            expect(providers.body.providers.find(p => p.id === 'openai')).to.include({ hasKey: false, keySource: null });
+        });
+
+        it('should proxy AI calls to the provider each task uses', async () => {
+            const tested = await request(app)
+                .post('/api/providers/stub/test')
+                .expect(200);
+            expect(tested.body.models).to.deep.equal(['stub']);
+
+            const categorized = await request(app)
+                .post('/api/ai/categorize')
+                .send({ text: 'Code' })
+                .expect(200);
+            expect(categorized.body.category).to.equal('Code');
+
+            const tagged = await request(app)
+                .post('/api/ai/tags')
+                .send({ text: 'Owls, Night Birds' })
+                .expect(200);
+            expect(tagged.body.tags).to.deep.equal(['owls', 'night birds']);
+
+            const run = await request(app)
+                .post('/api/ai/run')
+                .send({ text: 'Hello there owls', system: 'Be brief' })
+                .expect(200);
+            expect(run.body).to.include({ text: 'Hello there owls', model: 'stub-large' });
+
+            const streamed = await request(app)
+                .post('/api/ai/run')
+                .send({ text: 'Hello there owls', stream: true })
+                .expect('Content-Type', /text\/event-stream/)
+                .expect(200);
+            const events = streamed.text.split('\n\n').filter(Boolean).map(line => JSON.parse(line.slice('data: '.length)));
+            expect(events.filter(e => e.token).map(e => e.token)).to.deep.equal(['Hello ', 'there ', 'owls']);
+            expect(events[events.length - 1]).to.deep.include({ done: true, text: 'Hello there owls', model: 'stub-large' });
+            expect(events[events.length - 1].usage.totalTokens).to.equal(32);
+
+            await request(app)
+                .post('/api/ai/run')
+                .send({ text: '' })
+                .expect(400);
+            await request(app)
+                .post('/api/ai/enhance')
+                .send({ text: 'Hello' })
+                .expect(503);
+        });
+
+        it('should answer with the provider\'s error instead of a made-up result', async () => {
+            const client = OpenAIIntegration.client;
+            OpenAIIntegration.client = new ModelClient({ baseDelay: 1, failureThreshold: 3 });
+            try {
+                const limited = await request(app)
+                    .post('/api/ai/categorize')
+                    .send({ text: 'Busy code' })
+                    .expect(429);
+                expect(limited.headers['retry-after']).to.equal('120');
+                expect(limited.body).to.include({ success: false, code: 'rate_limited', retryAfter: 120 });
+
+                const failed = await request(app)
+                    .post('/api/ai/tags')
+                    .send({ text: 'Broken code' })
+                    .expect(502);
+                expect(failed.body.code).to.equal('provider');
+                expect(failed.body.error).to.match(/500 Internal error/);
+
+                // Three failed attempts in a row open the circuit
+                const paused = await request(app)
+                    .post('/api/ai/categorize')
+                    .send({ text: 'Code', fresh: true })
+                    .expect(503);
+                expect(paused.body.code).to.equal('unavailable');
+                const providers = await request(app)
+                    .get('/api/providers')
+                    .expect(200);
+                expect(providers.body.providers.find(p => p.id === 'stub').circuit.state).to.equal('open');
+
+                const unset = await request(app)
+                    .post('/api/ai/enhance')
+                    .send({ text: 'Hello' })
+                    .expect(503);
+                expect(unset.body.code).to.equal('not_configured');
+            } finally {
+                OpenAIIntegration.client = client;
+            }
+        });
+
+        it('should answer repeated AI requests from the cache', async () => {
+            await request(app)
+                .delete('/api/ai/cache')
+                .expect(200);
+
+            for (const body of [{ text: 'Code' }, { text: ' Code\n' }, { text: 'Code', fresh: true }]) {
+                const categorized = await request(app)
+                    .post('/api/ai/categorize')
+                    .send(body)
+                    .expect(200);
+                expect(categorized.body.category).to.equal('Code');
+            }
+            await request(app)
+                .post('/api/ai/run')
+                .send({ text: 'Hello there owls' })
+                .expect(200);
+
+            const stats = await request(app)
+                .get('/api/ai/cache')
+                .expect(200);
+            expect(stats.body.cache).to.include({ enabled: true, entries: 1, hits: 1, misses: 1 });
+            expect(stats.body.cache.tasks).to.have.all.keys('categorize');
+
+            await request(app)
+                .delete('/api/ai/cache?task=translate')
+                .expect(400);
+            const cleared = await request(app)
+                .delete('/api/ai/cache?task=categorize')
+                .expect(200);
+            expect(cleared.body.removed).to.equal(1);
+        });
+
+        it('should run batch AI jobs in the background', async function () {
+            // Items start at most once a second at the default rate
+            this.timeout(6000);
+            const waitForJob = async (id) => {
+                for (let i = 0; i < 50; i++) {
+                    const response = await request(app)
+                        .get(`/api/jobs/${id}`)
+                        .expect(200);
+                    if (!['queued', 'running'].includes(response.body.job.status)) return response.body;
+                    await new Promise(resolve => setTimeout(resolve, 100));
+                }
+                throw new Error('Job did not finish');
+            };
+
+            const created = await request(app)
+                .post('/api/prompts/batch')
+                .send({ prompts: [{ text: 'Code', category: 'General' }, { text: 'Code review', category: 'General' }, { text: 'Tagged', category: 'Code' }] })
+                .expect(201);
+            const ids = created.body.prompts.map(p => p.id);
+
+            await request(app)
+                .post('/api/jobs')
+                .send({ type: 'translate' })
+                .expect(400);
+            await request(app)
+                .post('/api/jobs')
+                .send({ type: 'enhance', promptIds: ids })
+                .expect(503);
+            const nothing = await request(app)
+                .post('/api/jobs')
+                .send({ type: 'categorize', promptIds: [ids[2]] })
+                .expect(200);
+            expect(nothing.body.job).to.be.null;
+
+            const started = await request(app)
+                .post('/api/jobs')
+                .send({ type: 'categorize', promptIds: ids })
+                .expect(202);
+            expect(started.body.job).to.include({ type: 'categorize', total: 2 });
+            expect(started.body.job).to.not.have.property('pending');
+
+            const { job, done, prompts } = await waitForJob(started.body.job.id);
+            expect(job).to.include({ status: 'completed', succeeded: 2, failed: 0 });
+            expect(done).to.equal(2);
+            expect(prompts.map(p => p.category)).to.deep.equal(['Code', 'Code']);
+
+            const later = await request(app)
+                .get(`/api/jobs/${job.id}`)
+                .query({ since: 2 })
+                .expect(200);
+            expect(later.body.prompts).to.deep.equal([]);
+
+            const listed = await request(app)
+                .get('/api/jobs')
+                .expect(200);
+            expect(listed.body.jobs[0].id).to.equal(job.id);
+
+            await request(app)
+                .post(`/api/jobs/${job.id}/cancel`)
+                .expect(409);
+            await request(app)
+                .post('/api/jobs/missing/cancel')
+                .expect(404);
+
+            const tagging = await request(app)
+                .post('/api/jobs')
+                .send({ type: 'tag', promptIds: ids })
+                .expect(202);
+            const cancelled = await request(app)
+                .post(`/api/jobs/${tagging.body.job.id}/cancel`)
+                .expect(200);
+            expect(cancelled.body.job.status).to.equal('cancelled');
+
+            // Enhancing keeps the user's notes and happens once per prompt
+            await request(app)
+                .put('/api/settings')
+                .send({ llm: { tasks: { categorize: { provider: 'stub' }, run: { provider: 'stub', model: 'stub-large' }, enhance: { provider: 'stub' } } } })
+                .expect(200);
+            const noted = await request(app)
+                .post('/api/prompts')
+                .send({ text: 'Explain closures', notes: 'My own note' })
+                .expect(201);
+            const enhancing = await request(app)
+                .post('/api/jobs')
+                .send({ type: 'enhance', promptIds: [noted.body.prompt.id] })
+                .expect(202);
+            const enhanced = await waitForJob(enhancing.body.job.id);
+            expect(enhanced.job).to.include({ status: 'completed', succeeded: 1 });
+            expect(enhanced.prompts[0].notes).to.match(/^My own note\n\nEnhanced version: \S/);
+            expect(enhanced.prompts[0].enhancedAt).to.be.a('string');
+            const again = await request(app)
+                .post('/api/jobs')
+                .send({ type: 'enhance', promptIds: [noted.body.prompt.id] })
+                .expect(200);
+            expect(again.body.job).to.be.null;
+        });
+    });
+
     describe('GET /api/health', () => {
         it('should return health status', async () => {
             const response = await request(app)
@@ -0,0 +1,65 @@
+const { expect } = require('chai');
+
+const DocumentMerge = require('../public/document-merge');
+
+describe('DocumentMerge', () => {
+    const prompt = (id, text, extra = {}) => ({ id, text, category: 'General', ...extra });
+    const doc = (prompts, extra = {}) => ({
+        prompts,
+        trash: [],
+        customFolders: [],
+        settings: { autoCategorizationEnabled: true },
+        ...extra
+    });
+
+    it('should merge changes made on different prompts without conflicts', () => {
+        const base = doc([prompt('a', 'A'), prompt('b', 'B')]);
+        const local = doc([prompt('a', 'A mine'), prompt('b', 'B')]);
+        const remote = doc([prompt('c', 'C'), prompt('a', 'A', { rev: 2 }), prompt('b', 'B theirs', { rev: 3 })]);
+
+        const { merged, conflicts } = DocumentMerge.merge(base, local, remote);
+
+        expect(conflicts).to.be.empty;
+        expect(merged.prompts.map(p => p.text)).to.deep.equal(['C', 'A mine', 'B theirs']);
+    });
+
+    it('should report prompts changed on both sides and apply choices', () => {
+        const base = doc([prompt('a', 'A'), prompt('b', 'B')]);
+        const local = doc([prompt('a', 'A mine'), prompt('b', 'B mine')]);
+        const remote = doc([prompt('a', 'A theirs'), prompt('b', 'B theirs')]);
+
+        const { merged, conflicts } = DocumentMerge.merge(base, local, remote);
+        expect(conflicts.map(c => c.id)).to.deep.equal(['a', 'b']);
+
+        DocumentMerge.resolve(merged, conflicts, { a: 'remote' });
+        expect(merged.prompts.map(p => p.text)).to.deep.equal(['A theirs', 'B mine']);
+    });
+
+    it('should handle a prompt deleted here and edited on the server', () => {
+        const base = doc([prompt('a', 'A')]);
+        const local = doc([], { trash: [prompt('a', 'A', { deletedAt: '2024-01-01' })] });
+        const remote = doc([prompt('a', 'A theirs')]);
+
+        const keepDeleted = DocumentMerge.merge(base, local, remote);
+        expect(keepDeleted.conflicts[0]).to.include({ id: 'a', local: null });
+        DocumentMerge.resolve(keepDeleted.merged, keepDeleted.conflicts, { a: 'local' });
+        expect(keepDeleted.merged.prompts).to.be.empty;
+        expect(keepDeleted.merged.trash.map(p => p.id)).to.deep.equal(['a']);
+
+        const keepEdit = DocumentMerge.merge(base, local, remote);
+        DocumentMerge.resolve(keepEdit.merged, keepEdit.conflicts, { a: 'remote' });
+        expect(keepEdit.merged.prompts[0].text).to.equal('A theirs');
+        expect(keepEdit.merged.trash).to.be.empty;
+    });
+
+    it('should merge folder lists and settings key by key', () => {
+        const base = doc([], { customFolders: ['Work'], settings: { a: 1, b: 1 } });
+        const local = doc([], { customFolders: ['Work', 'Mine'], settings: { a: 2, b: 1 } });
+        const remote = doc([], { customFolders: ['Theirs'], settings: { a: 1, b: 3 } });
+
+        const { merged } = DocumentMerge.merge(base, local, remote);
+
+        expect(merged.customFolders).to.deep.equal(['Theirs', 'Mine']);
+        expect(merged.settings).to.deep.equal({ a: 2, b: 3 });
+    });
+});
@@ -0,0 +1,121 @@
+const { expect } = require('chai');
+
+const Evaluation = require('../public/evaluation');
+
+describe('Evaluation', () => {
+    const prompt = {
+        id: 'p1',
+        text: 'Describe {{animal}} in JSON',
+        tests: [
+            { name: 'owl', variables: { animal: 'owls' }, assertions: [{ type: 'contains', value: 'owls' }] },
+            { name: 'json', variables: { animal: 'cats' }, assertions: [{ type: 'json-schema', value: { type: 'object' } }] },
+            { name: 'missing variable', assertions: [{ type: 'contains', value: 'x' }] }
+        ]
+    };
+    const echo = async (text) => text;
+
+    it('should clean test cases and reject bad ones', () => {
+        const { tests } = Evaluation.checkTests([
+            { name: ' owl ', assertions: [{ type: 'regex', value: '^describe', flags: 'i', extra: true }] }
+        ]);
+        expect(tests).to.deep.equal([
+            { name: 'owl', variables: {}, assertions: [{ type: 'regex', value: '^describe', flags: 'i' }] }
+        ]);
+
+        const error = input => Evaluation.checkTests(input).error;
+        expect(error({})).to.match(/array/);
+        expect(error([{ name: '', assertions: [] }])).to.match(/name/);
+        expect(error([{ name: 'a', assertions: [] }])).to.match(/assertions/);
+        expect(error([{ name: 'a', assertions: [{ type: 'equals', value: 'x' }] }])).to.match(/type/);
+        expect(error([{ name: 'a', assertions: [{ type: 'regex', value: '(' }] }])).to.match(/invalid regex/);
+        expect(error([{ name: 'a', assertions: [{ type: 'max-length', value: 0 }] }])).to.match(/max-length/);
+        expect(error([{ name: 'a', assertions: [{ type: 'json-schema', value: 'object' }] }])).to.match(/schema/);
+        expect(error([
+            { name: 'a', assertions: [{ type: 'contains', value: 'x' }] },
+            { name: 'a', assertions: [{ type: 'contains', value: 'y' }] }
+        ])).to.match(/more than one/);
+    });
+
+    it('should match values against a JSON schema', () => {
+        const schema = {
+            type: 'object',
+            required: ['title', 'tags'],
+            additionalProperties: false,
+            properties: {
+                title: { type: 'string', maxLength: 10 },
+                tags: { type: 'array', minItems: 1, items: { enum: ['a', 'b'] } },
+                score: { type: ['integer', 'null'], minimum: 0 }
+            }
+        };
+        expect(Evaluation.matchSchema({ title: 'Hi', tags: ['a'], score: null }, schema)).to.be.null;
+        expect(Evaluation.matchSchema({ title: 'Hi' }, schema)).to.equal('$.tags is required');
+        expect(Evaluation.matchSchema({ title: 'Hi', tags: ['c'] }, schema)).to.match(/^\$\.tags\[0\] should be one of/);
+        expect(Evaluation.matchSchema({ title: 'Hi', tags: ['a'], score: 1.5 }, schema)).to.equal('$.score should be integer or null');
+        expect(Evaluation.matchSchema({ title: 'Hi', tags: ['a'], other: 1 }, schema)).to.equal('$.other is not allowed');
+        expect(Evaluation.matchSchema([], schema)).to.equal('$ should be object');
+    });
+
+    it('should check each kind of assertion', async () => {
+        const check = (assertion, output, complete) => Evaluation.assert(assertion, output, complete);
+
+        expect((await check({ type: 'contains', value: 'owl' }, 'an owl')).passed).to.be.true;
+        expect((await check({ type: 'regex', value: '^AN', flags: 'i' }, 'an owl')).passed).to.be.true;
+        expect((await check({ type: 'max-length', value: 3 }, 'an owl')).message).to.equal('Output is 6 characters, more than 3');
+        expect((await check({ type: 'json-schema', value: { type: 'object' } }, '```json\n{"a": 1}\n```')).passed).to.be.true;
+        expect((await check({ type: 'json-schema', value: { type: 'object' } }, 'nope')).message).to.equal('Output is not valid JSON');
+
+        let judged;
+        const judge = async (text, options) => {
+            judged = { text, options };
+            return '{"pass": false, "reason": "Not about owls"}';
+        };
+        const verdict = await check({ type: 'rubric', value: 'Is about owls' }, 'about cats', judge);
+        expect(verdict).to.deep.equal({ type: 'rubric', passed: false, message: 'Not about owls' });
+        expect(judged.text).to.equal('Rubric:\nIs about owls\n\nOutput:\nabout cats');
+        expect(judged.options).to.deep.equal({ system: Evaluation.JUDGE_SYSTEM, temperature: 0 });
+
+        const confused = await check({ type: 'rubric', value: 'x' }, 'y', async () => 'I think it passes');
+        expect(confused.passed).to.be.false;
+        expect(confused.message).to.match(/did not reply with a verdict/);
+    });
+
+    it('should run a suite and report every test', async () => {
+        const seen = [];
+        const evaluation = await Evaluation.run(prompt, [prompt], {
+            complete: echo,
+            model: 'stub',
+            onTest: (index, result) => seen.push(index)
+        });
+
+        expect(seen).to.deep.equal([0, 1, 2]);
+        expect(evaluation).to.include({ promptId: 'p1', model: 'stub', passed: 1, failed: 2 });
+        expect(evaluation.results[0]).to.include({ name: 'owl', output: 'Describe owls in JSON', passed: true });
+        expect(evaluation.results[1].assertions[0].message).to.equal('Output is not valid JSON');
+        expect(evaluation.results[2]).to.include({ output: null, error: 'animal needs a value' });
+
+        const failing = await Evaluation.run(prompt, [prompt], { complete: async () => { throw new Error('offline'); } });
+        expect(failing.results.map(result => result.error)).to.deep.equal(['offline', 'offline', 'animal needs a value']);
+    });
+
+    it('should flag results once the prompt or its tests change', async () => {
+        const evaluation = await Evaluation.run(prompt, [prompt], { complete: echo });
+        expect(Evaluation.isStale(evaluation, prompt)).to.be.false;
+        expect(Evaluation.isStale(evaluation, { ...prompt, text: 'Describe {{animal}}' })).to.be.true;
+        expect(Evaluation.isStale(evaluation, { ...prompt, tests: prompt.tests.slice(1) })).to.be.true;
+        expect(Evaluation.isStale(evaluation, { ...prompt, tags: ['new'] })).to.be.false;
+    });
+
+    it('should keep the latest evaluations of each prompt', () => {
+        const data = { prompts: [{ id: 'p1' }], evaluations: [] };
+        for (let i = 0; i <= Evaluation.MAX_PER_PROMPT; i++) {
+            Evaluation.add(data, { id: `e${i}`, promptId: 'p1', createdAt: new Date(Date.UTC(2024, 0, 1, 0, i)).toISOString() });
+        }
+        Evaluation.add(data, { id: 'gone', promptId: 'p2', createdAt: '2024-01-01T00:00:00.000Z' });
+
+        expect(Evaluation.list(data, 'p1')).to.have.lengthOf(Evaluation.MAX_PER_PROMPT);
+        expect(Evaluation.latest(data, 'p1').id).to.equal(`e${Evaluation.MAX_PER_PROMPT}`);
+
+        Evaluation.prune(data);
+        expect(data.evaluations.map(e => e.promptId)).to.not.include('p2');
+    });
+});
@@ -0,0 +1,35 @@
+const { expect } = require('chai');
+
+const FolderTree = require('../public/folder-tree');
+
+describe('FolderTree', () => {
+    it('should normalize paths and list ancestors', () => {
+        expect(FolderTree.normalize(' Clients / Acme//Onboarding ')).to.equal('Clients/Acme/Onboarding');
+        expect(FolderTree.ancestors('Clients/Acme/Onboarding')).to.deep.equal(['Clients', 'Clients/Acme']);
+        expect(FolderTree.parent('Clients')).to.be.null;
+        expect(FolderTree.basename('Clients/Acme')).to.equal('Acme');
+    });
+
+    it('should tell subfolders apart from folders sharing a prefix', () => {
+        expect(FolderTree.contains('Clients', 'Clients/Acme')).to.be.true;
+        expect(FolderTree.contains('Clients', 'Clients')).to.be.true;
+        expect(FolderTree.contains('Clients', 'ClientsOld')).to.be.false;
+    });
+
+    it('should move a folder with its subfolders', () => {
+        const folders = ['Acme', 'Acme/Onboarding', 'Internal'];
+
+        expect(FolderTree.renameAll(folders, 'Acme', 'Clients/Acme'))
+            .to.deep.equal(['Clients', 'Clients/Acme', 'Clients/Acme/Onboarding', 'Internal']);
+        expect(FolderTree.rename('Acme/Onboarding', 'Acme', 'Globex')).to.equal('Globex/Onboarding');
+        expect(FolderTree.rename('Internal', 'Acme', 'Globex')).to.equal('Internal');
+    });
+
+    it('should build a tree, adding missing parents', () => {
+        const tree = FolderTree.build(['Clients/Acme/Onboarding', 'Internal']);
+
+        expect(tree.map(node => node.path)).to.deep.equal(['Clients', 'Internal']);
+        expect(tree[0].children[0]).to.deep.include({ name: 'Acme', path: 'Clients/Acme' });
+        expect(tree[0].children[0].children[0].name).to.equal('Onboarding');
+    });
+});
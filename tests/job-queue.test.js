@@ -0,0 +1,168 @@
+const { expect } = require('chai');
+const fs = require('fs').promises;
+const os = require('os');
+const path = require('path');
+
+const JobQueue = require('../src/job-queue');
+const ModelClient = require('../src/model-client');
+
+describe('JobQueue', () => {
+    let dir;
+    let filePath;
+
+    beforeEach(async () => {
+        dir = await fs.mkdtemp(path.join(os.tmpdir(), 'nlp-jobs-'));
+        filePath = path.join(dir, 'jobs.json');
+    });
+
+    afterEach(async () => {
+        await fs.rm(dir, { recursive: true, force: true });
+    });
+
+    it('should run items a few at a time and count what happened to each', async () => {
+        let running = 0;
+        let most = 0;
+        const categorize = async (id) => {
+            running++;
+            most = Math.max(most, running);
+            await new Promise(resolve => setTimeout(resolve, 10));
+            running--;
+            if (id === 'p3') return 'skipped';
+            if (id === 'p4') throw new Error('Rate limited');
+            return 'done';
+        };
+        const queue = new JobQueue(filePath, { handlers: { categorize }, concurrency: 2, requestsPerMinute: 0 });
+
+        const job = await queue.add('categorize', ['p1', 'p2', 'p3', 'p4', 'p5']);
+        await queue.idle();
+
+        expect(most).to.equal(2);
+        expect(job).to.include({ status: 'completed', total: 5, succeeded: 3, skipped: 1, failed: 1 });
+        expect(job.pending).to.deep.equal([]);
+        expect(job.done).to.have.members(['p1', 'p2', 'p3', 'p4', 'p5']);
+        expect(job.errors).to.deep.equal([{ id: 'p4', error: 'Rate limited' }]);
+        expect(job.finishedAt).to.be.a('string');
+
+        const saved = JSON.parse(await fs.readFile(filePath, 'utf8'));
+        expect(saved.jobs[0]).to.include({ id: job.id, status: 'completed', succeeded: 3 });
+    });
+
+    it('should space item starts to the rate limit', async () => {
+        const started = [];
+        const tag = async () => {
+            started.push(Date.now());
+        };
+        const queue = new JobQueue(filePath, { handlers: { tag }, concurrency: 3, requestsPerMinute: 1200 });
+
+        await queue.add('tag', ['p1', 'p2', 'p3']);
+        await queue.idle();
+
+        expect(started).to.have.length(3);
+        expect(started[2] - started[0]).to.be.at.least(90);
+    });
+
+    it('should stop taking items once cancelled', async () => {
+        const seen = [];
+        let queue;
+        const enhance = async (id, job) => {
+            seen.push(id);
+            if (id === 'p2') await queue.cancel(job.id);
+        };
+        queue = new JobQueue(filePath, { handlers: { enhance }, concurrency: 1, requestsPerMinute: 0 });
+
+        const job = await queue.add('enhance', ['p1', 'p2', 'p3', 'p4']);
+        await queue.idle();
+
+        expect(seen).to.deep.equal(['p1', 'p2']);
+        expect(job).to.include({ status: 'cancelled', succeeded: 2 });
+        expect(job.pending).to.deep.equal(['p3', 'p4']);
+        expect(await queue.cancel(job.id)).to.include({ status: 'cancelled' });
+        expect(await queue.cancel('missing')).to.be.null;
+    });
+
+    it('should put items back and wait while the provider\'s circuit is open', async function () {
+        this.timeout(5000);
+        const client = new ModelClient({ retries: 0, failureThreshold: 2, cooldown: 500 });
+        const provider = { id: 'stub', name: 'Stub' };
+        let calls = 0;
+        const categorize = async () => {
+            calls++;
+            await client.call(provider, async () => {
+                if (calls <= 2) throw Object.assign(new Error('Internal error'), { status: 500 });
+                return 'Code';
+            });
+        };
+        const queue = new JobQueue(filePath, { handlers: { categorize }, concurrency: 1, requestsPerMinute: 0 });
+
+        const started = Date.now();
+        const job = await queue.add('categorize', ['p1', 'p2', 'p3', 'p4', 'p5', 'p6']);
+        await new Promise(resolve => setTimeout(resolve, 100));
+        expect(job.status).to.equal('running');
+        expect(job.paused.error).to.match(/requests are paused/);
+        expect(job.pending).to.deep.equal(['p3', 'p4', 'p5', 'p6']);
+        const saved = JSON.parse(await fs.readFile(filePath, 'utf8'));
+        expect(saved.jobs[0].paused).to.deep.equal(job.paused);
+
+        await queue.idle();
+        expect(Date.now() - started).to.be.at.least(1000);
+        expect(job).to.include({ status: 'completed', succeeded: 4, failed: 2, paused: null });
+        expect(job.errors.map(error => error.id)).to.deep.equal(['p1', 'p2']);
+        expect(job.done).to.deep.equal(['p1', 'p2', 'p3', 'p4', 'p5', 'p6']);
+    });
+
+    it('should fail an item that keeps being sent back', async () => {
+        let calls = 0;
+        const tag = async (id) => {
+            calls++;
+            if (id === 'p1') throw Object.assign(new Error('Slow down'), { retryAfter: 0.01 });
+        };
+        const queue = new JobQueue(filePath, { handlers: { tag }, concurrency: 1, requestsPerMinute: 0, maxRetries: 2 });
+
+        const job = await queue.add('tag', ['p1', 'p2']);
+        await queue.idle();
+
+        expect(calls).to.equal(4);
+        expect(job).to.include({ status: 'completed', succeeded: 1, failed: 1 });
+        expect(job.errors).to.deep.equal([{ id: 'p1', error: 'Slow down' }]);
+        expect(job.retries).to.deep.equal({});
+    });
+
+    it('should resume unfinished jobs after a restart', async () => {
+        const stopped = new JobQueue(filePath, { handlers: { categorize: async () => {} } });
+        await stopped.load();
+        stopped.jobs.push({
+            id: 'job_1', type: 'categorize', status: 'running', total: 3,
+            pending: ['p2', 'p3'], done: ['p1'], succeeded: 1, skipped: 0, failed: 0, errors: [],
+            createdAt: new Date().toISOString(), startedAt: new Date().toISOString(), finishedAt: null
+        });
+        await stopped.flush();
+
+        const seen = [];
+        const queue = new JobQueue(filePath, { handlers: { categorize: async (id) => { seen.push(id); } }, requestsPerMinute: 0 });
+        await queue.start();
+        await queue.idle();
+
+        expect(seen).to.have.members(['p2', 'p3']);
+        expect(await queue.get('job_1')).to.include({ status: 'completed', succeeded: 3 });
+    });
+
+    it('should forget the oldest finished jobs and list without item lists', async () => {
+        const queue = new JobQueue(filePath, { handlers: { tag: async () => {} }, keep: 2, requestsPerMinute: 0 });
+        const added = [];
+        for (let i = 0; i < 3; i++) {
+            added.push(await queue.add('tag', [`p${i}`]));
+            await queue.idle();
+        }
+
+        const listed = (await queue.list()).map(JobQueue.summarize);
+        expect(listed.map(job => job.id)).to.deep.equal([added[2].id, added[1].id]);
+        expect(listed[0]).to.not.have.any.keys('pending', 'done');
+
+        try {
+            await queue.add('translate', ['p1']);
+            expect.fail('should have thrown');
+        } catch (error) {
+            expect(error.message).to.match(/Unknown job type/);
+        }
+    });
+});
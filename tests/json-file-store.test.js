@@ -0,0 +1,129 @@
+const { expect } = require('chai');
+const fs = require('fs').promises;
+const os = require('os');
+const path = require('path');
+
+const JsonFileStore = require('../src/storage/json-file-store');
+
+describe('JsonFileStore', () => {
+    let dir;
+    let filePath;
+    let store;
+
+    beforeEach(async () => {
+        dir = await fs.mkdtemp(path.join(os.tmpdir(), 'nlp-store-'));
+        filePath = path.join(dir, 'prompts.json');
+        store = new JsonFileStore(filePath, {
+            createDefaultData: () => ({ prompts: [], metadata: {} })
+        });
+    });
+
+    afterEach(async () => {
+        await fs.rm(dir, { recursive: true, force: true });
+    });
+
+    it('should return default data when no file exists', async () => {
+        const data = await store.read();
+        expect(data).to.deep.equal({ prompts: [], metadata: {} });
+    });
+
+    it('should apply concurrent updates without losing any', async () => {
+        await Promise.all([1, 2, 3, 4, 5].map(n =>
+            store.update(data => { data.prompts.push({ id: `p${n}` }); })
+        ));
+
+        const data = JSON.parse(await fs.readFile(filePath, 'utf8'));
+        expect(data.prompts.map(p => p.id)).to.have.members(['p1', 'p2', 'p3', 'p4', 'p5']);
+    });
+
+    it('should leave the file untouched when a mutator throws', async () => {
+        await store.update(data => { data.prompts.push({ id: 'kept' }); });
+
+        let caught;
+        try {
+            await store.update(data => {
+                data.prompts = [];
+                throw new Error('abort');
+            });
+        } catch (error) {
+            caught = error;
+        }
+
+        expect(caught.message).to.equal('abort');
+        const data = await store.read();
+        expect(data.prompts).to.have.length(1);
+    });
+
+    it('should write a pending autosave before a later update', async () => {
+        await store.update(data => { data.prompts.push({ id: 'a' }); });
+
+        store.scheduleReplace({ prompts: [{ id: 'a' }, { id: 'autosaved' }], metadata: {} }, 10000);
+        await store.update(data => { data.prompts.push({ id: 'put' }); });
+
+        const data = await store.read();
+        expect(data.prompts.map(p => p.id)).to.deep.equal(['a', 'autosaved', 'put']);
+    });
+
+    it('should fall back to the last good copy when the file is corrupt', async () => {
+        await store.update(data => { data.prompts.push({ id: 'first' }); });
+        await store.update(data => { data.prompts.push({ id: 'second' }); });
+        await fs.writeFile(filePath, '{"prompts": [');
+
+        const data = await store.read();
+        expect(data.prompts.map(p => p.id)).to.deep.equal(['first']);
+    });
+
+    it('should not load the last good copy when the file cannot be read', async () => {
+        await store.update(data => { data.prompts.push({ id: 'first' }); });
+        await store.update(data => { data.prompts.push({ id: 'second' }); });
+        store.cache = null;
+        store.readFile = async (file) => {
+            if (file === filePath) throw Object.assign(new Error('EIO: i/o error, read'), { code: 'EIO' });
+            return JSON.parse(await fs.readFile(file, 'utf8'));
+        };
+
+        let caught;
+        try {
+            await store.read();
+        } catch (error) {
+            caught = error;
+        }
+        expect(caught.code).to.equal('EIO');
+    });
+
+    it('should not load the last good copy when the file is missing', async () => {
+        await store.update(data => { data.prompts.push({ id: 'first' }); });
+        await store.update(data => { data.prompts.push({ id: 'second' }); });
+        await fs.unlink(filePath);
+
+        const data = await store.read();
+        expect(data).to.deep.equal({ prompts: [], metadata: {} });
+    });
+
+    it('should refresh the last good copy from the current file', async () => {
+        await store.update(data => { data.prompts.push({ id: 'secret' }); });
+        await store.update(data => { data.prompts = [{ id: 'clean' }]; });
+        expect(await fs.readFile(`${filePath}.bak`, 'utf8')).to.include('secret');
+
+        await store.refreshBackup();
+        const backup = JSON.parse(await fs.readFile(`${filePath}.bak`, 'utf8'));
+        expect(backup.prompts).to.deep.equal([{ id: 'clean' }]);
+    });
+
+    it('should keep the search index in step with writes', async () => {
+        await store.update(data => { data.prompts.push({ id: 'a', text: 'Summarize the article' }); });
+        const index = await store.getSearchIndex();
+        expect(index.size).to.equal(1);
+
+        await store.update(data => {
+            data.prompts[0].text = 'Translate the article';
+            data.prompts.push({ id: 'b', text: 'Summarize a meeting' });
+        });
+        store.scheduleReplace({ prompts: [{ id: 'b', text: 'Summarize a meeting' }], metadata: {} }, 10000);
+        await store.flush();
+
+        expect(index.size).to.equal(1);
+        expect(index.scoreWord('translate').size).to.equal(0);
+        expect([...index.scoreWord('summarize').keys()]).to.deep.equal(['b']);
+    });
+});
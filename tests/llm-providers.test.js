@@ -0,0 +1,193 @@
+const { expect } = require('chai');
+
+const LLMProviders = require('../public/llm-providers');
+
+describe('LLMProviders', () => {
+    // Records the request and answers with `body`, like fetch()
+    const fakeFetch = (body, status = 200) => {
+        const fetch = async (url, init) => {
+            fetch.calls.push({ url, init });
+            return { ok: status < 400, status, json: async () => body };
+        };
+        fetch.calls = [];
+        return fetch;
+    };
+
+    // Answers with a server-sent event stream made of `lines`
+    const streamFetch = (lines) => async () => {
+        const chunks = [new TextEncoder().encode(lines.join('\n') + '\n')];
+        return {
+            ok: true,
+            status: 200,
+            body: { getReader: () => ({ read: async () => (chunks.length > 0 ? { done: false, value: chunks.shift() } : { done: true }) }) }
+        };
+    };
+
+    const anthropic = { id: 'claude', type: 'anthropic', name: 'Anthropic', baseURL: '', apiKey: 'sk-ant', model: '' };
+    const local = { id: 'local', type: 'ollama', name: 'Ollama', baseURL: '', apiKey: '', model: 'llama3.1' };
+
+    it('should clean providers and reject bad ones', () => {
+        const { provider } = LLMProviders.check({ id: 'lan', type: 'openai-compatible', baseURL: ' http://10.0.0.2:8080/v1/ ' });
+        expect(provider).to.deep.equal({
+            id: 'lan',
+            type: 'openai-compatible',
+            name: 'OpenAI-compatible',
+            baseURL: 'http://10.0.0.2:8080/v1',
+            apiKey: '',
+            model: ''
+        });
+
+        expect(LLMProviders.check({ id: 'Lan', type: 'ollama' }).error).to.match(/lowercase/);
+        expect(LLMProviders.check({ id: 'lan', type: 'gemini' }).error).to.match(/type must be one of/);
+        expect(LLMProviders.check({ id: 'lan', type: 'openai-compatible' }).error).to.match(/need a baseURL/);
+        expect(LLMProviders.check({ id: 'lan', type: 'ollama', baseURL: 'localhost:11434' }).error).to.match(/http/);
+        expect(LLMProviders.checkProviders([local, local]).error).to.match(/more than one/);
+
+        expect(LLMProviders.checkRouting({ tasks: { run: { provider: 'local', model: ' ' } } }).llm)
+            .to.deep.equal({ tasks: { run: { provider: 'local' } } });
+        expect(LLMProviders.checkRouting({ tasks: { translate: {} } }).error).to.match(/Unknown task/);
+    });
+
+    it('should list the built-in provider with its stored key and let own ones override it', () => {
+        const providers = LLMProviders.list({ providers: [local] }, undefined, { openai: 'sk-1' });
+        expect(providers.map(p => p.id)).to.deep.equal(['openai', 'local']);
+        expect(providers[0]).to.include({ name: 'OpenAI', apiKey: 'sk-1' });
+        expect(LLMProviders.isReady(providers[0])).to.be.true;
+        expect(LLMProviders.isReady(local)).to.be.true;
+        expect(LLMProviders.isReady({ ...anthropic, apiKey: '' })).to.be.false;
+
+        const replaced = LLMProviders.list({ providers: [{ ...local, id: 'openai' }] });
+        expect(replaced).to.have.length(1);
+        expect(replaced[0].type).to.equal('ollama');
+    });
+
+    it('should route each task to its provider and model', () => {
+        const providers = LLMProviders.list({ providers: [anthropic, local] }, undefined, { openai: 'sk-1' });
+        const llm = {
+            provider: 'claude',
+            tasks: { categorize: { provider: 'local', model: 'qwen2.5' }, run: { model: 'claude-3-7-sonnet-latest' }, enhance: { provider: 'gone' } }
+        };
+
+        expect(LLMProviders.route(providers, llm, 'categorize')).to.deep.equal({ provider: providers[2], model: 'qwen2.5' });
+        expect(LLMProviders.route(providers, llm, 'run').model).to.equal('claude-3-7-sonnet-latest');
+        expect(LLMProviders.route(providers, llm, 'enhance')).to.deep.equal({ provider: providers[1], model: 'claude-3-5-haiku-latest' });
+        expect(LLMProviders.route(providers, {}, 'generate')).to.deep.equal({ provider: providers[0], model: 'gpt-3.5-turbo' });
+        expect(LLMProviders.route([], llm, 'run')).to.deep.equal({ provider: null, model: null });
+    });
+
+    it('should send OpenAI-style requests to OpenAI-compatible servers', async () => {
+        const fetch = fakeFetch({
+            choices: [{ message: { content: ' Code ' } }],
+            usage: { prompt_tokens: 12, completion_tokens: 1, total_tokens: 13 }
+        });
+        const result = await LLMProviders.complete(local, { model: 'llama3.1', system: 'Categorize', prompt: 'Fix this bug' }, fetch);
+        expect(result).to.deep.equal({ text: 'Code', usage: { promptTokens: 12, completionTokens: 1, totalTokens: 13 } });
+
+        const { url, init } = fetch.calls[0];
+        expect(url).to.equal('http://localhost:11434/v1/chat/completions');
+        expect(init.headers).to.not.have.property('Authorization');
+        expect(JSON.parse(init.body).messages).to.deep.equal([
+            { role: 'system', content: 'Categorize' },
+            { role: 'user', content: 'Fix this bug' }
+        ]);
+    });
+
+    it('should speak the Anthropic messages API', async () => {
+        const fetch = fakeFetch({
+            content: [{ type: 'text', text: 'Hello' }, { type: 'text', text: ' there' }],
+            usage: { input_tokens: 5, output_tokens: 2 }
+        });
+        const result = await LLMProviders.complete(anthropic, { model: 'claude-3-5-haiku-latest', system: 'Be brief', prompt: 'Hi', maxTokens: 50 }, fetch);
+        expect(result).to.deep.equal({ text: 'Hello there', usage: { promptTokens: 5, completionTokens: 2, totalTokens: 7 } });
+
+        const { url, init } = fetch.calls[0];
+        expect(url).to.equal('https://api.anthropic.com/v1/messages');
+        expect(init.headers).to.include({ 'x-api-key': 'sk-ant', 'anthropic-version': '2023-06-01' });
+        expect(JSON.parse(init.body)).to.include({ system: 'Be brief', max_tokens: 50 });
+        expect(JSON.parse(init.body).messages).to.deep.equal([{ role: 'user', content: 'Hi' }]);
+
+        const failing = fakeFetch({ error: { type: 'authentication_error', message: 'invalid x-api-key' } }, 401);
+        try {
+            await LLMProviders.complete(anthropic, { model: 'claude-3-5-haiku-latest', prompt: 'Hi' }, failing);
+            expect.fail('should have thrown');
+        } catch (error) {
+            expect(error.message).to.equal('Anthropic API error: 401 invalid x-api-key');
+        }
+    });
+
+    it('should stream tokens and usage from both formats', async () => {
+        const tokens = [];
+        const openai = await LLMProviders.stream(local, { model: 'llama3.1', prompt: 'Hi', onToken: token => tokens.push(token) }, streamFetch([
+            'data: {"choices":[{"delta":{"content":"Hel"}}]}',
+            'data: {"choices":[{"delta":{"content":"lo"}}]}',
+            'data: {"choices":[],"usage":{"prompt_tokens":3,"completion_tokens":2,"total_tokens":5}}',
+            'data: [DONE]'
+        ]));
+        expect(tokens).to.deep.equal(['Hel', 'lo']);
+        expect(openai).to.deep.equal({ text: 'Hello', usage: { promptTokens: 3, completionTokens: 2, totalTokens: 5 } });
+
+        const claude = await LLMProviders.stream(anthropic, { model: 'claude-3-5-haiku-latest', prompt: 'Hi' }, streamFetch([
+            'event: message_start',
+            'data: {"type":"message_start","message":{"usage":{"input_tokens":4}}}',
+            'event: content_block_delta',
+            'data: {"type":"content_block_delta","delta":{"type":"text_delta","text":"Hey"}}',
+            'event: message_delta',
+            'data: {"type":"message_delta","usage":{"output_tokens":1}}'
+        ]));
+        expect(claude).to.deep.equal({ text: 'Hey', usage: { promptTokens: 4, completionTokens: 1, totalTokens: 5 } });
+    });
+
+    it('should read events from a Node stream split mid-line', async () => {
+        async function* body() {
+            yield Buffer.from('data: {"token":"He');
+            yield Buffer.from('llo"}\n\ndata: {"done":true}\n\ndata: [DONE]\n');
+        }
+        const events = [];
+        for await (const event of LLMProviders.events(body())) {
+            events.push(event);
+        }
+        expect(events).to.deep.equal([{ token: 'Hello' }, { done: true }]);
+    });
+
+    it('should strip keys and find the ones written into the settings', () => {
+        const stored = { openaiApiKey: 'sk-1', providers: [{ ...anthropic }, { ...local, apiKey: 'lk' }], theme: 'dark' };
+
+        const redacted = LLMProviders.withoutKeys(stored);
+        expect(redacted).to.not.have.property('openaiApiKey');
+        expect(redacted.providers.every(provider => !('apiKey' in provider))).to.be.true;
+        expect(redacted.theme).to.equal('dark');
+        expect(stored.providers[0].apiKey).to.equal('sk-ant');
+
+        expect(LLMProviders.keysIn(stored)).to.deep.equal({ openai: 'sk-1', claude: 'sk-ant', local: 'lk' });
+        expect(LLMProviders.keysIn({ openaiApiKey: ' ', providers: [{ ...local, apiKey: '' }] })).to.deep.equal({});
+        expect(LLMProviders.keysIn(redacted)).to.deep.equal({});
+    });
+
+    it('should list models', async () => {
+        const fetch = fakeFetch({ data: [{ id: 'mistral' }, { id: 'llama3.1' }] });
+        expect(await LLMProviders.listModels(local, fetch)).to.deep.equal(['llama3.1', 'mistral']);
+        expect(fetch.calls[0].url).to.equal('http://localhost:11434/v1/models');
+    });
+
+    it('should fail with the status and Retry-After of an error response', async () => {
+        const fetch = async () => ({
+            ok: false,
+            status: 429,
+            headers: { get: name => (name === 'retry-after' ? '12' : null) },
+            json: async () => ({ error: { message: 'Rate limit reached' } })
+        });
+        try {
+            await LLMProviders.complete(local, { model: 'llama3.1', prompt: 'Hi' }, fetch);
+            expect.fail('should have thrown');
+        } catch (error) {
+            expect(error.message).to.equal('Ollama API error: 429 Rate limit reached');
+            expect(error).to.include({ status: 429, retryAfter: 12 });
+        }
+
+        const now = Date.parse('2026-01-01T00:00:00Z');
+        expect(LLMProviders.retryAfter('Thu, 01 Jan 2026 00:00:30 GMT', now)).to.equal(30);
+        expect(LLMProviders.retryAfter('1.5')).to.equal(2);
+        expect(LLMProviders.retryAfter('soon')).to.be.null;
+        expect(LLMProviders.retryAfter(null)).to.be.null;
+    });
+});
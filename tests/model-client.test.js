@@ -0,0 +1,123 @@
+const { expect } = require('chai');
+
+const ModelClient = require('../src/model-client');
+
+describe('ModelClient', () => {
+    const provider = { id: 'local', name: 'Ollama' };
+
+    // Fails with each of `failures` in turn, then resolves with 'ok'
+    const flaky = (...failures) => {
+        const operation = async () => {
+            operation.calls++;
+            const failure = failures.shift();
+            if (failure) throw Object.assign(new Error(failure.message || 'Ollama API error'), failure);
+            return 'ok';
+        };
+        operation.calls = 0;
+        return operation;
+    };
+
+    // Rejects like fetch() once `signal` is aborted
+    const hanging = signal => new Promise((resolve, reject) => {
+        signal.addEventListener('abort', () => reject(Object.assign(new Error('The user aborted a request.'), { name: 'AbortError' })));
+    });
+
+    const expectFailure = async (promise) => {
+        try {
+            await promise;
+        } catch (error) {
+            return error;
+        }
+        expect.fail('should have thrown');
+    };
+
+    it('should retry network errors and 5xx answers but not other errors', async () => {
+        const client = new ModelClient({ baseDelay: 1 });
+        const recovering = flaky({ message: 'socket hang up' }, { status: 503 }, { status: 500 });
+        expect(await client.call(provider, recovering)).to.equal('ok');
+        expect(recovering.calls).to.equal(4);
+
+        const unauthorized = flaky({ status: 401, message: 'Ollama API error: 401' });
+        const error = await expectFailure(client.call(provider, unauthorized));
+        expect(error).to.include({ code: 'provider', status: 401, message: 'Ollama API error: 401' });
+        expect(unauthorized.calls).to.equal(1);
+
+        const down = flaky({ message: 'connect ECONNREFUSED' }, { message: 'connect ECONNREFUSED' });
+        const unreachable = await expectFailure(client.call(provider, down, { retries: 1 }));
+        expect(unreachable).to.include({ code: 'network', message: 'Could not reach Ollama: connect ECONNREFUSED' });
+        expect(down.calls).to.equal(2);
+    });
+
+    it('should back off exponentially with jitter', () => {
+        const low = new ModelClient({ baseDelay: 100, maxDelay: 1000, random: () => 0 });
+        const high = new ModelClient({ baseDelay: 100, maxDelay: 1000, random: () => 1 });
+        expect([0, 1, 2].map(attempt => low.delay(attempt))).to.deep.equal([50, 100, 200]);
+        expect([0, 1, 2].map(attempt => high.delay(attempt))).to.deep.equal([100, 200, 400]);
+        expect(high.delay(10)).to.equal(1000);
+    });
+
+    it('should wait as long as Retry-After asks, or give up when that is too long', async () => {
+        const client = new ModelClient({ baseDelay: 1, maxDelay: 1000 });
+        const started = Date.now();
+        const limited = flaky({ status: 429, retryAfter: 0.05 });
+        expect(await client.call(provider, limited)).to.equal('ok');
+        expect(Date.now() - started).to.be.at.least(45);
+
+        const busy = flaky({ status: 429, retryAfter: 120 });
+        const error = await expectFailure(client.call(provider, busy));
+        expect(busy.calls).to.equal(1);
+        expect(error).to.include({ code: 'rate_limited', status: 429, retryAfter: 120 });
+        expect(error.message).to.equal('Ollama is rate limiting requests; try again in 120s');
+    });
+
+    it('should time out each attempt and stop when the caller aborts', async () => {
+        const client = new ModelClient({ baseDelay: 1, timeout: 20 });
+        let calls = 0;
+        const slow = signal => {
+            calls++;
+            return hanging(signal);
+        };
+        const error = await expectFailure(client.call(provider, slow, { retries: 1 }));
+        expect(error).to.include({ code: 'timeout', message: 'Ollama did not answer within 0.02s' });
+        expect(calls).to.equal(2);
+
+        const controller = new AbortController();
+        setTimeout(() => controller.abort(), 10);
+        const stopped = await expectFailure(client.call(provider, slow, { timeout: 0, signal: controller.signal }));
+        expect(stopped.name).to.equal('AbortError');
+        expect(calls).to.equal(3);
+        expect(client.status('local').failures).to.equal(2);
+    });
+
+    it('should stop calling a failing provider until its cooldown is over', async () => {
+        const client = new ModelClient({ retries: 0, failureThreshold: 2, cooldown: 50 });
+        await expectFailure(client.call(provider, flaky({ status: 500 })));
+        expect(client.status('local')).to.deep.equal({ state: 'closed', failures: 1, retryAfter: null });
+        await expectFailure(client.call(provider, flaky({ status: 502 })));
+
+        const skipped = flaky();
+        const error = await expectFailure(client.call(provider, skipped));
+        expect(error).to.include({ code: 'unavailable', retryAfter: 1 });
+        expect(error.message).to.match(/^Ollama is failing; requests are paused/);
+        expect(skipped.calls).to.equal(0);
+        expect(client.status('local').state).to.equal('open');
+        expect(await client.call({ id: 'other', name: 'Other' }, flaky())).to.equal('ok');
+
+        // One request tests the provider; the rest wait for it
+        await new Promise(resolve => setTimeout(resolve, 60));
+        let release;
+        const probe = client.call(provider, () => new Promise(resolve => { release = resolve; }));
+        expect(client.status('local').state).to.equal('half-open');
+        expect((await expectFailure(client.call(provider, flaky()))).code).to.equal('unavailable');
+        release('ok');
+        expect(await probe).to.equal('ok');
+        expect(client.status('local')).to.deep.equal({ state: 'closed', failures: 0, retryAfter: null });
+
+        // A failed probe opens it again at once
+        await expectFailure(client.call(provider, flaky({ status: 500 })));
+        await expectFailure(client.call(provider, flaky({ status: 500 })));
+        await new Promise(resolve => setTimeout(resolve, 60));
+        await expectFailure(client.call(provider, flaky({ status: 500 })));
+        expect(client.status('local').state).to.equal('open');
+    });
+});
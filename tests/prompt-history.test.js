@@ -0,0 +1,71 @@
+const { expect } = require('chai');
+
+const PromptHistory = require('../public/prompt-history');
+
+describe('PromptHistory', () => {
+    const basePrompt = () => ({
+        id: 'p1',
+        text: 'Write a short poem',
+        category: 'Writing',
+        tags: ['poetry'],
+        folder: 'Default',
+        notes: '',
+        rating: 0,
+        createdAt: '2024-01-01T00:00:00.000Z'
+    });
+
+    it('should record a baseline and a new revision on tracked changes', () => {
+        const updated = PromptHistory.applyUpdate(basePrompt(), { text: 'Write a long poem' }, { source: 'ai-enhance' });
+
+        expect(updated.revisions).to.have.length(2);
+        expect(updated.revisions[0].snapshot.text).to.equal('Write a short poem');
+        expect(updated.revisions[1]).to.include({ version: 2, source: 'ai-enhance' });
+        expect(updated.revisions[1].snapshot.text).to.equal('Write a long poem');
+    });
+
+    it('should not record a revision for untracked changes', () => {
+        const updated = PromptHistory.applyUpdate(basePrompt(), { rating: 5 });
+
+        expect(updated.rating).to.equal(5);
+        expect(updated.revisions).to.be.undefined;
+    });
+
+    it('should ignore revisions passed in updates', () => {
+        const prompt = PromptHistory.applyUpdate(basePrompt(), { text: 'Edited' });
+        const updated = PromptHistory.applyUpdate(prompt, { revisions: [], notes: 'note' });
+
+        expect(updated.revisions).to.have.length(3);
+    });
+
+    it('should restore an earlier revision as a new revision', () => {
+        const edited = PromptHistory.applyUpdate(basePrompt(), { text: 'Edited', tags: ['x'] });
+        const restored = PromptHistory.restore(edited, 1, { author: 'alice' });
+
+        expect(restored.text).to.equal('Write a short poem');
+        expect(restored.tags).to.deep.equal(['poetry']);
+        expect(restored.revisions[2]).to.include({ version: 3, source: 'restore', author: 'alice' });
+        expect(PromptHistory.restore(edited, 99)).to.be.null;
+    });
+
+    it('should cap the number of stored revisions', () => {
+        let prompt = basePrompt();
+        for (let i = 0; i < PromptHistory.MAX_REVISIONS + 5; i++) {
+            prompt = PromptHistory.applyUpdate(prompt, { text: `Version ${i}` });
+        }
+
+        expect(prompt.revisions).to.have.length(PromptHistory.MAX_REVISIONS);
+        expect(prompt.revisions[prompt.revisions.length - 1].version).to.equal(PromptHistory.MAX_REVISIONS + 6);
+    });
+
+    it('should produce a word diff', () => {
+        const parts = PromptHistory.diffWords('the quick brown fox', 'the slow brown fox jumps');
+
+        expect(parts).to.deep.equal([
+            { type: 'equal', value: 'the ' },
+            { type: 'removed', value: 'quick' },
+            { type: 'added', value: 'slow' },
+            { type: 'equal', value: ' brown fox' },
+            { type: 'added', value: ' jumps' }
+        ]);
+    });
+});
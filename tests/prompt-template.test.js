@@ -0,0 +1,62 @@
+const { expect } = require('chai');
+
+const PromptTemplate = require('../public/prompt-template');
+
+describe('PromptTemplate', () => {
+    const prompt = {
+        text: 'Explain {{ topic }} to {{audience}} in {{words}} words. {{topic}}!',
+        variables: {
+            audience: { type: 'enum', options: ['kids', 'experts'], default: 'experts' },
+            words: { type: 'number', description: 'Rough length' }
+        }
+    };
+
+    it('should detect each placeholder once, in order', () => {
+        expect(PromptTemplate.variables(prompt.text)).to.deep.equal(['topic', 'audience', 'words']);
+        expect(PromptTemplate.fields(prompt).map(field => field.type)).to.deep.equal(['text', 'enum', 'number']);
+    });
+
+    it('should fill placeholders, falling back to defaults', () => {
+        const { text, values } = PromptTemplate.fill(prompt, { topic: 'tides', words: '150' });
+
+        expect(text).to.equal('Explain tides to experts in 150 words. tides!');
+        expect(values).to.deep.equal({ topic: 'tides', audience: 'experts', words: '150' });
+    });
+
+    it('should report missing and invalid values per variable', () => {
+        const { errors } = PromptTemplate.fill(prompt, { audience: 'adults', words: 'many' });
+
+        expect(errors).to.have.keys('topic', 'audience', 'words');
+        expect(errors.audience).to.match(/kids, experts/);
+    });
+
+    it('should include other prompts by id or slug', () => {
+        const prompts = [
+            { id: 'p1', slug: 'preamble', text: 'You are {{role}}.', variables: { role: { type: 'text', default: 'a senior engineer' } } },
+            { id: 'p2', text: '{{> preamble}} Review {{code}}' },
+            { id: 'p3', text: '{{> p2}}' }
+        ];
+
+        expect(PromptTemplate.fill(prompts[2], { code: 'this diff' }, prompts).text)
+            .to.equal('You are a senior engineer. Review this diff');
+        expect(PromptTemplate.usedBy(prompts[0], prompts).map(p => p.id)).to.deep.equal(['p2']);
+        expect(PromptTemplate.fill(prompts[1], { code: 'x' }, []).error).to.match(/preamble/);
+    });
+
+    it('should detect include cycles', () => {
+        const prompts = [
+            { id: 'a', text: '{{> b}}' },
+            { id: 'b', text: 'Intro {{> a}}' }
+        ];
+
+        expect(PromptTemplate.compose(prompts[0], prompts).cycle).to.deep.equal(['a', 'b', 'a']);
+    });
+
+    it('should check variable metadata', () => {
+        expect(PromptTemplate.checkVariables({ on: { type: 'boolean', default: 'true' } }).variables)
+            .to.deep.equal({ on: { type: 'boolean', default: true } });
+        expect(PromptTemplate.checkVariables({ level: { type: 'enum' } }).error).to.match(/option/);
+        expect(PromptTemplate.checkVariables({ n: { type: 'number', default: 'ten' } }).error).to.match(/number/);
+        expect(PromptTemplate.checkVariables({ n: { type: 'color' } }).error).to.match(/type/);
+    });
+});
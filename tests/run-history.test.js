@@ -0,0 +1,92 @@
+const { expect } = require('chai');
+
+const RunHistory = require('../public/run-history');
+
+describe('RunHistory', () => {
+    const run = (id, promptId, minute, fields = {}) => ({
+        id,
+        promptId,
+        createdAt: `2024-01-01T00:${String(minute).padStart(2, '0')}:00.000Z`,
+        output: `Output ${id}`,
+        latencyMs: 1000,
+        usage: null,
+        rating: 0,
+        ...fields
+    });
+
+    it('should list a prompt\'s runs newest first', () => {
+        const data = { runs: [run('r1', 'a', 1), run('r2', 'b', 2), run('r3', 'a', 3)] };
+        expect(RunHistory.list(data, 'a').map(r => r.id)).to.deep.equal(['r3', 'r1']);
+        expect(RunHistory.list({}, 'a')).to.deep.equal([]);
+    });
+
+    it('should keep only the latest runs of each prompt, in place', () => {
+        const data = { runs: [run('other', 'b', 0)] };
+        const runs = data.runs;
+        for (let i = 0; i < RunHistory.MAX_PER_PROMPT; i++) {
+            RunHistory.add(data, run(`r${i}`, 'a', i));
+        }
+
+        const dropped = RunHistory.add(data, run('latest', 'a', 59));
+
+        expect(dropped.map(r => r.id)).to.deep.equal(['r0']);
+        expect(data.runs).to.equal(runs);
+        expect(RunHistory.list(data, 'a')).to.have.lengthOf(RunHistory.MAX_PER_PROMPT);
+        expect(data.runs.map(r => r.id)).to.include('other');
+    });
+
+    it('should drop the runs of purged prompts only', () => {
+        const data = {
+            prompts: [{ id: 'a' }],
+            trash: [{ id: 't' }],
+            runs: [run('r1', 'a', 1), run('r2', 't', 2), run('r3', 'gone', 3)]
+        };
+        expect(RunHistory.prune(data)).to.equal(1);
+        expect(data.runs.map(r => r.id)).to.deep.equal(['r1', 'r2']);
+
+        expect(RunHistory.remove(data, 'r1').id).to.equal('r1');
+        expect(RunHistory.remove(data, 'r1')).to.be.null;
+    });
+
+    it('should clean a run and reject bad fields', () => {
+        const { run: cleaned } = RunHistory.check({
+            variables: { topic: 'owls' },
+            input: 'Write about owls',
+            parameters: { model: 'gpt-4o-mini', temperature: 0.2, maxTokens: 200 },
+            output: 'Owls are...',
+            latencyMs: 812.6,
+            usage: { promptTokens: 5, completionTokens: 40, totalTokens: 45 },
+            createdAt: '2024-01-01T00:00:00.000Z'
+        });
+        expect(cleaned).to.deep.equal({
+            createdAt: '2024-01-01T00:00:00.000Z',
+            variables: { topic: 'owls' },
+            input: 'Write about owls',
+            parameters: { model: 'gpt-4o-mini', system: '', temperature: 0.2, maxTokens: 200 },
+            output: 'Owls are...',
+            latencyMs: 813,
+            usage: { promptTokens: 5, completionTokens: 40, totalTokens: 45 },
+            rating: 0
+        });
+
+        const valid = { input: 'Hi', output: 'Hello', latencyMs: 10 };
+        expect(RunHistory.check(valid).run.usage).to.be.null;
+        expect(RunHistory.check({ ...valid, input: '' }).error).to.match(/input/);
+        expect(RunHistory.check({ ...valid, latencyMs: -1 }).error).to.match(/latencyMs/);
+        expect(RunHistory.check({ ...valid, variables: { topic: 3 } }).error).to.match(/variables/);
+        expect(RunHistory.check({ ...valid, parameters: { temperature: 3 } }).error).to.match(/temperature/);
+        expect(RunHistory.check({ ...valid, parameters: { maxTokens: 1.5 } }).error).to.match(/maxTokens/);
+        expect(RunHistory.check({ ...valid, usage: { totalTokens: -2 } }).error).to.match(/usage/);
+        expect(RunHistory.check({ ...valid, rating: 6 }).error).to.match(/rating/);
+    });
+
+    it('should sum up a list of runs', () => {
+        const stats = RunHistory.stats([
+            run('r1', 'a', 1, { rating: 4, latencyMs: 1000, usage: { totalTokens: 30 } }),
+            run('r2', 'a', 2, { rating: 0, latencyMs: 3000 }),
+            run('r3', 'a', 3, { rating: 5, latencyMs: 2000, usage: { totalTokens: 20 } })
+        ]);
+        expect(stats).to.deep.equal({ count: 3, rated: 2, averageRating: 4.5, averageLatencyMs: 2000, totalTokens: 50 });
+        expect(RunHistory.stats([]).averageLatencyMs).to.be.null;
+    });
+});
@@ -0,0 +1,62 @@
+const { expect } = require('chai');
+
+const SearchIndex = require('../public/search-index');
+
+describe('SearchIndex', () => {
+    const prompts = [
+        { id: 'a', text: 'Write a short story about running robots', tags: ['creative writing'] },
+        { id: 'b', text: 'Review this JavaScript function for bugs', notes: 'Check the error handling', tags: ['code'] },
+        { id: 'c', text: 'Explain JavaScript closures, then JavaScript promises', tags: ['code', 'javascript'] }
+    ];
+    const ids = (index, word) => [...index.scoreWord(word).keys()].sort();
+
+    it('should drop stop words and stem suffixes', () => {
+        expect(SearchIndex.tokenize('The robots are running')).to.deep.equal(['robot', 'run']);
+        expect(SearchIndex.tokenize('stories, classes')).to.deep.equal(['story', 'class']);
+    });
+
+    it('should rank by BM25 relevance', () => {
+        const index = new SearchIndex(prompts);
+        const scores = index.scoreWord('javascript');
+
+        expect([...scores.keys()].sort()).to.deep.equal(['b', 'c']);
+        expect(scores.get('c')).to.be.greaterThan(scores.get('b'));
+    });
+
+    it('should match prefixes and words with a typo', () => {
+        const index = new SearchIndex(prompts);
+
+        expect(ids(index, 'java')).to.deep.equal(['b', 'c']);
+        expect(ids(index, 'closurs')).to.deep.equal(['c']);
+        expect(ids(index, 'jvascript')).to.deep.equal(['b', 'c']);
+        expect(index.scoreWord('closure').get('c')).to.be.greaterThan(index.scoreWord('closurs').get('c'));
+    });
+
+    it('should update incrementally on add, update and remove', () => {
+        const index = new SearchIndex(prompts);
+
+        index.add({ id: 'd', text: 'Draft a robot manual' });
+        expect(ids(index, 'robot')).to.deep.equal(['a', 'd']);
+
+        index.update({ id: 'a', text: 'Write a poem' });
+        expect(ids(index, 'robot')).to.deep.equal(['d']);
+
+        index.remove('d');
+        expect(ids(index, 'robot')).to.deep.equal([]);
+        expect(index.postings.has('robot')).to.be.false;
+
+        index.sync([{ id: 'a', text: 'Write a poem' }, { id: 'e', text: 'Robot poem' }]);
+        expect(index.size).to.equal(2);
+        expect(ids(index, 'poem')).to.deep.equal(['a', 'e']);
+    });
+
+    it('should cut a snippet around the first match', () => {
+        const index = new SearchIndex(prompts);
+        const text = `${'Background detail. '.repeat(20)}Now review the JavaScript below.`;
+        const { segments, truncatedStart, truncatedEnd } = index.snippet(text, ['javascript'], 60);
+
+        expect(truncatedStart).to.be.true;
+        expect(truncatedEnd).to.be.false;
+        expect(segments.filter(s => s.match).map(s => s.text)).to.deep.equal(['JavaScript']);
+    });
+});
@@ -0,0 +1,113 @@
+const { expect } = require('chai');
+
+const SearchQuery = require('../public/search-query');
+
+describe('SearchQuery', () => {
+    const prompts = [
+        { id: 'a', text: 'Write a poem', notes: '', tags: ['creative writing'], category: 'Creative', folder: 'Default', rating: 5, usage_count: 2, createdAt: '2024-01-05T10:00:00Z' },
+        { id: 'b', text: 'Debug this code', notes: 'like a poem', tags: ['code'], category: 'Code', folder: 'Archive', rating: 3, usage_count: 9, createdAt: '2024-02-05T10:00:00Z' },
+        { id: 'c', text: 'Summarize the article', notes: '', tags: [], category: 'General', folder: 'Default', rating: 2, usage_count: 0, createdAt: '2024-03-05T10:00:00Z' }
+    ];
+    const ids = (query, options = {}) => SearchQuery.search(prompts, { query, ...options }).prompts.map(p => p.id);
+
+    it('should match free text, phrases and field operators', () => {
+        expect(ids('poem')).to.deep.equal(['b', 'a']);
+        expect(ids('"debug this"')).to.deep.equal(['b']);
+        expect(ids('tag:"creative writing"')).to.deep.equal(['a']);
+        expect(ids('category:code')).to.deep.equal(['b']);
+        expect(ids('rating:3')).to.deep.equal(['b', 'a']);
+        expect(ids('rating:2..3')).to.deep.equal(['c', 'b']);
+    });
+
+    it('should combine terms with AND, OR, NOT and parentheses', () => {
+        expect(ids('poem folder:default')).to.deep.equal(['a']);
+        expect(ids('poem AND folder:default')).to.deep.equal(['a']);
+        expect(ids('category:code OR category:general')).to.deep.equal(['c', 'b']);
+        expect(ids('(poem OR summarize) NOT tag:code')).to.deep.equal(['c', 'a']);
+    });
+
+    it('should filter by inclusive date ranges', () => {
+        expect(ids('created:2024-01-01..2024-02-05')).to.deep.equal(['b', 'a']);
+        expect(ids('created:2024-02-01..')).to.deep.equal(['c', 'b']);
+        expect(ids('created:2024-03-05')).to.deep.equal(['c']);
+    });
+
+    it('should negate terms with a leading minus', () => {
+        expect(ids('-tag:code')).to.deep.equal(['c', 'a']);
+        expect(ids('poem -"debug this"')).to.deep.equal(['a']);
+        expect(ids('-(category:code OR category:general)')).to.deep.equal(['a']);
+    });
+
+    it('should compare ratings, usage and dates', () => {
+        expect(ids('rating:>=3')).to.deep.equal(['b', 'a']);
+        expect(ids('rating:>3')).to.deep.equal(['a']);
+        expect(ids('rating:=3')).to.deep.equal(['b']);
+        expect(ids('usage:>1')).to.deep.equal(['b', 'a']);
+        expect(ids('usage:0')).to.deep.equal(['c']);
+        expect(ids('created:>2024-02-05')).to.deep.equal(['c']);
+        expect(ids('created:<=2024-02-05')).to.deep.equal(['b', 'a']);
+    });
+
+    it('should filter on has:notes, has:tags and has:variables', () => {
+        const withVariables = [...prompts, { id: 'd', text: 'Translate {{text}} to {{ language }}', tags: [], createdAt: '2024-04-01' }];
+
+        expect(ids('has:notes')).to.deep.equal(['b']);
+        expect(ids('-has:tags')).to.deep.equal(['c']);
+        expect(SearchQuery.search(withVariables, { query: 'has:variables' }).prompts.map(p => p.id)).to.deep.equal(['d']);
+        expect(() => SearchQuery.parse('has:colour')).to.throw('has: expects one of');
+    });
+
+    it('should find other word forms and rank by relevance', () => {
+        expect(ids('poems')).to.deep.equal(['b', 'a']);
+        expect(ids('summarise')).to.deep.equal(['c']);
+        expect(ids('poem', { sortBy: 'relevance' })).to.deep.equal(['a', 'b']);
+        expect(ids('', { sortBy: 'relevance' })).to.deep.equal(['c', 'b', 'a']);
+    });
+
+    it('should search tags through synonyms and include child tags and folders, not substrings', () => {
+        const tagged = [
+            { id: 'x', text: 'Refactor', tags: ['code/python'], createdAt: '2024-01-01T00:00:00Z' },
+            { id: 'y', text: 'Lint', tags: ['javascript'], createdAt: '2024-01-02T00:00:00Z' },
+            { id: 'z', text: 'Scan', tags: ['barcode'], folder: 'Work/Scanners', createdAt: '2024-01-03T00:00:00Z' }
+        ];
+        const found = (query, options = {}) => SearchQuery.search(tagged, { query, ...options }).prompts.map(p => p.id);
+
+        expect(found('tag:code')).to.deep.equal(['x']);
+        expect(found('tag:java')).to.deep.equal([]);
+        expect(found('folder:work')).to.deep.equal(['z']);
+        expect(found('folder:scanners')).to.deep.equal([]);
+        expect(found('', { tags: ['code'] })).to.deep.equal(['x']);
+        expect(found('tag:js', { synonyms: { js: 'javascript' } })).to.deep.equal(['y']);
+    });
+
+    it('should report where a malformed query goes wrong', () => {
+        const positionOf = query => {
+            try {
+                SearchQuery.parse(query);
+            } catch (error) {
+                return error.position;
+            }
+            return null;
+        };
+
+        expect(positionOf('poem (tag:code')).to.equal(5);
+        expect(positionOf('poem OR')).to.equal(7);
+        expect(positionOf('rating:lots')).to.equal(0);
+        expect(positionOf('usage:>')).to.equal(0);
+        expect(SearchQuery.parseLenient('"open quote')).to.include({ type: 'text', value: '"open quote' });
+
+        expect(() => SearchQuery.parse('tag:code )')).to.throw().that.includes({ position: 9, end: 10 });
+    });
+
+    it('should sort and page with a cursor', () => {
+        const first = SearchQuery.search(prompts, { sortBy: 'usage_count', sortOrder: 'desc', limit: 2 });
+        expect(first.prompts.map(p => p.id)).to.deep.equal(['b', 'a']);
+        expect(first.total).to.equal(3);
+
+        const second = SearchQuery.search(prompts, { sortBy: 'usage_count', sortOrder: 'desc', limit: 2, cursor: first.nextCursor });
+        expect(second.prompts.map(p => p.id)).to.deep.equal(['c']);
+        expect(second.nextCursor).to.be.null;
+
+        expect(() => SearchQuery.search(prompts, { sortBy: 'color' })).to.throw('Cannot sort by');
+    });
+});
@@ -0,0 +1,92 @@
+const { expect } = require('chai');
+const fs = require('fs').promises;
+const os = require('os');
+const path = require('path');
+
+const SecretStore = require('../src/secret-store');
+
+describe('SecretStore', () => {
+    let dir;
+    let filePath;
+
+    beforeEach(async () => {
+        dir = await fs.mkdtemp(path.join(os.tmpdir(), 'nlp-secrets-'));
+        filePath = path.join(dir, 'secrets.json');
+    });
+
+    afterEach(async () => {
+        await fs.rm(dir, { recursive: true, force: true });
+    });
+
+    it('should encrypt credentials and only list them masked', async () => {
+        const store = new SecretStore(filePath, { passphrase: 'correct horse' });
+        const openai = await store.set('openai', ' sk-proj-abcdefgh1234 ');
+        await store.set('local', 'short');
+
+        expect(openai).to.include({ name: 'openai', masked: 'sk-…1234' });
+        const listed = await store.list();
+        expect(listed.map(({ name, masked }) => [name, masked])).to.deep.equal([['local', '••••'], ['openai', 'sk-…1234']]);
+        expect(listed[1]).to.deep.equal(openai);
+        expect(await store.get('openai')).to.equal('sk-proj-abcdefgh1234');
+        expect(await store.get('missing')).to.be.null;
+
+        const file = await fs.readFile(filePath, 'utf8');
+        expect(file).to.not.include('sk-proj').and.not.include('short');
+
+        const reopened = new SecretStore(filePath, { passphrase: 'correct horse' });
+        expect(await reopened.getAll()).to.deep.equal({ openai: 'sk-proj-abcdefgh1234', local: 'short' });
+    });
+
+    it('should rotate and revoke credentials', async () => {
+        const store = new SecretStore(filePath, { passphrase: 'correct horse' });
+        const first = await store.set('openai', 'sk-first-00000001');
+        const rotated = await store.set('openai', 'sk-second-0000002');
+
+        expect(rotated.createdAt).to.equal(first.createdAt);
+        expect(rotated.masked).to.equal('sk-…0002');
+        expect(await store.get('openai')).to.equal('sk-second-0000002');
+
+        expect(await store.delete('openai')).to.be.true;
+        expect(await store.delete('openai')).to.be.false;
+        expect(await new SecretStore(filePath, { passphrase: 'correct horse' }).list()).to.deep.equal([]);
+    });
+
+    it('should refuse to open the file with another passphrase', async () => {
+        await new SecretStore(filePath, { passphrase: 'correct horse' }).set('openai', 'sk-test');
+
+        try {
+            await new SecretStore(filePath, { passphrase: 'battery staple' }).getAll();
+            expect.fail('should have thrown');
+        } catch (error) {
+            expect(error.message).to.match(/different SECRETS_PASSPHRASE/);
+        }
+    });
+
+    it('should generate a key file when there is no passphrase', async () => {
+        const keyFilePath = path.join(dir, 'secrets.key');
+        await new SecretStore(filePath, { keyFilePath }).set('openai', 'sk-test');
+        const key = await fs.readFile(keyFilePath, 'utf8');
+        expect(key).to.match(/^[0-9a-f]{64}$/);
+
+        expect(await new SecretStore(filePath, { keyFilePath }).get('openai')).to.equal('sk-test');
+        await fs.writeFile(keyFilePath, 'f'.repeat(64));
+        try {
+            await new SecretStore(filePath, { keyFilePath }).get('openai');
+            expect.fail('should have thrown');
+        } catch (error) {
+            expect(error.message).to.match(/Cannot decrypt/);
+        }
+    });
+
+    it('should reject bad names and empty values', async () => {
+        const store = new SecretStore(filePath, { passphrase: 'correct horse' });
+        for (const [name, value] of [['Open AI', 'sk-test'], ['openai', '  '], ['openai', null]]) {
+            try {
+                await store.set(name, value);
+                expect.fail('should have thrown');
+            } catch (error) {
+                expect(error.message).to.match(/Secret/);
+            }
+        }
+    });
+});
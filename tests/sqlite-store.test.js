@@ -0,0 +1,83 @@
+const { expect } = require('chai');
+const fs = require('fs').promises;
+const os = require('os');
+const path = require('path');
+
+const SqliteStore = require('../src/storage/sqlite-store');
+
+describe('SqliteStore', () => {
+    let dir;
+    let store;
+
+    beforeEach(async () => {
+        dir = await fs.mkdtemp(path.join(os.tmpdir(), 'nlp-sqlite-'));
+        store = new SqliteStore(path.join(dir, 'prompts.db'), {
+            createDefaultData: () => ({ prompts: [], categories: ['All'], metadata: {} })
+        });
+    });
+
+    afterEach(async () => {
+        await store.close();
+        await fs.rm(dir, { recursive: true, force: true });
+    });
+
+    it('should return default data for an empty database', async () => {
+        expect(await store.isEmpty()).to.be.true;
+        const data = await store.read();
+        expect(data.categories).to.deep.equal(['All']);
+    });
+
+    it('should round-trip a full document in order', async () => {
+        const data = {
+            prompts: [
+                { id: 'b', text: 'Second', category: 'Code', tags: ['x'], rating: 4 },
+                { id: 'a', text: 'First', category: 'General', tags: [], rating: 0 }
+            ],
+            categories: ['All', 'Code', 'General'],
+            settings: { autoCategorizationEnabled: true },
+            metadata: { version: '1.0.0' }
+        };
+
+        await store.replace(data);
+
+        expect(await store.read()).to.deep.equal(data);
+        expect(await store.getPrompt('a')).to.deep.equal(data.prompts[1]);
+    });
+
+    it('should apply updates, reorders and deletes', async () => {
+        await store.replace({
+            prompts: [{ id: 'a', text: 'A' }, { id: 'b', text: 'B' }, { id: 'c', text: 'C' }],
+            metadata: {}
+        });
+
+        await store.update(data => {
+            data.prompts = data.prompts.filter(p => p.id !== 'b');
+            data.prompts.unshift({ id: 'd', text: 'D' });
+            data.prompts.find(p => p.id === 'c').text = 'C2';
+        });
+
+        const prompts = await store.listPrompts();
+        expect(prompts.map(p => p.id)).to.deep.equal(['d', 'a', 'c']);
+        expect(prompts[2].text).to.equal('C2');
+    });
+
+    it('should serve reads from memory until another connection writes', async () => {
+        await store.replace({ prompts: [{ id: 'a', text: 'A' }], metadata: {} });
+
+        const first = await store.read();
+        expect(await store.read()).to.equal(first);
+        expect(await store.listPrompts()).to.equal(first.prompts);
+
+        await store.update(data => { data.prompts[0].text = 'A2'; });
+        expect(first.prompts[0].text).to.equal('A');
+        expect((await store.getPrompt('a')).text).to.equal('A2');
+
+        const other = new SqliteStore(store.filePath);
+        try {
+            await other.update(data => { data.prompts.push({ id: 'b', text: 'B' }); });
+        } finally {
+            await other.close();
+        }
+        expect((await store.read()).prompts.map(p => p.id)).to.deep.equal(['a', 'b']);
+    });
+});
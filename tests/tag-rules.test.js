@@ -0,0 +1,40 @@
+const { expect } = require('chai');
+
+const TagRules = require('../public/tag-rules');
+
+describe('TagRules', () => {
+    it('should clean tags and apply synonyms without duplicates', () => {
+        expect(TagRules.clean(' Code / Python ')).to.equal('code/python');
+        expect(TagRules.normalize(['JS', 'javascript', ' Review '], { js: 'javascript' }))
+            .to.deep.equal(['javascript', 'review']);
+    });
+
+    it('should match child tags but not tags sharing a prefix', () => {
+        expect(TagRules.matches(['code/python'], 'code')).to.be.true;
+        expect(TagRules.matches(['codegen'], 'code')).to.be.false;
+    });
+
+    it('should rename and remove a tag with its children', () => {
+        expect(TagRules.rename(['code', 'code/python', 'misc'], 'code', 'dev'))
+            .to.deep.equal(['dev', 'dev/python', 'misc']);
+        expect(TagRules.rename(['js', 'javascript'], 'js', 'javascript')).to.deep.equal(['javascript']);
+        expect(TagRules.remove(['code', 'code/python', 'misc'], 'code')).to.deep.equal(['misc']);
+    });
+
+    it('should list parent tags with totals including their children', () => {
+        const tags = TagRules.list([{ tags: ['code/python'] }, { tags: ['code', 'misc'] }]);
+
+        expect(tags).to.deep.equal([
+            { name: 'code', count: 1, total: 2 },
+            { name: 'code/python', count: 1, total: 1 },
+            { name: 'misc', count: 1, total: 1 }
+        ]);
+    });
+
+    it('should follow synonym chains and reject loops', () => {
+        expect(TagRules.checkSynonyms({ JS: 'ecmascript', ecmascript: 'javascript' }).synonyms)
+            .to.deep.equal({ js: 'javascript', ecmascript: 'javascript' });
+        expect(TagRules.checkSynonyms({ a: 'b', b: 'a' }).error).to.match(/loop/);
+        expect(TagRules.checkSynonyms(['js']).error).to.exist;
+    });
+});
@@ -0,0 +1,64 @@
+const { expect } = require('chai');
+
+const Trash = require('../public/trash');
+
+describe('Trash', () => {
+    const DAY = 24 * 60 * 60 * 1000;
+    let data;
+
+    beforeEach(() => {
+        data = {
+            prompts: [
+                { id: 'a', text: 'A', folder: 'Favorites' },
+                { id: 'b', text: 'B', folder: 'Default' },
+                { id: 'c', text: 'C', folder: 'Default' }
+            ],
+            settings: {}
+        };
+    });
+
+    it('should move prompts to the trash in place', () => {
+        const prompts = data.prompts;
+        const trashed = Trash.moveToTrash(data, ['a', 'c', 'missing'], '2024-01-01T00:00:00.000Z');
+
+        expect(trashed.map(p => p.id)).to.deep.equal(['a', 'c']);
+        expect(data.prompts).to.equal(prompts);
+        expect(data.prompts.map(p => p.id)).to.deep.equal(['b']);
+        expect(data.trash[0]).to.include({ id: 'a', folder: 'Favorites', deletedAt: '2024-01-01T00:00:00.000Z' });
+    });
+
+    it('should restore prompts without their deletedAt stamp', () => {
+        Trash.moveToTrash(data, ['a']);
+        const restored = Trash.restore(data, ['a']);
+
+        expect(restored).to.have.length(1);
+        expect(restored[0]).to.not.have.property('deletedAt');
+        expect(data.prompts[0]).to.include({ id: 'a', folder: 'Favorites' });
+        expect(data.trash).to.be.empty;
+    });
+
+    it('should purge selected items and empty the trash', () => {
+        Trash.moveToTrash(data, ['a', 'b']);
+
+        expect(Trash.purge(data, ['a']).map(p => p.id)).to.deep.equal(['a']);
+        expect(data.trash.map(p => p.id)).to.deep.equal(['b']);
+        expect(Trash.empty(data)).to.have.length(1);
+        expect(data.trash).to.be.empty;
+    });
+
+    it('should purge items older than the retention period', () => {
+        const now = Date.now();
+        Trash.moveToTrash(data, ['a'], new Date(now - 31 * DAY).toISOString());
+        Trash.moveToTrash(data, ['b'], new Date(now - 2 * DAY).toISOString());
+
+        expect(Trash.purgeExpired(data, 0, now)).to.be.empty;
+        expect(Trash.purgeExpired(data, 30, now).map(p => p.id)).to.deep.equal(['a']);
+        expect(data.trash.map(p => p.id)).to.deep.equal(['b']);
+    });
+
+    it('should read the retention period from settings', () => {
+        expect(Trash.retentionDays(data, 14)).to.equal(14);
+        data.settings.trashRetentionDays = 0;
+        expect(Trash.retentionDays(data, 14)).to.equal(0);
+    });
+});
@@ -0,0 +1,74 @@
+const { expect } = require('chai');
+
+const Workflow = require('../public/workflow');
+
+describe('Workflow', () => {
+    const prompts = [
+        { id: 'outline', text: 'Outline an article about {{topic}}' },
+        { id: 'draft', text: 'Write the article from this outline: {{outline}}' },
+        { id: 'title', text: 'Title for {{article}} about {{topic}}' }
+    ];
+    const workflow = {
+        name: 'Article',
+        steps: [
+            { promptId: 'outline', inputs: { topic: '{{input.topic}}' } },
+            { promptId: 'draft', inputs: { outline: '{{previous}}' } },
+            { promptId: 'title', inputs: { article: '{{step2}}', topic: '{{input.topic}}' } }
+        ]
+    };
+
+    it('should list the inputs a run asks for', () => {
+        expect(Workflow.inputs(workflow)).to.deep.equal(['topic']);
+    });
+
+    it('should reject references to later steps or unknown values', () => {
+        expect(Workflow.check(workflow).workflow.steps).to.have.length(3);
+        expect(Workflow.check({ name: 'x', steps: [{ promptId: 'a', inputs: { v: '{{previous}}' } }] }).error)
+            .to.match(/first step/);
+        expect(Workflow.check({ name: 'x', steps: [{ promptId: 'a', inputs: { v: '{{step1}}' } }] }).error)
+            .to.match(/earlier step/);
+        expect(Workflow.check({ name: 'x', steps: [{ promptId: 'a', inputs: { v: '{{secret}}' } }] }).error)
+            .to.match(/unknown reference/);
+        expect(Workflow.check({ name: 'x', steps: [] }).error).to.exist;
+    });
+
+    it('should pass each output on to later steps', async () => {
+        const seen = [];
+        const run = await Workflow.run(workflow, prompts, {
+            inputs: { topic: 'tides' },
+            complete: async text => {
+                seen.push(text);
+                return `out${seen.length}`;
+            }
+        });
+
+        expect(seen).to.deep.equal([
+            'Outline an article about tides',
+            'Write the article from this outline: out1',
+            'Title for out2 about tides'
+        ]);
+        expect(run.output).to.equal('out3');
+        expect(run.steps.map(step => step.output)).to.deep.equal(['out1', 'out2', 'out3']);
+    });
+
+    it('should stop at the first failing step', async () => {
+        const run = await Workflow.run(workflow, prompts, {
+            inputs: { topic: 'tides' },
+            complete: async () => { throw new Error('rate limited'); }
+        });
+
+        expect(run.error).to.equal('Step 1: rate limited');
+        expect(run.steps).to.have.length(1);
+    });
+
+    it('should export the prompts a workflow uses, including partials', () => {
+        const withPartial = [...prompts, { id: 'voice', slug: 'voice', text: 'Be concise.', revisions: [{}] }];
+        withPartial[0] = { ...prompts[0], text: '{{> voice}} Outline {{topic}}' };
+
+        const exported = Workflow.export(workflow, withPartial);
+        expect(exported.prompts.map(p => p.id)).to.deep.equal(['outline', 'voice', 'draft', 'title']);
+        expect(exported.prompts[1]).to.not.have.property('revisions');
+        expect(Workflow.parseExport(JSON.parse(JSON.stringify(exported))).workflow.name).to.equal('Article');
+        expect(Workflow.parseExport({ prompts: [] }).error).to.exist;
+    });
+});